@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
+const { pinAuthPlugin } = require('../../../utils/pinHandler');
 
 const adminSchema = new mongoose.Schema({
     firstName: {
@@ -50,14 +50,6 @@ const adminSchema = new mongoose.Schema({
         enum: ['admin', 'super_admin'],
         default: 'admin'
     },
-    resetPasswordToken: String,
-    resetPasswordExpire: Date,
-    emailVerificationPin: String,
-    emailVerificationExpire: Date,
-    isEmailVerified: {
-        type: Boolean,
-        default: false
-    },
     isActive: {
         type: Boolean,
         default: true
@@ -73,19 +65,7 @@ adminSchema.virtual('fullName').get(function() {
     return `${this.firstName} ${this.lastName}`;
 });
 
-adminSchema.methods.createPasswordResetToken = function() {
-    const pin = Math.floor(100000 + Math.random() * 900000).toString();
-    this.resetPasswordToken = crypto.createHash('sha256').update(pin).digest('hex');
-    this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
-    return pin;
-};
-
-adminSchema.methods.createEmailVerificationPin = function() {
-    const pin = Math.floor(100000 + Math.random() * 900000).toString();
-    this.emailVerificationPin = crypto.createHash('sha256').update(pin).digest('hex');
-    this.emailVerificationExpire = Date.now() + 15 * 60 * 1000;
-    return pin;
-};
+adminSchema.plugin(pinAuthPlugin);
 
 adminSchema.methods.toJSON = function() {
     const adminObject = this.toObject();
@@ -1,11 +1,12 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const { findAdminByEmail, createAdmin, updatePassword } = require('../data/repositories/adminRepository');
 const { JWT_SECRET } = require('../../config/config');
 const { sendEmail } = require('../../utils/emailHandler');
+const { hashPin } = require('../../utils/pinHandler');
 const { checkIfAdminExists } = require('../../utils/validation');
 const Admin = require('../data/models/adminModel');
+const User = require('../../user/data/models/userModel');
 
 class AdminAuthService {
     async authenticateAdmin(email, password) {
@@ -98,7 +99,7 @@ Admin Team`
     async verifyEmail(email, pin) {
         if (!pin || pin.length !== 6) throw new Error('Valid 6-digit PIN is required');
 
-        const hashedPin = crypto.createHash('sha256').update(pin.trim()).digest('hex');
+        const hashedPin = hashPin(pin);
         const admin = await Admin.findOne({
             email: email.toLowerCase(),
             emailVerificationPin: hashedPin,
@@ -186,7 +187,7 @@ Admin Team`
     async validateResetToken(token) {
         if (!token) throw new Error('Reset token required');
 
-        const hashedToken = crypto.createHash('sha256').update(token.trim()).digest('hex');
+        const hashedToken = hashPin(token);
         const admin = await Admin.findOne({
             resetPasswordToken: hashedToken,
             resetPasswordExpire: { $gt: Date.now() }
@@ -200,7 +201,7 @@ Admin Team`
         if (!token) throw new Error('Reset token required');
         if (!newPassword || newPassword.length < 6) throw new Error('New password must be at least 6 characters long');
 
-        const hashedToken = crypto.createHash('sha256').update(token.trim()).digest('hex');
+        const hashedToken = hashPin(token);
         const admin = await Admin.findOne({
             resetPasswordToken: hashedToken,
             resetPasswordExpire: { $gt: Date.now() }
@@ -252,11 +253,10 @@ Admin Team`
 
     async getUserOverviews(page = 1, limit = 10) {
         const skip = (page - 1) * limit;
-        const User = require('../../user/data/models/userModel');
 
         const users = await User.find()
-            .select('firstName lastName role activityLogs createdAt')
-            .populate('checkouts')
+            .select('firstName lastName email role rider isEmailVerified isActive lastLogin createdAt')
+            .populate('rider', 'firstName lastName category')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit);
@@ -264,10 +264,13 @@ Admin Team`
         const formattedUsers = users.map(user => ({
             firstName: user.firstName,
             lastName: user.lastName,
+            email: user.email,
             role: user.role,
-            activityLogs: user.activityLogs,
-            createdAt: user.createdAt,
-            checkouts: user.checkouts
+            rider: user.rider,
+            isEmailVerified: user.isEmailVerified,
+            isActive: user.isActive,
+            lastLogin: user.lastLogin,
+            createdAt: user.createdAt
         }));
 
         const totalUsers = await User.countDocuments();
@@ -1,11 +1,24 @@
 require('dotenv').config();
 
+// The fake provider approves payments without charging anyone, so it is only a default for local work and tests
+const resolvePaymentProvider = () => {
+    if (process.env.PAYMENT_PROVIDER) {
+        return process.env.PAYMENT_PROVIDER;
+    }
+    if (['test', 'development'].includes(process.env.NODE_ENV)) {
+        return 'fake';
+    }
+    throw new Error('PAYMENT_PROVIDER must be set unless NODE_ENV is test or development');
+};
+
 module.exports = {
     MONGO_URI: process.env.MONGO_URI ,
     JWT_SECRET: process.env.JWT_SECRET,
     JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN ,
     NODE_ENV: process.env.NODE_ENV ,
     PORT: process.env.PORT ,
+    PAYMENT_PROVIDER: resolvePaymentProvider(),
+    PAYMENT_CURRENCY: process.env.PAYMENT_CURRENCY || 'USD',
     SMTP_CONFIG: {
         host: process.env.SMTP_HOST ,
         port: process.env.SMTP_PORT ,
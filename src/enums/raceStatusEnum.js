@@ -0,0 +1,27 @@
+const RaceStatusEnum = {
+    DRAFT: 'Draft',
+    OPEN: 'Open',
+    CLOSED: 'Closed',
+    IN_PROGRESS: 'InProgress',
+    COMPLETED: 'Completed',
+    CANCELLED: 'Cancelled',
+    POSTPONED: 'Postponed',
+};
+
+Object.freeze(RaceStatusEnum);
+
+// The statuses a race may move to from each status. Starting straight from Open closes
+// registration along the way; Completed and Cancelled are final
+const RACE_STATUS_TRANSITIONS = Object.freeze({
+    Draft: ['Open', 'Cancelled'],
+    Open: ['Closed', 'InProgress', 'Postponed', 'Cancelled'],
+    Closed: ['Open', 'InProgress', 'Postponed', 'Cancelled'],
+    InProgress: ['Completed', 'Cancelled'],
+    Completed: [],
+    Cancelled: [],
+    Postponed: ['Open', 'Closed', 'Cancelled'],
+});
+
+const RACE_STATUSES = Object.values(RaceStatusEnum);
+
+module.exports = { RaceStatusEnum, RACE_STATUSES, RACE_STATUS_TRANSITIONS };
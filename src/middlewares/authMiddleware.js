@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET } = require('../config/config');
 const Admin = require('../admin/data/models/adminModel');
+const User = require('../user/data/models/userModel');
 
 
 const authMiddleware = async (req, res, next) => {
@@ -27,7 +28,7 @@ const authMiddleware = async (req, res, next) => {
             req.admin = admin;
         } else if (decoded.role === 'user') {
             const user = await User.findById(decoded.id);
-            if (!user) {
+            if (!user || !user.isActive) {
                 return res.status(401).json({ message: 'User not found or unauthorized' });
             }
             req.userDetails = user;
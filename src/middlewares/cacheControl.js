@@ -0,0 +1,21 @@
+// Lets browsers and CDNs keep public responses for maxAge seconds, and serve a stale copy for
+// a little longer while they revalidate. Express adds an ETag to JSON bodies, so revalidation
+// usually ends in a 304
+const cacheFor = (maxAge, staleWhileRevalidate = maxAge) => (req, res, next) => {
+    res.set('Cache-Control', `public, max-age=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`);
+    next();
+};
+
+// Error responses must not be cached in place of the real data
+const noStoreOnError = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400) {
+            res.set('Cache-Control', 'no-store');
+        }
+        return json(body);
+    };
+    next();
+};
+
+module.exports = { cacheFor, noStoreOnError };
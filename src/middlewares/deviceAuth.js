@@ -0,0 +1,26 @@
+const GpsTracker = require('../raceSystem/data/models/GpsTracker');
+const { hashDeviceKey } = require('../utils/tokenGenerator');
+
+// GPS trackers authenticate with the key issued to them in an X-Device-Key header
+const authenticateDevice = async (req, res, next) => {
+    const key = req.headers['x-device-key'];
+
+    if (!key) {
+        return res.status(401).json({ message: 'No device key, authorization denied' });
+    }
+
+    try {
+        const tracker = await GpsTracker.findOne({ keyHash: hashDeviceKey(key), active: true });
+        if (!tracker) {
+            return res.status(401).json({ message: 'Device key is not valid' });
+        }
+
+        req.tracker = tracker;
+        next();
+    } catch (err) {
+        return res.status(500).json({ message: 'Device authentication failed' });
+    }
+};
+
+module.exports = authenticateDevice;
+module.exports.authenticateDevice = authenticateDevice;
@@ -0,0 +1,45 @@
+const { errorResponse } = require('../utils/respondHandler');
+
+// Fixed-window limit per client IP, kept in memory. Each limiter has its own counters, so
+// routers can be given different budgets. Behind a proxy, set Express's `trust proxy` so req.ip
+// is the client's address
+const rateLimit = ({ windowMs = 60 * 1000, max = 60, message = 'Too many requests, please try again later' } = {}) => {
+    const clients = new Map();
+    let nextSweep = Date.now() + windowMs;
+
+    return (req, res, next) => {
+        const now = Date.now();
+
+        // Drop expired windows now and then so one-off visitors do not pile up
+        if (now >= nextSweep) {
+            clients.forEach((window, key) => {
+                if (window.resetAt <= now) clients.delete(key);
+            });
+            nextSweep = now + windowMs;
+        }
+
+        const key = req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+        let window = clients.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            clients.set(key, window);
+        }
+        window.count++;
+
+        const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(0, max - window.count)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (window.count > max) {
+            res.set('Retry-After', String(resetSeconds));
+            return errorResponse(res, message, 429);
+        }
+        next();
+    };
+};
+
+module.exports = rateLimit;
+module.exports.rateLimit = rateLimit;
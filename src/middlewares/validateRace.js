@@ -1,4 +1,14 @@
 const Joi = require('joi');
+const { RACE_STATUSES } = require('../enums/raceStatusEnum');
+
+const categoryPrices = Joi.array().items(Joi.object({
+    category: Joi.string().valid('Professional', 'Amateur', 'Youth').required().messages({
+        'any.only': 'Price category must be one of: Professional, Amateur, Youth'
+    }),
+    price: Joi.number().min(0).max(10000).required()
+})).unique('category').messages({
+    'array.unique': 'Only one price per category is allowed'
+});
 
 const raceSchema = Joi.object({
     name: Joi.string().trim().min(3).max(100).required().messages({
@@ -9,6 +19,9 @@ const raceSchema = Joi.object({
     description: Joi.string().trim().max(500).optional().messages({
         'string.max': 'Description cannot exceed 500 characters'
     }),
+    event: Joi.string().trim().max(100).allow(null).optional().messages({
+        'string.max': 'Event name cannot exceed 100 characters'
+    }),
     location: Joi.object({
         name: Joi.string().trim().required().messages({
             'string.empty': 'Location name is required'
@@ -35,6 +48,14 @@ const raceSchema = Joi.object({
         'number.positive': 'Distance must be a positive number',
         'number.max': 'Distance cannot exceed 1000 km'
     }),
+    laps: Joi.number().integer().min(1).max(200).optional().messages({
+        'number.min': 'Lap count must be at least 1',
+        'number.max': 'Lap count cannot exceed 200'
+    }),
+    lapLength: Joi.number().positive().max(1000).optional().messages({
+        'number.positive': 'Lap length must be a positive number',
+        'number.max': 'Lap length cannot exceed 1000 km'
+    }),
     terrain: Joi.string().valid('Road', 'Urban Road','Trail', 'Mixed', 'Track', 'Cross-Country','Desert Sand','Mountain Trail', 'Downhill').default('Road').messages({
         'any.only': 'Terrain must be one of: Road, Desert Sand, Mountain Trail, Urban Road, Trail, Mixed, Track, Cross-Country, Downhill'
     }),
@@ -45,17 +66,96 @@ const raceSchema = Joi.object({
         'number.positive': 'Max participants must be a positive number',
         'number.max': 'Max participants cannot exceed 10,000'
     }),
+    registrationOpensAt: Joi.date().iso().optional().messages({
+        'date.base': 'Invalid registration opening time format'
+    }),
+    registrationClosesAt: Joi.when('registrationOpensAt', {
+        is: Joi.exist(),
+        then: Joi.date().iso().greater(Joi.ref('registrationOpensAt')),
+        otherwise: Joi.date().iso()
+    }).optional().messages({
+        'date.greater': 'Registration must close after it opens',
+        'date.base': 'Invalid registration closing time format'
+    }),
+    waitlistConfirmHours: Joi.number().integer().min(1).max(336).optional().messages({
+        'number.min': 'Waitlist confirmation window must be at least 1 hour',
+        'number.max': 'Waitlist confirmation window cannot exceed 336 hours'
+    }),
     entryFee: Joi.number().min(0).max(10000).optional().messages({
         'number.min': 'Entry fee cannot be negative',
         'number.max': 'Entry fee cannot exceed $10,000'
     }),
+    categoryPrices: categoryPrices.optional(),
+    priceTiers: Joi.array().items(Joi.object({
+        name: Joi.string().trim().max(50).required().messages({
+            'string.empty': 'Price tier name is required'
+        }),
+        endsAt: Joi.date().iso().optional(),
+        price: Joi.number().min(0).max(10000).required(),
+        categoryPrices: categoryPrices.optional()
+    })).unique('name').max(10).optional().messages({
+        'array.unique': 'Price tier names must be unique'
+    }),
+    refundPolicy: Joi.array().items(Joi.object({
+        daysBefore: Joi.number().integer().min(0).max(365).required(),
+        percent: Joi.number().min(0).max(100).required()
+    })).unique('daysBefore').max(10).optional().messages({
+        'array.unique': 'Only one refund rule per number of days is allowed'
+    }),
     categories: Joi.array().items(Joi.string().valid('Professional', 'Amateur', 'Youth')).min(1).default(['Amateur']).messages({
         'array.min': 'At least one category must be specified',
         'any.only': 'Categories must be one of: Professional, Amateur, Youth'
     }),
-    status: Joi.string().valid('Draft', 'Open', 'Closed', 'InProgress', 'Completed', 'Cancelled').default('Draft').messages({
-        'any.only': 'Status must be one of: Draft, Open, Closed, InProgress, Completed, Cancelled'
+    // New races start as Draft or Open; later changes go through the status transitions
+    status: Joi.string().valid('Draft', 'Open').default('Draft').messages({
+        'any.only': 'New races start as Draft or Open'
+    }),
+    protestWindowMinutes: Joi.number().integer().min(0).max(10080).optional().messages({
+        'number.min': 'Protest window cannot be negative',
+        'number.max': 'Protest window cannot exceed 7 days (10080 minutes)'
+    }),
+    startMode: Joi.string().valid('Mass', 'Interval', 'Wave').default('Mass').messages({
+        'any.only': 'Start mode must be one of: Mass, Interval, Wave'
+    }),
+    startInterval: Joi.number().integer().min(1).max(3600).optional().messages({
+        'number.min': 'Start interval must be at least 1 second',
+        'number.max': 'Start interval cannot exceed 3600 seconds'
+    }),
+    waveOrder: Joi.array().items(Joi.string().valid('Professional', 'Amateur', 'Youth')).unique().optional().messages({
+        'any.only': 'Wave order categories must be one of: Professional, Amateur, Youth',
+        'array.unique': 'Wave order cannot repeat a category'
+    }),
+    bibRanges: Joi.array().items(Joi.object({
+        category: Joi.string().valid('Professional', 'Amateur', 'Youth').required().messages({
+            'any.only': 'Bib range category must be one of: Professional, Amateur, Youth'
+        }),
+        start: Joi.number().integer().min(1).required().messages({
+            'number.min': 'Bib range start must be a positive integer'
+        }),
+        end: Joi.number().integer().min(Joi.ref('start')).required().messages({
+            'number.min': 'Bib range end must not be lower than its start'
+        })
+    })).unique('category').optional().messages({
+        'array.unique': 'Only one bib range per category is allowed'
+    }),
+    ageGroups: Joi.array().items(Joi.object({
+        name: Joi.string().trim().max(30).required().messages({
+            'string.empty': 'Age group name is required'
+        }),
+        minAge: Joi.number().integer().min(0).max(120).default(0),
+        maxAge: Joi.number().integer().min(Joi.ref('minAge')).max(120).optional().messages({
+            'number.min': 'Age group maxAge must not be lower than its minAge'
+        })
+    })).unique('name').max(20).optional().messages({
+        'array.unique': 'Age group names must be unique'
     }),
+    teamClassification: Joi.object({
+        mode: Joi.string().valid('Time', 'Points').default('Time').messages({
+            'any.only': 'Team classification mode must be one of: Time, Points'
+        }),
+        countBest: Joi.number().integer().min(1).max(20).default(3),
+        pointsTable: Joi.array().items(Joi.number().min(0).max(10000)).max(200).optional()
+    }).optional(),
     weatherConditions: Joi.object({
         temperature: Joi.number().optional(),
         humidity: Joi.number().min(0).max(100).optional(),
@@ -63,7 +163,22 @@ const raceSchema = Joi.object({
         condition: Joi.string().optional(),
         lastUpdated: Joi.date().optional(),
         forecastDate: Joi.date().optional()
-    }).optional()
+    }).optional(),
+    checkpoints: Joi.array().items(Joi.object({
+        name: Joi.string().trim().max(100).required().messages({
+            'string.empty': 'Checkpoint name is required',
+            'string.max': 'Checkpoint name cannot exceed 100 characters'
+        }),
+        order: Joi.number().integer().min(1).required().messages({
+            'number.min': 'Checkpoint order must be a positive integer'
+        }),
+        distance: Joi.number().min(0).max(1000).required().messages({
+            'number.min': 'Checkpoint distance cannot be negative',
+            'number.max': 'Checkpoint distance cannot exceed 1000 km'
+        })
+    })).unique('order').optional().messages({
+        'array.unique': 'Checkpoint order values must be unique'
+    })
 });
 
 
@@ -93,6 +208,9 @@ const raceResultSchema = Joi.object({
     }).messages({
         'number.positive': 'Total time must be positive'
     }),
+    bib: Joi.number().integer().min(1).optional().messages({
+        'number.min': 'Bib number must be a positive integer'
+    }),
     status: Joi.string().valid('Registered', 'Started', 'Finished', 'DNF', 'DSQ').default('Registered').messages({
         'any.only': 'Status must be one of: Registered, Started, Finished, DNF, DSQ'
     }),
@@ -104,6 +222,219 @@ const raceResultSchema = Joi.object({
     })
 });
 
+const resultAdjustmentSchema = Joi.object({
+    type: Joi.string().valid('Penalty', 'Bonus', 'Correction').required().messages({
+        'any.only': 'Adjustment type must be one of: Penalty, Bonus, Correction',
+        'any.required': 'Adjustment type is required'
+    }),
+    seconds: Joi.number().integer().positive().max(86400).when('type', {
+        is: Joi.valid('Penalty', 'Bonus'),
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }).messages({
+        'number.positive': 'Seconds must be a positive integer',
+        'any.required': 'Seconds are required for penalties and bonuses',
+        'any.unknown': 'Seconds are only allowed for penalties and bonuses'
+    }),
+    correctedTime: Joi.number().integer().positive().when('type', {
+        is: 'Correction',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }).messages({
+        'number.positive': 'Corrected time must be a positive number of seconds',
+        'any.required': 'Corrected time is required for corrections',
+        'any.unknown': 'Corrected time is only allowed for corrections'
+    }),
+    reason: Joi.string().trim().min(3).max(500).required().messages({
+        'string.empty': 'Reason is required',
+        'string.min': 'Reason must be at least 3 characters long',
+        'string.max': 'Reason cannot exceed 500 characters'
+    })
+});
+
+const riderStatusSchema = Joi.object({
+    status: Joi.string().valid('Registered', 'Started', 'Finished', 'DNF', 'DSQ').required().messages({
+        'any.only': 'Status must be one of: Registered, Started, Finished, DNF, DSQ'
+    }),
+    notes: Joi.string().max(200).optional().messages({
+        'string.max': 'Notes cannot exceed 200 characters'
+    })
+});
+
+const resultsActionSchema = Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required().messages({
+        'string.empty': 'Reason is required',
+        'string.min': 'Reason must be at least 3 characters long',
+        'string.max': 'Reason cannot exceed 500 characters'
+    })
+});
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': 'Invalid ID format'
+});
+
+const protestSchema = Joi.object({
+    raceResults: Joi.array().items(objectId).min(1).unique().required().messages({
+        'array.min': 'A protest must concern at least one result',
+        'any.required': 'The protested results are required'
+    }),
+    submittedBy: Joi.object({
+        name: Joi.string().trim().min(2).max(100).required().messages({
+            'string.empty': 'Submitter name is required'
+        }),
+        email: Joi.string().email().optional(),
+        role: Joi.string().valid('Rider', 'TeamManager', 'Official').default('Rider').messages({
+            'any.only': 'Submitter role must be one of: Rider, TeamManager, Official'
+        }),
+        rider: objectId.optional()
+    }).required(),
+    reason: Joi.string().trim().min(10).max(1000).required().messages({
+        'string.empty': 'Protest reason is required',
+        'string.min': 'Protest reason must be at least 10 characters long',
+        'string.max': 'Protest reason cannot exceed 1000 characters'
+    }),
+    evidence: Joi.array().items(Joi.string().trim().min(3).max(1000)).max(20).optional()
+});
+
+const protestEvidenceSchema = Joi.object({
+    note: Joi.string().trim().min(3).max(1000).required().messages({
+        'string.empty': 'Evidence note is required',
+        'string.max': 'Evidence note cannot exceed 1000 characters'
+    })
+});
+
+const protestAssignmentSchema = Joi.object({
+    officialId: objectId.required().messages({
+        'any.required': 'Official ID is required'
+    })
+});
+
+const protestDecisionSchema = Joi.object({
+    status: Joi.string().valid('Upheld', 'Rejected').required().messages({
+        'any.only': 'Decision must be one of: Upheld, Rejected'
+    }),
+    notes: Joi.string().trim().min(3).max(400).required().messages({
+        'string.empty': 'Decision notes are required',
+        'string.max': 'Decision notes cannot exceed 400 characters'
+    }),
+    action: Joi.when('status', {
+        is: 'Upheld',
+        then: Joi.string().valid('None', 'Penalty', 'Bonus', 'Correction', 'DSQ').default('None').messages({
+            'any.only': 'Action must be one of: None, Penalty, Bonus, Correction, DSQ'
+        }),
+        otherwise: Joi.string().valid('None').default('None').messages({
+            'any.only': 'Rejected protests cannot take an action'
+        })
+    }),
+    seconds: Joi.number().integer().positive().max(86400).when('action', {
+        is: Joi.valid('Penalty', 'Bonus'),
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }).messages({
+        'any.required': 'Seconds are required for penalties and bonuses',
+        'any.unknown': 'Seconds are only allowed for penalties and bonuses'
+    }),
+    correctedTime: Joi.number().integer().positive().when('action', {
+        is: 'Correction',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }).messages({
+        'any.required': 'Corrected time is required for corrections',
+        'any.unknown': 'Corrected time is only allowed for corrections'
+    }),
+    // Defaults to every result named in the protest
+    raceResults: Joi.array().items(objectId).min(1).unique().optional()
+});
+
+const seriesSchema = Joi.object({
+    name: Joi.string().trim().min(3).max(100).required().messages({
+        'string.empty': 'Series name is required',
+        'string.min': 'Series name must be at least 3 characters long'
+    }),
+    season: Joi.number().integer().min(2000).max(2100).required().messages({
+        'any.required': 'Season is required',
+        'number.base': 'Season must be a year'
+    }),
+    description: Joi.string().trim().max(500).optional(),
+    races: Joi.array().items(objectId).unique().optional().messages({
+        'array.unique': 'A race can only be added to a series once'
+    }),
+    pointsTable: Joi.array().items(Joi.number().min(0).max(10000)).min(1).max(200).optional().messages({
+        'array.min': 'The points table needs at least one entry'
+    }),
+    finisherPoints: Joi.number().min(0).max(10000).optional(),
+    dropWorst: Joi.number().integer().min(0).max(50).optional(),
+    tieBreakers: Joi.array().items(Joi.string().valid('MostWins', 'BestPlacings', 'MostRacesFinished', 'LatestRace')).unique().optional().messages({
+        'any.only': 'Tie-breakers must be one of: MostWins, BestPlacings, MostRacesFinished, LatestRace'
+    }),
+    categories: Joi.array().items(Joi.string().valid('Professional', 'Amateur', 'Youth')).unique().optional().messages({
+        'any.only': 'Categories must be one of: Professional, Amateur, Youth'
+    })
+});
+
+const stageSettings = {
+    bonusSeconds: Joi.array().items(Joi.number().integer().min(0).max(600)).max(50).optional(),
+    timeLimitPercent: Joi.number().min(0).max(1000).optional().allow(null).messages({
+        'number.min': 'Time limit percentage cannot be negative'
+    }),
+    timeGapSeconds: Joi.number().integer().min(0).max(600).optional().messages({
+        'number.min': 'Time gap cannot be negative'
+    })
+};
+
+const stageSchema = Joi.object({
+    race: objectId.required().messages({
+        'any.required': 'Stage race ID is required'
+    }),
+    stageNumber: Joi.number().integer().min(1).max(100).optional(),
+    name: Joi.string().trim().max(100).optional(),
+    ...stageSettings
+});
+
+const stageRaceSchema = Joi.object({
+    name: Joi.string().trim().min(3).max(100).required().messages({
+        'string.empty': 'Stage race name is required',
+        'string.min': 'Stage race name must be at least 3 characters long'
+    }),
+    description: Joi.string().trim().max(500).optional(),
+    stages: Joi.array().items(stageSchema).unique('race').unique('stageNumber', { ignoreUndefined: true }).optional().messages({
+        'array.unique': 'Stages must use distinct races and stage numbers'
+    }),
+    ...stageSettings
+});
+
+const teamSchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).required().messages({
+        'string.empty': 'Team name is required',
+        'string.max': 'Team name cannot exceed 100 characters'
+    }),
+    manager: Joi.object({
+        name: Joi.string().trim().min(2).max(100).required().messages({
+            'string.empty': 'Team manager name is required'
+        }),
+        email: Joi.string().email().optional(),
+        phone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).optional().messages({
+            'string.pattern.base': 'Please provide a valid phone number'
+        })
+    }).required(),
+    isActive: Joi.boolean().optional()
+});
+
+const teamMemberSchema = Joi.object({
+    riderId: objectId.required().messages({
+        'any.required': 'Rider ID is required'
+    }),
+    season: Joi.number().integer().min(2000).max(2100).required().messages({
+        'any.required': 'Season is required'
+    }),
+    role: Joi.string().valid('Rider', 'Captain').default('Rider')
+});
+
+const teamEntrySchema = Joi.object({
+    // Defaults to every team member for the race season
+    riderIds: Joi.array().items(objectId).min(1).unique().optional()
+});
+
 const riderSchema = Joi.object({
     firstName: Joi.string().trim().min(2).max(50).required().messages({
         'string.empty': 'First name is required',
@@ -146,15 +477,145 @@ const riderSchema = Joi.object({
     }).optional()
 });
 
+const paymentConfirmationSchema = Joi.object({
+    paymentMethod: Joi.string().trim().max(200).required().messages({
+        'string.empty': 'Payment method is required'
+    })
+});
+
+const refundSchema = Joi.object({
+    // Defaults to everything paid that has not been refunded yet
+    amount: Joi.number().positive().precision(2).optional(),
+    reason: Joi.string().trim().min(3).max(500).required().messages({
+        'string.empty': 'Refund reason is required'
+    })
+});
+
+const discountCodeValue = Joi.string().trim().alphanum().min(3).max(30).messages({
+    'string.alphanum': 'Discount code may only contain letters and numbers',
+    'string.min': 'Discount code must be at least 3 characters long'
+});
+
+const discountCodeSchema = Joi.object({
+    code: discountCodeValue.required().messages({
+        'string.empty': 'Discount code is required'
+    }),
+    description: Joi.string().trim().max(200).optional(),
+    type: Joi.string().valid('Percentage', 'Fixed').required().messages({
+        'any.only': 'Discount type must be one of: Percentage, Fixed'
+    }),
+    value: Joi.number().positive().precision(2).when('type', {
+        is: 'Percentage',
+        then: Joi.number().max(100)
+    }).required().messages({
+        'number.max': 'A percentage discount cannot exceed 100'
+    }),
+    // Leave empty for a code that works for every race
+    races: Joi.array().items(objectId).unique().optional(),
+    maxUses: Joi.number().integer().min(1).allow(null).optional(),
+    expiresAt: Joi.date().iso().allow(null).optional(),
+    isActive: Joi.boolean().optional()
+});
+
+const withdrawalSchema = Joi.object({
+    reason: Joi.string().trim().max(500).optional(),
+    // Admins only: replaces the race refund policy for this withdrawal
+    refundPercent: Joi.number().min(0).max(100).optional()
+});
+
+// Admins name the new rider by ID, riders by the email of the rider's record
+const entryTransferSchema = Joi.object({
+    toRiderId: objectId,
+    toRiderEmail: Joi.string().trim().email(),
+    reason: Joi.string().trim().max(500).optional()
+}).xor('toRiderId', 'toRiderEmail').messages({
+    'object.missing': 'The rider taking over the entry is required',
+    'object.xor': 'Give either toRiderId or toRiderEmail, not both'
+});
+
+const raceSwitchSchema = Joi.object({
+    toRaceId: objectId.required().messages({
+        'any.required': 'The race to switch to is required'
+    }),
+    reason: Joi.string().trim().max(500).optional()
+});
+
+// Rider profile fields are only needed when no rider record exists yet for the email
+const userSignupSchema = riderSchema
+    .fork(['dateOfBirth', 'nationality', 'bikeType'], (schema) => schema.optional())
+    .keys({
+        password: Joi.string().min(6).max(128).required().messages({
+            'string.empty': 'Password is required',
+            'string.min': 'Password must be at least 6 characters long'
+        })
+    });
+
 const validateRace = (data) => raceSchema.validate(data, { abortEarly: false });
 const validateRaceResult = (data) => raceResultSchema.validate(data, { abortEarly: false });
-const validateRider = (data) => riderSchema.validate(data, { abortEarly: false });
+const validateRider = (data, options = {}) => riderSchema.validate(data, { abortEarly: false, ...options });
+const validateResultAdjustment = (data) => resultAdjustmentSchema.validate(data, { abortEarly: false });
+const validateRiderStatus = (data) => riderStatusSchema.validate(data, { abortEarly: false });
+const validateResultsAction = (data) => resultsActionSchema.validate(data, { abortEarly: false });
+const validateProtest = (data) => protestSchema.validate(data, { abortEarly: false });
+const validateProtestEvidence = (data) => protestEvidenceSchema.validate(data, { abortEarly: false });
+const validateProtestAssignment = (data) => protestAssignmentSchema.validate(data, { abortEarly: false });
+const validateProtestDecision = (data) => protestDecisionSchema.validate(data, { abortEarly: false });
+const validateSeries = (data) => seriesSchema.validate(data, { abortEarly: false });
+const validateStageRace = (data) => stageRaceSchema.validate(data, { abortEarly: false });
+const validateStage = (data) => stageSchema.validate(data, { abortEarly: false });
+const validateTeam = (data) => teamSchema.validate(data, { abortEarly: false });
+const validateTeamMember = (data) => teamMemberSchema.validate(data, { abortEarly: false });
+const validateTeamEntry = (data) => teamEntrySchema.validate(data, { abortEarly: false });
+const validateUserSignup = (data) => userSignupSchema.validate(data, { abortEarly: false });
+const validatePaymentConfirmation = (data) => paymentConfirmationSchema.validate(data, { abortEarly: false });
+const validateRefund = (data) => refundSchema.validate(data, { abortEarly: false });
+const validateWithdrawal = (data) => withdrawalSchema.validate(data, { abortEarly: false });
+const validateEntryTransfer = (data) => entryTransferSchema.validate(data, { abortEarly: false });
+const validateRaceSwitch = (data) => raceSwitchSchema.validate(data, { abortEarly: false });
+const validateDiscountCode = (data) => discountCodeSchema.validate(data, { abortEarly: false });
+
+const validateDiscountCodeUpdate = (data) => {
+    const updateSchema = discountCodeSchema.fork(['code', 'type', 'value'], (schema) => schema.optional());
+    return updateSchema.validate(data, { abortEarly: false });
+};
+
+const validateTeamUpdate = (data) => {
+    const updateSchema = teamSchema.fork(['name', 'manager'], (schema) => schema.optional());
+    return updateSchema.validate(data, { abortEarly: false });
+};
+
+const validateStageRaceUpdate = (data) => {
+    const updateSchema = stageRaceSchema.fork(['name'], (schema) => schema.optional());
+    return updateSchema.validate(data, { abortEarly: false });
+};
+
+const validateSeriesUpdate = (data) => {
+    const updateSchema = seriesSchema.fork(['name', 'season'], (schema) => schema.optional());
+    return updateSchema.validate(data, { abortEarly: false });
+};
+
+const raceStatusSchema = Joi.string().valid(...RACE_STATUSES).messages({
+    'any.only': `Status must be one of: ${RACE_STATUSES.join(', ')}`
+});
+const statusReasonSchema = Joi.string().trim().max(500).messages({
+    'string.max': 'Reason cannot exceed 500 characters'
+});
 
 const validateRaceUpdate = (data) => {
-    const updateSchema = raceSchema.fork(['name', 'location', 'startTime', 'distance'], (schema) => schema.optional());
+    const updateSchema = raceSchema
+        .fork(['name', 'location', 'startTime', 'distance'], (schema) => schema.optional())
+        .keys({ status: raceStatusSchema.optional(), statusReason: statusReasonSchema.optional() });
     return updateSchema.validate(data, { abortEarly: false });
 };
 
+const validateRaceStatusChange = (data) => {
+    const schema = Joi.object({
+        status: raceStatusSchema.required().messages({ 'any.required': 'Status is required' }),
+        reason: statusReasonSchema.optional()
+    });
+    return schema.validate(data, { abortEarly: false });
+};
+
 const validateRaceResultUpdate = (data) => {
     const updateSchema = raceResultSchema.fork(['rider', 'race', 'startTime'], (schema) => schema.optional());
     return updateSchema.validate(data, { abortEarly: false });
@@ -179,6 +640,51 @@ const validateSearchQuery = (query) => {
     return schema.validate(query, { abortEarly: false });
 };
 
+// Trackers whose clocks run ahead would otherwise pin a rider to a future "latest" fix
+const GPS_CLOCK_SKEW_MS = 60 * 1000;
+
+// A single fix, or a batch buffered while the tracker had no signal
+const validateGpsPositions = (positions) => {
+    const gpsPositionSchema = Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        longitude: Joi.number().min(-180).max(180).required(),
+        // Device time of the fix; defaults to when it arrives
+        recordedAt: Joi.date().iso().max(new Date(Date.now() + GPS_CLOCK_SKEW_MS)).messages({
+            'date.max': 'Recorded time cannot be in the future'
+        }),
+        accuracy: Joi.number().min(0),
+        speed: Joi.number().min(0)
+    });
+    const schema = Joi.array().items(gpsPositionSchema).min(1).max(500).messages({
+        'array.min': 'At least one position is required',
+        'array.max': 'A batch is limited to 500 positions'
+    });
+    return schema.validate(positions, { abortEarly: false });
+};
+
+const validateTrackerIssue = (data) => {
+    const schema = Joi.object({
+        deviceId: Joi.string().trim().max(100)
+    });
+    return schema.validate(data, { abortEarly: false });
+};
+
+const validateResultsExportQuery = (query) => {
+    const schema = Joi.object({
+        format: Joi.string().lowercase().valid('csv', 'xlsx', 'pdf').default('csv').messages({
+            'any.only': 'Format must be one of: csv, xlsx, pdf'
+        })
+    });
+    return schema.validate(query, { abortEarly: false });
+};
+
+const validateBibNumber = (bib) => {
+    const schema = Joi.number().integer().min(1).max(99999);
+    return schema.validate(bib);
+};
+
+const validateDiscountCodeValue = (code) => discountCodeValue.validate(code);
+
 const validateObjectId = (id) => {
     const schema = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
     return schema.validate(id);
@@ -188,7 +694,7 @@ const validatePaginationQuery = (query) => {
         page: Joi.number().integer().min(1).default(1),
         limit: Joi.number().integer().min(1).max(100).default(10),
         sort: Joi.string().valid('name', 'startTime', 'distance', 'createdAt', '-name', '-startTime', '-distance', '-createdAt').default('-createdAt'),
-        status: Joi.string().valid('Draft', 'Open', 'Closed', 'InProgress', 'Completed', 'Cancelled').optional(),
+        status: raceStatusSchema.optional(),
         category: Joi.string().valid('Professional', 'Amateur', 'Youth').optional(),
         difficulty: Joi.string().valid('Easy', 'Medium', 'Hard', 'Expert').optional(),
 
@@ -197,16 +703,57 @@ const validatePaginationQuery = (query) => {
     return schema.validate(query, { abortEarly: false });
 };
 
+// Public race calendar: soonest first unless asked otherwise
+const validatePublicRacesQuery = (query) => {
+    const schema = Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(50).default(10),
+        sort: Joi.string().valid('startTime', '-startTime', 'name', '-name', 'distance', '-distance').default('startTime')
+    });
+    return schema.validate(query, { abortEarly: false });
+};
+
 module.exports = {
     validateRace,
     validateRaceResult,
     validateRider,
+    validateResultAdjustment,
+    validateRiderStatus,
+    validateResultsAction,
+    validateProtest,
+    validateProtestEvidence,
+    validateProtestAssignment,
+    validateProtestDecision,
+    validateSeries,
+    validateSeriesUpdate,
+    validateStageRace,
+    validateStageRaceUpdate,
+    validateStage,
+    validateTeam,
+    validateTeamUpdate,
+    validateTeamMember,
+    validateTeamEntry,
+    validateUserSignup,
+    validatePaymentConfirmation,
+    validateRefund,
+    validateDiscountCode,
+    validateDiscountCodeUpdate,
+    validateWithdrawal,
+    validateEntryTransfer,
+    validateRaceSwitch,
     validateRaceUpdate,
+    validateRaceStatusChange,
     validateRaceResultUpdate,
     validateRiderUpdate,
     validatePaginationQuery,
     validateSearchQuery,
+    validateResultsExportQuery,
+    validateGpsPositions,
+    validateTrackerIssue,
+    validatePublicRacesQuery,
     validateObjectId,
+    validateBibNumber,
+    validateDiscountCodeValue,
     raceSchema,
     raceResultSchema,
     riderSchema
@@ -0,0 +1,104 @@
+const PricingService = require('../services/PricingService');
+const {
+    validateDiscountCode,
+    validateDiscountCodeUpdate,
+    validateObjectId
+} = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    validationErrorResponse,
+    notFoundResponse,
+    handleDatabaseError,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+class DiscountCodeController {
+
+    constructor() {
+        this.pricingService = new PricingService();
+    }
+
+    createDiscountCode = asyncHandler(async (req, res) => {
+        const { error, value } = validateDiscountCode(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const discountCode = await this.pricingService.createDiscountCode(value);
+            return successResponse(res, { discountCode }, "Discount code created successfully", 201);
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    getDiscountCodes = asyncHandler(async (req, res) => {
+        const { raceId } = req.query;
+        if (raceId && validateObjectId(raceId).error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const discountCodes = await this.pricingService.getDiscountCodes(raceId);
+            return successResponse(res, { discountCodes }, "Discount codes fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    getDiscountCodeById = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.discountCodeId);
+        if (error) {
+            return errorResponse(res, "Invalid discount code ID format", 400);
+        }
+        try {
+            const discountCode = await this.pricingService.getDiscountCodeById(req.params.discountCodeId);
+            if (!discountCode) {
+                return notFoundResponse(res, "Discount code");
+            }
+            return successResponse(res, { discountCode }, "Discount code fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    updateDiscountCode = asyncHandler(async (req, res) => {
+        const { error: idError } = validateObjectId(req.params.discountCodeId);
+        if (idError) {
+            return errorResponse(res, "Invalid discount code ID format", 400);
+        }
+        const { error, value } = validateDiscountCodeUpdate(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const discountCode = await this.pricingService.updateDiscountCode(req.params.discountCodeId, value);
+            if (!discountCode) {
+                return notFoundResponse(res, "Discount code");
+            }
+            return successResponse(res, { discountCode }, "Discount code updated successfully");
+        } catch (error) {
+            if (error.message === 'A percentage discount cannot exceed 100') {
+                return errorResponse(res, error.message, 400);
+            }
+            return handleDatabaseError(error, res);
+        }
+    });
+
+    deleteDiscountCode = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.discountCodeId);
+        if (error) {
+            return errorResponse(res, "Invalid discount code ID format", 400);
+        }
+        try {
+            const discountCode = await this.pricingService.deleteDiscountCode(req.params.discountCodeId);
+            if (!discountCode) {
+                return notFoundResponse(res, "Discount code");
+            }
+            return successResponse(res, null, "Discount code deleted successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+}
+
+module.exports = DiscountCodeController;
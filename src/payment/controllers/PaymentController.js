@@ -0,0 +1,71 @@
+const PaymentService = require('../services/PaymentService');
+const { validateObjectId, validateRefund } = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    validationErrorResponse,
+    notFoundResponse,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+class PaymentController {
+
+    constructor() {
+        this.paymentService = new PaymentService();
+    }
+
+    handlePaymentError(res, error) {
+        if (error.message === 'Race not found') {
+            return notFoundResponse(res, "Race");
+        }
+        if (['Rider not found in this race', 'No refundable payment for this registration'].includes(error.message)) {
+            return errorResponse(res, error.message, 404);
+        }
+        return errorResponse(res, error.message, error.statusCode || 400);
+    }
+
+    getReconciliation = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const reconciliation = await this.paymentService.getReconciliation(req.params.raceId);
+            return successResponse(res, { reconciliation }, "Payment reconciliation generated successfully");
+        } catch (error) {
+            return this.handlePaymentError(res, error);
+        }
+    });
+
+    getRegistrationPayments = asyncHandler(async (req, res) => {
+        const { raceId, riderId } = req.params;
+        if ([raceId, riderId].some(id => validateObjectId(id).error)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        try {
+            const payments = await this.paymentService.getRegistrationPayments(raceId, riderId);
+            return successResponse(res, { payments }, "Payments fetched successfully");
+        } catch (error) {
+            return this.handlePaymentError(res, error);
+        }
+    });
+
+    refundPayment = asyncHandler(async (req, res) => {
+        const { raceId, riderId } = req.params;
+        if ([raceId, riderId].some(id => validateObjectId(id).error)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        const { error, value } = validateRefund(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const payment = await this.paymentService.refundPayment(raceId, riderId, value);
+            return successResponse(res, { payment }, "Refund issued successfully");
+        } catch (error) {
+            return this.handlePaymentError(res, error);
+        }
+    });
+}
+
+module.exports = PaymentController;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const discountCodeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Discount code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        maxlength: 30
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    },
+    type: {
+        type: String,
+        enum: ['Percentage', 'Fixed'],
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Empty means the code works for every race
+    races: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race'
+    }],
+    maxUses: {
+        type: Number,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    expiresAt: {
+        type: Date
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('DiscountCode', discountCodeSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Append-only trail of what happened to the payment at the provider
+const paymentEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Intent', 'Succeeded', 'Failed', 'Refunded'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        min: 0
+    },
+    reference: {
+        type: String
+    },
+    message: {
+        type: String,
+        trim: true
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+const paymentSchema = new mongoose.Schema({
+    registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RaceResult',
+        required: true
+    },
+    race: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race',
+        required: true
+    },
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    providerReference: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['Pending', 'Succeeded', 'Failed', 'PartiallyRefunded', 'Refunded'],
+        default: 'Pending'
+    },
+    refundedAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    failureReason: {
+        type: String
+    },
+    events: [paymentEventSchema]
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ registration: 1, createdAt: -1 });
+paymentSchema.index({ race: 1, status: 1 });
+paymentSchema.index({ provider: 1, providerReference: 1 }, { unique: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+// Payment method that always declines, for exercising failure paths
+const DECLINED_METHOD = 'fake_declined';
+
+// Local provider for development and tests: keeps intents in memory and never moves money
+class FakePaymentProvider extends PaymentProvider {
+    constructor() {
+        super();
+        this.intents = new Map();
+    }
+
+    get name() {
+        return 'fake';
+    }
+
+    async createIntent({ amount, currency }) {
+        const reference = `fake_pi_${crypto.randomBytes(8).toString('hex')}`;
+        this.intents.set(reference, { amount, currency, status: 'Pending', refunded: 0 });
+        return { reference, clientSecret: `${reference}_secret` };
+    }
+
+    async confirmIntent(reference, paymentMethod) {
+        const intent = this.intents.get(reference);
+        if (!intent) {
+            return { status: 'Failed', failureReason: 'Unknown payment intent' };
+        }
+        if (paymentMethod === DECLINED_METHOD) {
+            intent.status = 'Failed';
+            return { status: 'Failed', failureReason: 'Card declined' };
+        }
+        intent.status = 'Succeeded';
+        return { status: 'Succeeded' };
+    }
+
+    async refund(reference, amount) {
+        const intent = this.intents.get(reference);
+        if (!intent || intent.status !== 'Succeeded') {
+            throw new Error('Only succeeded payments can be refunded');
+        }
+        if (intent.refunded + amount > intent.amount) {
+            throw new Error('Refund exceeds the amount paid');
+        }
+        intent.refunded += amount;
+        return { reference: `fake_re_${crypto.randomBytes(8).toString('hex')}` };
+    }
+}
+
+FakePaymentProvider.DECLINED_METHOD = DECLINED_METHOD;
+
+module.exports = FakePaymentProvider;
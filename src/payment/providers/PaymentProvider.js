@@ -0,0 +1,24 @@
+// Contract every payment provider implements. Amounts are in the currency's major unit
+// (e.g. 25.5 USD); providers that work in minor units convert internally.
+class PaymentProvider {
+    get name() {
+        throw new Error('PaymentProvider.name not implemented');
+    }
+
+    // Returns { reference, clientSecret } for the client to complete the payment with
+    async createIntent({ amount, currency, description, metadata }) {
+        throw new Error(`${this.constructor.name}.createIntent not implemented`);
+    }
+
+    // Returns { status: 'Succeeded' | 'Failed', failureReason }
+    async confirmIntent(reference, paymentMethod) {
+        throw new Error(`${this.constructor.name}.confirmIntent not implemented`);
+    }
+
+    // Returns { reference } of the refund
+    async refund(reference, amount) {
+        throw new Error(`${this.constructor.name}.refund not implemented`);
+    }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,22 @@
+const FakePaymentProvider = require('./FakePaymentProvider');
+
+// Register real providers here under the name used in PAYMENT_PROVIDER
+const PROVIDERS = {
+    fake: FakePaymentProvider
+};
+
+const instances = new Map();
+
+// One instance per provider so in-memory state (the fake provider's intents) is shared
+const getPaymentProvider = (name) => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    if (!instances.has(name)) {
+        instances.set(name, new Provider());
+    }
+    return instances.get(name);
+};
+
+module.exports = { getPaymentProvider, PROVIDERS };
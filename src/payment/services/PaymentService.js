@@ -0,0 +1,285 @@
+const Payment = require('../data/models/Payment');
+const Race = require('../../raceSystem/data/models/Race');
+const RaceResult = require('../../raceSystem/data/models/RaceResult');
+const { getPaymentProvider } = require('../providers');
+const { PAYMENT_PROVIDER, PAYMENT_CURRENCY } = require('../../config/config');
+const { conflictError } = require('../../utils/errorHandler');
+
+const REFUNDABLE_STATUSES = ['Succeeded', 'PartiallyRefunded'];
+const SETTLED_STATUSES = [...REFUNDABLE_STATUSES, 'Refunded'];
+
+class PaymentService {
+    constructor(provider = null) {
+        this.provider = provider || getPaymentProvider(PAYMENT_PROVIDER);
+    }
+
+    async getRegistration(raceId, riderId) {
+        const registration = await RaceResult.findOne({ race: raceId, rider: riderId }).exec();
+        if (!registration) {
+            throw new Error('Rider not found in this race');
+        }
+        return registration;
+    }
+
+    // Reuses a pending intent so a rider retrying checkout does not open a second one
+    async createPaymentIntent(raceId, riderId) {
+        try {
+            const registration = await this.getRegistration(raceId, riderId);
+            if (registration.paymentStatus !== 'Unpaid') {
+                throw conflictError(`No payment is due: entry fee status is ${registration.paymentStatus}`);
+            }
+
+            const pending = await Payment.findOne({ registration: registration._id, status: 'Pending' }).exec();
+            if (pending) {
+                return { payment: pending, clientSecret: `${pending.providerReference}_secret` };
+            }
+
+            const amount = registration.amountDue;
+            const intent = await this.provider.createIntent({
+                amount,
+                currency: PAYMENT_CURRENCY,
+                description: 'Race entry fee',
+                metadata: { registration: registration._id.toString(), race: raceId.toString() }
+            });
+
+            const payment = await Payment.create({
+                registration: registration._id,
+                race: raceId,
+                rider: riderId,
+                amount,
+                currency: PAYMENT_CURRENCY,
+                provider: this.provider.name,
+                providerReference: intent.reference,
+                events: [{ type: 'Intent', amount, reference: intent.reference }]
+            });
+
+            return { payment, clientSecret: intent.clientSecret };
+        } catch (error) {
+            console.error('PaymentService.createPaymentIntent - Error:', error);
+            throw error;
+        }
+    }
+
+    // riderId scopes the lookup when a rider confirms their own payment
+    async confirmPayment(paymentId, paymentMethod, riderId = null) {
+        try {
+            const payment = await Payment.findById(paymentId).exec();
+            if (!payment || (riderId && payment.rider.toString() !== riderId.toString())) {
+                throw new Error('Payment not found');
+            }
+            if (payment.status !== 'Pending') {
+                throw conflictError(`Payment is already ${payment.status}`);
+            }
+
+            // The entry may have been withdrawn, switched or settled since checkout started
+            const registration = await RaceResult.findById(payment.registration).exec();
+            if (!registration) {
+                throw conflictError('The entry for this payment no longer exists');
+            }
+            if (registration.paymentStatus !== 'Unpaid') {
+                throw conflictError(`No payment is due: entry fee status is ${registration.paymentStatus}`);
+            }
+
+            const outcome = await this.provider.confirmIntent(payment.providerReference, paymentMethod);
+
+            if (outcome.status === 'Succeeded') {
+                payment.status = 'Succeeded';
+                payment.events.push({ type: 'Succeeded', amount: payment.amount, reference: payment.providerReference });
+                await RaceResult.findByIdAndUpdate(payment.registration, {
+                    paymentStatus: 'Paid',
+                    confirmedAt: new Date()
+                }).exec();
+            } else {
+                payment.status = 'Failed';
+                payment.failureReason = outcome.failureReason;
+                payment.events.push({ type: 'Failed', reference: payment.providerReference, message: outcome.failureReason });
+            }
+
+            return await payment.save();
+        } catch (error) {
+            console.error('PaymentService.confirmPayment - Error:', error);
+            throw error;
+        }
+    }
+
+    // Refunds the whole remaining amount unless a smaller amount is given
+    async refundPayment(raceId, riderId, { amount = null, reason } = {}) {
+        try {
+            const registration = await this.getRegistration(raceId, riderId);
+            const payment = await Payment.findOne({
+                registration: registration._id,
+                status: { $in: REFUNDABLE_STATUSES }
+            }).exec();
+            if (!payment) {
+                throw new Error('No refundable payment for this registration');
+            }
+
+            const refundable = payment.amount - payment.refundedAmount;
+            const refundAmount = amount === null ? refundable : amount;
+            if (refundAmount <= 0 || refundAmount > refundable) {
+                throw new Error(`Refund amount must be between 0 and ${refundable}`);
+            }
+
+            const refund = await this.provider.refund(payment.providerReference, refundAmount);
+
+            payment.refundedAmount += refundAmount;
+            payment.status = payment.refundedAmount >= payment.amount ? 'Refunded' : 'PartiallyRefunded';
+            payment.events.push({ type: 'Refunded', amount: refundAmount, reference: refund.reference, message: reason });
+            await payment.save();
+
+            // A fully refunded entry is no longer confirmed
+            const update = { paymentStatus: payment.status };
+            if (payment.status === 'Refunded') update.$unset = { confirmedAt: 1 };
+            await RaceResult.findByIdAndUpdate(registration._id, update).exec();
+
+            return payment;
+        } catch (error) {
+            console.error('PaymentService.refundPayment - Error:', error);
+            throw error;
+        }
+    }
+
+    // What was collected for the entry and how much of it has been refunded so far
+    async getPaidTotals(registrationId) {
+        const payments = await Payment.find({ registration: registrationId, status: { $in: SETTLED_STATUSES } }).exec();
+        return {
+            paid: payments.reduce((sum, payment) => sum + payment.amount, 0),
+            refunded: payments.reduce((sum, payment) => sum + payment.refundedAmount, 0)
+        };
+    }
+
+    // An unfinished checkout follows the entry when it is transferred to another rider
+    async reassignPendingPayments(registrationId, riderId) {
+        return await Payment.updateMany({ registration: registrationId, status: 'Pending' }, { rider: riderId });
+    }
+
+    // A checkout left open on an entry that is withdrawn or moved away can no longer be paid
+    async cancelPendingPayments(registrationId, reason) {
+        return await Payment.updateMany(
+            { registration: registrationId, status: 'Pending' },
+            {
+                status: 'Failed',
+                failureReason: reason,
+                $push: { events: { type: 'Failed', message: reason, at: new Date() } }
+            }
+        );
+    }
+
+    async getRegistrationPayments(raceId, riderId) {
+        try {
+            const registration = await this.getRegistration(raceId, riderId);
+            return await Payment.find({ registration: registration._id }).sort({ createdAt: -1 }).exec();
+        } catch (error) {
+            console.error('PaymentService.getRegistrationPayments - Error:', error);
+            throw error;
+        }
+    }
+
+    async getReconciliation(raceId) {
+        try {
+            const race = await Race.findById(raceId).select('name entryFee').exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const [registrations, payments] = await Promise.all([
+                RaceResult.find({ race: raceId })
+                    .select('rider bib amountDue paymentStatus confirmedAt')
+                    .populate('rider', 'firstName lastName email')
+                    .exec(),
+                Payment.find({ race: raceId }).exec()
+            ]);
+
+            return { race: { id: race._id, name: race.name, entryFee: race.entryFee }, ...this.buildReconciliation(registrations, payments) };
+        } catch (error) {
+            console.error('PaymentService.getReconciliation - Error:', error);
+            throw error;
+        }
+    }
+
+    buildReconciliation(registrations, payments) {
+        const byRegistration = new Map();
+        payments.forEach(payment => {
+            const key = payment.registration.toString();
+            if (!byRegistration.has(key)) byRegistration.set(key, []);
+            byRegistration.get(key).push(payment);
+        });
+
+        const groups = { paid: [], unpaid: [], refunded: [], notRequired: [], withdrawn: [] };
+        const discrepancies = [];
+        const totals = { collected: 0, refunded: 0, outstanding: 0 };
+
+        registrations.forEach(registration => {
+            const entryPayments = byRegistration.get(registration._id.toString()) || [];
+            const settled = entryPayments.filter(payment => SETTLED_STATUSES.includes(payment.status));
+            const collected = settled.reduce((sum, payment) => sum + payment.amount, 0);
+            const refunded = settled.reduce((sum, payment) => sum + payment.refundedAmount, 0);
+            const lastFailure = entryPayments
+                .filter(payment => payment.status === 'Failed')
+                .sort((a, b) => b.createdAt - a.createdAt)[0];
+
+            const entry = {
+                registration: registration._id,
+                rider: registration.rider,
+                bib: registration.bib,
+                amountDue: registration.amountDue,
+                paymentStatus: registration.paymentStatus,
+                collected,
+                refunded,
+                lastFailure: lastFailure ? lastFailure.failureReason : null
+            };
+
+            totals.collected += collected;
+            totals.refunded += refunded;
+
+            if (registration.paymentStatus === 'Unpaid') {
+                totals.outstanding += registration.amountDue;
+                groups.unpaid.push(entry);
+            } else if (registration.paymentStatus === 'Paid') {
+                groups.paid.push(entry);
+            } else if (['Refunded', 'PartiallyRefunded'].includes(registration.paymentStatus)) {
+                groups.refunded.push(entry);
+            } else {
+                groups.notRequired.push(entry);
+            }
+
+            // Registration and provider records disagree: needs a human to look at it
+            if (registration.paymentStatus === 'Paid' && collected === 0) {
+                discrepancies.push({ ...entry, issue: 'Marked paid without a successful payment' });
+            } else if (registration.paymentStatus === 'Unpaid' && collected > 0) {
+                discrepancies.push({ ...entry, issue: 'Payment succeeded but the entry is still unpaid' });
+            }
+        });
+
+        // Money taken for entries that were withdrawn or switched to another race since
+        const current = new Set(registrations.map(registration => registration._id.toString()));
+        byRegistration.forEach((entryPayments, key) => {
+            const settled = entryPayments.filter(payment => SETTLED_STATUSES.includes(payment.status));
+            if (current.has(key) || settled.length === 0) return;
+
+            const collected = settled.reduce((sum, payment) => sum + payment.amount, 0);
+            const refunded = settled.reduce((sum, payment) => sum + payment.refundedAmount, 0);
+            totals.collected += collected;
+            totals.refunded += refunded;
+            groups.withdrawn.push({ registration: settled[0].registration, rider: settled[0].rider, collected, refunded });
+        });
+
+        return {
+            summary: {
+                paid: groups.paid.length,
+                unpaid: groups.unpaid.length,
+                refunded: groups.refunded.length,
+                notRequired: groups.notRequired.length,
+                withdrawn: groups.withdrawn.length,
+                collected: totals.collected,
+                refundedAmount: totals.refunded,
+                net: totals.collected - totals.refunded,
+                outstanding: totals.outstanding
+            },
+            ...groups,
+            discrepancies
+        };
+    }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,163 @@
+const DiscountCode = require('../data/models/DiscountCode');
+const { PAYMENT_CURRENCY } = require('../../config/config');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+class PricingService {
+
+    // Tiers are taken in endsAt order; once every tier has ended the last one keeps applying
+    getActiveTier(race, now = new Date()) {
+        const tiers = [...(race.priceTiers || [])].sort((a, b) =>
+            (a.endsAt ? new Date(a.endsAt).getTime() : Infinity) - (b.endsAt ? new Date(b.endsAt).getTime() : Infinity));
+        if (tiers.length === 0) {
+            return null;
+        }
+        return tiers.find(tier => !tier.endsAt || now < new Date(tier.endsAt)) || tiers[tiers.length - 1];
+    }
+
+    getBasePrice(race, category, now = new Date()) {
+        const tier = this.getActiveTier(race, now);
+        const source = tier || race;
+        const categoryPrice = (source.categoryPrices || []).find(entry => entry.category === category);
+
+        let basePrice = race.entryFee || 0;
+        if (categoryPrice) {
+            basePrice = categoryPrice.price;
+        } else if (tier) {
+            basePrice = tier.price;
+        }
+
+        return { tier: tier ? tier.name : null, basePrice };
+    }
+
+    async findDiscountCode(code, raceId, now = new Date()) {
+        const discount = await DiscountCode.findOne({ code: code.trim().toUpperCase() }).exec();
+        if (!discount || !discount.isActive) {
+            throw new Error('Discount code is not valid');
+        }
+        if (discount.expiresAt && discount.expiresAt <= now) {
+            throw new Error('Discount code has expired');
+        }
+        if (discount.races.length > 0 && !discount.races.some(id => id.toString() === raceId.toString())) {
+            throw new Error('Discount code does not apply to this race');
+        }
+        if (discount.maxUses && discount.usedCount >= discount.maxUses) {
+            throw new Error('Discount code has reached its usage limit');
+        }
+        return discount;
+    }
+
+    applyDiscount(basePrice, discount) {
+        const amount = discount.type === 'Percentage'
+            ? basePrice * discount.value / 100
+            : discount.value;
+        return roundMoney(Math.min(amount, basePrice));
+    }
+
+    async quote(race, category, code = null, now = new Date()) {
+        try {
+            const { tier, basePrice } = this.getBasePrice(race, category, now);
+            const discount = code ? await this.findDiscountCode(code, race._id, now) : null;
+            const discountAmount = discount ? this.applyDiscount(basePrice, discount) : 0;
+
+            return {
+                tier,
+                basePrice,
+                discountCode: discount ? discount.code : null,
+                discountCodeId: discount ? discount._id : null,
+                discountAmount,
+                price: roundMoney(basePrice - discountAmount),
+                currency: PAYMENT_CURRENCY
+            };
+        } catch (error) {
+            console.error('PricingService.quote - Error:', error);
+            throw error;
+        }
+    }
+
+    // Counts a use only while uses are left, so two riders cannot take the last one
+    async redeemDiscountCode(discountCodeId) {
+        const discount = await DiscountCode.findOneAndUpdate(
+            {
+                _id: discountCodeId,
+                $or: [
+                    { maxUses: { $exists: false } },
+                    { maxUses: null },
+                    { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+                ]
+            },
+            { $inc: { usedCount: 1 } },
+            { new: true }
+        ).exec();
+        if (!discount) {
+            throw new Error('Discount code has reached its usage limit');
+        }
+        return discount;
+    }
+
+    async releaseDiscountCode(discountCodeId) {
+        return await DiscountCode.findOneAndUpdate(
+            { _id: discountCodeId, usedCount: { $gt: 0 } },
+            { $inc: { usedCount: -1 } },
+            { new: true }
+        ).exec();
+    }
+
+    async createDiscountCode(data) {
+        try {
+            return await DiscountCode.create(data);
+        } catch (error) {
+            console.error('PricingService.createDiscountCode - Error:', error);
+            throw error;
+        }
+    }
+
+    async getDiscountCodes(raceId = null) {
+        try {
+            const filter = raceId ? { $or: [{ races: raceId }, { races: { $size: 0 } }] } : {};
+            return await DiscountCode.find(filter).sort({ createdAt: -1 }).exec();
+        } catch (error) {
+            console.error('PricingService.getDiscountCodes - Error:', error);
+            throw error;
+        }
+    }
+
+    async getDiscountCodeById(discountCodeId) {
+        try {
+            return await DiscountCode.findById(discountCodeId).exec();
+        } catch (error) {
+            console.error('PricingService.getDiscountCodeById - Error:', error);
+            throw error;
+        }
+    }
+
+    async updateDiscountCode(discountCodeId, updateData) {
+        try {
+            const discount = await DiscountCode.findById(discountCodeId).exec();
+            if (!discount) {
+                return null;
+            }
+
+            // The type and value may arrive in separate updates, so check them together
+            Object.assign(discount, updateData);
+            if (discount.type === 'Percentage' && discount.value > 100) {
+                throw new Error('A percentage discount cannot exceed 100');
+            }
+            return await discount.save();
+        } catch (error) {
+            console.error('PricingService.updateDiscountCode - Error:', error);
+            throw error;
+        }
+    }
+
+    async deleteDiscountCode(discountCodeId) {
+        try {
+            return await DiscountCode.findByIdAndDelete(discountCodeId).exec();
+        } catch (error) {
+            console.error('PricingService.deleteDiscountCode - Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PricingService;
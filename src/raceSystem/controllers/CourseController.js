@@ -0,0 +1,107 @@
+const CourseService = require('../services/CourseService');
+const { validateObjectId } = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    notFoundResponse,
+    handleDatabaseError,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+const NO_COURSE = 'No course has been uploaded for this race';
+
+class CourseController {
+
+    constructor() {
+        this.courseService = new CourseService();
+    }
+
+    // Accepts a raw GPX body, or JSON { fileName, content }
+    uploadCourse = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+
+        const gpxText = typeof req.body === 'string' ? req.body : req.body?.content;
+        if (!gpxText || typeof gpxText !== 'string') {
+            return errorResponse(res, "GPX file content is required", 400);
+        }
+
+        try {
+            const course = await this.courseService.uploadCourse(req.params.raceId, gpxText, {
+                fileName: req.query.fileName || req.body?.fileName || null,
+                uploadedBy: req.admin?.email || null
+            });
+            const message = course.distanceCheck.mismatch
+                ? `Course uploaded; computed distance ${course.distance} km differs from the declared ${course.distanceCheck.declared} km`
+                : "Course uploaded successfully";
+            return successResponse(res, { course }, message, 201);
+        } catch (error) {
+            if (error.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            if (error.name === 'ValidationError') {
+                return handleDatabaseError(error, res);
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    });
+
+    getCourse = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const course = await this.courseService.getCourse(req.params.raceId);
+            return successResponse(res, { course }, "Course fetched successfully");
+        } catch (dbError) {
+            if (dbError.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            if (dbError.message === NO_COURSE) {
+                return errorResponse(res, dbError.message, 404);
+            }
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    // Served as a bare GeoJSON Feature so map libraries can load the URL directly
+    getCourseGeoJson = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const feature = await this.courseService.getCourseGeoJson(req.params.raceId);
+            return res.status(200).type('application/geo+json').send(JSON.stringify(feature));
+        } catch (dbError) {
+            if (dbError.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            if (dbError.message === NO_COURSE) {
+                return errorResponse(res, dbError.message, 404);
+            }
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    deleteCourse = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            await this.courseService.deleteCourse(req.params.raceId);
+            return successResponse(res, null, "Course removed successfully");
+        } catch (dbError) {
+            if (dbError.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            return handleDatabaseError(dbError, res);
+        }
+    });
+}
+
+module.exports = CourseController;
@@ -0,0 +1,146 @@
+const ProtestService = require('../services/ProtestService');
+const {
+    validateObjectId,
+    validateProtest,
+    validateProtestEvidence,
+    validateProtestAssignment,
+    validateProtestDecision
+} = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    validationErrorResponse,
+    notFoundResponse,
+    handleDatabaseError,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+const PROTEST_STATUSES = ['Open', 'Upheld', 'Rejected'];
+
+class ProtestController {
+
+    constructor() {
+        this.protestService = new ProtestService();
+    }
+
+    getOfficial(req) {
+        if (!req.admin) return null;
+        const { _id, email, firstName, lastName } = req.admin;
+        return { admin: _id, email, name: `${firstName} ${lastName}` };
+    }
+
+    hasInvalidIds(...ids) {
+        return ids.some(id => validateObjectId(id).error);
+    }
+
+    handleProtestError(res, error) {
+        if (error.message === 'Race not found') {
+            return notFoundResponse(res, "Race");
+        }
+        if (error.message === 'Protest not found') {
+            return notFoundResponse(res, "Protest");
+        }
+        if (error.message === 'Official not found') {
+            return notFoundResponse(res, "Official");
+        }
+        return errorResponse(res, error.message, error.statusCode || 400);
+    }
+
+    submitProtest = asyncHandler(async (req, res) => {
+        if (this.hasInvalidIds(req.params.raceId)) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error, value } = validateProtest(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const protest = await this.protestService.submitProtest(req.params.raceId, value, this.getOfficial(req));
+            return successResponse(res, { protest }, "Protest submitted successfully", 201);
+        } catch (error) {
+            return this.handleProtestError(res, error);
+        }
+    });
+
+    getProtests = asyncHandler(async (req, res) => {
+        if (this.hasInvalidIds(req.params.raceId)) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { status } = req.query;
+        if (status && !PROTEST_STATUSES.includes(status)) {
+            return errorResponse(res, `Status must be one of: ${PROTEST_STATUSES.join(', ')}`, 400);
+        }
+        try {
+            const protests = await this.protestService.getProtests(req.params.raceId, status);
+            return successResponse(res, { protests, count: protests.length }, "Protests fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    getProtestById = asyncHandler(async (req, res) => {
+        const { raceId, protestId } = req.params;
+        if (this.hasInvalidIds(raceId, protestId)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        try {
+            const protest = await this.protestService.getProtestById(raceId, protestId);
+            return successResponse(res, { protest }, "Protest fetched successfully");
+        } catch (error) {
+            return this.handleProtestError(res, error);
+        }
+    });
+
+    addEvidence = asyncHandler(async (req, res) => {
+        const { raceId, protestId } = req.params;
+        if (this.hasInvalidIds(raceId, protestId)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        const { error, value } = validateProtestEvidence(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const protest = await this.protestService.addEvidence(raceId, protestId, value.note, this.getOfficial(req));
+            return successResponse(res, { protest }, "Evidence added successfully", 201);
+        } catch (error) {
+            return this.handleProtestError(res, error);
+        }
+    });
+
+    assignOfficial = asyncHandler(async (req, res) => {
+        const { raceId, protestId } = req.params;
+        if (this.hasInvalidIds(raceId, protestId)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        const { error, value } = validateProtestAssignment(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const protest = await this.protestService.assignOfficial(raceId, protestId, value.officialId);
+            return successResponse(res, { protest }, "Official assigned successfully");
+        } catch (error) {
+            return this.handleProtestError(res, error);
+        }
+    });
+
+    decideProtest = asyncHandler(async (req, res) => {
+        const { raceId, protestId } = req.params;
+        if (this.hasInvalidIds(raceId, protestId)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        const { error, value } = validateProtestDecision(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const protest = await this.protestService.decideProtest(raceId, protestId, value, this.getOfficial(req));
+            return successResponse(res, { protest }, `Protest ${protest.status.toLowerCase()}`);
+        } catch (error) {
+            return this.handleProtestError(res, error);
+        }
+    });
+}
+
+module.exports = ProtestController;
@@ -1,9 +1,19 @@
 const RaceService = require('../services/RaceService');
+const ResultsExportService = require('../services/ResultsExportService');
+const LiveEventService = require('../services/LiveEventService');
+const { openEventStream } = require('../../utils/sseHandler');
+const { RACE_STATUSES } = require('../../enums/raceStatusEnum');
 const {
     validateRace,
     validateRaceUpdate,
+    validateRaceStatusChange,
     validatePaginationQuery,
     validateObjectId,
+    validateBibNumber,
+    validateResultAdjustment,
+    validateRiderStatus,
+    validateResultsAction,
+    validateResultsExportQuery,
     validateSearchQuery
 } = require('../../middlewares/validateRace');
 const {
@@ -11,6 +21,7 @@ const {
     errorResponse,
     validationErrorResponse,
     notFoundResponse,
+    conflictResponse,
     handleDatabaseError,
     asyncHandler,
     createPaginationInfo,
@@ -21,6 +32,8 @@ class RaceController {
 
     constructor() {
         this.raceService = new RaceService();
+        this.resultsExportService = new ResultsExportService();
+        this.liveEventService = new LiveEventService();
     }
 
     getAdminInfo(req) {
@@ -29,6 +42,31 @@ class RaceController {
         return { email, firstName, lastName };
     }
 
+    getAppliedBy(req) {
+        if (!req.admin) return null;
+        const { _id, email, firstName, lastName } = req.admin;
+        return { admin: _id, email, name: `${firstName} ${lastName}` };
+    }
+
+    // Rider-in-race routes accept either /riders/:riderId or /bibs/:bib
+    async resolveRiderId(req) {
+        const { raceId, riderId, bib } = req.params;
+
+        if (bib === undefined) {
+            if (validateObjectId(riderId).error) {
+                throw new Error('Invalid rider ID format');
+            }
+            return riderId;
+        }
+
+        const { error, value } = validateBibNumber(bib);
+        if (error) {
+            throw new Error('Invalid bib number');
+        }
+        const registration = await this.raceService.getRegistrationByBib(raceId, value);
+        return registration.rider._id;
+    }
+
     createRace = asyncHandler(async (req, res) => {
         const { error } = validateRace(req.body);
         if (error) {
@@ -77,12 +115,15 @@ class RaceController {
             return validationErrorResponse(res, { error: validationError });
         }
         try {
-            const race = await this.raceService.updateRace(req.params.id, req.body);
+            const race = await this.raceService.updateRace(req.params.id, req.body, this.getAppliedBy(req));
             if (!race) {
                 return notFoundResponse(res, "Race");
             }
             return successResponse(res, { race, admin: this.getAdminInfo(req) }, "Race updated successfully");
         } catch (dbError) {
+            if (dbError.statusCode) {
+                return errorResponse(res, dbError.message, dbError.statusCode);
+            }
             return handleDatabaseError(dbError, res);
         }
     });
@@ -161,12 +202,48 @@ class RaceController {
         }
     });
     finishRider = asyncHandler(async (req, res) => {
-        const { raceId, riderId } = req.params;
+        const { raceId } = req.params;
+        const { error } = validateObjectId(raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
         try {
+            const riderId = await this.resolveRiderId(req);
             const result = await this.raceService.finishRider(raceId, riderId);
             return successResponse(res, { result }, "Rider finished successfully");
         } catch (error) {
-            return errorResponse(res, error.message, 400);
+            return errorResponse(res, error.message, error.statusCode || 400);
+        }
+    });
+
+    recordCheckpointSplit = asyncHandler(async (req, res) => {
+        const { raceId, checkpointId } = req.params;
+        const invalidId = [raceId, checkpointId].some(id => validateObjectId(id).error);
+        if (invalidId) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        try {
+            const riderId = await this.resolveRiderId(req);
+            const result = await this.raceService.recordCheckpointSplit(raceId, riderId, checkpointId);
+            return successResponse(res, { result, admin: this.getAdminInfo(req) }, "Checkpoint split recorded successfully");
+        } catch (error) {
+            return errorResponse(res, error.message, error.statusCode || 400);
+        }
+    });
+
+    recordLap = asyncHandler(async (req, res) => {
+        const { raceId } = req.params;
+        const { error } = validateObjectId(raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const riderId = await this.resolveRiderId(req);
+            const result = await this.raceService.recordLap(raceId, riderId);
+            const message = result.raceFinished ? "Final lap recorded, rider finished" : "Lap recorded successfully";
+            return successResponse(res, { result, admin: this.getAdminInfo(req) }, message);
+        } catch (error) {
+            return errorResponse(res, error.message, error.statusCode || 400);
         }
     });
 
@@ -179,6 +256,28 @@ class RaceController {
             return handleDatabaseError(error, res);
         }
     });
+    // Server-Sent Events: rider and race events as they happen, plus standings after each change.
+    // EventSource reconnects with Last-Event-ID, so missed rider events are replayed
+    streamLiveEvents = asyncHandler(async (req, res) => {
+        const { raceId } = req.params;
+        const { error } = validateObjectId(raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            await this.liveEventService.ensureRace(raceId);
+        } catch (dbError) {
+            if (dbError.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            return handleDatabaseError(dbError, res);
+        }
+
+        let disconnect = () => {};
+        const stream = openEventStream(req, res, () => disconnect());
+        disconnect = this.liveEventService.connect(raceId, stream.send, req.headers['last-event-id'] ?? null);
+    });
+
     getRaceReport = asyncHandler(async (req, res) => {
         const { error } = validateObjectId(req.params.raceId);
         if (error) {
@@ -214,18 +313,46 @@ class RaceController {
             return errorResponse(res, "Invalid race ID format", 400);
         }
         try {
-            const results = await this.raceService.getRaceResults(req.params.raceId);
-            return successResponse(res, { results, admin: this.getAdminInfo(req) }, "Race results fetched successfully");
+            const { resultsStatus, results, teamClassification } = await this.raceService.getRaceResults(req.params.raceId);
+            if (!resultsStatus) {
+                return notFoundResponse(res, "Race");
+            }
+            return successResponse(res, { resultsStatus, results, teamClassification, admin: this.getAdminInfo(req) }, `Race results (${resultsStatus.status}) fetched successfully`);
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    // Downloadable result sheet: ?format=csv (default), xlsx or pdf
+    exportResults = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error: queryError, value } = validateResultsExportQuery(req.query);
+        if (queryError) {
+            return validationErrorResponse(res, { error: queryError });
+        }
+        try {
+            const file = await this.resultsExportService.exportResults(req.params.raceId, value.format);
+            res.set({
+                'Content-Type': file.contentType,
+                'Content-Disposition': `attachment; filename="${file.fileName}"`,
+                'X-Results-Status': file.resultsStatus.status
+            });
+            return res.status(200).send(file.content);
         } catch (dbError) {
+            if (dbError.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
             return handleDatabaseError(dbError, res);
         }
     });
 
     getRacesByStatus = asyncHandler(async (req, res) => {
         const { status } = req.params;
-        const validStatuses = ['Draft', 'Open', 'Closed', 'InProgress', 'Completed', 'Cancelled'];
-        if (!validStatuses.includes(status)) {
-            return errorResponse(res, "Invalid status. Must be one of: " + validStatuses.join(', '), 400);
+        if (!RACE_STATUSES.includes(status)) {
+            return errorResponse(res, "Invalid status. Must be one of: " + RACE_STATUSES.join(', '), 400);
         }
         const { error, value } = validatePaginationQuery(req.query);
         if (error) {
@@ -321,30 +448,66 @@ class RaceController {
             return errorResponse(res, "Invalid race ID format", 400);
         }
         try {
-            const race = await this.raceService.startRace(req.params.raceId);
+            const race = await this.raceService.startRace(req.params.raceId, { changedBy: this.getAppliedBy(req) });
             return successResponse(res, { race, admin: this.getAdminInfo(req) }, "Race started successfully");
         } catch (error) {
+            return errorResponse(res, error.message, error.statusCode || 400);
+        }
+    });
+
+    generateStartList = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const startList = await this.raceService.generateStartList(req.params.raceId);
+            return successResponse(res, { ...startList, admin: this.getAdminInfo(req) }, "Start list generated successfully");
+        } catch (error) {
+            if (error.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
             return errorResponse(res, error.message, 400);
         }
     });
 
-    updateRaceStatus = asyncHandler(async (req, res) => {
+    getStartList = asyncHandler(async (req, res) => {
         const { error } = validateObjectId(req.params.raceId);
         if (error) {
             return errorResponse(res, "Invalid race ID format", 400);
         }
+        try {
+            const startList = await this.raceService.getStartList(req.params.raceId);
+            return successResponse(res, { startList, admin: this.getAdminInfo(req) }, "Start list fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
 
-        const { status } = req.body;
-        const validStatuses = ['Draft', 'Open', 'Closed', 'InProgress', 'Completed', 'Cancelled'];
+    updateRaceStatus = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
 
-        if (!validStatuses.includes(status)) {
-            return errorResponse(res, "Invalid status", 400);
+        const { error: bodyError, value } = validateRaceStatusChange(req.body || {});
+        if (bodyError) {
+            return validationErrorResponse(res, { error: bodyError });
         }
 
         try {
-            const race = await this.raceService.updateRace(req.params.raceId, { status });
-            return successResponse(res, { race, admin: this.getAdminInfo(req) }, "Race status updated successfully");
+            const changed = await this.raceService.changeRaceStatus(req.params.raceId, value.status, {
+                reason: value.reason || null,
+                changedBy: this.getAppliedBy(req)
+            });
+            return successResponse(res, { ...changed, admin: this.getAdminInfo(req) }, "Race status updated successfully");
         } catch (dbError) {
+            if (dbError.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            if (dbError.statusCode) {
+                return errorResponse(res, dbError.message, dbError.statusCode);
+            }
             return handleDatabaseError(dbError, res);
         }
     });
@@ -355,10 +518,10 @@ class RaceController {
             return errorResponse(res, "Invalid race ID format", 400);
         }
         try {
-            const race = await this.raceService.finishRace(req.params.raceId);
+            const race = await this.raceService.finishRace(req.params.raceId, { changedBy: this.getAppliedBy(req) });
             return successResponse(res, { race, admin: this.getAdminInfo(req) }, "Race finished successfully");
         } catch (error) {
-            return errorResponse(res, error.message, 400);
+            return errorResponse(res, error.message, error.statusCode || 400);
         }
     });
 
@@ -375,6 +538,22 @@ class RaceController {
         }
     });
 
+    getGroupRankings = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const rankings = await this.raceService.getGroupRankings(req.params.raceId);
+            return successResponse(res, { ...rankings, admin: this.getAdminInfo(req) }, "Category and age group rankings fetched successfully");
+        } catch (error) {
+            if (error.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            return handleDatabaseError(error, res);
+        }
+    });
+
     checkRaceEligibility = asyncHandler(async (req, res) => {
         const { error } = validateObjectId(req.params.raceId);
         if (error) {
@@ -388,24 +567,161 @@ class RaceController {
         }
     });
 
-    registerParticipant = asyncHandler(async (req, res) => {
-        const { error: raceIdError } = validateObjectId(req.params.raceId);
-        const { error: riderIdError } = validateObjectId(req.body.riderId);
-
-        if (raceIdError || riderIdError) {
+    assignBib = asyncHandler(async (req, res) => {
+        const { raceId, riderId } = req.params;
+        const invalidId = [raceId, riderId].some(id => validateObjectId(id).error);
+        if (invalidId) {
             return errorResponse(res, "Invalid ID format", 400);
         }
 
+        const { error, value: bib } = validateBibNumber(req.body.bib);
+        if (error || bib === undefined) {
+            return errorResponse(res, "A valid bib number is required", 400);
+        }
+
+        try {
+            const registration = await this.raceService.assignBib(raceId, riderId, bib);
+            return successResponse(res, { registration, admin: this.getAdminInfo(req) }, "Bib assigned successfully");
+        } catch (error) {
+            if (error.message.includes('already assigned')) {
+                return conflictResponse(res, error.message);
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    });
+
+    assignTransponder = asyncHandler(async (req, res) => {
+        const { raceId } = req.params;
+        const { error } = validateObjectId(raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+
+        const transponderId = typeof req.body.transponderId === 'string' ? req.body.transponderId.trim() : '';
+        if (!transponderId) {
+            return errorResponse(res, "Transponder ID is required", 400);
+        }
+
         try {
-            const registration = await this.raceService.registerParticipant(
-                req.params.raceId,
-                req.body.riderId
-            );
-            return successResponse(res, { registration }, "Participant registered successfully", 201);
+            const riderId = await this.resolveRiderId(req);
+            const registration = await this.raceService.assignTransponder(raceId, riderId, transponderId);
+            return successResponse(res, { registration, admin: this.getAdminInfo(req) }, "Transponder assigned successfully");
         } catch (error) {
+            if (error.message.includes('already assigned')) {
+                return conflictResponse(res, error.message);
+            }
             return errorResponse(res, error.message, 400);
         }
     });
+
+    getRegistrationByBib = asyncHandler(async (req, res) => {
+        const { error: idError } = validateObjectId(req.params.raceId);
+        const { error: bibError, value: bib } = validateBibNumber(req.params.bib);
+        if (idError || bibError) {
+            return errorResponse(res, "Invalid race ID or bib number", 400);
+        }
+        try {
+            const registration = await this.raceService.getRegistrationByBib(req.params.raceId, bib);
+            return successResponse(res, { registration, admin: this.getAdminInfo(req) }, "Registration fetched successfully");
+        } catch (error) {
+            if (error.message.startsWith('No rider with bib')) {
+                return notFoundResponse(res, `Bib ${bib}`);
+            }
+            return handleDatabaseError(error, res);
+        }
+    });
+
+    updateRiderStatus = asyncHandler(async (req, res) => {
+        const { raceId } = req.params;
+        const { error: idError } = validateObjectId(raceId);
+        if (idError) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error, value } = validateRiderStatus(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const riderId = await this.resolveRiderId(req);
+            const result = await this.raceService.updateRiderStatus(raceId, riderId, value.status, value.notes, this.getAppliedBy(req));
+            return successResponse(res, { result, admin: this.getAdminInfo(req) }, "Rider status updated successfully");
+        } catch (error) {
+            return errorResponse(res, error.message, error.statusCode || 400);
+        }
+    });
+
+    applyResultAdjustment = asyncHandler(async (req, res) => {
+        const { raceId } = req.params;
+        const { error: idError } = validateObjectId(raceId);
+        if (idError) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error, value } = validateResultAdjustment(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const riderId = await this.resolveRiderId(req);
+            const adjustment = await this.raceService.applyResultAdjustment(raceId, riderId, value, this.getAppliedBy(req));
+            return successResponse(res, { ...adjustment, admin: this.getAdminInfo(req) }, "Result adjustment applied successfully", 201);
+        } catch (error) {
+            return errorResponse(res, error.message, error.statusCode || 400);
+        }
+    });
+
+    getResultAdjustments = asyncHandler(async (req, res) => {
+        const { raceId } = req.params;
+        const { error: idError } = validateObjectId(raceId);
+        if (idError) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const riderId = await this.resolveRiderId(req);
+            const adjustments = await this.raceService.getResultAdjustments(raceId, riderId);
+            return successResponse(res, { adjustments, admin: this.getAdminInfo(req) }, "Result history fetched successfully");
+        } catch (error) {
+            if (error.message === 'Rider not found in this race' || error.message.startsWith('No rider with bib')) {
+                return notFoundResponse(res, "Race result");
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    });
+
+    publishResults = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const published = await this.raceService.publishResults(req.params.raceId, this.getAppliedBy(req), req.body?.note || null);
+            return successResponse(res, { ...published, admin: this.getAdminInfo(req) }, "Results published as official");
+        } catch (error) {
+            if (error.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            return errorResponse(res, error.message, error.statusCode || 400);
+        }
+    });
+
+    reopenResults = asyncHandler(async (req, res) => {
+        const { error: idError } = validateObjectId(req.params.raceId);
+        if (idError) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error, value } = validateResultsAction(req.body || {});
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const reopened = await this.raceService.reopenResults(req.params.raceId, value.reason, this.getAppliedBy(req));
+            return successResponse(res, { ...reopened, admin: this.getAdminInfo(req) }, "Results reopened");
+        } catch (error) {
+            if (error.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            return errorResponse(res, error.message, error.statusCode || 400);
+        }
+    });
 }
 
 module.exports = RaceController;
\ No newline at end of file
@@ -0,0 +1,187 @@
+const RegistrationService = require('../services/RegistrationService');
+const {
+    validateObjectId,
+    validateBibNumber,
+    validateDiscountCodeValue,
+    validateWithdrawal,
+    validateEntryTransfer,
+    validateRaceSwitch
+} = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    validationErrorResponse,
+    notFoundResponse,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+class RegistrationController {
+
+    constructor() {
+        this.registrationService = new RegistrationService();
+    }
+
+    getAdminInfo(req) {
+        if (!req.admin) return {};
+        const { email, firstName, lastName } = req.admin;
+        return { email, firstName, lastName };
+    }
+
+    getRequestedBy(req) {
+        const admin = req.admin || {};
+        return {
+            kind: 'Admin',
+            admin: admin._id,
+            email: admin.email,
+            name: [admin.firstName, admin.lastName].filter(Boolean).join(' ') || undefined
+        };
+    }
+
+    handleRegistrationError(res, error) {
+        if (['Race not found', 'Rider not found', 'Waitlist entry not found'].includes(error.message)) {
+            return notFoundResponse(res, error.message.replace(' not found', ''));
+        }
+        if (error.message === 'Rider not found in this race') {
+            return notFoundResponse(res, "Registration");
+        }
+        return errorResponse(res, error.message, error.statusCode || 400, error.reasons || []);
+    }
+
+    registerParticipant = asyncHandler(async (req, res) => {
+        const { error: raceIdError } = validateObjectId(req.params.raceId);
+        const { error: riderIdError } = validateObjectId(req.body.riderId);
+
+        if (raceIdError || riderIdError) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+
+        const { error: bibError, value: bib } = validateBibNumber(req.body.bib);
+        if (bibError) {
+            return errorResponse(res, "Invalid bib number", 400);
+        }
+
+        const { error: codeError, value: discountCode } = validateDiscountCodeValue(req.body.discountCode);
+        if (codeError) {
+            return errorResponse(res, codeError.message, 400);
+        }
+
+        try {
+            const result = await this.registrationService.register(
+                req.params.raceId,
+                req.body.riderId,
+                bib,
+                { override: req.body.override === true, discountCode }
+            );
+            if (result.status === 'Waitlisted') {
+                return successResponse(res, result, `Race is full. Rider added to the waitlist at position ${result.position}`, 202);
+            }
+            return successResponse(res, result, "Participant registered successfully", 201);
+        } catch (error) {
+            return this.handleRegistrationError(res, error);
+        }
+    });
+
+    withdrawParticipant = asyncHandler(async (req, res) => {
+        const { raceId, riderId } = req.params;
+        if ([raceId, riderId].some(id => validateObjectId(id).error)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        const { error, value } = validateWithdrawal(req.body || {});
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const withdrawal = await this.registrationService.withdrawParticipant(raceId, riderId, {
+                ...value,
+                requestedBy: this.getRequestedBy(req)
+            });
+            return successResponse(res, { ...withdrawal, admin: this.getAdminInfo(req) }, "Participant withdrawn successfully");
+        } catch (error) {
+            return this.handleRegistrationError(res, error);
+        }
+    });
+
+    transferEntry = asyncHandler(async (req, res) => {
+        const { raceId, riderId } = req.params;
+        if ([raceId, riderId].some(id => validateObjectId(id).error)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        const { error, value } = validateEntryTransfer(req.body || {});
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        if (!value.toRiderId) {
+            return errorResponse(res, "Admins transfer entries by toRiderId", 400);
+        }
+        try {
+            const transfer = await this.registrationService.transferEntry(raceId, riderId, value.toRiderId, {
+                reason: value.reason,
+                requestedBy: this.getRequestedBy(req)
+            });
+            return successResponse(res, { ...transfer, admin: this.getAdminInfo(req) }, "Entry transferred successfully");
+        } catch (error) {
+            return this.handleRegistrationError(res, error);
+        }
+    });
+
+    switchRace = asyncHandler(async (req, res) => {
+        const { raceId, riderId } = req.params;
+        if ([raceId, riderId].some(id => validateObjectId(id).error)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        const { error, value } = validateRaceSwitch(req.body || {});
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const switched = await this.registrationService.switchRace(raceId, riderId, value.toRaceId, {
+                reason: value.reason,
+                requestedBy: this.getRequestedBy(req)
+            });
+            return successResponse(res, { ...switched, admin: this.getAdminInfo(req) }, "Rider switched race successfully");
+        } catch (error) {
+            return this.handleRegistrationError(res, error);
+        }
+    });
+
+    getRegistrationChanges = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const changes = await this.registrationService.getRegistrationChanges(req.params.raceId);
+            return successResponse(res, { changes, admin: this.getAdminInfo(req) }, "Registration changes fetched successfully");
+        } catch (error) {
+            return this.handleRegistrationError(res, error);
+        }
+    });
+
+    getWaitlist = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const waitlist = await this.registrationService.getWaitlist(req.params.raceId);
+            return successResponse(res, { waitlist, admin: this.getAdminInfo(req) }, "Waitlist fetched successfully");
+        } catch (error) {
+            return this.handleRegistrationError(res, error);
+        }
+    });
+
+    processWaitlist = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const processed = await this.registrationService.processWaitlist(req.params.raceId);
+            return successResponse(res, { ...processed, admin: this.getAdminInfo(req) }, "Waitlist processed successfully");
+        } catch (error) {
+            return this.handleRegistrationError(res, error);
+        }
+    });
+}
+
+module.exports = RegistrationController;
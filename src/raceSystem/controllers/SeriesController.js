@@ -0,0 +1,178 @@
+const SeriesService = require('../services/SeriesService');
+const {
+    validateSeries,
+    validateSeriesUpdate,
+    validateObjectId
+} = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    validationErrorResponse,
+    notFoundResponse,
+    handleDatabaseError,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+const CATEGORIES = ['Professional', 'Amateur', 'Youth'];
+
+class SeriesController {
+
+    constructor() {
+        this.seriesService = new SeriesService();
+    }
+
+    handleSeriesError(res, error) {
+        if (error.message === 'Series not found') {
+            return notFoundResponse(res, "Series");
+        }
+        if (error.message === 'One or more races not found') {
+            return notFoundResponse(res, "One or more races");
+        }
+        if (error.message === 'Rider has no results in this series') {
+            return errorResponse(res, error.message, 404);
+        }
+        return handleDatabaseError(error, res);
+    }
+
+    createSeries = asyncHandler(async (req, res) => {
+        const { error, value } = validateSeries(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const series = await this.seriesService.createSeries(value);
+            return successResponse(res, { series }, "Series created successfully", 201);
+        } catch (error) {
+            return this.handleSeriesError(res, error);
+        }
+    });
+
+    getAllSeries = asyncHandler(async (req, res) => {
+        const season = req.query.season ? Number(req.query.season) : null;
+        if (req.query.season && !Number.isInteger(season)) {
+            return errorResponse(res, "Season must be a year", 400);
+        }
+        try {
+            const series = await this.seriesService.getAllSeries(season);
+            return successResponse(res, { series }, "Series fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    getSeriesById = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.seriesId);
+        if (error) {
+            return errorResponse(res, "Invalid series ID format", 400);
+        }
+        try {
+            const series = await this.seriesService.getSeriesById(req.params.seriesId);
+            if (!series) {
+                return notFoundResponse(res, "Series");
+            }
+            return successResponse(res, { series }, "Series fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    updateSeries = asyncHandler(async (req, res) => {
+        const { error: idError } = validateObjectId(req.params.seriesId);
+        if (idError) {
+            return errorResponse(res, "Invalid series ID format", 400);
+        }
+        const { error, value } = validateSeriesUpdate(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const series = await this.seriesService.updateSeries(req.params.seriesId, value);
+            if (!series) {
+                return notFoundResponse(res, "Series");
+            }
+            return successResponse(res, { series }, "Series updated successfully");
+        } catch (error) {
+            return this.handleSeriesError(res, error);
+        }
+    });
+
+    deleteSeries = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.seriesId);
+        if (error) {
+            return errorResponse(res, "Invalid series ID format", 400);
+        }
+        try {
+            const series = await this.seriesService.deleteSeries(req.params.seriesId);
+            if (!series) {
+                return notFoundResponse(res, "Series");
+            }
+            return successResponse(res, null, "Series deleted successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    addRace = asyncHandler(async (req, res) => {
+        const { seriesId, raceId } = req.params;
+        if ([seriesId, raceId].some(id => validateObjectId(id).error)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        try {
+            const series = await this.seriesService.addRace(seriesId, raceId);
+            if (!series) {
+                return notFoundResponse(res, "Series");
+            }
+            return successResponse(res, { series }, "Race added to series");
+        } catch (error) {
+            return this.handleSeriesError(res, error);
+        }
+    });
+
+    removeRace = asyncHandler(async (req, res) => {
+        const { seriesId, raceId } = req.params;
+        if ([seriesId, raceId].some(id => validateObjectId(id).error)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        try {
+            const series = await this.seriesService.removeRace(seriesId, raceId);
+            if (!series) {
+                return notFoundResponse(res, "Series");
+            }
+            return successResponse(res, { series }, "Race removed from series");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    getStandings = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.seriesId);
+        if (error) {
+            return errorResponse(res, "Invalid series ID format", 400);
+        }
+        const { category } = req.query;
+        if (category && !CATEGORIES.includes(category)) {
+            return errorResponse(res, `Category must be one of: ${CATEGORIES.join(', ')}`, 400);
+        }
+        try {
+            const standings = await this.seriesService.getStandings(req.params.seriesId, category);
+            return successResponse(res, standings, "Series standings fetched successfully");
+        } catch (error) {
+            return this.handleSeriesError(res, error);
+        }
+    });
+
+    getRiderBreakdown = asyncHandler(async (req, res) => {
+        const { seriesId, riderId } = req.params;
+        if ([seriesId, riderId].some(id => validateObjectId(id).error)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        try {
+            const breakdown = await this.seriesService.getRiderBreakdown(seriesId, riderId);
+            return successResponse(res, breakdown, "Rider series breakdown fetched successfully");
+        } catch (error) {
+            return this.handleSeriesError(res, error);
+        }
+    });
+}
+
+module.exports = SeriesController;
@@ -0,0 +1,122 @@
+const SpectatorService = require('../services/SpectatorService');
+const { validateObjectId, validatePublicRacesQuery } = require('../../middlewares/validateRace');
+const { openEventStream } = require('../../utils/sseHandler');
+const {
+    successResponse,
+    errorResponse,
+    validationErrorResponse,
+    notFoundResponse,
+    handleDatabaseError,
+    asyncHandler,
+    createPaginationInfo,
+    paginatedResponse
+} = require('../../utils/respondHandler');
+
+// Read-only endpoints for spectators; no authentication, reduced field set
+class SpectatorController {
+
+    constructor() {
+        this.spectatorService = new SpectatorService();
+    }
+
+    handleError(error, res) {
+        if (error.message === 'Race not found') {
+            return notFoundResponse(res, "Race");
+        }
+        if (error.message === 'Rider not found') {
+            return notFoundResponse(res, "Rider");
+        }
+        if (error.statusCode) {
+            return errorResponse(res, error.message, error.statusCode);
+        }
+        return handleDatabaseError(error, res);
+    }
+
+    getUpcomingRaces = asyncHandler(async (req, res) => {
+        const { error, value } = validatePublicRacesQuery(req.query);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        const { page, limit, sort } = value;
+        try {
+            const result = await this.spectatorService.getUpcomingRaces({ page, limit, sort });
+            const paginationInfo = createPaginationInfo(page, limit, result.totalCount);
+            return paginatedResponse(res, result.races, paginationInfo, "Upcoming races fetched successfully");
+        } catch (dbError) {
+            return this.handleError(dbError, res);
+        }
+    });
+
+    getRace = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const race = await this.spectatorService.getRace(req.params.raceId);
+            return successResponse(res, { race }, "Race fetched successfully");
+        } catch (dbError) {
+            return this.handleError(dbError, res);
+        }
+    });
+
+    getLiveStandings = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const standings = await this.spectatorService.getLiveStandings(req.params.raceId);
+            return successResponse(res, { standings }, "Live standings fetched successfully");
+        } catch (dbError) {
+            return this.handleError(dbError, res);
+        }
+    });
+
+    // Server-Sent Events for venue screens and live pages: EventSource cannot send an
+    // Authorization header, so this stream is public and carries the public field set only
+    streamLiveEvents = asyncHandler(async (req, res) => {
+        const { raceId } = req.params;
+        const { error } = validateObjectId(raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            await this.spectatorService.findPublicRace(raceId, 'name status');
+        } catch (dbError) {
+            return this.handleError(dbError, res);
+        }
+
+        let disconnect = () => {};
+        const stream = openEventStream(req, res, () => disconnect());
+        disconnect = this.spectatorService.connectLiveEvents(raceId, stream.send, req.headers['last-event-id'] ?? null);
+    });
+
+    getOfficialResults = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const results = await this.spectatorService.getOfficialResults(req.params.raceId);
+            return successResponse(res, { results }, "Official results fetched successfully");
+        } catch (dbError) {
+            return this.handleError(dbError, res);
+        }
+    });
+
+    getRiderProfile = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.riderId);
+        if (error) {
+            return errorResponse(res, "Invalid rider ID format", 400);
+        }
+        try {
+            const rider = await this.spectatorService.getRiderProfile(req.params.riderId);
+            return successResponse(res, { rider }, "Rider profile fetched successfully");
+        } catch (dbError) {
+            return this.handleError(dbError, res);
+        }
+    });
+}
+
+module.exports = SpectatorController;
@@ -0,0 +1,178 @@
+const StageRaceService = require('../services/StageRaceService');
+const {
+    validateStageRace,
+    validateStageRaceUpdate,
+    validateStage,
+    validateObjectId
+} = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    validationErrorResponse,
+    notFoundResponse,
+    conflictResponse,
+    handleDatabaseError,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+const CATEGORIES = ['Professional', 'Amateur', 'Youth'];
+
+class StageRaceController {
+
+    constructor() {
+        this.stageRaceService = new StageRaceService();
+    }
+
+    handleStageRaceError(res, error) {
+        if (error.message === 'Stage race not found') {
+            return notFoundResponse(res, "Stage race");
+        }
+        if (error.message === 'One or more races not found') {
+            return notFoundResponse(res, "One or more races");
+        }
+        if (error.message === 'A race can only be a stage of one stage race' || /^Stage \d+ already exists$/.test(error.message)) {
+            return conflictResponse(res, error.message);
+        }
+        return handleDatabaseError(error, res);
+    }
+
+    createStageRace = asyncHandler(async (req, res) => {
+        const { error, value } = validateStageRace(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const stageRace = await this.stageRaceService.createStageRace(value);
+            return successResponse(res, { stageRace }, "Stage race created successfully", 201);
+        } catch (error) {
+            return this.handleStageRaceError(res, error);
+        }
+    });
+
+    getAllStageRaces = asyncHandler(async (req, res) => {
+        try {
+            const stageRaces = await this.stageRaceService.getAllStageRaces();
+            return successResponse(res, { stageRaces }, "Stage races fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    getStageRaceById = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.stageRaceId);
+        if (error) {
+            return errorResponse(res, "Invalid stage race ID format", 400);
+        }
+        try {
+            const stageRace = await this.stageRaceService.getStageRaceById(req.params.stageRaceId);
+            if (!stageRace) {
+                return notFoundResponse(res, "Stage race");
+            }
+            return successResponse(res, { stageRace }, "Stage race fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    updateStageRace = asyncHandler(async (req, res) => {
+        const { error: idError } = validateObjectId(req.params.stageRaceId);
+        if (idError) {
+            return errorResponse(res, "Invalid stage race ID format", 400);
+        }
+        const { error, value } = validateStageRaceUpdate(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const stageRace = await this.stageRaceService.updateStageRace(req.params.stageRaceId, value);
+            if (!stageRace) {
+                return notFoundResponse(res, "Stage race");
+            }
+            return successResponse(res, { stageRace }, "Stage race updated successfully");
+        } catch (error) {
+            return this.handleStageRaceError(res, error);
+        }
+    });
+
+    deleteStageRace = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.stageRaceId);
+        if (error) {
+            return errorResponse(res, "Invalid stage race ID format", 400);
+        }
+        try {
+            const stageRace = await this.stageRaceService.deleteStageRace(req.params.stageRaceId);
+            if (!stageRace) {
+                return notFoundResponse(res, "Stage race");
+            }
+            return successResponse(res, null, "Stage race deleted successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    addStage = asyncHandler(async (req, res) => {
+        const { error: idError } = validateObjectId(req.params.stageRaceId);
+        if (idError) {
+            return errorResponse(res, "Invalid stage race ID format", 400);
+        }
+        const { error, value } = validateStage(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const stageRace = await this.stageRaceService.addStage(req.params.stageRaceId, value);
+            return successResponse(res, { stageRace }, "Stage added successfully", 201);
+        } catch (error) {
+            return this.handleStageRaceError(res, error);
+        }
+    });
+
+    removeStage = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.stageRaceId);
+        const stageNumber = Number(req.params.stageNumber);
+        if (error || !Number.isInteger(stageNumber) || stageNumber < 1) {
+            return errorResponse(res, "Invalid stage race ID or stage number", 400);
+        }
+        try {
+            const stageRace = await this.stageRaceService.removeStage(req.params.stageRaceId, stageNumber);
+            if (!stageRace) {
+                return notFoundResponse(res, "Stage race");
+            }
+            return successResponse(res, { stageRace }, "Stage removed successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    getGeneralClassification = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.stageRaceId);
+        if (error) {
+            return errorResponse(res, "Invalid stage race ID format", 400);
+        }
+        const { category } = req.query;
+        if (category && !CATEGORIES.includes(category)) {
+            return errorResponse(res, `Category must be one of: ${CATEGORIES.join(', ')}`, 400);
+        }
+        try {
+            const gc = await this.stageRaceService.getGeneralClassification(req.params.stageRaceId, category);
+            return successResponse(res, gc, "General classification fetched successfully");
+        } catch (error) {
+            return this.handleStageRaceError(res, error);
+        }
+    });
+
+    getStageRaceReport = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.stageRaceId);
+        if (error) {
+            return errorResponse(res, "Invalid stage race ID format", 400);
+        }
+        try {
+            const report = await this.stageRaceService.generateStageRaceReport(req.params.stageRaceId);
+            return successResponse(res, { report }, "Stage race report generated successfully");
+        } catch (error) {
+            return this.handleStageRaceError(res, error);
+        }
+    });
+}
+
+module.exports = StageRaceController;
@@ -0,0 +1,59 @@
+const TimingImportService = require('../services/TimingImportService');
+const { validateObjectId } = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    notFoundResponse,
+    handleDatabaseError,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+class TimingImportController {
+
+    constructor() {
+        this.timingImportService = new TimingImportService();
+    }
+
+    // Accepts a raw text/csv body, or JSON { fileName, content }
+    importTimingFile = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+
+        const csvText = typeof req.body === 'string' ? req.body : req.body?.content;
+        if (!csvText || typeof csvText !== 'string') {
+            return errorResponse(res, "Timing file content is required", 400);
+        }
+
+        const fileName = req.query.fileName || req.body?.fileName || null;
+
+        try {
+            const report = await this.timingImportService.importTimingFile(req.params.raceId, csvText, {
+                fileName,
+                importedBy: req.admin?.email || null
+            });
+            return successResponse(res, { report }, "Timing file imported successfully", 201);
+        } catch (error) {
+            if (error.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    });
+
+    getTimingImports = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const imports = await this.timingImportService.getTimingImports(req.params.raceId);
+            return successResponse(res, { imports }, "Timing imports fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+}
+
+module.exports = TimingImportController;
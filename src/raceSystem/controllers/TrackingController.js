@@ -0,0 +1,132 @@
+const TrackingService = require('../services/TrackingService');
+const {
+    validateObjectId,
+    validateBibNumber,
+    validateGpsPositions,
+    validateTrackerIssue
+} = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    validationErrorResponse,
+    notFoundResponse,
+    handleDatabaseError,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+class TrackingController {
+
+    constructor() {
+        this.trackingService = new TrackingService();
+    }
+
+    // Tracker routes come as /riders/:riderId/... and /bibs/:bib/... twins
+    getTarget(req) {
+        const { riderId, bib } = req.params;
+        if (bib === undefined) {
+            if (validateObjectId(riderId).error) {
+                throw new Error('Invalid rider ID format');
+            }
+            return { riderId };
+        }
+
+        const { error, value } = validateBibNumber(bib);
+        if (error) {
+            throw new Error('Invalid bib number');
+        }
+        return { bib: value };
+    }
+
+    issueTracker = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error: bodyError, value } = validateTrackerIssue(req.body || {});
+        if (bodyError) {
+            return validationErrorResponse(res, { error: bodyError });
+        }
+        try {
+            const { tracker, deviceKey } = await this.trackingService.issueTracker(
+                req.params.raceId,
+                this.getTarget(req),
+                value,
+                req.admin?.email || null
+            );
+            return successResponse(res, { tracker, deviceKey }, "Tracker issued; the device key is only shown once", 201);
+        } catch (error) {
+            if (error.message === 'Rider not found in this race' || error.message.startsWith('No rider with bib')) {
+                return errorResponse(res, error.message, 404);
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    });
+
+    revokeTracker = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const tracker = await this.trackingService.revokeTracker(req.params.raceId, this.getTarget(req));
+            return successResponse(res, { tracker }, "Tracker revoked successfully");
+        } catch (error) {
+            if (error.message === 'Rider not found in this race' || error.message.startsWith('No rider with bib') ||
+                error.message === 'No tracker has been issued to this rider') {
+                return errorResponse(res, error.message, 404);
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    });
+
+    getTrackers = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const trackers = await this.trackingService.getTrackers(req.params.raceId);
+            return successResponse(res, { trackers }, "Trackers fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    // Device endpoint: req.tracker is set by the device key middleware
+    ingestPositions = asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const positions = Array.isArray(body.positions) ? body.positions : [body];
+        const { error, value } = validateGpsPositions(positions);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const result = await this.trackingService.ingestPositions(req.tracker, value);
+            return successResponse(res, result, `${result.accepted} position(s) recorded`, 202);
+        } catch (error) {
+            if (error.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            return errorResponse(res, error.message, error.statusCode || 400);
+        }
+    });
+
+    // Served as a bare GeoJSON FeatureCollection so map libraries can poll the URL directly
+    getLiveMap = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const feed = await this.trackingService.getLiveMap(req.params.raceId);
+            return res.status(200).type('application/geo+json').send(JSON.stringify(feed));
+        } catch (dbError) {
+            if (dbError.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            return handleDatabaseError(dbError, res);
+        }
+    });
+}
+
+module.exports = TrackingController;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Last known fix, snapped to the race course. Distances are in km
+const positionSchema = new mongoose.Schema({
+    latitude: Number,
+    longitude: Number,
+    recordedAt: Date,
+    receivedAt: Date,
+    accuracy: Number,
+    speed: Number,
+    // Distance along the uploaded course (one lap on multi-lap races)
+    courseDistance: Number,
+    // Estimated distance covered in the race, including completed laps
+    distance: Number,
+    offCourseMetres: Number,
+    onCourse: Boolean
+}, {
+    _id: false
+});
+
+// A GPS tracker handed to one rider for one race. Devices authenticate with a key that is
+// only shown when issued; just its hash is stored
+const gpsTrackerSchema = new mongoose.Schema({
+    race: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race',
+        required: true
+    },
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider',
+        required: true
+    },
+    registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RaceResult',
+        required: true
+    },
+    bib: Number,
+    deviceId: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Last characters of the key so officials can tell devices apart
+    keyHint: String,
+    active: {
+        type: Boolean,
+        default: true
+    },
+    lastPosition: positionSchema,
+    lastSeenAt: Date,
+    issuedBy: String
+}, {
+    timestamps: true
+});
+
+gpsTrackerSchema.index({ race: 1, registration: 1 }, { unique: true });
+gpsTrackerSchema.index({ keyHash: 1 }, { unique: true });
+
+module.exports = mongoose.model('GpsTracker', gpsTrackerSchema);
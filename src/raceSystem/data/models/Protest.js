@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const officialSchema = new mongoose.Schema({
+    admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    email: String,
+    name: String
+}, { _id: false });
+
+const evidenceSchema = new mongoose.Schema({
+    note: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 1000
+    },
+    addedBy: officialSchema,
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const protestSchema = new mongoose.Schema({
+    race: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race',
+        required: true
+    },
+    raceResults: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'RaceResult'
+        }],
+        validate: {
+            validator: (results) => results.length > 0,
+            message: 'A protest must concern at least one result'
+        }
+    },
+    submittedBy: {
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true
+        },
+        role: {
+            type: String,
+            enum: ['Rider', 'TeamManager', 'Official'],
+            default: 'Rider'
+        },
+        rider: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Rider'
+        }
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 1000
+    },
+    evidence: [evidenceSchema],
+    assignedOfficial: officialSchema,
+    status: {
+        type: String,
+        enum: ['Open', 'Upheld', 'Rejected'],
+        default: 'Open'
+    },
+    decision: {
+        notes: String,
+        action: {
+            type: String,
+            enum: ['None', 'Penalty', 'Bonus', 'Correction', 'DSQ']
+        },
+        seconds: Number,
+        correctedTime: Number,
+        appliedTo: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'RaceResult'
+        }],
+        decidedBy: officialSchema,
+        decidedAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+protestSchema.index({ race: 1, status: 1 });
+protestSchema.index({ raceResults: 1 });
+
+module.exports = mongoose.model('Protest', protestSchema);
@@ -1,4 +1,219 @@
 const mongoose = require('mongoose');
+const { RACE_STATUSES } = require('../../../enums/raceStatusEnum');
+
+const checkpointSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    order: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    distance: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 1000
+    }
+});
+
+const bibRangeSchema = new mongoose.Schema({
+    category: {
+        type: String,
+        enum: ['Professional', 'Amateur', 'Youth'],
+        required: true
+    },
+    start: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    end: {
+        type: Number,
+        required: true,
+        min: 1
+    }
+}, {
+    _id: false
+});
+
+const categoryPriceSchema = new mongoose.Schema({
+    category: {
+        type: String,
+        enum: ['Professional', 'Amateur', 'Youth'],
+        required: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 10000
+    }
+}, {
+    _id: false
+});
+
+// A tier applies until its endsAt; the last tier may leave endsAt open
+const priceTierSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    endsAt: {
+        type: Date
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 10000
+    },
+    categoryPrices: [categoryPriceSchema]
+}, {
+    _id: false
+});
+
+// Withdrawing at least daysBefore days before the start refunds percent of what was paid
+const refundRuleSchema = new mongoose.Schema({
+    daysBefore: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    percent: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    }
+}, {
+    _id: false
+});
+
+// Ages are taken on race day; a bracket without maxAge is open-ended (e.g. 40+)
+const ageGroupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    minAge: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    maxAge: {
+        type: Number,
+        min: 0
+    }
+}, {
+    _id: false
+});
+
+const resultsLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['Published', 'Reopened'],
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    by: {
+        admin: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        email: String,
+        name: String
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+// Every status change, written by RaceService.changeRaceStatus
+const statusLogSchema = new mongoose.Schema({
+    from: {
+        type: String,
+        enum: RACE_STATUSES,
+        required: true
+    },
+    to: {
+        type: String,
+        enum: RACE_STATUSES,
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    by: {
+        admin: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        email: String,
+        name: String
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+// Computed from an uploaded GPX track. Distances are in km, elevations in metres. The full
+// geometry is only loaded when asked for (e.g. .select('+course.geometry'))
+const courseSchema = new mongoose.Schema({
+    fileName: String,
+    trackName: String,
+    pointCount: Number,
+    distance: Number,
+    elevationGain: Number,
+    elevationLoss: Number,
+    minElevation: Number,
+    maxElevation: Number,
+    // Elevation at evenly spaced distances along the course
+    profile: [{
+        _id: false,
+        distance: Number,
+        elevation: Number
+    }],
+    // Computed distance against the declared one (per lap on multi-lap races)
+    distanceCheck: {
+        declared: Number,
+        computed: Number,
+        differencePercent: Number,
+        mismatch: Boolean
+    },
+    bounds: {
+        minLatitude: Number,
+        minLongitude: Number,
+        maxLatitude: Number,
+        maxLongitude: Number
+    },
+    geometry: {
+        type: mongoose.Schema.Types.Mixed,
+        select: false
+    },
+    uploadedAt: Date,
+    uploadedBy: String
+}, {
+    _id: false
+});
 
 const raceSchema = new mongoose.Schema({
     name: {
@@ -13,6 +228,12 @@ const raceSchema = new mongoose.Schema({
         trim: true,
         maxlength: 500
     },
+    // Races sharing an event name (e.g. the 25km and 50km of one festival) let riders switch between them
+    event: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
     location: {
         name: {
             type: String,
@@ -50,6 +271,17 @@ const raceSchema = new mongoose.Schema({
         min: 0,
         max: 1000
     },
+    laps: {
+        type: Number,
+        min: 1,
+        max: 200,
+        default: 1
+    },
+    lapLength: {
+        type: Number,
+        min: 0,
+        max: 1000
+    },
     terrain: {
         type: String,
         enum: ['Road', 'Urban Road','Desert Sand','Mountain Trail','Trail', 'Mixed', 'Track', 'Cross-Country', 'Downhill'],
@@ -65,22 +297,103 @@ const raceSchema = new mongoose.Schema({
         min: 1,
         max: 10000
     },
+    // Entries taken so far, kept by RaceService.reserveSpot and releaseSpot so the last spot
+    // cannot be taken twice; left unset until the first registration counts the existing entries
+    participantCount: {
+        type: Number,
+        min: 0
+    },
+    // Riders can only enter between these times; either end may be left open
+    registrationOpensAt: {
+        type: Date
+    },
+    registrationClosesAt: {
+        type: Date
+    },
+    // How long a promoted waitlist rider has to confirm before the spot passes on
+    waitlistConfirmHours: {
+        type: Number,
+        min: 1,
+        max: 336,
+        default: 48
+    },
     entryFee: {
         type: Number,
         min: 0,
         max: 10000,
         default: 0
     },
+    // Without tiers, categoryPrices override entryFee per category
+    categoryPrices: [categoryPriceSchema],
+    priceTiers: [priceTierSchema],
+    // Withdrawals later than every rule get no refund; an empty policy never refunds
+    refundPolicy: {
+        type: [refundRuleSchema],
+        default: () => [{ daysBefore: 30, percent: 100 }, { daysBefore: 7, percent: 50 }]
+    },
     categories: [{
         type: String,
         enum: ['Professional', 'Amateur', 'Youth'],
         default: 'Amateur'
     }],
+    // Only changed through RaceService.changeRaceStatus, which enforces RACE_STATUS_TRANSITIONS
     status: {
         type: String,
-        enum: ['Draft', 'Open', 'Closed', 'InProgress', 'Completed', 'Cancelled'],
+        enum: RACE_STATUSES,
         default: 'Draft'
     },
+    statusLog: [statusLogSchema],
+    resultsStatus: {
+        type: String,
+        enum: ['Provisional', 'ProtestWindow', 'Official'],
+        default: 'Provisional'
+    },
+    protestWindowMinutes: {
+        type: Number,
+        min: 0,
+        max: 10080,
+        default: 30
+    },
+    protestWindowEndsAt: {
+        type: Date
+    },
+    resultsPublishedAt: {
+        type: Date
+    },
+    resultsLog: [resultsLogSchema],
+    startMode: {
+        type: String,
+        enum: ['Mass', 'Interval', 'Wave'],
+        default: 'Mass'
+    },
+    // Seconds between consecutive riders (Interval) or consecutive waves (Wave)
+    startInterval: {
+        type: Number,
+        min: 1,
+        max: 3600,
+        default: 30
+    },
+    waveOrder: [{
+        type: String,
+        enum: ['Professional', 'Amateur', 'Youth']
+    }],
+    bibRanges: [bibRangeSchema],
+    ageGroups: [ageGroupSchema],
+    // Team ranking: sum of the best countBest finishers' times, or of their points
+    teamClassification: {
+        mode: {
+            type: String,
+            enum: ['Time', 'Points'],
+            default: 'Time'
+        },
+        countBest: {
+            type: Number,
+            min: 1,
+            max: 20,
+            default: 3
+        },
+        pointsTable: [Number]
+    },
     weatherConditions: {
         temperature: Number,
         humidity: {
@@ -95,7 +408,9 @@ const raceSchema = new mongoose.Schema({
         condition: String,
         lastUpdated: Date,
         forecastDate: Date
-    }
+    },
+    checkpoints: [checkpointSchema],
+    course: courseSchema
 
 }, {
     timestamps: true,
@@ -107,6 +422,7 @@ const raceSchema = new mongoose.Schema({
 raceSchema.index({ startTime: 1, status: 1 });
 raceSchema.index({ status: 1 });
 raceSchema.index({ terrain: 1 });
+raceSchema.index({ event: 1 });
 raceSchema.index({ 'location.name': 'text', name: 'text', description: 'text' });
 
 module.exports = mongoose.model('Race', raceSchema);
\ No newline at end of file
@@ -1,5 +1,53 @@
 const mongoose = require('mongoose');
 
+const splitSchema = new mongoose.Schema({
+    checkpoint: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    order: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    distance: {
+        type: Number,
+        min: 0
+    },
+    time: {
+        type: Date,
+        required: true
+    },
+    splitTime: {
+        type: Number,
+        min: 0
+    }
+}, {
+    _id: false
+});
+
+const lapSchema = new mongoose.Schema({
+    lap: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    time: {
+        type: Date,
+        required: true
+    },
+    lapTime: {
+        type: Number,
+        min: 0
+    },
+    elapsedTime: {
+        type: Number,
+        min: 0
+    }
+}, {
+    _id: false
+});
+
 const raceResultSchema = new mongoose.Schema({
     rider: {
         type: mongoose.Schema.Types.ObjectId,
@@ -11,9 +59,29 @@ const raceResultSchema = new mongoose.Schema({
         ref: 'Race',
         required: true
     },
+    bib: {
+        type: Number,
+        min: 1
+    },
+    // Team the rider races for, from their membership for the race season
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    },
+    transponderId: {
+        type: String,
+        trim: true
+    },
+    // Set when the rider actually starts, not at registration
     startTime: {
-        type: Date,
-        required: true
+        type: Date
+    },
+    plannedStartTime: {
+        type: Date
+    },
+    startOrder: {
+        type: Number,
+        min: 1
     },
     finishTime: {
         type: Date
@@ -21,11 +89,47 @@ const raceResultSchema = new mongoose.Schema({
     totalTime: {
         type: Number 
     },
+    // Net seconds from penalties minus bonuses
+    penaltyTime: {
+        type: Number,
+        default: 0
+    },
+    // Official's corrected time, replaces totalTime as the base when set
+    correctedTime: {
+        type: Number,
+        min: 0
+    },
+    // Time used for ranking: (correctedTime or totalTime) + penaltyTime
+    adjustedTime: {
+        type: Number,
+        min: 0
+    },
     status: {
         type: String,
         enum: ['Registered', 'Started', 'Finished', 'DNF', 'DSQ'],
         default: 'Registered'
     },
+    // The entry fee owed at registration; an entry with a fee is only confirmed once paid
+    amountDue: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // How amountDue was worked out when the rider registered
+    pricing: {
+        tier: String,
+        basePrice: Number,
+        discountCode: String,
+        discountAmount: Number
+    },
+    paymentStatus: {
+        type: String,
+        enum: ['NotRequired', 'Unpaid', 'Paid', 'PartiallyRefunded', 'Refunded'],
+        default: 'NotRequired'
+    },
+    confirmedAt: {
+        type: Date
+    },
     position: {
         type: Number,
         min: 1
@@ -33,6 +137,13 @@ const raceResultSchema = new mongoose.Schema({
     notes: {
         type: String,
         maxlength: 200
+    },
+    splits: [splitSchema],
+    lapTimes: [lapSchema],
+    lapsCompleted: {
+        type: Number,
+        min: 0,
+        default: 0
     }
 }, {
     timestamps: true
@@ -41,12 +152,20 @@ const raceResultSchema = new mongoose.Schema({
 raceResultSchema.index({ race: 1, rider: 1 }, { unique: true });
 raceResultSchema.index({ race: 1, status: 1 });
 raceResultSchema.index({ race: 1, totalTime: 1 });
+raceResultSchema.index({ race: 1, adjustedTime: 1 });
+raceResultSchema.index({ race: 1, team: 1 });
+raceResultSchema.index({ race: 1, bib: 1 }, { unique: true, partialFilterExpression: { bib: { $exists: true } } });
+raceResultSchema.index({ race: 1, transponderId: 1 }, { unique: true, partialFilterExpression: { transponderId: { $exists: true } } });
 
 
 raceResultSchema.pre('save', function(next) {
     if (this.finishTime && this.startTime && this.status === 'Finished') {
         this.totalTime = Math.floor((this.finishTime - this.startTime) / 1000); // Convert to seconds
     }
+    const baseTime = this.correctedTime != null ? this.correctedTime : this.totalTime;
+    if (baseTime != null) {
+        this.adjustedTime = Math.max(0, baseTime + (this.penaltyTime || 0));
+    }
     next();
 });
 
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Audit trail for entries that were withdrawn, handed to another rider or moved to another race
+const registrationChangeSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Withdrawal', 'Transfer', 'Switch'],
+        required: true
+    },
+    race: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race',
+        required: true
+    },
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider',
+        required: true
+    },
+    // The entry as it was before the change; withdrawn and switched entries no longer exist
+    registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RaceResult',
+        required: true
+    },
+    bib: Number,
+    toRider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider'
+    },
+    toRace: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race'
+    },
+    newRegistration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RaceResult'
+    },
+    amountPaid: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    refundPercent: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    refundAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    requestedBy: {
+        kind: {
+            type: String,
+            enum: ['Admin', 'Rider'],
+            required: true
+        },
+        admin: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        email: String,
+        name: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+registrationChangeSchema.index({ race: 1, createdAt: 1 });
+registrationChangeSchema.index({ rider: 1, createdAt: 1 });
+
+const rejectMutation = function(next) {
+    next(new Error('Registration changes are append-only'));
+};
+
+registrationChangeSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectMutation
+);
+registrationChangeSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Registration changes are append-only'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('RegistrationChange', registrationChangeSchema);
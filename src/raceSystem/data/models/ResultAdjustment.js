@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const resultAdjustmentSchema = new mongoose.Schema({
+    raceResult: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RaceResult',
+        required: true
+    },
+    race: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race',
+        required: true
+    },
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['Penalty', 'Bonus', 'Correction', 'StatusChange'],
+        required: true
+    },
+    seconds: {
+        type: Number,
+        min: 0
+    },
+    previousStatus: String,
+    newStatus: String,
+    previousAdjustedTime: Number,
+    newAdjustedTime: Number,
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    appliedBy: {
+        admin: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        email: String,
+        name: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+resultAdjustmentSchema.index({ raceResult: 1, createdAt: 1 });
+resultAdjustmentSchema.index({ race: 1, createdAt: 1 });
+
+// The history is append-only: entries can be created and read, never changed or removed
+const rejectMutation = function(next) {
+    next(new Error('Result adjustments are append-only'));
+};
+
+resultAdjustmentSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectMutation
+);
+resultAdjustmentSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Result adjustments are append-only'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('ResultAdjustment', resultAdjustmentSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const seriesSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    season: {
+        type: Number,
+        required: true,
+        min: 2000,
+        max: 2100
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    races: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race'
+    }],
+    // Points by category finishing position; finishers beyond the table score finisherPoints
+    pointsTable: {
+        type: [Number],
+        default: [100, 80, 65, 55, 45, 35, 30, 25, 20, 15, 10, 8, 6, 4, 2]
+    },
+    finisherPoints: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Number of worst race scores (including races not finished) left out of each total
+    dropWorst: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    tieBreakers: {
+        type: [{
+            type: String,
+            enum: ['MostWins', 'BestPlacings', 'MostRacesFinished', 'LatestRace']
+        }],
+        default: ['MostWins', 'BestPlacings', 'LatestRace']
+    },
+    categories: [{
+        type: String,
+        enum: ['Professional', 'Amateur', 'Youth']
+    }]
+}, {
+    timestamps: true
+});
+
+seriesSchema.index({ season: -1, name: 1 }, { unique: true });
+seriesSchema.index({ races: 1 });
+
+module.exports = mongoose.model('Series', seriesSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Stage settings left unset fall back to the stage race defaults
+const stageSchema = new mongoose.Schema({
+    race: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race',
+        required: true
+    },
+    stageNumber: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    // Seconds deducted from GC time, by stage finishing position
+    bonusSeconds: {
+        type: [Number],
+        default: undefined
+    },
+    // Finishers slower than the stage winner by more than this percentage leave the GC
+    timeLimitPercent: {
+        type: Number,
+        min: 0
+    },
+    // Finishers within this many seconds of the rider ahead are given that rider's time; 0 disables it
+    timeGapSeconds: {
+        type: Number,
+        min: 0
+    }
+}, {
+    _id: false
+});
+
+const stageRaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    stages: [stageSchema],
+    bonusSeconds: {
+        type: [Number],
+        default: [10, 6, 4]
+    },
+    timeLimitPercent: {
+        type: Number,
+        min: 0
+    },
+    timeGapSeconds: {
+        type: Number,
+        min: 0,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// A race can only be a stage of one stage race
+stageRaceSchema.index({ 'stages.race': 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('StageRace', stageRaceSchema);
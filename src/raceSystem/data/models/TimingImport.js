@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const timingImportSchema = new mongoose.Schema({
+    race: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race',
+        required: true
+    },
+    fileName: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    },
+    fileHash: {
+        type: String,
+        required: true
+    },
+    importedBy: {
+        type: String,
+        trim: true
+    },
+    totalRows: {
+        type: Number,
+        default: 0
+    },
+    appliedCount: {
+        type: Number,
+        default: 0
+    },
+    unmatchedCount: {
+        type: Number,
+        default: 0
+    },
+    duplicateCount: {
+        type: Number,
+        default: 0
+    },
+    rejectedCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+timingImportSchema.index({ race: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TimingImport', timingImportSchema);
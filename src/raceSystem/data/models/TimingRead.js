@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const timingReadSchema = new mongoose.Schema({
+    race: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race',
+        required: true
+    },
+    timingImport: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TimingImport',
+        required: true
+    },
+    transponderId: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    location: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Only applied reads are stored: transponder + timestamp + location identifies a physical read
+    readKey: {
+        type: String,
+        required: true
+    },
+    raceResult: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RaceResult',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+timingReadSchema.index({ race: 1, readKey: 1 }, { unique: true });
+timingReadSchema.index({ timingImport: 1 });
+
+module.exports = mongoose.model('TimingRead', timingReadSchema);
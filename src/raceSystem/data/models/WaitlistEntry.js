@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Riders queue in createdAt order; an Offered entry holds a freed spot until offerExpiresAt
+const waitlistEntrySchema = new mongoose.Schema({
+    race: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Race',
+        required: true
+    },
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['Waiting', 'Offered', 'Confirmed', 'Expired', 'Left'],
+        default: 'Waiting'
+    },
+    offeredAt: {
+        type: Date
+    },
+    offerExpiresAt: {
+        type: Date
+    },
+    confirmedAt: {
+        type: Date
+    },
+    discountCode: {
+        type: String,
+        uppercase: true,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+waitlistEntrySchema.index({ race: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ race: 1, rider: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
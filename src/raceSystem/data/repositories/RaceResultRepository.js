@@ -15,7 +15,7 @@ class RaceResultRepository extends BaseRepository {
             })
             .populate('rider', 'firstName lastName email category')
             .populate('race', 'name date')
-            .sort({ totalTime: 1 })
+            .sort({ lapsCompleted: -1, adjustedTime: 1 })
             .limit(3);
     }
 
@@ -45,15 +45,17 @@ class RaceResultRepository extends BaseRepository {
     async getResultsByRace(raceId) {
         return await this.model
             .find({ race: raceId })
-            .populate('rider', 'firstName lastName email category')
+            .populate('rider', 'firstName lastName email category dateOfBirth')
+            .populate('team', 'name')
             .populate('race', 'name date location')
-            .sort({ totalTime: 1 });
+            .sort({ lapsCompleted: -1, adjustedTime: 1 });
     }
 
     async updateRacePositions(raceId) {
+        // Lapped riders rank behind everyone on the lead lap; time penalties/bonuses count via adjustedTime
         const results = await this.model
             .find({ race: raceId, status: 'Finished' })
-            .sort({ totalTime: 1 });
+            .sort({ lapsCompleted: -1, adjustedTime: 1 });
 
         for (let i = 0; i < results.length; i++) {
             await this.model.findByIdAndUpdate(results[i]._id, { position: i + 1 });
@@ -73,7 +75,6 @@ class RaceResultRepository extends BaseRepository {
         const registrationData = {
             race: raceId,
             rider: riderId,
-            startTime: new Date(),
             status: 'Registered'
         };
 
@@ -0,0 +1,302 @@
+const Race = require('../data/models/Race');
+const { parseGpx } = require('../../utils/gpxParser');
+
+const EARTH_RADIUS_KM = 6371.0088;
+const PROFILE_POINTS = 200;
+// Climbs and descents smaller than this are treated as GPS noise
+const ELEVATION_THRESHOLD_METRES = 3;
+// A computed distance further than this from the declared one is flagged
+const DISTANCE_TOLERANCE_PERCENT = 5;
+// GPS fixes further than this from the course are flagged as off course
+const OFF_COURSE_METRES = 100;
+// Legs this close to the nearest one are treated as equally likely when snapping
+const SNAP_SLACK_KM = 0.03;
+// How far back a rider may be snapped, to absorb GPS jitter
+const SNAP_BACKTRACK_KM = 0.2;
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+class CourseService {
+
+    haversineKm(from, to) {
+        const dLat = toRadians(to.lat - from.lat);
+        const dLon = toRadians(to.lon - from.lon);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+
+    // Gaps between segments (e.g. a paused recording) are not counted as distance
+    measureTrack(segments) {
+        const samples = [];
+        let distance = 0;
+
+        segments.forEach(points => {
+            points.forEach((point, index) => {
+                if (index > 0) {
+                    distance += this.haversineKm(points[index - 1], point);
+                }
+                if (point.ele !== null) {
+                    samples.push({ distance, elevation: point.ele });
+                }
+            });
+        });
+
+        return { distance, samples };
+    }
+
+    // Gain and loss only count once the climb or descent from the last turning point passes the threshold
+    measureElevation(samples) {
+        if (samples.length === 0) {
+            return { elevationGain: null, elevationLoss: null, minElevation: null, maxElevation: null };
+        }
+
+        let gain = 0;
+        let loss = 0;
+        let anchor = samples[0].elevation;
+        samples.forEach(({ elevation }) => {
+            const change = elevation - anchor;
+            if (change >= ELEVATION_THRESHOLD_METRES) {
+                gain += change;
+                anchor = elevation;
+            } else if (change <= -ELEVATION_THRESHOLD_METRES) {
+                loss -= change;
+                anchor = elevation;
+            }
+        });
+
+        const elevations = samples.map(sample => sample.elevation);
+        return {
+            elevationGain: Math.round(gain),
+            elevationLoss: Math.round(loss),
+            minElevation: round(elevations.reduce((min, value) => Math.min(min, value)), 1),
+            maxElevation: round(elevations.reduce((max, value) => Math.max(max, value)), 1)
+        };
+    }
+
+    // Interpolates the elevation at evenly spaced distances so long tracks chart the same as short ones
+    buildProfile(samples, totalDistance) {
+        if (samples.length === 0 || totalDistance <= 0) return [];
+
+        const count = Math.min(PROFILE_POINTS, samples.length);
+        const profile = [];
+        let cursor = 0;
+        for (let i = 0; i < count; i++) {
+            const target = count === 1 ? 0 : (totalDistance * i) / (count - 1);
+            while (cursor < samples.length - 1 && samples[cursor + 1].distance < target) {
+                cursor++;
+            }
+            const from = samples[cursor];
+            const to = samples[Math.min(cursor + 1, samples.length - 1)];
+            const span = to.distance - from.distance;
+            const share = span > 0 ? Math.min(Math.max((target - from.distance) / span, 0), 1) : 0;
+            profile.push({
+                distance: round(target, 3),
+                elevation: round(from.elevation + (to.elevation - from.elevation) * share, 1)
+            });
+        }
+        return profile;
+    }
+
+    // A multi-lap race's GPX is one lap, so it is compared with lapLength (or distance / laps)
+    checkDistance(race, computed) {
+        const laps = race.laps || 1;
+        const declared = laps > 1 ? (race.lapLength || race.distance / laps) : race.distance;
+        if (!declared) {
+            return { declared: null, computed, differencePercent: null, mismatch: false };
+        }
+
+        const differencePercent = round(((computed - declared) / declared) * 100, 1);
+        return {
+            declared: round(declared, 3),
+            computed,
+            differencePercent,
+            mismatch: Math.abs(differencePercent) > DISTANCE_TOLERANCE_PERCENT
+        };
+    }
+
+    buildGeometry(segments) {
+        const toLine = points => points.map(({ lat, lon, ele }) => (ele !== null ? [lon, lat, ele] : [lon, lat]));
+        return segments.length === 1
+            ? { type: 'LineString', coordinates: toLine(segments[0]) }
+            : { type: 'MultiLineString', coordinates: segments.map(toLine) };
+    }
+
+    // Reduced rather than spread into Math.min/max, which overflows the stack on long tracks
+    buildBounds(segments) {
+        return segments.flat().reduce((bounds, { lat, lon }) => ({
+            minLatitude: Math.min(bounds.minLatitude, lat),
+            minLongitude: Math.min(bounds.minLongitude, lon),
+            maxLatitude: Math.max(bounds.maxLatitude, lat),
+            maxLongitude: Math.max(bounds.maxLongitude, lon)
+        }), { minLatitude: 90, minLongitude: 180, maxLatitude: -90, maxLongitude: -180 });
+    }
+
+    // Splits stored GeoJSON into legs with the course distance at the start of each
+    prepareCourse(geometry) {
+        const lines = geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+        const legs = [];
+        let distance = 0;
+
+        lines.forEach(line => {
+            for (let i = 1; i < line.length; i++) {
+                const from = { lon: line[i - 1][0], lat: line[i - 1][1] };
+                const to = { lon: line[i][0], lat: line[i][1] };
+                const length = this.haversineKm(from, to);
+                legs.push({ from, to, start: distance, length });
+                distance += length;
+            }
+        });
+
+        return { legs, length: distance };
+    }
+
+    // Projects a fix onto the nearest leg using a flat approximation around the rider, which is
+    // accurate over the few hundred metres that matter. Where the course passes the same spot
+    // twice (loops, out-and-back sections) the first candidate at or past the rider's previous
+    // distance wins, so riders do not jump backwards or ahead
+    snapToCourse(prepared, point, previousDistance = null) {
+        const kmPerDegree = EARTH_RADIUS_KM * Math.PI / 180;
+        const kmPerLonDegree = kmPerDegree * Math.cos(toRadians(point.lat));
+
+        const candidates = prepared.legs.map(leg => {
+            const ax = (leg.from.lon - point.lon) * kmPerLonDegree;
+            const ay = (leg.from.lat - point.lat) * kmPerDegree;
+            const bx = (leg.to.lon - point.lon) * kmPerLonDegree;
+            const by = (leg.to.lat - point.lat) * kmPerDegree;
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared > 0 ? Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1) : 0;
+            return {
+                offset: Math.hypot(ax + t * dx, ay + t * dy),
+                distance: leg.start + t * leg.length
+            };
+        });
+
+        const nearest = candidates.reduce((best, candidate) => (candidate.offset < best.offset ? candidate : best));
+        let chosen = nearest;
+        if (previousDistance !== null) {
+            const ahead = candidates
+                .filter(candidate => candidate.offset <= nearest.offset + SNAP_SLACK_KM &&
+                    candidate.distance >= previousDistance - SNAP_BACKTRACK_KM)
+                .sort((a, b) => a.distance - b.distance);
+            chosen = ahead[0] || nearest;
+        }
+
+        const offCourseMetres = Math.round(chosen.offset * 1000);
+        return {
+            courseDistance: round(chosen.distance, 3),
+            offCourseMetres,
+            onCourse: offCourseMetres <= OFF_COURSE_METRES
+        };
+    }
+
+    async uploadCourse(raceId, gpxText, { fileName = null, uploadedBy = null } = {}) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const { name, segments, pointCount } = parseGpx(gpxText);
+            const { distance, samples } = this.measureTrack(segments);
+            const computed = round(distance, 3);
+
+            race.course = {
+                fileName,
+                trackName: name,
+                pointCount,
+                distance: computed,
+                ...this.measureElevation(samples),
+                profile: this.buildProfile(samples, distance),
+                distanceCheck: this.checkDistance(race, computed),
+                bounds: this.buildBounds(segments),
+                geometry: this.buildGeometry(segments),
+                uploadedAt: new Date(),
+                uploadedBy
+            };
+
+            // A race entered with just a venue name gets its coordinates from the start of the course
+            const start = segments[0][0];
+            if (!race.location.coordinates || race.location.coordinates.latitude == null) {
+                race.location.coordinates = { latitude: start.lat, longitude: start.lon };
+            }
+
+            await race.save();
+            return this.toCourseSummary(race);
+        } catch (error) {
+            console.error('CourseService.uploadCourse - Error:', error);
+            throw error;
+        }
+    }
+
+    // The declared distance may have changed since the upload, so the check is redone on every read
+    toCourseSummary(race) {
+        const course = race.course.toObject ? race.course.toObject() : { ...race.course };
+        delete course.geometry;
+        return { ...course, distanceCheck: this.checkDistance(race, course.distance) };
+    }
+
+    async getCourse(raceId) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            if (!race.course) {
+                throw new Error('No course has been uploaded for this race');
+            }
+            return this.toCourseSummary(race);
+        } catch (error) {
+            console.error('CourseService.getCourse - Error:', error);
+            throw error;
+        }
+    }
+
+    async getCourseGeoJson(raceId) {
+        try {
+            const race = await Race.findById(raceId).select('+course.geometry').exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            if (!race.course || !race.course.geometry) {
+                throw new Error('No course has been uploaded for this race');
+            }
+
+            const { bounds } = race.course;
+            return {
+                type: 'Feature',
+                bbox: bounds ? [bounds.minLongitude, bounds.minLatitude, bounds.maxLongitude, bounds.maxLatitude] : undefined,
+                geometry: race.course.geometry,
+                properties: {
+                    raceId: race._id,
+                    raceName: race.name,
+                    trackName: race.course.trackName || null,
+                    distance: race.course.distance,
+                    elevationGain: race.course.elevationGain,
+                    elevationLoss: race.course.elevationLoss
+                }
+            };
+        } catch (error) {
+            console.error('CourseService.getCourseGeoJson - Error:', error);
+            throw error;
+        }
+    }
+
+    async deleteCourse(raceId) {
+        try {
+            const race = await Race.findByIdAndUpdate(raceId, { $unset: { course: 1 } }, { new: true }).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            return race;
+        } catch (error) {
+            console.error('CourseService.deleteCourse - Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = CourseService;
@@ -0,0 +1,122 @@
+const Race = require('../data/models/Race');
+const RaceService = require('./RaceService');
+const { publishRaceEvent, subscribeToRace, getRaceEventsSince } = require('../../utils/raceEventBus');
+
+// Events that can move riders up or down the standings
+const STANDINGS_EVENTS = ['rider.started', 'rider.finished', 'rider.dnf', 'rider.dsq', 'rider.status',
+    'rider.split', 'rider.lap', 'result.adjusted', 'race.started'];
+// Bursts (a mass finish, a timing import) are folded into one standings update
+const STANDINGS_DEBOUNCE_MS = 1000;
+
+// Shared by every controller instance so each race's standings are computed once per update,
+// however many clients are listening
+const watchedRaces = new Map();
+
+class LiveEventService {
+    constructor() {
+        this.raceService = new RaceService();
+    }
+
+    async ensureRace(raceId) {
+        const race = await Race.findById(raceId).select('name status').exec();
+        if (!race) {
+            throw new Error('Race not found');
+        }
+        return race;
+    }
+
+    getPositions(standings) {
+        return [...standings.finished, ...standings.onCourse].map(entry => ({
+            resultId: entry._id ? entry._id.toString() : null,
+            bib: entry.bib,
+            rider: entry.rider && entry.rider.firstName
+                ? { id: entry.rider._id, name: `${entry.rider.firstName} ${entry.rider.lastName}` }
+                : null,
+            position: entry.position
+        }));
+    }
+
+    // Replays events missed since lastEventId, then streams new ones. The first client for a
+    // race starts watching it; the last one to leave stops. Returns the disconnect function
+    connect(raceId, send, lastEventId = null) {
+        const race = raceId.toString();
+        if (lastEventId !== null && lastEventId !== undefined) {
+            getRaceEventsSince(race, lastEventId).forEach(send);
+        }
+
+        const unsubscribe = subscribeToRace(race, send);
+        const watch = this.watchRace(race);
+        watch.clients++;
+
+        this.sendSnapshot(race, send);
+
+        let connected = true;
+        return () => {
+            if (!connected) return;
+            connected = false;
+            unsubscribe();
+            watch.clients--;
+            if (watch.clients === 0) {
+                watch.stop();
+                watchedRaces.delete(race);
+            }
+        };
+    }
+
+    watchRace(race) {
+        if (watchedRaces.has(race)) {
+            return watchedRaces.get(race);
+        }
+
+        const watch = { clients: 0, timer: null, positions: null };
+        const unsubscribe = subscribeToRace(race, (event) => {
+            if (!STANDINGS_EVENTS.includes(event.type) || watch.timer) return;
+            watch.timer = setTimeout(() => {
+                watch.timer = null;
+                this.publishStandings(race, watch);
+            }, STANDINGS_DEBOUNCE_MS);
+        });
+        watch.stop = () => {
+            clearTimeout(watch.timer);
+            unsubscribe();
+        };
+
+        watchedRaces.set(race, watch);
+        return watch;
+    }
+
+    async sendSnapshot(race, send) {
+        try {
+            const standings = await this.raceService.getLiveStandings(race);
+            const watch = watchedRaces.get(race);
+            if (watch && !watch.positions) {
+                watch.positions = new Map(this.getPositions(standings).map(entry => [entry.resultId, entry.position]));
+            }
+            send({ type: 'standings.snapshot', race, at: new Date(), data: standings });
+        } catch (error) {
+            console.error('LiveEventService.sendSnapshot - Error:', error);
+            send({ type: 'error', race, at: new Date(), data: { message: 'Live standings are unavailable' } });
+        }
+    }
+
+    // Publishes the new standings with every rider whose position changed
+    async publishStandings(race, watch) {
+        try {
+            const standings = await this.raceService.getLiveStandings(race);
+            const previous = watch.positions || new Map();
+            const positions = this.getPositions(standings);
+
+            const changes = positions
+                .filter(entry => previous.get(entry.resultId) !== entry.position)
+                .map(entry => ({ ...entry, previousPosition: previous.get(entry.resultId) || null }));
+            watch.positions = new Map(positions.map(entry => [entry.resultId, entry.position]));
+
+            return publishRaceEvent(race, 'standings.updated', { changes, standings }, { replay: false });
+        } catch (error) {
+            console.error('LiveEventService.publishStandings - Error:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = LiveEventService;
@@ -0,0 +1,193 @@
+const Race = require('../data/models/Race');
+const RaceResult = require('../data/models/RaceResult');
+const Protest = require('../data/models/Protest');
+const Admin = require('../../admin/data/models/adminModel');
+const RaceService = require('./RaceService');
+const { conflictError } = require('../../utils/errorHandler');
+
+const RESULT_FIELDS = 'rider bib status position adjustedTime';
+
+class ProtestService {
+    constructor() {
+        this.raceService = new RaceService();
+    }
+
+    async submitProtest(raceId, { raceResults, submittedBy, reason, evidence = [] }, recordedBy = null) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            if (!['InProgress', 'Completed'].includes(race.status)) {
+                throw new Error('Protests can only be submitted once the race has started');
+            }
+            if (race.resultsStatus === 'Official') {
+                throw conflictError('Results are official. Protests are closed for this race');
+            }
+            if (race.protestWindowEndsAt && race.protestWindowEndsAt < new Date()) {
+                throw conflictError(`The protest window closed at ${race.protestWindowEndsAt.toISOString()}`);
+            }
+
+            const matchingResults = await RaceResult.countDocuments({ _id: { $in: raceResults }, race: raceId });
+            if (matchingResults !== raceResults.length) {
+                throw new Error('One or more protested results do not belong to this race');
+            }
+
+            return await Protest.create({
+                race: raceId,
+                raceResults,
+                submittedBy,
+                reason,
+                evidence: evidence.map(note => ({ note, addedBy: recordedBy }))
+            });
+        } catch (error) {
+            console.error('ProtestService.submitProtest - Error:', error);
+            throw error;
+        }
+    }
+
+    async getProtests(raceId, status = null) {
+        try {
+            const filter = { race: raceId };
+            if (status) filter.status = status;
+
+            return await Protest.find(filter)
+                .populate({
+                    path: 'raceResults',
+                    select: RESULT_FIELDS,
+                    populate: { path: 'rider', select: 'firstName lastName category' }
+                })
+                .sort({ createdAt: 1 })
+                .exec();
+        } catch (error) {
+            console.error('ProtestService.getProtests - Error:', error);
+            throw error;
+        }
+    }
+
+    async getProtestById(raceId, protestId) {
+        try {
+            const protest = await Protest.findOne({ _id: protestId, race: raceId })
+                .populate({
+                    path: 'raceResults',
+                    select: RESULT_FIELDS,
+                    populate: { path: 'rider', select: 'firstName lastName category' }
+                })
+                .exec();
+
+            if (!protest) {
+                throw new Error('Protest not found');
+            }
+
+            return protest;
+        } catch (error) {
+            console.error('ProtestService.getProtestById - Error:', error);
+            throw error;
+        }
+    }
+
+    async addEvidence(raceId, protestId, note, addedBy = null) {
+        try {
+            const protest = await this.getOpenProtest(raceId, protestId);
+
+            protest.evidence.push({ note, addedBy, addedAt: new Date() });
+            return await protest.save();
+        } catch (error) {
+            console.error('ProtestService.addEvidence - Error:', error);
+            throw error;
+        }
+    }
+
+    async assignOfficial(raceId, protestId, officialId) {
+        try {
+            const protest = await this.getOpenProtest(raceId, protestId);
+
+            const official = await Admin.findById(officialId);
+            if (!official || official.isActive === false) {
+                throw new Error('Official not found');
+            }
+
+            protest.assignedOfficial = {
+                admin: official._id,
+                email: official.email,
+                name: `${official.firstName} ${official.lastName}`
+            };
+            return await protest.save();
+        } catch (error) {
+            console.error('ProtestService.assignOfficial - Error:', error);
+            throw error;
+        }
+    }
+
+    // Upheld decisions apply their action through RaceService before the protest is
+    // closed, so a refused adjustment (e.g. official results) leaves the protest open.
+    // Every target is checked first so a refusal never leaves the sanction half applied
+    async decideProtest(raceId, protestId, { status, notes, action = 'None', seconds, correctedTime, raceResults }, decidedBy = null) {
+        try {
+            const protest = await this.getOpenProtest(raceId, protestId);
+
+            const protestedIds = protest.raceResults.map(id => id.toString());
+            const targetIds = raceResults || protestedIds;
+            if (targetIds.some(id => !protestedIds.includes(id.toString()))) {
+                throw new Error('A decision can only act on results named in the protest');
+            }
+
+            const appliedTo = [];
+            if (status === 'Upheld' && action !== 'None') {
+                const targets = await RaceResult.find({ _id: { $in: targetIds }, race: raceId });
+                if (targets.length !== new Set(targetIds.map(id => id.toString())).size) {
+                    throw new Error('One or more protested results no longer exist in this race');
+                }
+                if (action !== 'DSQ') {
+                    targets.forEach(target => {
+                        const refusal = this.raceService.getAdjustmentRefusal(target, action);
+                        if (refusal) {
+                            throw conflictError(`Bib ${target.bib}: ${refusal}`);
+                        }
+                    });
+                }
+
+                const reason = `Protest upheld: ${notes}`;
+                for (const target of targets) {
+                    if (action === 'DSQ') {
+                        await this.raceService.updateRiderStatus(raceId, target.rider, 'DSQ', reason, decidedBy);
+                    } else {
+                        await this.raceService.applyResultAdjustment(
+                            raceId, target.rider, { type: action, seconds, correctedTime, reason }, decidedBy
+                        );
+                    }
+                    appliedTo.push(target._id);
+                }
+            }
+
+            protest.status = status;
+            protest.decision = {
+                notes,
+                action,
+                seconds,
+                correctedTime,
+                appliedTo,
+                decidedBy,
+                decidedAt: new Date()
+            };
+            return await protest.save();
+        } catch (error) {
+            console.error('ProtestService.decideProtest - Error:', error);
+            throw error;
+        }
+    }
+
+    async getOpenProtest(raceId, protestId) {
+        const protest = await Protest.findOne({ _id: protestId, race: raceId });
+        if (!protest) {
+            throw new Error('Protest not found');
+        }
+        if (protest.status !== 'Open') {
+            throw conflictError(`Protest has already been ${protest.status.toLowerCase()}`);
+        }
+        return protest;
+    }
+}
+
+module.exports = ProtestService;
@@ -1,13 +1,41 @@
 const Race = require('../data/models/Race');
 const Rider = require('../../rider/data/models/Rider');
 const RaceResult = require('../data/models/RaceResult');
+const ResultAdjustment = require('../data/models/ResultAdjustment');
+const Protest = require('../data/models/Protest');
+const Team = require('../../team/data/models/Team');
+const WaitlistEntry = require('../data/models/WaitlistEntry');
+const GpsTracker = require('../data/models/GpsTracker');
 const RaceResultRepository = require('../data/repositories/RaceResultRepository');
 const WeatherService = require('./WeatherService');
+const PricingService = require('../../payment/services/PricingService');
+const { conflictError } = require('../../utils/errorHandler');
+const { publishRaceEvent } = require('../../utils/raceEventBus');
+const { RACE_STATUS_TRANSITIONS } = require('../../enums/raceStatusEnum');
+
+// Used when a race does not define its own bib ranges
+const DEFAULT_BIB_RANGES = [
+    { category: 'Professional', start: 1, end: 199 },
+    { category: 'Amateur', start: 200, end: 799 },
+    { category: 'Youth', start: 800, end: 999 }
+];
+
+// Used when a race does not define its own age brackets
+const DEFAULT_AGE_GROUPS = [
+    { name: 'Under 18', minAge: 0, maxAge: 17 },
+    { name: '18-29', minAge: 18, maxAge: 29 },
+    { name: '30-39', minAge: 30, maxAge: 39 },
+    { name: '40+', minAge: 40 }
+];
+
+// Used for points-based team classification when the race has no points table
+const DEFAULT_TEAM_POINTS = [50, 40, 32, 26, 22, 18, 15, 12, 10, 8, 6, 5, 4, 3, 2, 1];
 
 class RaceService {
     constructor() {
         this.raceResultRepository = new RaceResultRepository();
         this.weatherService = new WeatherService();
+        this.pricingService = new PricingService();
     }
 
     async createRace(raceData) {
@@ -59,13 +87,40 @@ class RaceService {
         }
     }
 
-    async updateRace(raceId, updateData) {
+    // A status sent along with other edits still goes through changeRaceStatus, and the other fields
+    // are written in the same update as the status, so a refused transition saves nothing
+    async updateRace(raceId, updateData, changedBy = null) {
         try {
-            return await Race.findByIdAndUpdate(
-                raceId,
-                updateData,
-                { new: true, runValidators: true }
-            ).exec();
+            const { status, statusReason = null, ...fields } = updateData;
+            if (!status) {
+                return await Race.findByIdAndUpdate(
+                    raceId,
+                    updateData,
+                    { new: true, runValidators: true }
+                ).exec();
+            }
+
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                return null;
+            }
+
+            if (status === race.status) {
+                if (Object.keys(fields).length === 0) {
+                    return race;
+                }
+                return await Race.findByIdAndUpdate(
+                    raceId,
+                    fields,
+                    { new: true, runValidators: true }
+                ).exec();
+            }
+
+            // Checked here too so a refused start never auto-opens a draft race first
+            this.assertStatusTransition({ ...(race.toObject ? race.toObject() : race), ...fields }, status, statusReason);
+
+            const changed = await this.changeRaceStatus(raceId, status, { reason: statusReason, changedBy, update: fields });
+            return changed.race;
         } catch (error) {
             console.error('RaceService.updateRace - Error:', error);
             throw error;
@@ -135,6 +190,17 @@ class RaceService {
         }
     }
 
+    // Who a live event is about, without the personal details populated on the result
+    toLiveRider(result) {
+        const rider = result.rider || {};
+        return {
+            resultId: result._id,
+            riderId: rider._id || rider,
+            name: rider.firstName ? `${rider.firstName} ${rider.lastName}` : null,
+            bib: result.bib
+        };
+    }
+
     async updateRacePositions(raceId) {
         try {
             await this.raceResultRepository.updateRacePositions(raceId);
@@ -145,18 +211,27 @@ class RaceService {
         }
     }
 
-    async updateRiderStatus(raceId, riderId, status, notes = null) {
+    async updateRiderStatus(raceId, riderId, status, notes = null, appliedBy = null) {
         try {
             const validStatuses = ['Registered', 'Started', 'Finished', 'DNF', 'DSQ'];
             if (!validStatuses.includes(status)) {
                 throw new Error('Invalid status');
             }
 
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            this.ensureResultsEditable(race);
+
             const updateData = { status };
             if (notes) updateData.notes = notes;
 
-            if (status === 'DNF' || status === 'DSQ') {
+            // A rider out of the race gives up their place, and everyone behind moves up
+            const leavesClassification = status === 'DNF' || status === 'DSQ';
+            if (leavesClassification) {
                 updateData.finishTime = new Date();
+                updateData.$unset = { position: 1 };
             }
 
             const result = await RaceResult.findOneAndUpdate(
@@ -169,6 +244,30 @@ class RaceService {
                 throw new Error('Rider not found in this race');
             }
 
+            if (leavesClassification) {
+                await this.updateRacePositions(raceId);
+            }
+
+            // Status sanctions applied by an official go into the result history
+            if (appliedBy) {
+                await ResultAdjustment.create({
+                    raceResult: result._id,
+                    race: raceId,
+                    rider: result.rider._id || result.rider,
+                    type: 'StatusChange',
+                    newStatus: status,
+                    reason: notes || `Status set to ${status}`,
+                    appliedBy
+                });
+            }
+
+            const statusEvents = { Started: 'rider.started', Finished: 'rider.finished', DNF: 'rider.dnf', DSQ: 'rider.dsq' };
+            publishRaceEvent(raceId, statusEvents[status] || 'rider.status', {
+                ...this.toLiveRider(result),
+                status,
+                notes: result.notes || null
+            });
+
             return result.toObject(); // Convert Mongoose document to plain object
         } catch (error) {
             console.error('RaceService.updateRiderStatus - Error:', error);
@@ -176,9 +275,14 @@ class RaceService {
         }
     }
     // NEW: Individual rider finish (mass start, individual finish)
-    async finishRider(raceId, riderId) {
+    // finishTime defaults to now; timing imports pass the timestamp read at the mat
+    async finishRider(raceId, riderId, finishTime = new Date()) {
         try {
-            const finishTime = new Date();
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            this.ensureResultsEditable(race);
 
             // Find the rider's race result
             const result = await RaceResult.findOne({
@@ -187,20 +291,24 @@ class RaceService {
                 status: 'Started' // Can only finish started riders
             });
 
-            if (!result) {
+            if (!result || finishTime < result.startTime) {
                 throw new Error('Rider not found or not started yet');
             }
 
-            // Calculate total time from race start to individual finish
+            // Calculate total time from the rider's own start (mass, wave or interval slot)
             const totalTime = Math.floor((finishTime - result.startTime) / 1000);
 
+            // Penalties or bonuses applied while on course carry into the ranking time
+            const adjustedTime = Math.max(0, totalTime + (result.penaltyTime || 0));
+
             // Update to finished
             const updatedResult = await RaceResult.findByIdAndUpdate(
                 result._id,
                 {
                     status: 'Finished',
                     finishTime: finishTime,
-                    totalTime: totalTime
+                    totalTime: totalTime,
+                    adjustedTime
                 },
                 { new: true }
             ).populate('rider', 'firstName lastName email category');
@@ -208,9 +316,18 @@ class RaceService {
             // Auto-update race positions for all finished riders
             await this.updateRacePositions(raceId);
 
+            publishRaceEvent(raceId, 'rider.finished', {
+                ...this.toLiveRider(updatedResult),
+                status: 'Finished',
+                finishTime,
+                formattedTime: this.formatTime(adjustedTime),
+                lapsCompleted: updatedResult.lapsCompleted || 0
+            });
+
             return {
                 ...updatedResult.toObject(),
                 formattedTime: this.formatTime(totalTime),
+                formattedAdjustedTime: this.formatTime(adjustedTime),
                 position: updatedResult.position
             };
         } catch (error) {
@@ -219,27 +336,185 @@ class RaceService {
         }
     }
 
+    async recordCheckpointSplit(raceId, riderId, checkpointId, splitTimeStamp = new Date()) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            this.ensureResultsEditable(race);
+
+            const checkpoint = (race.checkpoints || []).find(cp => cp._id.toString() === checkpointId.toString());
+            if (!checkpoint) {
+                throw new Error('Checkpoint not found in this race');
+            }
+
+            const result = await RaceResult.findOne({
+                race: raceId,
+                rider: riderId,
+                status: 'Started' // Splits are only recorded for riders out on course
+            });
+
+            if (!result || splitTimeStamp < result.startTime) {
+                throw new Error('Rider not found or not started yet');
+            }
+
+            if ((result.splits || []).some(split => split.checkpoint.toString() === checkpointId.toString())) {
+                throw new Error('Split already recorded for this checkpoint');
+            }
+
+            const splitTime = Math.floor((splitTimeStamp - result.startTime) / 1000);
+
+            const updatedResult = await RaceResult.findByIdAndUpdate(
+                result._id,
+                {
+                    $push: {
+                        splits: {
+                            checkpoint: checkpoint._id,
+                            order: checkpoint.order,
+                            distance: checkpoint.distance,
+                            time: splitTimeStamp,
+                            splitTime
+                        }
+                    }
+                },
+                { new: true }
+            ).populate('rider', 'firstName lastName email category');
+
+            publishRaceEvent(raceId, 'rider.split', {
+                ...this.toLiveRider(updatedResult),
+                checkpoint: { id: checkpoint._id, name: checkpoint.name, order: checkpoint.order, distance: checkpoint.distance },
+                formattedSplitTime: this.formatTime(splitTime)
+            });
+
+            return {
+                ...updatedResult.toObject(),
+                checkpoint: {
+                    id: checkpoint._id,
+                    name: checkpoint.name,
+                    order: checkpoint.order,
+                    distance: checkpoint.distance
+                },
+                formattedSplitTime: this.formatTime(splitTime)
+            };
+        } catch (error) {
+            console.error('RaceService.recordCheckpointSplit - Error:', error);
+            throw error;
+        }
+    }
+
+    // A crossing finishes the rider once they complete the required laps, or once the
+    // leader has finished (lapped riders finish on their next crossing)
+    async recordLap(raceId, riderId, crossingTime = new Date()) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            this.ensureResultsEditable(race);
+
+            const result = await RaceResult.findOne({
+                race: raceId,
+                rider: riderId,
+                status: 'Started'
+            });
+
+            if (!result || crossingTime < result.startTime) {
+                throw new Error('Rider not found or not started yet');
+            }
+
+            const lapTimes = result.lapTimes || [];
+            const previousElapsed = lapTimes.length > 0 ? lapTimes[lapTimes.length - 1].elapsedTime : 0;
+            const elapsedTime = Math.floor((crossingTime - result.startTime) / 1000);
+            const lap = {
+                lap: lapTimes.length + 1,
+                time: crossingTime,
+                lapTime: elapsedTime - previousElapsed,
+                elapsedTime
+            };
+
+            await RaceResult.findByIdAndUpdate(
+                result._id,
+                {
+                    $push: { lapTimes: lap },
+                    $inc: { lapsCompleted: 1 }
+                },
+                { new: true }
+            );
+
+            const requiredLaps = race.laps || 1;
+            const leaderFinished = await RaceResult.exists({ race: raceId, status: 'Finished' });
+
+            if (lap.lap >= requiredLaps || leaderFinished) {
+                const finished = await this.finishRider(raceId, riderId, crossingTime);
+                return { ...finished, lap: this.formatLapTimes({ lapTimes: [lap] })[0], raceFinished: true };
+            }
+
+            const updatedResult = await RaceResult.findById(result._id)
+                .populate('rider', 'firstName lastName email category');
+
+            publishRaceEvent(raceId, 'rider.lap', {
+                ...this.toLiveRider(updatedResult),
+                lap: this.formatLapTimes({ lapTimes: [lap] })[0],
+                lapsRemaining: requiredLaps - lap.lap
+            });
+
+            return {
+                ...updatedResult.toObject(),
+                lap: this.formatLapTimes({ lapTimes: [lap] })[0],
+                lapsRemaining: requiredLaps - lap.lap,
+                raceFinished: false
+            };
+        } catch (error) {
+            console.error('RaceService.recordLap - Error:', error);
+            throw error;
+        }
+    }
+
     // NEW: Get live race standings during race
     async getLiveStandings(raceId) {
         try {
-            const [finished, started, dnf, dsq] = await Promise.all([
+            const [race, finished, started, dnf, dsq, trackers] = await Promise.all([
+                Race.findById(raceId).select('startTime ageGroups').exec(),
                 RaceResult.find({ race: raceId, status: 'Finished' })
-                    .populate('rider', 'firstName lastName category')
-                    .sort({ totalTime: 1 }), // Fastest first
+                    .populate('rider', 'firstName lastName category dateOfBirth')
+                    .sort({ lapsCompleted: -1, adjustedTime: 1 }), // Most laps, then fastest after penalties first
                 RaceResult.find({ race: raceId, status: 'Started' })
-                    .populate('rider', 'firstName lastName category'),
+                    .populate('rider', 'firstName lastName category dateOfBirth'),
                 RaceResult.find({ race: raceId, status: 'DNF' })
                     .populate('rider', 'firstName lastName category'),
                 RaceResult.find({ race: raceId, status: 'DSQ' })
-                    .populate('rider', 'firstName lastName category')
+                    .populate('rider', 'firstName lastName category'),
+                GpsTracker.find({ race: raceId, active: true, 'lastPosition.recordedAt': { $exists: true } })
+                    .select('registration lastPosition').exec()
             ]);
 
+            const gpsPositions = new Map((trackers || []).map(tracker => [tracker.registration.toString(), tracker.lastPosition]));
+            const onCourse = this.rankOnCourseRiders(started, gpsPositions);
+            const groupPositions = this.getGroupPositions([...finished, ...onCourse], race);
+
             return {
                 finished: finished.map((result, index) => ({
                     ...result.toObject(),
                     position: index + 1,
-                    formattedTime: this.formatTime(result.totalTime)
+                    ...groupPositions[index],
+                    formattedTime: this.formatTime(this.getEffectiveTime(result)),
+                    laps: this.formatLapTimes(result)
                 })),
+                onCourse: onCourse.map((result, index) => {
+                    const lastSplit = this.getLastSplit(result);
+                    return {
+                        ...result.toObject(),
+                        position: finished.length + index + 1,
+                        ...groupPositions[finished.length + index],
+                        lastCheckpoint: lastSplit,
+                        formattedSplitTime: lastSplit ? this.formatTime(lastSplit.splitTime) : null,
+                        gpsPosition: this.getGpsPosition(result, gpsPositions),
+                        laps: this.formatLapTimes(result)
+                    };
+                }),
+                fastestLap: this.findFastestLap([...finished, ...started]),
                 stillRacing: started.length,
                 dnf: dnf.length,
                 dsq: dsq.length,
@@ -269,11 +544,15 @@ class RaceService {
                 weatherData = await this.weatherService.getCurrentWeather(latitude, longitude);
             }
 
-            return await Race.findByIdAndUpdate(
+            const updatedRace = await Race.findByIdAndUpdate(
                 raceId,
                 { weatherConditions: weatherData },
                 { new: true }
             ).exec();
+
+            publishRaceEvent(raceId, 'weather.updated', { weatherConditions: weatherData });
+
+            return updatedRace;
         } catch (error) {
             console.error('RaceService.updateRaceWeather - Error:', error);
             throw error;
@@ -289,8 +568,8 @@ class RaceService {
             return results.map((result, index) => ({
                 ...result.toObject(),
                 rank: index + 1,
-                formattedTime: this.formatTime(result.totalTime),
-                gap: index === 0 ? null : `+${this.formatTime(result.totalTime - results[0].totalTime)}`
+                formattedTime: this.formatTime(this.getEffectiveTime(result)),
+                gap: index === 0 ? null : this.formatGap(result, results[0])
             }));
         } catch (error) {
             console.error('RaceService.getTop3FastestRiders - Error:', error);
@@ -368,11 +647,14 @@ class RaceService {
                     startTime: race.startTime,
                     endTime: race.endTime,
                     distance: race.distance,
+                    laps: race.laps,
+                    lapLength: race.lapLength,
                     terrain: race.terrain,
                     difficulty: race.difficulty,
                     status: race.status,
                     categories: race.categories
                 },
+                resultsStatus: this.getResultsState(race),
                 statistics: {
                     totalParticipants: results.length,
                     finishedCount: finishedResults.length,
@@ -381,6 +663,21 @@ class RaceService {
                     averageTime
                 },
                 top3Fastest: top3,
+                laps: {
+                    required: race.laps || 1,
+                    lapLength: race.lapLength,
+                    fastestLap: this.findFastestLap(results),
+                    riders: results
+                        .filter(r => r.lapTimes && r.lapTimes.length > 0)
+                        .map(r => ({
+                            rider: r.rider,
+                            bib: r.bib,
+                            lapsCompleted: r.lapsCompleted,
+                            laps: this.formatLapTimes(r)
+                        }))
+                },
+                groupRankings: this.buildGroupRankings(finishedResults, race),
+                teamClassification: this.buildTeamClassification(finishedResults, race),
                 didNotFinish: dnf,
                 weatherConditions: race.weatherConditions
             };
@@ -390,6 +687,297 @@ class RaceService {
         }
     }
 
+    // Orders registrations (previously assigned startOrder first, then registration order)
+    // and assigns planned start times according to the race's start mode.
+    buildStartList(race, registrations, baseTime) {
+        const startMode = race.startMode || 'Mass';
+        const interval = (race.startInterval || 30) * 1000;
+        const base = new Date(baseTime).getTime();
+
+        const ordered = [...registrations].sort((a, b) => {
+            const orderA = a.startOrder || Number.MAX_SAFE_INTEGER;
+            const orderB = b.startOrder || Number.MAX_SAFE_INTEGER;
+            if (orderA !== orderB) return orderA - orderB;
+            return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+        });
+
+        let slots;
+        if (startMode === 'Wave') {
+            const waveOrder = race.waveOrder && race.waveOrder.length > 0
+                ? race.waveOrder
+                : ['Professional', 'Amateur', 'Youth'];
+            const waveIndexOf = (registration) => {
+                const index = waveOrder.indexOf(registration.rider?.category);
+                return index === -1 ? waveOrder.length : index;
+            };
+
+            // Empty waves are skipped so there is no dead gap between populated waves
+            const populatedWaves = [...new Set(ordered.map(waveIndexOf))].sort((a, b) => a - b);
+            slots = ordered
+                .map(registration => ({ registration, wave: populatedWaves.indexOf(waveIndexOf(registration)) }))
+                .sort((a, b) => a.wave - b.wave)
+                .map(({ registration, wave }) => ({ registration, wave: wave + 1, offset: wave * interval }));
+        } else if (startMode === 'Interval') {
+            slots = ordered.map((registration, index) => ({ registration, offset: index * interval }));
+        } else {
+            slots = ordered.map(registration => ({ registration, offset: 0 }));
+        }
+
+        return slots.map(({ registration, wave, offset }, index) => ({
+            resultId: registration._id,
+            rider: registration.rider,
+            startOrder: index + 1,
+            ...(wave && { wave }),
+            plannedStartTime: new Date(base + offset)
+        }));
+    }
+
+    getLastSplit(result) {
+        const splits = result.splits || [];
+        if (splits.length === 0) return null;
+        return splits.reduce((last, split) => (split.order > last.order ? split : last));
+    }
+
+    getGpsPosition(result, gpsPositions) {
+        const position = result._id ? gpsPositions.get(result._id.toString()) : null;
+        if (!position) return null;
+        const { latitude, longitude, distance, onCourse, recordedAt } = position;
+        return { latitude, longitude, distance, onCourse, recordedAt };
+    }
+
+    // Most laps first, then the furthest checkpoint, then the earliest time at that point.
+    // Riders who have not reached a timing point yet are ordered by GPS distance when tracked
+    rankOnCourseRiders(startedResults, gpsPositions = new Map()) {
+        const gpsDistance = (result) => {
+            const position = this.getGpsPosition(result, gpsPositions);
+            return position && position.distance != null ? position.distance : -1;
+        };
+
+        return [...startedResults].sort((a, b) => {
+            const lapsA = a.lapsCompleted || 0;
+            const lapsB = b.lapsCompleted || 0;
+            if (lapsA !== lapsB) return lapsB - lapsA;
+            if (lapsA > 0) {
+                return a.lapTimes[lapsA - 1].elapsedTime - b.lapTimes[lapsB - 1].elapsedTime;
+            }
+
+            const lastA = this.getLastSplit(a);
+            const lastB = this.getLastSplit(b);
+
+            if (!lastA && !lastB) return gpsDistance(b) - gpsDistance(a);
+            if (!lastA) return 1;
+            if (!lastB) return -1;
+            if (lastA.order !== lastB.order) return lastB.order - lastA.order;
+            return lastA.splitTime - lastB.splitTime;
+        });
+    }
+
+    formatGap(result, leader) {
+        const lapsBehind = (leader.lapsCompleted || 0) - (result.lapsCompleted || 0);
+        if (lapsBehind > 0) {
+            return `-${lapsBehind} lap${lapsBehind > 1 ? 's' : ''}`;
+        }
+        return `+${this.formatTime(this.getEffectiveTime(result) - this.getEffectiveTime(leader))}`;
+    }
+
+    // Ranking time: adjusted for penalties, bonuses and corrections when any exist
+    getEffectiveTime(result) {
+        return result.adjustedTime != null ? result.adjustedTime : result.totalTime;
+    }
+
+    calculateAdjustedTime(result) {
+        const baseTime = result.correctedTime != null ? result.correctedTime : result.totalTime;
+        if (baseTime == null) return null;
+        return Math.max(0, baseTime + (result.penaltyTime || 0));
+    }
+
+    formatLapTimes(result) {
+        return (result.lapTimes || []).map(lap => ({
+            lap: lap.lap,
+            lapTime: lap.lapTime,
+            formattedLapTime: this.formatTime(lap.lapTime),
+            elapsedTime: lap.elapsedTime
+        }));
+    }
+
+    findFastestLap(results) {
+        let fastest = null;
+
+        results.forEach(result => {
+            (result.lapTimes || []).forEach(lap => {
+                if (!fastest || lap.lapTime < fastest.lapTime) {
+                    fastest = { rider: result.rider, bib: result.bib, lap: lap.lap, lapTime: lap.lapTime };
+                }
+            });
+        });
+
+        return fastest ? { ...fastest, formattedLapTime: this.formatTime(fastest.lapTime) } : null;
+    }
+
+    getAgeGroups(race) {
+        return race && race.ageGroups && race.ageGroups.length > 0 ? race.ageGroups : DEFAULT_AGE_GROUPS;
+    }
+
+    getAgeOnRaceDay(rider, race) {
+        if (!rider || !rider.dateOfBirth) return null;
+
+        const dateOfBirth = new Date(rider.dateOfBirth);
+        const raceDay = new Date((race && race.startTime) || Date.now());
+        const age = raceDay.getFullYear() - dateOfBirth.getFullYear();
+        const birthdayPassed = raceDay.getMonth() > dateOfBirth.getMonth() ||
+            (raceDay.getMonth() === dateOfBirth.getMonth() && raceDay.getDate() >= dateOfBirth.getDate());
+
+        return birthdayPassed ? age : age - 1;
+    }
+
+    getAgeGroup(rider, race) {
+        const age = this.getAgeOnRaceDay(rider, race);
+        if (age === null) return null;
+
+        const group = this.getAgeGroups(race).find(g =>
+            age >= (g.minAge || 0) && (g.maxAge == null || age <= g.maxAge)
+        );
+        return group ? group.name : null;
+    }
+
+    // Position inside the rider's category and age group, for results already in overall order
+    getGroupPositions(orderedResults, race) {
+        const counters = { category: new Map(), ageGroup: new Map() };
+        const nextPosition = (counter, group) => {
+            if (!group) return null;
+            const position = (counter.get(group) || 0) + 1;
+            counter.set(group, position);
+            return position;
+        };
+
+        return orderedResults.map(result => {
+            const category = result.rider ? result.rider.category : null;
+            const ageGroup = this.getAgeGroup(result.rider, race);
+            return {
+                categoryPosition: nextPosition(counters.category, category),
+                ageGroup,
+                ageGroupPosition: nextPosition(counters.ageGroup, ageGroup)
+            };
+        });
+    }
+
+    // Per-group rankings and podiums for finishers already in overall order.
+    // Groups follow the race's category order and bracket order.
+    buildGroupRankings(finishedResults, race) {
+        const rankBy = (getGroup, groupOrder) => {
+            const groups = new Map();
+            finishedResults.forEach(result => {
+                const group = getGroup(result);
+                if (!group) return;
+                if (!groups.has(group)) groups.set(group, []);
+                groups.get(group).push(result);
+            });
+
+            const orderOf = (group) => {
+                const index = groupOrder.indexOf(group);
+                return index === -1 ? groupOrder.length : index;
+            };
+
+            return [...groups.entries()]
+                .sort(([a], [b]) => orderOf(a) - orderOf(b))
+                .map(([group, results]) => {
+                    const ranked = results.map((result, index) => ({
+                        position: index + 1,
+                        overallPosition: result.position,
+                        rider: result.rider,
+                        bib: result.bib,
+                        lapsCompleted: result.lapsCompleted,
+                        formattedTime: this.formatTime(this.getEffectiveTime(result)),
+                        gap: index === 0 ? null : this.formatGap(result, results[0])
+                    }));
+                    return { group, finishers: ranked.length, podium: ranked.slice(0, 3), results: ranked };
+                });
+        };
+
+        return {
+            categories: rankBy(result => result.rider && result.rider.category, (race && race.categories) || []),
+            ageGroups: rankBy(result => this.getAgeGroup(result.rider, race), this.getAgeGroups(race).map(g => g.name))
+        };
+    }
+
+    // Teams score their best countBest finishers; in Time mode a team needs that many
+    // finishers to be ranked, in Points mode any finisher counts
+    buildTeamClassification(finishedResults, race) {
+        const settings = (race && race.teamClassification) || {};
+        const mode = settings.mode || 'Time';
+        const countBest = settings.countBest || 3;
+        const pointsTable = settings.pointsTable && settings.pointsTable.length > 0 ? settings.pointsTable : DEFAULT_TEAM_POINTS;
+
+        const teams = new Map();
+        finishedResults.forEach((result, index) => {
+            if (!result.team) return;
+            const teamId = (result.team._id || result.team).toString();
+            if (!teams.has(teamId)) {
+                teams.set(teamId, { team: { id: teamId, name: result.team.name }, finishers: [] });
+            }
+            teams.get(teamId).finishers.push({ result, position: result.position || index + 1 });
+        });
+
+        const ranked = [];
+        const incomplete = [];
+        teams.forEach(({ team, finishers }) => {
+            const counted = finishers.slice(0, countBest).map(({ result, position }) => ({
+                rider: result.rider,
+                bib: result.bib,
+                position,
+                time: this.getEffectiveTime(result),
+                points: mode === 'Points' ? (pointsTable[position - 1] || 0) : undefined
+            }));
+
+            if (mode === 'Time' && counted.length < countBest) {
+                incomplete.push({ team, finishers: finishers.length });
+                return;
+            }
+
+            const score = counted.reduce((sum, entry) => sum + (mode === 'Points' ? entry.points : entry.time), 0);
+            ranked.push({ team, score, finishers: finishers.length, counted });
+        });
+
+        // Ties go to the team with the better-placed best finisher
+        ranked.sort((a, b) => (mode === 'Points' ? b.score - a.score : a.score - b.score) ||
+            (a.counted[0].position - b.counted[0].position));
+
+        return {
+            mode,
+            countBest,
+            standings: ranked.map((entry, index) => ({
+                position: index + 1,
+                ...entry,
+                formattedTime: mode === 'Time' ? this.formatTime(entry.score) : undefined,
+                gap: index === 0 ? null : (mode === 'Time'
+                    ? `+${this.formatTime(entry.score - ranked[0].score) || '0:00'}`
+                    : ranked[0].score - entry.score)
+            })),
+            incomplete
+        };
+    }
+
+    async getGroupRankings(raceId) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const results = await this.raceResultRepository.getResultsByRace(raceId);
+            const finishedResults = results.filter(r => r.status === 'Finished');
+
+            return {
+                resultsStatus: this.getResultsState(race),
+                ageGroupBrackets: this.getAgeGroups(race),
+                ...this.buildGroupRankings(finishedResults, race)
+            };
+        } catch (error) {
+            console.error('RaceService.getGroupRankings - Error:', error);
+            throw error;
+        }
+    }
+
     calculateAverageTime(finishedResults) {
         if (finishedResults.length === 0) return null;
         const totalTime = finishedResults.reduce((sum, result) => sum + result.totalTime, 0);
@@ -461,8 +1049,8 @@ class RaceService {
                 return { canStart: false, reason: 'Race not found' };
             }
 
-            if (race.status !== 'Open') {
-                return { canStart: false, reason: 'Race status must be Open to start' };
+            if (!this.getAllowedTransitions(race.status).includes('InProgress')) {
+                return { canStart: false, reason: `Race is ${race.status}; only Open or Closed races can be started` };
             }
 
             const now = new Date();
@@ -486,7 +1074,104 @@ class RaceService {
         }
     }
 
-    async startRace(raceId) {
+    getAllowedTransitions(status) {
+        return RACE_STATUS_TRANSITIONS[status] || [];
+    }
+
+    // Why a transition the table allows must still wait, or null when it can go ahead
+    getTransitionRefusal(race, status, reason = null, now = new Date()) {
+        if (['Cancelled', 'Postponed'].includes(status) && !reason) {
+            return `A reason is required to mark a race ${status}`;
+        }
+        if (race.status === 'Postponed' && ['Open', 'Closed'].includes(status) &&
+            (!race.startTime || new Date(race.startTime) <= now)) {
+            return 'Set a new start time in the future before reopening a postponed race';
+        }
+        return null;
+    }
+
+    // Throws a 409 naming the statuses the race can move to
+    assertStatusTransition(race, status, reason = null) {
+        const allowed = this.getAllowedTransitions(race.status);
+        if (!allowed.includes(status)) {
+            const options = allowed.length > 0 ? `allowed: ${allowed.join(', ')}` : `${race.status} is final`;
+            const error = conflictError(`Cannot change race status from ${race.status} to ${status} (${options})`);
+            error.allowedTransitions = allowed;
+            throw error;
+        }
+
+        const refusal = this.getTransitionRefusal(race, status, reason);
+        if (refusal) {
+            const error = conflictError(refusal);
+            error.allowedTransitions = allowed;
+            throw error;
+        }
+    }
+
+    // Writes the new status together with any fields the transition sets, and logs who made it.
+    // The write only matches while the race still has the status the check was made against, so
+    // of two concurrent changes (say Cancelled and InProgress) only the first one lands
+    async applyStatusTransition(race, status, { update = {}, reason = null, changedBy = null } = {}) {
+        // Fields written alongside count for the checks, e.g. a new start time when reopening
+        this.assertStatusTransition({ status: race.status, startTime: race.startTime, ...update }, status, reason);
+
+        const updatedRace = await Race.findOneAndUpdate(
+            { _id: race._id, status: race.status },
+            {
+                ...update,
+                status,
+                $push: { statusLog: { from: race.status, to: status, reason, by: changedBy, at: new Date() } }
+            },
+            { new: true, runValidators: true }
+        ).exec();
+        if (!updatedRace) {
+            throw conflictError(`Race is no longer ${race.status}; it was changed by another request. Reload it and try again`);
+        }
+
+        // Waitlist offers hold a spot in an Open race; once registration stops they cannot be taken up
+        if (race.status === 'Open' && status !== 'Open') {
+            await WaitlistEntry.updateMany({ race: race._id, status: 'Offered' }, { status: 'Expired' });
+        }
+
+        publishRaceEvent(race._id, 'race.status', { from: race.status, to: status, reason });
+        return updatedRace;
+    }
+
+    // Every race status change goes through here. Starting and finishing have their own checks and
+    // side effects, so those transitions are handed to startRace and finishRace. update holds other
+    // race fields to write together with the new status
+    async changeRaceStatus(raceId, status, { reason = null, changedBy = null, update = {} } = {}) {
+        try {
+            if (status === 'InProgress') {
+                return await this.startRace(raceId, { reason, changedBy, update });
+            }
+            if (status === 'Completed') {
+                return { race: await this.finishRace(raceId, { reason, changedBy, update }) };
+            }
+
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const updatedRace = await this.applyStatusTransition(race, status, { update, reason, changedBy });
+
+            // Nobody is left waiting for a spot in a race that will not happen
+            if (status === 'Cancelled') {
+                await WaitlistEntry.updateMany(
+                    { race: raceId, status: { $in: ['Waiting', 'Offered'] } },
+                    { status: 'Expired' }
+                );
+            }
+
+            return { race: updatedRace, allowedTransitions: this.getAllowedTransitions(status) };
+        } catch (error) {
+            console.error('RaceService.changeRaceStatus - Error:', error);
+            throw error;
+        }
+    }
+
+    async startRace(raceId, { reason = null, changedBy = null, update = {} } = {}) {
         try {
             let race = await Race.findById(raceId).exec();
             if (!race) {
@@ -495,41 +1180,65 @@ class RaceService {
 
             // Auto-transition from Draft to Open if needed
             if (race.status === 'Draft') {
-                race = await Race.findByIdAndUpdate(
-                    raceId,
-                    { status: 'Open' },
-                    { new: true }
-                ).exec();
+                race = await this.applyStatusTransition(race, 'Open', { reason: 'Opened to start the race', changedBy });
             }
+            this.assertStatusTransition(race, 'InProgress');
 
             const eligibility = await this.canRaceBeStarted(raceId);
             if (!eligibility.canStart) {
-                throw new Error(eligibility.reason);
+                throw conflictError(eligibility.reason);
             }
 
             const raceStartTime = new Date();
+            const startMode = race.startMode || 'Mass';
 
             // Update race status to InProgress
-            const updatedRace = await Race.findByIdAndUpdate(
-                raceId,
-                {
-                    status: 'InProgress',
-                    startTime: raceStartTime
-                },
-                { new: true }
-            ).exec();
+            const updatedRace = await this.applyStatusTransition(race, 'InProgress', {
+                update: { ...update, startTime: raceStartTime },
+                reason,
+                changedBy
+            });
 
-            // MASS START: Update ALL registered riders to 'Started' with same start time
-            await RaceResult.updateMany(
-                {
+            let startList = null;
+
+            if (startMode === 'Mass') {
+                // MASS START: Update ALL confirmed riders to 'Started' with same start time;
+                // entries with an unpaid or refunded fee stay Registered
+                await RaceResult.updateMany(
+                    {
+                        race: raceId,
+                        status: 'Registered',
+                        paymentStatus: { $nin: ['Unpaid', 'Refunded'] }
+                    },
+                    {
+                        status: 'Started',
+                        startTime: raceStartTime
+                    }
+                );
+            } else {
+                // INTERVAL / WAVE START: each rider starts at their own slot, shifted to the actual start
+                const registered = await RaceResult.find({
                     race: raceId,
-                    status: 'Registered'
-                },
-                {
-                    status: 'Started',
-                    startTime: raceStartTime
+                    status: 'Registered',
+                    paymentStatus: { $nin: ['Unpaid', 'Refunded'] }
+                }).populate('rider', 'firstName lastName category');
+
+                startList = this.buildStartList(race, registered, raceStartTime);
+
+                if (startList.length > 0) {
+                    await RaceResult.bulkWrite(startList.map(entry => ({
+                        updateOne: {
+                            filter: { _id: entry.resultId },
+                            update: {
+                                status: 'Started',
+                                startTime: entry.plannedStartTime,
+                                plannedStartTime: entry.plannedStartTime,
+                                startOrder: entry.startOrder
+                            }
+                        }
+                    })));
                 }
-            );
+            }
 
             // Get count of riders that started
             const startedCount = await RaceResult.countDocuments({
@@ -537,10 +1246,18 @@ class RaceService {
                 status: 'Started'
             });
 
+            publishRaceEvent(raceId, 'race.started', {
+                startMode,
+                ridersStarted: startedCount,
+                massStartTime: startMode === 'Mass' ? raceStartTime : null
+            });
+
             return {
                 race: updatedRace,
                 ridersStarted: startedCount,
-                massStartTime: raceStartTime
+                startMode,
+                massStartTime: startMode === 'Mass' ? raceStartTime : null,
+                startList
             };
         } catch (error) {
             console.error('RaceService.startRace - Error:', error);
@@ -548,9 +1265,82 @@ class RaceService {
         }
     }
 
+    async generateStartList(raceId) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            if (!['Draft', 'Open', 'Closed'].includes(race.status)) {
+                throw new Error('Start list can only be generated before the race starts');
+            }
+
+            // Entries with an unpaid or refunded fee are not confirmed and get no start slot
+            const registered = await RaceResult.find({
+                race: raceId,
+                status: 'Registered',
+                paymentStatus: { $nin: ['Unpaid', 'Refunded'] }
+            }).populate('rider', 'firstName lastName category');
+
+            const startList = this.buildStartList(race, registered, race.startTime);
+
+            if (startList.length > 0) {
+                await RaceResult.bulkWrite(startList.map(entry => ({
+                    updateOne: {
+                        filter: { _id: entry.resultId },
+                        update: {
+                            plannedStartTime: entry.plannedStartTime,
+                            startOrder: entry.startOrder
+                        }
+                    }
+                })));
+            }
+
+            return {
+                startMode: race.startMode || 'Mass',
+                startInterval: race.startInterval,
+                startList
+            };
+        } catch (error) {
+            console.error('RaceService.generateStartList - Error:', error);
+            throw error;
+        }
+    }
+
+    async getStartList(raceId) {
+        try {
+            const results = await RaceResult.find({ race: raceId, plannedStartTime: { $exists: true } })
+                .populate('rider', 'firstName lastName category')
+                .sort({ startOrder: 1 });
+
+            return results.map(result => ({
+                resultId: result._id,
+                rider: result.rider,
+                startOrder: result.startOrder,
+                plannedStartTime: result.plannedStartTime,
+                status: result.status
+            }));
+        } catch (error) {
+            console.error('RaceService.getStartList - Error:', error);
+            throw error;
+        }
+    }
+
     async getRaceResults(raceId) {
         try {
-            return await this.raceResultRepository.getResultsByRace(raceId);
+            const [race, results] = await Promise.all([
+                Race.findById(raceId).exec(),
+                this.raceResultRepository.getResultsByRace(raceId)
+            ]);
+
+            return {
+                resultsStatus: race ? this.getResultsState(race) : null,
+                results,
+                teamClassification: race
+                    ? this.buildTeamClassification(results.filter(r => r.status === 'Finished'), race)
+                    : null
+            };
         } catch (error) {
             console.error('RaceService.getRaceResults - Error:', error);
             throw error;
@@ -559,7 +1349,13 @@ class RaceService {
 
     async getRaceStats(raceId) {
         try {
-            const results = await this.raceResultRepository.getResultsByRace(raceId);
+            const [race, results] = await Promise.all([
+                Race.findById(raceId).exec(),
+                this.raceResultRepository.getResultsByRace(raceId)
+            ]);
+            const teamClassification = race
+                ? this.buildTeamClassification(results.filter(r => r.status === 'Finished'), race)
+                : null;
 
             return {
                 total: results.length,
@@ -567,7 +1363,12 @@ class RaceService {
                 started: results.filter(r => r.status === 'Started').length,
                 finished: results.filter(r => r.status === 'Finished').length,
                 dnf: results.filter(r => r.status === 'DNF').length,
-                dsq: results.filter(r => r.status === 'DSQ').length
+                dsq: results.filter(r => r.status === 'DSQ').length,
+                teams: {
+                    entered: new Set(results.filter(r => r.team).map(r => (r.team._id || r.team).toString())).size,
+                    classified: teamClassification ? teamClassification.standings.length : 0,
+                    leader: teamClassification && teamClassification.standings[0] ? teamClassification.standings[0].team : null
+                }
             };
         } catch (error) {
             console.error('RaceService.getRaceStats - Error:', error);
@@ -595,7 +1396,66 @@ class RaceService {
     }
 
     canRiderRegister(rider, race) {
-        return race.status === 'Open' && this.checkRiderEligibility(rider, race);
+        return this.getRegistrationRefusals(rider, race).length === 0;
+    }
+
+    // Every rule currently keeping the rider out of the race; the capacity check is skipped
+    // when participantCount is not given (display-only callers)
+    getRegistrationRefusals(rider, race, participantCount = null, now = new Date()) {
+        const reasons = [];
+
+        if (race.status !== 'Open') {
+            reasons.push({ code: 'RACE_NOT_OPEN', message: `Race is ${race.status}; only Open races accept registrations` });
+        }
+        if (race.registrationOpensAt && now < new Date(race.registrationOpensAt)) {
+            reasons.push({ code: 'REGISTRATION_NOT_OPEN', message: `Registration opens at ${new Date(race.registrationOpensAt).toISOString()}` });
+        }
+        if (race.registrationClosesAt && now > new Date(race.registrationClosesAt)) {
+            reasons.push({ code: 'REGISTRATION_CLOSED', message: `Registration closed at ${new Date(race.registrationClosesAt).toISOString()}` });
+        }
+        if (!this.checkRiderEligibility(rider, race)) {
+            reasons.push({
+                code: 'CATEGORY_NOT_ELIGIBLE',
+                message: `${rider.category} riders are not eligible; race is open to ${race.categories.join(', ')}`
+            });
+        }
+        if (participantCount !== null && race.maxParticipants && participantCount >= race.maxParticipants) {
+            reasons.push({ code: 'RACE_FULL', message: `Race is full (${race.maxParticipants} participants)` });
+        }
+
+        return reasons;
+    }
+
+    async checkRegistrationEligibility(raceId, riderId) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const rider = await Rider.findById(riderId).exec();
+            if (!rider) {
+                throw new Error('Rider not found');
+            }
+
+            const [existingRegistration, participantCount] = await Promise.all([
+                RaceResult.findOne({ race: raceId, rider: riderId }).exec(),
+                this.countTakenSpots(raceId)
+            ]);
+
+            const reasons = existingRegistration
+                ? [{ code: 'ALREADY_REGISTERED', message: 'Rider already registered for this race' }]
+                : this.getRegistrationRefusals(rider, race, participantCount);
+
+            return {
+                eligible: reasons.length === 0,
+                reasons,
+                spotsLeft: race.maxParticipants ? Math.max(race.maxParticipants - participantCount, 0) : null
+            };
+        } catch (error) {
+            console.error('RaceService.checkRegistrationEligibility - Error:', error);
+            throw error;
+        }
     }
 
     aggregateDNFReasons(dnfRiders) {
@@ -608,32 +1468,36 @@ class RaceService {
         return reasons;
     }
 
-    async finishRace(raceId) {
+    async finishRace(raceId, { reason = null, changedBy = null, update = {} } = {}) {
         try {
             const race = await Race.findById(raceId).exec();
             if (!race) {
                 throw new Error('Race not found');
             }
 
-            if (race.status !== 'InProgress') {
-                throw new Error('Only races in progress can be finished');
-            }
+            const endTime = new Date();
+            const protestWindowMinutes = race.protestWindowMinutes != null ? race.protestWindowMinutes : 30;
+            const protestWindowEndsAt = new Date(endTime.getTime() + protestWindowMinutes * 60 * 1000);
 
-            return await Race.findByIdAndUpdate(
-                raceId,
-                {
-                    status: 'Completed',
-                    endTime: new Date()
-                },
-                { new: true }
-            ).exec();
+            // Results stay provisional until the protest window closes and an admin publishes them
+            const updatedRace = await this.applyStatusTransition(race, 'Completed', {
+                update: { ...update, endTime, resultsStatus: 'ProtestWindow', protestWindowEndsAt },
+                reason,
+                changedBy
+            });
+
+            publishRaceEvent(raceId, 'race.finished', { endTime, resultsStatus: 'ProtestWindow', protestWindowEndsAt });
+
+            return updatedRace;
         } catch (error) {
             console.error('RaceService.finishRace - Error:', error);
             throw error;
         }
     }
 
-    async registerParticipant(raceId, riderId) {
+    // Admins may pass override to enter a rider the registration rules would refuse;
+    // waive skips only the refusals with the listed codes
+    async registerParticipant(raceId, riderId, bib = null, { override = false, waive = [], discountCode = null } = {}) {
         try {
             const race = await Race.findById(raceId).exec();
             if (!race) {
@@ -654,15 +1518,418 @@ class RaceService {
                 throw new Error('Rider already registered for this race');
             }
 
-            const registration = new RaceResult({
+            if (!override) {
+                const participantCount = await this.countTakenSpots(raceId);
+                const reasons = this.getRegistrationRefusals(rider, race, participantCount)
+                    .filter(refusal => !waive.includes(refusal.code));
+                if (reasons.length > 0) {
+                    const error = conflictError(`Registration refused: ${reasons.map(reason => reason.message).join('; ')}`);
+                    error.reasons = reasons;
+                    throw error;
+                }
+            }
+
+            // The count above only explains a refusal; the spot itself is taken here so two
+            // riders entering at once cannot both get the last one. A waived RACE_FULL is a held offer
+            const enforceCapacity = !override && !waive.includes('RACE_FULL');
+            if (!await this.reserveSpot(race, { enforceCapacity })) {
+                const reasons = [{ code: 'RACE_FULL', message: `Race is full (${race.maxParticipants} participants)` }];
+                const error = conflictError(`Registration refused: ${reasons[0].message}`);
+                error.reasons = reasons;
+                throw error;
+            }
+
+            try {
+                return await this.createRegistration(race, rider, bib, discountCode);
+            } catch (error) {
+                await this.releaseSpot(raceId);
+                throw error;
+            }
+        } catch (error) {
+            console.error('RaceService.registerParticipant - Error:', error);
+            throw error;
+        }
+    }
+
+    async createRegistration(race, rider, bib, discountCode) {
+        const raceId = race._id;
+        const riderId = rider._id;
+        const assignedBib = bib
+            ? await this.ensureBibAvailable(raceId, bib)
+            : await this.getNextAvailableBib(race, rider.category);
+
+        const team = await this.findRiderTeam(riderId, race);
+
+        const quote = await this.pricingService.quote(race, rider.category, discountCode);
+        const registration = new RaceResult({
+            race: raceId,
+            rider: riderId,
+            bib: assignedBib,
+            team: team ? team._id : undefined,
+            status: 'Registered',
+            amountDue: quote.price,
+            pricing: {
+                tier: quote.tier,
+                basePrice: quote.basePrice,
+                discountCode: quote.discountCode,
+                discountAmount: quote.discountAmount
+            },
+            paymentStatus: quote.price > 0 ? 'Unpaid' : 'NotRequired',
+            confirmedAt: quote.price > 0 ? undefined : new Date()
+        });
+
+        if (!quote.discountCodeId) {
+            return await registration.save();
+        }
+
+        await this.pricingService.redeemDiscountCode(quote.discountCodeId);
+        try {
+            return await registration.save();
+        } catch (error) {
+            await this.pricingService.releaseDiscountCode(quote.discountCodeId);
+            throw error;
+        }
+    }
+
+    // Spots held by pending waitlist offers count as taken until they are confirmed or expire
+    async countTakenSpots(raceId) {
+        const [registered, offered] = await Promise.all([
+            RaceResult.countDocuments({ race: raceId }),
+            WaitlistEntry.countDocuments({ race: raceId, status: 'Offered', offerExpiresAt: { $gt: new Date() } })
+        ]);
+        return registered + offered;
+    }
+
+    // Takes a spot with one conditional update, so it only succeeds while the race has room.
+    // Races entered before participantCount existed get it from their entries first
+    async reserveSpot(race, { enforceCapacity = true } = {}) {
+        if (race.participantCount == null) {
+            const registered = await RaceResult.countDocuments({ race: race._id });
+            await Race.updateOne(
+                { _id: race._id, participantCount: { $exists: false } },
+                { participantCount: registered }
+            );
+        }
+
+        const filter = { _id: race._id };
+        if (enforceCapacity && race.maxParticipants) {
+            const offered = await WaitlistEntry.countDocuments({
+                race: race._id,
+                status: 'Offered',
+                offerExpiresAt: { $gt: new Date() }
+            });
+            filter.participantCount = { $lt: race.maxParticipants - offered };
+        }
+
+        return await Race.findOneAndUpdate(filter, { $inc: { participantCount: 1 } }, { new: true }).exec();
+    }
+
+    async releaseSpot(raceId) {
+        await Race.updateOne(
+            { _id: raceId, participantCount: { $gt: 0 } },
+            { $inc: { participantCount: -1 } }
+        );
+    }
+
+    async findRiderTeam(riderId, race) {
+        const season = new Date(race.startTime || Date.now()).getFullYear();
+        return await Team.findOne({
+            isActive: { $ne: false },
+            members: { $elemMatch: { rider: riderId, season } }
+        }).select('name').exec();
+    }
+
+    getBibRange(race, category) {
+        const ranges = race.bibRanges && race.bibRanges.length > 0 ? race.bibRanges : DEFAULT_BIB_RANGES;
+        return ranges.find(range => range.category === category) || null;
+    }
+
+    async getNextAvailableBib(race, category) {
+        const range = this.getBibRange(race, category);
+        if (!range) {
+            throw new Error(`No bib range configured for category ${category}`);
+        }
+
+        const usedBibs = await RaceResult.distinct('bib', {
+            race: race._id,
+            bib: { $gte: range.start, $lte: range.end }
+        });
+        const used = new Set(usedBibs);
+
+        for (let bib = range.start; bib <= range.end; bib++) {
+            if (!used.has(bib)) return bib;
+        }
+
+        throw new Error(`Bib range ${range.start}-${range.end} for ${category} is exhausted`);
+    }
+
+    async ensureBibAvailable(raceId, bib, excludeResultId = null) {
+        const query = { race: raceId, bib };
+        if (excludeResultId) query._id = { $ne: excludeResultId };
+
+        const taken = await RaceResult.findOne(query).exec();
+        if (taken) {
+            throw new Error(`Bib ${bib} is already assigned in this race`);
+        }
+        return bib;
+    }
+
+    async assignBib(raceId, riderId, bib) {
+        try {
+            const registration = await RaceResult.findOne({ race: raceId, rider: riderId }).exec();
+            if (!registration) {
+                throw new Error('Rider not found in this race');
+            }
+
+            await this.ensureBibAvailable(raceId, bib, registration._id);
+
+            registration.bib = bib;
+            return await registration.save();
+        } catch (error) {
+            console.error('RaceService.assignBib - Error:', error);
+            throw error;
+        }
+    }
+
+    async assignTransponder(raceId, riderId, transponderId) {
+        try {
+            const registration = await RaceResult.findOne({ race: raceId, rider: riderId }).exec();
+            if (!registration) {
+                throw new Error('Rider not found in this race');
+            }
+
+            const taken = await RaceResult.findOne({
+                race: raceId,
+                transponderId,
+                _id: { $ne: registration._id }
+            }).exec();
+            if (taken) {
+                throw new Error(`Transponder ${transponderId} is already assigned in this race`);
+            }
+
+            registration.transponderId = transponderId;
+            return await registration.save();
+        } catch (error) {
+            console.error('RaceService.assignTransponder - Error:', error);
+            throw error;
+        }
+    }
+
+    async getRegistrationByBib(raceId, bib) {
+        try {
+            const registration = await RaceResult.findOne({ race: raceId, bib })
+                .populate('rider', 'firstName lastName email category')
+                .exec();
+
+            if (!registration) {
+                throw new Error(`No rider with bib ${bib} in this race`);
+            }
+            return registration;
+        } catch (error) {
+            console.error('RaceService.getRegistrationByBib - Error:', error);
+            throw error;
+        }
+    }
+
+    async applyResultAdjustment(raceId, riderId, { type, seconds, correctedTime, reason }, appliedBy = null) {
+        try {
+            const validTypes = ['Penalty', 'Bonus', 'Correction'];
+            if (!validTypes.includes(type)) {
+                throw new Error('Invalid adjustment type');
+            }
+
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            this.ensureResultsEditable(race);
+
+            const result = await RaceResult.findOne({ race: raceId, rider: riderId }).exec();
+            if (!result) {
+                throw new Error('Rider not found in this race');
+            }
+
+            const refusal = this.getAdjustmentRefusal(result, type);
+            if (refusal) {
+                throw new Error(refusal);
+            }
+
+            const previousAdjustedTime = this.getEffectiveTime(result);
+
+            if (type === 'Penalty') {
+                result.penaltyTime = (result.penaltyTime || 0) + seconds;
+            } else if (type === 'Bonus') {
+                result.penaltyTime = (result.penaltyTime || 0) - seconds;
+            } else {
+                result.correctedTime = correctedTime;
+            }
+
+            const newAdjustedTime = this.calculateAdjustedTime(result);
+            if (newAdjustedTime != null) {
+                result.adjustedTime = newAdjustedTime;
+            }
+            await result.save();
+
+            const adjustment = await ResultAdjustment.create({
+                raceResult: result._id,
                 race: raceId,
                 rider: riderId,
-                status: 'Registered'
+                type,
+                seconds: type === 'Correction' ? correctedTime : seconds,
+                previousAdjustedTime,
+                newAdjustedTime,
+                reason,
+                appliedBy
             });
 
-            return await registration.save();
+            if (result.status === 'Finished') {
+                await this.updateRacePositions(raceId);
+            }
+
+            const updatedResult = await RaceResult.findById(result._id)
+                .populate('rider', 'firstName lastName email category')
+                .exec();
+
+            publishRaceEvent(raceId, 'result.adjusted', {
+                ...this.toLiveRider(updatedResult),
+                type,
+                reason,
+                formattedAdjustedTime: this.formatTime(this.getEffectiveTime(updatedResult))
+            });
+
+            return {
+                result: {
+                    ...updatedResult.toObject(),
+                    formattedTime: this.formatTime(updatedResult.totalTime),
+                    formattedAdjustedTime: this.formatTime(this.getEffectiveTime(updatedResult))
+                },
+                adjustment
+            };
         } catch (error) {
-            console.error('RaceService.registerParticipant - Error:', error);
+            console.error('RaceService.applyResultAdjustment - Error:', error);
+            throw error;
+        }
+    }
+
+    // Why a time adjustment of this type cannot be applied to the result, or null when it can
+    getAdjustmentRefusal(result, type) {
+        if (['DNF', 'DSQ'].includes(result.status)) {
+            return `Cannot adjust the time of a rider with status ${result.status}`;
+        }
+        if (type === 'Correction' && result.status !== 'Finished') {
+            return 'Only finished results can have their time corrected';
+        }
+        return null;
+    }
+
+    async getResultAdjustments(raceId, riderId) {
+        try {
+            const result = await RaceResult.findOne({ race: raceId, rider: riderId }).exec();
+            if (!result) {
+                throw new Error('Rider not found in this race');
+            }
+
+            const history = await ResultAdjustment.find({ raceResult: result._id })
+                .sort({ createdAt: 1 })
+                .exec();
+
+            return {
+                resultId: result._id,
+                totalTime: result.totalTime,
+                penaltyTime: result.penaltyTime || 0,
+                correctedTime: result.correctedTime,
+                adjustedTime: this.getEffectiveTime(result),
+                history
+            };
+        } catch (error) {
+            console.error('RaceService.getResultAdjustments - Error:', error);
+            throw error;
+        }
+    }
+
+    ensureResultsEditable(race) {
+        if (race.resultsStatus === 'Official') {
+            throw conflictError('Results are official and locked. Reopen them before making changes');
+        }
+    }
+
+    getResultsState(race) {
+        const status = race.resultsStatus || 'Provisional';
+        const now = new Date();
+
+        return {
+            status,
+            isOfficial: status === 'Official',
+            protestWindowEndsAt: race.protestWindowEndsAt || null,
+            protestWindowOpen: status === 'ProtestWindow' && !!race.protestWindowEndsAt && race.protestWindowEndsAt > now,
+            publishedAt: race.resultsPublishedAt || null
+        };
+    }
+
+    async publishResults(raceId, publishedBy = null, note = null) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            if (race.status !== 'Completed') {
+                throw conflictError('Results can only be published once the race is completed');
+            }
+            if (race.resultsStatus === 'Official') {
+                throw conflictError('Results are already official');
+            }
+
+            const now = new Date();
+            if (race.protestWindowEndsAt && race.protestWindowEndsAt > now) {
+                throw conflictError(`The protest window is open until ${race.protestWindowEndsAt.toISOString()}`);
+            }
+
+            const openProtests = await Protest.countDocuments({ race: raceId, status: 'Open' });
+            if (openProtests > 0) {
+                throw conflictError(`${openProtests} protest(s) are still open and must be decided before publishing`);
+            }
+
+            const updatedRace = await Race.findByIdAndUpdate(
+                raceId,
+                {
+                    resultsStatus: 'Official',
+                    resultsPublishedAt: now,
+                    $push: { resultsLog: { action: 'Published', reason: note, by: publishedBy, at: now } }
+                },
+                { new: true }
+            ).exec();
+
+            return { race: updatedRace, resultsStatus: this.getResultsState(updatedRace) };
+        } catch (error) {
+            console.error('RaceService.publishResults - Error:', error);
+            throw error;
+        }
+    }
+
+    async reopenResults(raceId, reason, reopenedBy = null) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            if (race.resultsStatus !== 'Official') {
+                throw conflictError('Only official results can be reopened');
+            }
+
+            const updatedRace = await Race.findByIdAndUpdate(
+                raceId,
+                {
+                    resultsStatus: 'Provisional',
+                    $push: { resultsLog: { action: 'Reopened', reason, by: reopenedBy, at: new Date() } }
+                },
+                { new: true }
+            ).exec();
+
+            return { race: updatedRace, resultsStatus: this.getResultsState(updatedRace) };
+        } catch (error) {
+            console.error('RaceService.reopenResults - Error:', error);
             throw error;
         }
     }
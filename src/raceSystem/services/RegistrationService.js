@@ -0,0 +1,417 @@
+const Race = require('../data/models/Race');
+const RaceResult = require('../data/models/RaceResult');
+const WaitlistEntry = require('../data/models/WaitlistEntry');
+const RegistrationChange = require('../data/models/RegistrationChange');
+const Rider = require('../../rider/data/models/Rider');
+const RaceService = require('./RaceService');
+const PaymentService = require('../../payment/services/PaymentService');
+const { sendEmail } = require('../../utils/emailHandler');
+const { conflictError, createHttpError } = require('../../utils/errorHandler');
+
+const ACTIVE_WAITLIST_STATUSES = ['Waiting', 'Offered'];
+const WITHDRAWABLE_RACE_STATUSES = ['Draft', 'Open', 'Closed', 'Postponed'];
+const REFUNDABLE_PAYMENT_STATUSES = ['Paid', 'PartiallyRefunded'];
+// A transferred entry keeps its spot, so only the rules about the new rider themselves apply
+const RACE_WIDE_REFUSALS = ['RACE_NOT_OPEN', 'REGISTRATION_NOT_OPEN', 'REGISTRATION_CLOSED', 'RACE_FULL'];
+// A confirmed waitlist offer fills a spot held for the rider, possibly after the window closed,
+// but the race itself must still be Open
+const HELD_SPOT_WAIVERS = ['REGISTRATION_NOT_OPEN', 'REGISTRATION_CLOSED', 'RACE_FULL'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RegistrationService {
+    constructor() {
+        this.raceService = new RaceService();
+        this.paymentService = new PaymentService();
+    }
+
+    // Registers the rider, or queues them on the waitlist when the race is full and
+    // that is the only reason they were refused
+    async register(raceId, riderId, bib = null, options = {}) {
+        try {
+            // Free spots go to riders already waiting before anyone new
+            await this.processWaitlist(raceId);
+            const registration = await this.raceService.registerParticipant(raceId, riderId, bib, options);
+            return { status: 'Registered', registration };
+        } catch (error) {
+            const onlyFull = error.reasons && error.reasons.every(reason => reason.code === 'RACE_FULL');
+            if (!onlyFull) {
+                throw error;
+            }
+            const waitlist = await this.joinWaitlist(raceId, riderId, options.discountCode);
+            return { status: 'Waitlisted', ...waitlist };
+        }
+    }
+
+    // The discount code is kept with the entry and checked again when the rider confirms an offer
+    async joinWaitlist(raceId, riderId, discountCode = null) {
+        try {
+            const existing = await WaitlistEntry.findOne({
+                race: raceId,
+                rider: riderId,
+                status: { $in: ACTIVE_WAITLIST_STATUSES }
+            }).exec();
+            if (existing) {
+                throw conflictError('Rider is already on the waitlist for this race');
+            }
+
+            const entry = await WaitlistEntry.create({ race: raceId, rider: riderId, discountCode: discountCode || undefined });
+            const position = await WaitlistEntry.countDocuments({
+                race: raceId,
+                status: 'Waiting',
+                createdAt: { $lte: entry.createdAt }
+            });
+
+            return { entry, position };
+        } catch (error) {
+            console.error('RegistrationService.joinWaitlist - Error:', error);
+            throw error;
+        }
+    }
+
+    async leaveWaitlist(raceId, riderId) {
+        try {
+            const entry = await WaitlistEntry.findOneAndUpdate(
+                { race: raceId, rider: riderId, status: { $in: ACTIVE_WAITLIST_STATUSES } },
+                { status: 'Left' },
+                { new: true }
+            ).exec();
+            if (!entry) {
+                throw new Error('Waitlist entry not found');
+            }
+
+            // A rider turning down an offer frees the held spot for the next in line
+            await this.processWaitlist(raceId);
+            return entry;
+        } catch (error) {
+            console.error('RegistrationService.leaveWaitlist - Error:', error);
+            throw error;
+        }
+    }
+
+    async getWaitlist(raceId) {
+        try {
+            await this.processWaitlist(raceId);
+
+            const entries = await WaitlistEntry.find({ race: raceId, status: { $in: ACTIVE_WAITLIST_STATUSES } })
+                .populate('rider', 'firstName lastName email category')
+                .sort({ createdAt: 1 })
+                .exec();
+
+            const waiting = entries.filter(entry => entry.status === 'Waiting');
+            return {
+                offered: entries.filter(entry => entry.status === 'Offered'),
+                waiting: waiting.map((entry, index) => ({ position: index + 1, entry }))
+            };
+        } catch (error) {
+            console.error('RegistrationService.getWaitlist - Error:', error);
+            throw error;
+        }
+    }
+
+    // Expires overdue offers and offers every free spot to the next waiting riders. Runs
+    // whenever a spot may have opened up; there is no scheduler, so admins can also trigger it
+    async processWaitlist(raceId) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const expired = await WaitlistEntry.updateMany(
+                { race: raceId, status: 'Offered', offerExpiresAt: { $lte: new Date() } },
+                { status: 'Expired' }
+            );
+
+            const promoted = [];
+            if (race.status === 'Open' && race.maxParticipants) {
+                let freeSpots = race.maxParticipants - await this.raceService.countTakenSpots(raceId);
+                while (freeSpots > 0) {
+                    const entry = await this.offerNextSpot(race);
+                    if (!entry) break;
+                    promoted.push(entry);
+                    freeSpots--;
+                }
+            }
+
+            return { expired: expired.modifiedCount || 0, promoted };
+        } catch (error) {
+            console.error('RegistrationService.processWaitlist - Error:', error);
+            throw error;
+        }
+    }
+
+    async offerNextSpot(race) {
+        const offeredAt = new Date();
+        const offerExpiresAt = new Date(offeredAt.getTime() + (race.waitlistConfirmHours || 48) * 60 * 60 * 1000);
+
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { race: race._id, status: 'Waiting' },
+            { status: 'Offered', offeredAt, offerExpiresAt },
+            { new: true, sort: { createdAt: 1 } }
+        ).populate('rider', 'firstName lastName email').exec();
+        if (!entry) {
+            return null;
+        }
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    entry.rider.email,
+                    `A spot has opened up in ${race.name}`,
+                    `Hi ${entry.rider.firstName} ${entry.rider.lastName},
+
+A spot has opened up in ${race.name} and it is being held for you.
+
+Please confirm your place before ${offerExpiresAt.toUTCString()}. After that the spot passes to the next rider on the waitlist.
+
+Best regards,
+Race Team`
+                );
+            } catch (error) {
+                console.error('Waitlist offer email failed:', { entryId: entry._id, error: error.message });
+            }
+        });
+
+        return entry;
+    }
+
+    async confirmWaitlistOffer(raceId, riderId, discountCode = null) {
+        try {
+            const entry = await WaitlistEntry.findOne({ race: raceId, rider: riderId, status: 'Offered' }).exec();
+            if (!entry) {
+                throw new Error('No open waitlist offer for this rider');
+            }
+            if (entry.offerExpiresAt <= new Date()) {
+                await this.processWaitlist(raceId);
+                throw conflictError(`The waitlist offer expired at ${entry.offerExpiresAt.toISOString()}`);
+            }
+
+            // The spot was held for this rider, so only the capacity and window checks no longer apply
+            const registration = await this.raceService.registerParticipant(raceId, riderId, null, {
+                waive: HELD_SPOT_WAIVERS,
+                discountCode: discountCode || entry.discountCode || null
+            });
+
+            entry.status = 'Confirmed';
+            entry.confirmedAt = new Date();
+            await entry.save();
+
+            return registration;
+        } catch (error) {
+            console.error('RegistrationService.confirmWaitlistOffer - Error:', error);
+            throw error;
+        }
+    }
+
+    // Share of the entry fee refunded when withdrawing now: the rule with the most days
+    // before the start that has not passed yet
+    getRefundPercent(race, now = new Date()) {
+        const daysLeft = (new Date(race.startTime) - now) / DAY_MS;
+        const rule = [...(race.refundPolicy || [])]
+            .sort((a, b) => b.daysBefore - a.daysBefore)
+            .find(candidate => daysLeft >= candidate.daysBefore);
+        return rule ? rule.percent : 0;
+    }
+
+    async getChangeableRegistration(raceId, riderId, action) {
+        const race = await Race.findById(raceId).exec();
+        if (!race) {
+            throw new Error('Race not found');
+        }
+        if (!WITHDRAWABLE_RACE_STATUSES.includes(race.status)) {
+            throw conflictError(`Riders cannot ${action} from a race that is ${race.status}`);
+        }
+
+        const registration = await RaceResult.findOne({ race: raceId, rider: riderId }).exec();
+        if (!registration) {
+            throw new Error('Rider not found in this race');
+        }
+        if (registration.status !== 'Registered') {
+            throw conflictError(`Rider cannot ${action} with status ${registration.status}`);
+        }
+
+        return { race, registration };
+    }
+
+    // Refunds percent of what was paid for the entry, never more than is still unrefunded
+    async refundEntry(race, registration, percent, reason) {
+        const refund = { amountPaid: 0, refundPercent: percent, refundAmount: 0, payment: null };
+        if (!REFUNDABLE_PAYMENT_STATUSES.includes(registration.paymentStatus)) {
+            return refund;
+        }
+
+        const { paid, refunded } = await this.paymentService.getPaidTotals(registration._id);
+        refund.amountPaid = paid;
+
+        const amount = Math.min(Math.round(paid * percent) / 100, paid - refunded);
+        if (amount > 0) {
+            const payment = await this.paymentService.refundPayment(race._id, registration.rider, { amount, reason });
+            refund.refundAmount = amount;
+            refund.payment = payment._id;
+        }
+        return refund;
+    }
+
+    async leaveActiveWaitlist(raceId, riderId) {
+        const left = await WaitlistEntry.updateMany(
+            { race: raceId, rider: riderId, status: { $in: ACTIVE_WAITLIST_STATUSES } },
+            { status: 'Left' }
+        );
+        return left.modifiedCount || 0;
+    }
+
+    async recordChange(type, registration, riderId, fields) {
+        return await RegistrationChange.create({
+            type,
+            race: registration.race,
+            rider: riderId,
+            registration: registration._id,
+            bib: registration.bib,
+            ...fields
+        });
+    }
+
+    // Admins may replace the race refund policy with their own refundPercent
+    async withdrawParticipant(raceId, riderId, { reason = null, refundPercent = null, requestedBy } = {}) {
+        try {
+            const { race, registration } = await this.getChangeableRegistration(raceId, riderId, 'withdraw');
+
+            const percent = refundPercent === null ? this.getRefundPercent(race) : refundPercent;
+            const refund = await this.refundEntry(race, registration, percent, reason || 'Rider withdrew from the race');
+
+            await RaceResult.findByIdAndDelete(registration._id).exec();
+            await this.raceService.releaseSpot(raceId);
+            await this.paymentService.cancelPendingPayments(registration._id, 'Entry withdrawn');
+            const change = await this.recordChange('Withdrawal', registration, riderId, { ...refund, reason, requestedBy });
+            const waitlist = await this.processWaitlist(raceId);
+
+            return { registration, refund, change, promoted: waitlist.promoted };
+        } catch (error) {
+            console.error('RegistrationService.withdrawParticipant - Error:', error);
+            throw error;
+        }
+    }
+
+    // The new rider takes over the entry as it stands: bib, start slot and payment. Bib ranges
+    // and prices are set per category, so the entry only passes to a rider of the same category
+    async transferEntry(raceId, riderId, toRiderId, { reason = null, requestedBy } = {}) {
+        try {
+            if (toRiderId.toString() === riderId.toString()) {
+                throw createHttpError('An entry cannot be transferred to the rider who holds it', 400);
+            }
+            const { race, registration } = await this.getChangeableRegistration(raceId, riderId, 'transfer the entry');
+
+            const toRider = await Rider.findById(toRiderId).exec();
+            if (!toRider) {
+                throw new Error('Rider not found');
+            }
+            const existing = await RaceResult.findOne({ race: raceId, rider: toRiderId }).exec();
+            if (existing) {
+                throw conflictError('The new rider is already registered for this race');
+            }
+
+            const reasons = this.raceService.getRegistrationRefusals(toRider, race)
+                .filter(refusal => !RACE_WIDE_REFUSALS.includes(refusal.code));
+            const fromRider = await Rider.findById(riderId).exec();
+            if (fromRider && fromRider.category !== toRider.category) {
+                reasons.push({
+                    code: 'CATEGORY_MISMATCH',
+                    message: `The entry is for a ${fromRider.category} rider; ${toRider.category} riders need their own entry`
+                });
+            }
+            if (reasons.length > 0) {
+                const error = conflictError(`Transfer refused: ${reasons.map(refusal => refusal.message).join('; ')}`);
+                error.reasons = reasons;
+                throw error;
+            }
+
+            const team = await this.raceService.findRiderTeam(toRiderId, race);
+            registration.rider = toRiderId;
+            registration.team = team ? team._id : undefined;
+            const transferred = await registration.save();
+
+            await this.paymentService.reassignPendingPayments(registration._id, toRiderId);
+            const change = await this.recordChange('Transfer', registration, riderId, {
+                toRider: toRiderId,
+                newRegistration: registration._id,
+                reason,
+                requestedBy
+            });
+
+            // The new rider no longer needs a place on the waitlist, nor a spot held for them
+            if (await this.leaveActiveWaitlist(raceId, toRiderId) > 0) {
+                await this.processWaitlist(raceId);
+            }
+
+            return { registration: transferred, change };
+        } catch (error) {
+            console.error('RegistrationService.transferEntry - Error:', error);
+            throw error;
+        }
+    }
+
+    // Moves the rider to another race of the same event. The new race's rules, capacity and
+    // price apply; what was paid for the old entry is refunded in full
+    async switchRace(raceId, riderId, toRaceId, { reason = null, requestedBy } = {}) {
+        try {
+            if (toRaceId.toString() === raceId.toString()) {
+                throw createHttpError('The rider is already entered in this race', 400);
+            }
+            const { race, registration } = await this.getChangeableRegistration(raceId, riderId, 'switch races');
+
+            const toRace = await Race.findById(toRaceId).exec();
+            if (!toRace) {
+                throw new Error('Race not found');
+            }
+            if (!race.event || race.event !== toRace.event) {
+                throw conflictError('Riders can only switch between races of the same event');
+            }
+
+            // Riders already waiting for the new race get its free spots first
+            await this.processWaitlist(toRaceId);
+            const newRegistration = await this.raceService.registerParticipant(toRaceId, riderId);
+
+            let refund;
+            try {
+                refund = await this.refundEntry(race, registration, 100, reason || `Switched to ${toRace.name}`);
+            } catch (error) {
+                await RaceResult.findByIdAndDelete(newRegistration._id).exec();
+                await this.raceService.releaseSpot(toRaceId);
+                throw error;
+            }
+
+            await RaceResult.findByIdAndDelete(registration._id).exec();
+            await this.raceService.releaseSpot(raceId);
+            await this.paymentService.cancelPendingPayments(registration._id, `Entry switched to ${toRace.name}`);
+            await this.leaveActiveWaitlist(toRaceId, riderId);
+            const change = await this.recordChange('Switch', registration, riderId, {
+                toRace: toRaceId,
+                newRegistration: newRegistration._id,
+                ...refund,
+                reason,
+                requestedBy
+            });
+            const waitlist = await this.processWaitlist(raceId);
+
+            return { registration: newRegistration, previousRegistration: registration, refund, change, promoted: waitlist.promoted };
+        } catch (error) {
+            console.error('RegistrationService.switchRace - Error:', error);
+            throw error;
+        }
+    }
+
+    async getRegistrationChanges(raceId) {
+        try {
+            return await RegistrationChange.find({ $or: [{ race: raceId }, { toRace: raceId }] })
+                .populate('rider', 'firstName lastName email')
+                .populate('toRider', 'firstName lastName email')
+                .sort({ createdAt: -1 })
+                .exec();
+        } catch (error) {
+            console.error('RegistrationService.getRegistrationChanges - Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RegistrationService;
@@ -0,0 +1,187 @@
+const Race = require('../data/models/Race');
+const RaceService = require('./RaceService');
+const { toCsv, escapeCsvFormula } = require('../../utils/csvHandler');
+const { buildWorkbook } = require('../../utils/xlsxWriter');
+const { buildTablePdf } = require('../../utils/pdfWriter');
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+// Column widths are in PDF points; an A4 page leaves 515 between the margins
+const SECTIONS = {
+    finished: {
+        heading: 'Results',
+        sheet: 'Results',
+        emptyText: 'No finishers yet',
+        columns: [['Pos', 30], ['Bib', 35], ['Name', 140], ['Category', 75], ['Team', 100], ['Laps', 35], ['Time', 50], ['Gap', 50]]
+    },
+    dnf: {
+        heading: 'Did not finish',
+        sheet: 'DNF',
+        emptyText: 'None',
+        columns: [['Bib', 35], ['Name', 140], ['Category', 75], ['Team', 100], ['Laps', 35], ['Notes', 130]]
+    },
+    dsq: {
+        heading: 'Disqualified',
+        sheet: 'DSQ',
+        emptyText: 'None',
+        columns: [['Bib', 35], ['Name', 140], ['Category', 75], ['Team', 100], ['Notes', 165]]
+    },
+    teams: {
+        heading: 'Team classification',
+        sheet: 'Teams',
+        emptyText: 'No teams classified',
+        columns: [['Pos', 30], ['Team', 185], ['Finishers', 60], ['Score', 120], ['Gap', 120]]
+    }
+};
+
+// Columns holding names and notes typed in by riders and officials
+const TEXT_COLUMNS = ['Name', 'Category', 'Team', 'Notes'];
+
+class ResultsExportService {
+    constructor() {
+        this.raceService = new RaceService();
+    }
+
+    getRiderName(result) {
+        const rider = result.rider;
+        return rider && rider.firstName ? `${rider.firstName} ${rider.lastName}` : 'Unknown rider';
+    }
+
+    getRiderColumns(result) {
+        return [
+            result.bib != null ? result.bib : null,
+            this.getRiderName(result),
+            result.rider && result.rider.category ? result.rider.category : null,
+            result.team && result.team.name ? result.team.name : null
+        ];
+    }
+
+    // One layout shared by every format so the CSV, spreadsheet and PDF always agree
+    buildResultSheet(race, results) {
+        const finished = results.filter(r => r.status === 'Finished');
+        const teamClassification = this.raceService.buildTeamClassification(finished, race);
+        const resultsStatus = this.raceService.getResultsState(race);
+
+        const rows = {
+            finished: finished.map((result, index) => [
+                result.position || index + 1,
+                ...this.getRiderColumns(result),
+                result.lapsCompleted != null ? result.lapsCompleted : null,
+                this.raceService.formatTime(this.raceService.getEffectiveTime(result)),
+                index === 0 ? null : this.raceService.formatGap(result, finished[0])
+            ]),
+            dnf: results.filter(r => r.status === 'DNF').map(result => [
+                ...this.getRiderColumns(result),
+                result.lapsCompleted != null ? result.lapsCompleted : null,
+                result.notes || null
+            ]),
+            dsq: results.filter(r => r.status === 'DSQ').map(result => [
+                ...this.getRiderColumns(result),
+                result.notes || null
+            ]),
+            teams: teamClassification.standings.map(standing => [
+                standing.position,
+                standing.team.name || null,
+                standing.finishers,
+                teamClassification.mode === 'Time' ? standing.formattedTime : `${standing.score} pts`,
+                standing.gap == null ? null
+                    : (teamClassification.mode === 'Time' ? standing.gap : `-${standing.gap} pts`)
+            ])
+        };
+
+        const details = [
+            race.location && race.location.name,
+            race.startTime ? new Date(race.startTime).toISOString().slice(0, 10) : null,
+            `${resultsStatus.status} results`
+        ].filter(Boolean);
+
+        return {
+            title: race.name,
+            subtitle: details.join(' - '),
+            resultsStatus,
+            sections: Object.entries(SECTIONS).map(([key, section]) => ({
+                key,
+                heading: section.heading,
+                sheet: section.sheet,
+                emptyText: section.emptyText,
+                columns: section.columns.map(([label, width]) => ({ label, width })),
+                rows: rows[key]
+            }))
+        };
+    }
+
+    renderCsv(sheet) {
+        const rows = [[escapeCsvFormula(sheet.title)], [escapeCsvFormula(sheet.subtitle)]];
+        sheet.sections.forEach(section => {
+            const isText = section.columns.map(column => TEXT_COLUMNS.includes(column.label));
+            rows.push([], [section.heading], section.columns.map(column => column.label));
+            rows.push(...(section.rows.length > 0
+                ? section.rows.map(row => row.map((value, index) => (isText[index] ? escapeCsvFormula(value) : value)))
+                : [[section.emptyText]]));
+        });
+        // The byte order mark makes Excel read the file as UTF-8
+        return Buffer.from(`\uFEFF${toCsv(rows)}`, 'utf8');
+    }
+
+    // The results sheet opens with the race title and status; every other sheet is a plain table
+    renderSpreadsheet(sheet) {
+        return buildWorkbook(sheet.sections.map((section, index) => {
+            const header = section.columns.map(column => column.label);
+            if (index === 0) {
+                return { name: section.sheet, rows: [[sheet.title], [sheet.subtitle], [], header, ...section.rows], boldRows: [0, 3] };
+            }
+            return { name: section.sheet, rows: [header, ...section.rows] };
+        }));
+    }
+
+    renderPdf(sheet) {
+        return buildTablePdf(sheet);
+    }
+
+    getFileName(race, extension) {
+        const slug = String(race.name || 'race')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return `${slug || 'race'}-results.${extension}`;
+    }
+
+    async exportResults(raceId, format = 'csv') {
+        try {
+            const exportFormat = EXPORT_FORMATS[format];
+            if (!exportFormat) {
+                throw new Error(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+            }
+
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const results = await this.raceService.raceResultRepository.getResultsByRace(raceId);
+            const sheet = this.buildResultSheet(race, results);
+
+            const renderers = {
+                csv: () => this.renderCsv(sheet),
+                xlsx: () => this.renderSpreadsheet(sheet),
+                pdf: () => this.renderPdf(sheet)
+            };
+
+            return {
+                fileName: this.getFileName(race, exportFormat.extension),
+                contentType: exportFormat.contentType,
+                resultsStatus: sheet.resultsStatus,
+                content: renderers[format]()
+            };
+        } catch (error) {
+            console.error('ResultsExportService.exportResults - Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ResultsExportService;
@@ -0,0 +1,295 @@
+const Series = require('../data/models/Series');
+const Race = require('../data/models/Race');
+const RaceResult = require('../data/models/RaceResult');
+const RaceService = require('./RaceService');
+
+const RACE_FIELDS = 'name startTime status resultsStatus categories ageGroups';
+
+class SeriesService {
+    constructor() {
+        this.raceService = new RaceService();
+    }
+
+    async createSeries(seriesData) {
+        try {
+            await this.ensureRacesExist(seriesData.races);
+            return await Series.create(seriesData);
+        } catch (error) {
+            console.error('SeriesService.createSeries - Error:', error);
+            throw error;
+        }
+    }
+
+    async getAllSeries(season = null) {
+        try {
+            const filter = season ? { season } : {};
+            return await Series.find(filter).sort({ season: -1, name: 1 }).exec();
+        } catch (error) {
+            console.error('SeriesService.getAllSeries - Error:', error);
+            throw error;
+        }
+    }
+
+    async getSeriesById(seriesId) {
+        try {
+            return await Series.findById(seriesId).populate('races', RACE_FIELDS).exec();
+        } catch (error) {
+            console.error('SeriesService.getSeriesById - Error:', error);
+            throw error;
+        }
+    }
+
+    async updateSeries(seriesId, updateData) {
+        try {
+            await this.ensureRacesExist(updateData.races);
+            return await Series.findByIdAndUpdate(seriesId, updateData, { new: true, runValidators: true }).exec();
+        } catch (error) {
+            console.error('SeriesService.updateSeries - Error:', error);
+            throw error;
+        }
+    }
+
+    async deleteSeries(seriesId) {
+        try {
+            return await Series.findByIdAndDelete(seriesId).exec();
+        } catch (error) {
+            console.error('SeriesService.deleteSeries - Error:', error);
+            throw error;
+        }
+    }
+
+    async addRace(seriesId, raceId) {
+        try {
+            await this.ensureRacesExist([raceId]);
+            return await Series.findByIdAndUpdate(seriesId, { $addToSet: { races: raceId } }, { new: true }).exec();
+        } catch (error) {
+            console.error('SeriesService.addRace - Error:', error);
+            throw error;
+        }
+    }
+
+    async removeRace(seriesId, raceId) {
+        try {
+            return await Series.findByIdAndUpdate(seriesId, { $pull: { races: raceId } }, { new: true }).exec();
+        } catch (error) {
+            console.error('SeriesService.removeRace - Error:', error);
+            throw error;
+        }
+    }
+
+    async ensureRacesExist(raceIds) {
+        if (!raceIds || raceIds.length === 0) return;
+
+        const found = await Race.countDocuments({ _id: { $in: raceIds } });
+        if (found !== raceIds.length) {
+            throw new Error('One or more races not found');
+        }
+    }
+
+    // Only races whose results have been published as official score points
+    async getStandings(seriesId, category = null) {
+        try {
+            const series = await Series.findById(seriesId).exec();
+            if (!series) {
+                throw new Error('Series not found');
+            }
+
+            const races = await Race.find({ _id: { $in: series.races } })
+                .select(RACE_FIELDS)
+                .sort({ startTime: 1 })
+                .exec();
+            const officialRaces = races.filter(race => race.resultsStatus === 'Official');
+
+            const results = officialRaces.length === 0 ? [] : await RaceResult.find({
+                race: { $in: officialRaces.map(race => race._id) },
+                status: { $in: ['Finished', 'DNF', 'DSQ'] }
+            }).populate('rider', 'firstName lastName category dateOfBirth').exec();
+
+            let standings = this.buildStandings(series, officialRaces, results);
+            if (category) {
+                standings = standings.filter(group => group.category === category);
+            }
+
+            return {
+                series: {
+                    id: series._id,
+                    name: series.name,
+                    season: series.season,
+                    pointsTable: series.pointsTable,
+                    finisherPoints: series.finisherPoints,
+                    dropWorst: series.dropWorst,
+                    tieBreakers: series.tieBreakers
+                },
+                racesCounted: officialRaces.map(race => ({ id: race._id, name: race.name, startTime: race.startTime })),
+                racesPending: races.length - officialRaces.length,
+                standings
+            };
+        } catch (error) {
+            console.error('SeriesService.getStandings - Error:', error);
+            throw error;
+        }
+    }
+
+    async getRiderBreakdown(seriesId, riderId) {
+        try {
+            const { series, racesCounted, standings } = await this.getStandings(seriesId);
+
+            for (const group of standings) {
+                const row = group.riders.find(entry => entry.rider._id.toString() === riderId.toString());
+                if (row) {
+                    return { series, racesCounted, category: group.category, ...row };
+                }
+            }
+
+            throw new Error('Rider has no results in this series');
+        } catch (error) {
+            console.error('SeriesService.getRiderBreakdown - Error:', error);
+            throw error;
+        }
+    }
+
+    getPointsForPosition(series, categoryPosition) {
+        if (!categoryPosition) return 0;
+        const points = series.pointsTable[categoryPosition - 1];
+        return points !== undefined ? points : (series.finisherPoints || 0);
+    }
+
+    // races must be ordered by start time; results are Finished/DNF/DSQ entries of those races
+    buildStandings(series, races, results) {
+        const resultsByRace = new Map();
+        results.forEach(result => {
+            const raceId = (result.race._id || result.race).toString();
+            if (!resultsByRace.has(raceId)) resultsByRace.set(raceId, []);
+            resultsByRace.get(raceId).push(result);
+        });
+
+        const riders = new Map();
+        const rowFor = (rider) => {
+            const key = rider._id.toString();
+            if (!riders.has(key)) {
+                riders.set(key, { rider, category: rider.category, scores: new Map() });
+            }
+            return riders.get(key);
+        };
+
+        races.forEach(race => {
+            const raceId = race._id.toString();
+            const raceResults = (resultsByRace.get(raceId) || []).filter(result => result.rider);
+            const finished = raceResults
+                .filter(result => result.status === 'Finished')
+                .sort((a, b) => (a.position || Number.MAX_SAFE_INTEGER) - (b.position || Number.MAX_SAFE_INTEGER));
+            const groupPositions = this.raceService.getGroupPositions(finished, race);
+
+            finished.forEach((result, index) => {
+                const { categoryPosition } = groupPositions[index];
+                rowFor(result.rider).scores.set(raceId, {
+                    status: 'Finished',
+                    position: result.position,
+                    categoryPosition,
+                    points: this.getPointsForPosition(series, categoryPosition)
+                });
+            });
+
+            raceResults
+                .filter(result => result.status !== 'Finished')
+                .forEach(result => {
+                    rowFor(result.rider).scores.set(raceId, { status: result.status, points: 0 });
+                });
+        });
+
+        const byCategory = new Map();
+        riders.forEach(row => {
+            if (series.categories && series.categories.length > 0 && !series.categories.includes(row.category)) return;
+
+            const scored = this.scoreRider(series, races, row);
+            if (!byCategory.has(row.category)) byCategory.set(row.category, []);
+            byCategory.get(row.category).push(scored);
+        });
+
+        return [...byCategory.entries()].map(([category, rows]) => ({
+            category,
+            riders: this.rankRiders(rows, series.tieBreakers || [])
+        }));
+    }
+
+    scoreRider(series, races, row) {
+        const raceScores = races.map(race => ({
+            race: race._id,
+            name: race.name,
+            startTime: race.startTime,
+            dropped: false,
+            ...(row.scores.get(race._id.toString()) || { status: 'DidNotRace', points: 0 })
+        }));
+
+        // Always keep at least one score so a single-race series still ranks riders
+        const dropCount = Math.min(series.dropWorst || 0, raceScores.length - 1);
+        [...raceScores]
+            .sort((a, b) => a.points - b.points)
+            .slice(0, Math.max(0, dropCount))
+            .forEach(score => { score.dropped = true; });
+
+        const placings = raceScores
+            .filter(score => score.categoryPosition)
+            .map(score => score.categoryPosition)
+            .sort((a, b) => a - b);
+
+        return {
+            rider: row.rider,
+            totalPoints: raceScores.filter(score => !score.dropped).reduce((sum, score) => sum + score.points, 0),
+            droppedPoints: raceScores.filter(score => score.dropped).reduce((sum, score) => sum + score.points, 0),
+            racesFinished: placings.length,
+            wins: placings.filter(position => position === 1).length,
+            placings,
+            races: raceScores
+        };
+    }
+
+    compareTieBreaker(tieBreaker, a, b) {
+        switch (tieBreaker) {
+            case 'MostWins':
+                return b.wins - a.wins;
+            case 'MostRacesFinished':
+                return b.racesFinished - a.racesFinished;
+            case 'BestPlacings': {
+                // Countback: best placing first, then the next best, and so on
+                const length = Math.max(a.placings.length, b.placings.length);
+                for (let i = 0; i < length; i++) {
+                    const diff = (a.placings[i] || Infinity) - (b.placings[i] || Infinity);
+                    if (diff !== 0) return diff;
+                }
+                return 0;
+            }
+            case 'LatestRace':
+                for (let i = a.races.length - 1; i >= 0; i--) {
+                    const diff = b.races[i].points - a.races[i].points;
+                    if (diff !== 0) return diff;
+                }
+                return 0;
+            default:
+                return 0;
+        }
+    }
+
+    // Riders still level after every tie-breaker share the position
+    rankRiders(rows, tieBreakers) {
+        const compare = (a, b) => {
+            if (b.totalPoints !== a.totalPoints) return b.totalPoints - a.totalPoints;
+            for (const tieBreaker of tieBreakers) {
+                const diff = this.compareTieBreaker(tieBreaker, a, b);
+                if (diff !== 0) return diff;
+            }
+            return 0;
+        };
+
+        const sorted = [...rows].sort(compare);
+        return sorted.map((row, index) => {
+            let position = index + 1;
+            while (position > 1 && compare(sorted[position - 2], row) === 0) {
+                position--;
+            }
+            return { position, ...row };
+        });
+    }
+}
+
+module.exports = SeriesService;
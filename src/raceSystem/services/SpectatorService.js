@@ -0,0 +1,280 @@
+const Race = require('../data/models/Race');
+const RaceResult = require('../data/models/RaceResult');
+const Rider = require('../../rider/data/models/Rider');
+const RaceService = require('./RaceService');
+const LiveEventService = require('./LiveEventService');
+const { conflictError } = require('../../utils/errorHandler');
+
+// Draft races are still being set up and stay hidden from spectators
+const PUBLIC_STATUSES = ['Open', 'Closed', 'InProgress', 'Completed', 'Cancelled', 'Postponed'];
+
+const RACE_LIST_FIELDS = 'name event location timezone startTime distance laps terrain difficulty categories status';
+const RACE_DETAIL_FIELDS = `${RACE_LIST_FIELDS} description endTime lapLength maxParticipants registrationOpensAt ` +
+    'registrationClosesAt entryFee startMode weatherConditions checkpoints course resultsStatus protestWindowEndsAt resultsPublishedAt';
+
+// Everything a spectator may see of a result: no contact details, payments, transponders or officials' notes
+const RESULT_FIELDS = ['position', 'bib', 'status', 'startTime', 'finishTime', 'totalTime', 'penaltyTime', 'adjustedTime',
+    'lapsCompleted', 'categoryPosition', 'ageGroup', 'ageGroupPosition', 'formattedTime', 'formattedSplitTime', 'gap', 'laps'];
+
+class SpectatorService {
+    constructor() {
+        this.raceService = new RaceService();
+        this.liveEventService = new LiveEventService();
+    }
+
+    toPublicRider(rider) {
+        if (!rider || !rider.firstName) return null;
+        return {
+            id: rider._id,
+            name: `${rider.firstName} ${rider.lastName}`,
+            category: rider.category || null
+        };
+    }
+
+    toPublicResult(result) {
+        const source = typeof result.toObject === 'function' ? result.toObject() : result;
+        const entry = {};
+        RESULT_FIELDS.forEach(field => {
+            if (source[field] !== undefined) entry[field] = source[field];
+        });
+
+        entry.rider = this.toPublicRider(source.rider);
+        entry.team = source.team && source.team.name ? { id: source.team._id, name: source.team.name } : null;
+        if (source.lastCheckpoint !== undefined) {
+            entry.lastCheckpoint = source.lastCheckpoint;
+        }
+        // Distance covered only; exact rider locations stay with race officials
+        if (source.gpsPosition !== undefined) {
+            entry.gpsPosition = source.gpsPosition
+                ? { distance: source.gpsPosition.distance, recordedAt: source.gpsPosition.recordedAt }
+                : null;
+        }
+        return entry;
+    }
+
+    toPublicRace(race) {
+        const { _id, __v, id, ...fields } = race;
+        return { id: _id, ...fields };
+    }
+
+    async findPublicRace(raceId, fields = RACE_DETAIL_FIELDS) {
+        const race = await Race.findOne({ _id: raceId, status: { $in: PUBLIC_STATUSES } })
+            .select(fields)
+            .lean()
+            .exec();
+        if (!race) {
+            throw new Error('Race not found');
+        }
+        return race;
+    }
+
+    // Races still to come (postponed ones included), plus any being ridden right now
+    async getUpcomingRaces({ page = 1, limit = 10, sort = 'startTime' }) {
+        try {
+            const skip = (page - 1) * limit;
+            const query = {
+                status: { $in: ['Open', 'Closed', 'Postponed', 'InProgress'] },
+                $or: [{ startTime: { $gt: new Date() } }, { status: 'InProgress' }]
+            };
+
+            const [races, totalCount] = await Promise.all([
+                Race.find(query)
+                    .select(RACE_LIST_FIELDS)
+                    .sort(sort)
+                    .skip(skip)
+                    .limit(limit)
+                    .lean()
+                    .exec(),
+                Race.countDocuments(query).exec()
+            ]);
+
+            return { races: races.map(race => this.toPublicRace(race)), totalCount };
+        } catch (error) {
+            console.error('SpectatorService.getUpcomingRaces - Error:', error);
+            throw error;
+        }
+    }
+
+    async getRace(raceId) {
+        try {
+            const race = await this.findPublicRace(raceId);
+            const { resultsStatus, protestWindowEndsAt, resultsPublishedAt, course, checkpoints, ...details } = race;
+
+            const participants = await RaceResult.countDocuments({ race: raceId }).exec();
+
+            return {
+                ...this.toPublicRace(details),
+                checkpoints: (checkpoints || [])
+                    .map(({ name, order, distance }) => ({ name, order, distance }))
+                    .sort((a, b) => a.order - b.order),
+                course: course
+                    ? {
+                        distance: course.distance,
+                        elevationGain: course.elevationGain,
+                        elevationLoss: course.elevationLoss,
+                        minElevation: course.minElevation,
+                        maxElevation: course.maxElevation,
+                        profile: course.profile || []
+                    }
+                    : null,
+                participants,
+                spotsLeft: race.maxParticipants ? Math.max(0, race.maxParticipants - participants) : null,
+                resultsStatus: this.raceService.getResultsState({ resultsStatus, protestWindowEndsAt, resultsPublishedAt })
+            };
+        } catch (error) {
+            console.error('SpectatorService.getRace - Error:', error);
+            throw error;
+        }
+    }
+
+    toPublicStandings(standings) {
+        return {
+            finished: standings.finished.map(result => this.toPublicResult(result)),
+            onCourse: standings.onCourse.map(result => this.toPublicResult(result)),
+            fastestLap: standings.fastestLap
+                ? { ...standings.fastestLap, rider: this.toPublicRider(standings.fastestLap.rider) }
+                : null,
+            stillRacing: standings.stillRacing,
+            dnf: standings.dnf,
+            dsq: standings.dsq,
+            totalStarted: standings.totalStarted
+        };
+    }
+
+    // Live events cut down to what the public endpoints show: standings in the public shape,
+    // and rider events without officials' notes or adjustment reasons
+    toPublicEvent(event) {
+        const { data } = event;
+        if (event.type === 'standings.snapshot') {
+            return { ...event, data: this.toPublicStandings(data) };
+        }
+        if (event.type === 'standings.updated') {
+            return { ...event, data: { changes: data.changes, standings: this.toPublicStandings(data.standings) } };
+        }
+        if (event.type.startsWith('rider.') || event.type === 'result.adjusted') {
+            const { notes, reason, ...fields } = data;
+            return { ...event, data: fields };
+        }
+        return event;
+    }
+
+    async getLiveStandings(raceId) {
+        try {
+            const race = await this.findPublicRace(raceId, 'name status');
+            const standings = await this.raceService.getLiveStandings(raceId);
+
+            return {
+                race: { id: race._id, name: race.name, status: race.status },
+                ...this.toPublicStandings(standings)
+            };
+        } catch (error) {
+            console.error('SpectatorService.getLiveStandings - Error:', error);
+            throw error;
+        }
+    }
+
+    // The admin live stream passed through toPublicEvent; returns the disconnect function
+    connectLiveEvents(raceId, send, lastEventId = null) {
+        return this.liveEventService.connect(raceId, event => send(this.toPublicEvent(event)), lastEventId);
+    }
+
+    // Provisional results can still change after protests, so only official ones are public
+    async getOfficialResults(raceId) {
+        try {
+            const race = await this.findPublicRace(raceId, 'name startTime location status resultsStatus resultsPublishedAt');
+            if (race.resultsStatus !== 'Official') {
+                throw conflictError('Results for this race are not official yet');
+            }
+
+            const { results, teamClassification } = await this.raceService.getRaceResults(raceId);
+            const finished = results.filter(result => result.status === 'Finished');
+
+            return {
+                race: { id: race._id, name: race.name, startTime: race.startTime, location: race.location },
+                publishedAt: race.resultsPublishedAt || null,
+                finished: finished.map((result, index) => this.toPublicResult({
+                    ...(typeof result.toObject === 'function' ? result.toObject() : result),
+                    position: result.position || index + 1,
+                    formattedTime: this.raceService.formatTime(this.raceService.getEffectiveTime(result)),
+                    gap: index === 0 ? null : this.raceService.formatGap(result, finished[0]),
+                    laps: this.raceService.formatLapTimes(result)
+                })),
+                dnf: results.filter(result => result.status === 'DNF').map(result => this.toPublicResult(result)),
+                dsq: results.filter(result => result.status === 'DSQ').map(result => this.toPublicResult(result)),
+                teamClassification: {
+                    ...teamClassification,
+                    standings: teamClassification.standings.map(standing => ({
+                        ...standing,
+                        counted: standing.counted.map(entry => ({ ...entry, rider: this.toPublicRider(entry.rider) }))
+                    }))
+                }
+            };
+        } catch (error) {
+            console.error('SpectatorService.getOfficialResults - Error:', error);
+            throw error;
+        }
+    }
+
+    // Name, nationality and category, with the rider's results from races whose results are official
+    async getRiderProfile(riderId) {
+        try {
+            const rider = await Rider.findById(riderId).select('firstName lastName nationality category').lean().exec();
+            if (!rider) {
+                throw new Error('Rider not found');
+            }
+
+            const results = await RaceResult.find({ rider: riderId, status: { $in: ['Finished', 'DNF', 'DSQ'] } })
+                .populate({
+                    path: 'race',
+                    match: { resultsStatus: 'Official', status: { $in: PUBLIC_STATUSES } },
+                    select: 'name startTime location.name distance'
+                })
+                .populate('team', 'name')
+                .exec();
+
+            const history = results
+                .filter(result => result.race)
+                .sort((a, b) => new Date(b.race.startTime) - new Date(a.race.startTime))
+                .map(result => ({
+                    race: {
+                        id: result.race._id,
+                        name: result.race.name,
+                        startTime: result.race.startTime,
+                        location: result.race.location ? result.race.location.name : null,
+                        distance: result.race.distance
+                    },
+                    team: result.team && result.team.name ? result.team.name : null,
+                    bib: result.bib,
+                    status: result.status,
+                    position: result.status === 'Finished' ? result.position : null,
+                    formattedTime: result.status === 'Finished'
+                        ? this.raceService.formatTime(this.raceService.getEffectiveTime(result))
+                        : null
+                }));
+
+            const finishes = history.filter(entry => entry.status === 'Finished');
+
+            return {
+                id: rider._id,
+                firstName: rider.firstName,
+                lastName: rider.lastName,
+                name: `${rider.firstName} ${rider.lastName}`,
+                nationality: rider.nationality,
+                category: rider.category,
+                stats: {
+                    races: history.length,
+                    finishes: finishes.length,
+                    wins: finishes.filter(entry => entry.position === 1).length,
+                    podiums: finishes.filter(entry => entry.position && entry.position <= 3).length,
+                    dnf: history.filter(entry => entry.status === 'DNF').length
+                },
+                results: history
+            };
+        } catch (error) {
+            console.error('SpectatorService.getRiderProfile - Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SpectatorService;
@@ -0,0 +1,322 @@
+const StageRace = require('../data/models/StageRace');
+const Race = require('../data/models/Race');
+const RaceResult = require('../data/models/RaceResult');
+const RaceService = require('./RaceService');
+
+const STAGE_RACE_FIELDS = 'name startTime status resultsStatus';
+
+class StageRaceService {
+    constructor() {
+        this.raceService = new RaceService();
+    }
+
+    async createStageRace(stageRaceData) {
+        try {
+            const stages = (stageRaceData.stages || []).map((stage, index) => ({
+                ...stage,
+                stageNumber: stage.stageNumber || index + 1
+            }));
+            await this.ensureRacesAvailable(stages.map(stage => stage.race));
+
+            return await StageRace.create({ ...stageRaceData, stages });
+        } catch (error) {
+            console.error('StageRaceService.createStageRace - Error:', error);
+            throw error;
+        }
+    }
+
+    async getAllStageRaces() {
+        try {
+            return await StageRace.find().sort({ createdAt: -1 }).exec();
+        } catch (error) {
+            console.error('StageRaceService.getAllStageRaces - Error:', error);
+            throw error;
+        }
+    }
+
+    async getStageRaceById(stageRaceId) {
+        try {
+            return await StageRace.findById(stageRaceId).populate('stages.race', STAGE_RACE_FIELDS).exec();
+        } catch (error) {
+            console.error('StageRaceService.getStageRaceById - Error:', error);
+            throw error;
+        }
+    }
+
+    async updateStageRace(stageRaceId, updateData) {
+        try {
+            if (updateData.stages) {
+                updateData.stages = updateData.stages.map((stage, index) => ({
+                    ...stage,
+                    stageNumber: stage.stageNumber || index + 1
+                }));
+                await this.ensureRacesAvailable(updateData.stages.map(stage => stage.race), stageRaceId);
+            }
+            return await StageRace.findByIdAndUpdate(stageRaceId, updateData, { new: true, runValidators: true }).exec();
+        } catch (error) {
+            console.error('StageRaceService.updateStageRace - Error:', error);
+            throw error;
+        }
+    }
+
+    async deleteStageRace(stageRaceId) {
+        try {
+            return await StageRace.findByIdAndDelete(stageRaceId).exec();
+        } catch (error) {
+            console.error('StageRaceService.deleteStageRace - Error:', error);
+            throw error;
+        }
+    }
+
+    async addStage(stageRaceId, stage) {
+        try {
+            const stageRace = await StageRace.findById(stageRaceId).exec();
+            if (!stageRace) {
+                throw new Error('Stage race not found');
+            }
+
+            const stageNumber = stage.stageNumber ||
+                stageRace.stages.reduce((max, existing) => Math.max(max, existing.stageNumber), 0) + 1;
+            if (stageRace.stages.some(existing => existing.stageNumber === stageNumber)) {
+                throw new Error(`Stage ${stageNumber} already exists`);
+            }
+            await this.ensureRacesAvailable([stage.race], stageRaceId);
+
+            stageRace.stages.push({ ...stage, stageNumber });
+            stageRace.stages.sort((a, b) => a.stageNumber - b.stageNumber);
+            return await stageRace.save();
+        } catch (error) {
+            console.error('StageRaceService.addStage - Error:', error);
+            throw error;
+        }
+    }
+
+    async removeStage(stageRaceId, stageNumber) {
+        try {
+            return await StageRace.findByIdAndUpdate(
+                stageRaceId,
+                { $pull: { stages: { stageNumber } } },
+                { new: true }
+            ).exec();
+        } catch (error) {
+            console.error('StageRaceService.removeStage - Error:', error);
+            throw error;
+        }
+    }
+
+    async ensureRacesAvailable(raceIds, excludeStageRaceId = null) {
+        if (raceIds.length === 0) return;
+
+        const found = await Race.countDocuments({ _id: { $in: raceIds } });
+        if (found !== raceIds.length) {
+            throw new Error('One or more races not found');
+        }
+
+        const filter = { 'stages.race': { $in: raceIds } };
+        if (excludeStageRaceId) filter._id = { $ne: excludeStageRaceId };
+        if (await StageRace.exists(filter)) {
+            throw new Error('A race can only be a stage of one stage race');
+        }
+    }
+
+    // GC after the last consecutive completed stage
+    async getGeneralClassification(stageRaceId, category = null) {
+        try {
+            const stageRace = await StageRace.findById(stageRaceId).exec();
+            if (!stageRace) {
+                throw new Error('Stage race not found');
+            }
+
+            const stages = [...stageRace.stages].sort((a, b) => a.stageNumber - b.stageNumber);
+            const races = await Race.find({ _id: { $in: stages.map(stage => stage.race) } })
+                .select(STAGE_RACE_FIELDS)
+                .exec();
+            const racesById = new Map(races.map(race => [race._id.toString(), race]));
+
+            const countedStages = [];
+            for (const stage of stages) {
+                const race = racesById.get(stage.race.toString());
+                if (!race || race.status !== 'Completed') break;
+                countedStages.push({ ...this.getStageSettings(stageRace, stage), race });
+            }
+
+            const results = countedStages.length === 0 ? [] : await RaceResult.find({
+                race: { $in: countedStages.map(stage => stage.race._id) }
+            }).populate('rider', 'firstName lastName category').exec();
+
+            const classification = this.buildClassification(countedStages, results, category);
+
+            return {
+                stageRace: {
+                    id: stageRace._id,
+                    name: stageRace.name,
+                    totalStages: stages.length
+                },
+                stagesCounted: countedStages.length,
+                stagesPending: stages.length - countedStages.length,
+                isOfficial: countedStages.length > 0 && countedStages.every(stage => stage.race.resultsStatus === 'Official'),
+                category,
+                ...classification
+            };
+        } catch (error) {
+            console.error('StageRaceService.getGeneralClassification - Error:', error);
+            throw error;
+        }
+    }
+
+    async generateStageRaceReport(stageRaceId) {
+        try {
+            const gc = await this.getGeneralClassification(stageRaceId);
+
+            return {
+                stageRace: gc.stageRace,
+                stages: gc.stages,
+                generalClassification: {
+                    stagesCounted: gc.stagesCounted,
+                    stagesPending: gc.stagesPending,
+                    isOfficial: gc.isOfficial,
+                    leader: gc.standings[0] || null,
+                    podium: gc.standings.slice(0, 3),
+                    standings: gc.standings,
+                    eliminated: gc.eliminated
+                }
+            };
+        } catch (error) {
+            console.error('StageRaceService.generateStageRaceReport - Error:', error);
+            throw error;
+        }
+    }
+
+    getStageSettings(stageRace, stage) {
+        const pick = (key) => (stage[key] !== undefined && stage[key] !== null ? stage[key] : stageRace[key]);
+        return {
+            stageNumber: stage.stageNumber,
+            name: stage.name,
+            bonusSeconds: pick('bonusSeconds') || [],
+            timeLimitPercent: pick('timeLimitPercent'),
+            timeGapSeconds: pick('timeGapSeconds') || 0
+        };
+    }
+
+    // Riders finishing within gapSeconds of the rider ahead are given that rider's time
+    applyTimeGapRule(finished, gapSeconds) {
+        const times = [];
+        finished.forEach((result, index) => {
+            const time = this.raceService.getEffectiveTime(result);
+            const previous = finished[index - 1];
+            const sameGroup = previous && gapSeconds > 0 &&
+                (previous.lapsCompleted || 0) === (result.lapsCompleted || 0) &&
+                time - this.raceService.getEffectiveTime(previous) <= gapSeconds;
+
+            times.push(sameGroup ? times[index - 1] : time);
+        });
+        return times;
+    }
+
+    // stages carry their resolved settings and race; riders enter the GC on the first stage
+    // and leave it on DNF, DSQ, a missed stage or finishing outside the time limit. Stage places,
+    // bonuses, time gaps and limits always come from the whole field; category only narrows the output
+    buildClassification(stages, results, category = null) {
+        const resultsByRace = new Map();
+        results.forEach(result => {
+            if (!result.rider) return;
+            const raceId = (result.race._id || result.race).toString();
+            if (!resultsByRace.has(raceId)) resultsByRace.set(raceId, new Map());
+            resultsByRace.get(raceId).set(result.rider._id.toString(), result);
+        });
+
+        const riders = new Map();
+        const stageSummaries = [];
+
+        stages.forEach((stage, stageIndex) => {
+            const stageResults = resultsByRace.get(stage.race._id.toString()) || new Map();
+            const finished = [...stageResults.values()]
+                .filter(result => result.status === 'Finished')
+                .sort((a, b) => (a.position || Number.MAX_SAFE_INTEGER) - (b.position || Number.MAX_SAFE_INTEGER));
+            const stageTimes = this.applyTimeGapRule(finished, stage.timeGapSeconds);
+            const winnerTime = finished.length > 0 ? this.raceService.getEffectiveTime(finished[0]) : null;
+            const timeLimit = winnerTime && stage.timeLimitPercent != null
+                ? Math.floor(winnerTime * (1 + stage.timeLimitPercent / 100))
+                : null;
+
+            if (stageIndex === 0) {
+                stageResults.forEach((result, riderId) => {
+                    if (result.status !== 'Registered') {
+                        riders.set(riderId, { rider: result.rider, gcTime: 0, bonusSeconds: 0, stages: [], eliminated: null });
+                    }
+                });
+            }
+
+            riders.forEach((row, riderId) => {
+                if (row.eliminated) return;
+
+                const result = stageResults.get(riderId);
+                if (!result || result.status === 'Registered') {
+                    row.eliminated = { stageNumber: stage.stageNumber, reason: 'DidNotStart' };
+                    return;
+                }
+                if (result.status !== 'Finished') {
+                    row.eliminated = { stageNumber: stage.stageNumber, reason: result.status === 'DSQ' ? 'DSQ' : 'DNF' };
+                    return;
+                }
+
+                const index = finished.indexOf(result);
+                const bonus = stage.bonusSeconds[index] || 0;
+                row.gcTime += stageTimes[index] - bonus;
+                row.bonusSeconds += bonus;
+                row.stages.push({
+                    stageNumber: stage.stageNumber,
+                    race: stage.race._id,
+                    position: index + 1,
+                    time: stageTimes[index],
+                    formattedTime: this.raceService.formatTime(stageTimes[index]),
+                    bonusSeconds: bonus
+                });
+
+                if (timeLimit && this.raceService.getEffectiveTime(result) > timeLimit) {
+                    row.eliminated = { stageNumber: stage.stageNumber, reason: 'OutsideTimeLimit' };
+                }
+            });
+
+            stageSummaries.push({
+                stageNumber: stage.stageNumber,
+                name: stage.name || stage.race.name,
+                race: {
+                    id: stage.race._id,
+                    name: stage.race.name,
+                    startTime: stage.race.startTime,
+                    resultsStatus: stage.race.resultsStatus
+                },
+                winner: finished[0] ? finished[0].rider : null,
+                finishers: finished.length,
+                timeLimit: timeLimit ? this.raceService.formatTime(timeLimit) : null
+            });
+        });
+
+        const rows = [...riders.values()].filter(row => !category || row.rider.category === category);
+        const sumOfPlacings = (row) => row.stages.reduce((sum, stage) => sum + stage.position, 0);
+        const lastPlacing = (row) => row.stages.length > 0 ? row.stages[row.stages.length - 1].position : Number.MAX_SAFE_INTEGER;
+
+        const standings = rows
+            .filter(row => !row.eliminated)
+            .sort((a, b) => (a.gcTime - b.gcTime) || (sumOfPlacings(a) - sumOfPlacings(b)) || (lastPlacing(a) - lastPlacing(b)));
+
+        return {
+            stages: stageSummaries,
+            standings: standings.map((row, index) => ({
+                position: index + 1,
+                rider: row.rider,
+                gcTime: row.gcTime,
+                formattedTime: this.raceService.formatTime(row.gcTime),
+                gap: index === 0 ? null : `+${this.raceService.formatTime(row.gcTime - standings[0].gcTime) || '0:00'}`,
+                bonusSeconds: row.bonusSeconds,
+                stages: row.stages
+            })),
+            eliminated: rows
+                .filter(row => row.eliminated)
+                .map(row => ({ rider: row.rider, ...row.eliminated, stages: row.stages }))
+        };
+    }
+}
+
+module.exports = StageRaceService;
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const Race = require('../data/models/Race');
+const RaceResult = require('../data/models/RaceResult');
+const TimingImport = require('../data/models/TimingImport');
+const TimingRead = require('../data/models/TimingRead');
+const RaceService = require('./RaceService');
+const { parseCsv } = require('../../utils/csvHandler');
+
+const COLUMN_ALIASES = {
+    transponder: ['transponder', 'transponderid', 'transponder_id', 'chip', 'chipid', 'chip_id'],
+    timestamp: ['timestamp', 'time', 'datetime'],
+    location: ['location', 'mat', 'matlocation', 'mat_location']
+};
+
+// On multi-lap races the finish mat doubles as the lap mat
+const FINISH_LOCATIONS = ['finish', 'finish line', 'fin', 'lap'];
+
+class TimingImportService {
+    constructor() {
+        this.raceService = new RaceService();
+    }
+
+    async importTimingFile(raceId, csvText, { fileName = null, importedBy = null } = {}) {
+        try {
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            if (!['InProgress', 'Completed'].includes(race.status)) {
+                throw new Error('Timing reads can only be imported once the race has started');
+            }
+
+            const { headers, rows } = parseCsv(csvText);
+            const columns = this.resolveColumns(headers);
+
+            const fileHash = crypto.createHash('sha256').update(csvText).digest('hex');
+            const previouslyImported = await TimingImport.exists({ race: raceId, fileHash });
+
+            const timingImport = await TimingImport.create({
+                race: raceId,
+                fileName,
+                fileHash,
+                importedBy,
+                totalRows: rows.length
+            });
+
+            const report = { applied: [], unmatched: [], duplicates: [], rejected: [] };
+            const reads = [];
+
+            for (const { line, record } of rows) {
+                const read = this.parseRead(record, columns);
+                if (read.error) {
+                    report.rejected.push({ line, reason: read.error, record });
+                } else {
+                    reads.push({ line, ...read });
+                }
+            }
+
+            // Apply in chronological order so checkpoint splits land before the finish
+            reads.sort((a, b) => a.timestamp - b.timestamp);
+
+            const registrations = await RaceResult.find({
+                race: raceId,
+                transponderId: { $in: [...new Set(reads.map(read => read.transponderId))] }
+            });
+            const registrationsByTransponder = new Map(registrations.map(r => [r.transponderId, r]));
+            const seenKeys = new Set();
+
+            for (const read of reads) {
+                const entry = {
+                    line: read.line,
+                    transponderId: read.transponderId,
+                    timestamp: read.timestamp,
+                    location: read.location
+                };
+                const readKey = `${read.transponderId}|${read.timestamp.toISOString()}|${read.location.toLowerCase()}`;
+
+                if (seenKeys.has(readKey) || await TimingRead.exists({ race: raceId, readKey })) {
+                    report.duplicates.push({ ...entry, reason: 'Read already imported' });
+                    continue;
+                }
+                seenKeys.add(readKey);
+
+                const registration = registrationsByTransponder.get(read.transponderId);
+                if (!registration) {
+                    report.unmatched.push({ ...entry, reason: 'Transponder is not assigned to a registered rider' });
+                    continue;
+                }
+
+                const target = this.resolveLocation(race, read.location);
+                if (!target) {
+                    report.rejected.push({ ...entry, reason: `Unknown mat location '${read.location}'` });
+                    continue;
+                }
+
+                const duplicateReason = this.getDuplicateReason(registration, target);
+                if (duplicateReason) {
+                    report.duplicates.push({ ...entry, reason: duplicateReason });
+                    continue;
+                }
+
+                try {
+                    const isLapRace = (race.laps || 1) > 1;
+                    let result;
+                    if (target.type === 'checkpoint') {
+                        result = await this.raceService.recordCheckpointSplit(raceId, registration.rider, target.checkpoint._id, read.timestamp);
+                    } else if (isLapRace) {
+                        result = await this.raceService.recordLap(raceId, registration.rider, read.timestamp);
+                    } else {
+                        result = await this.raceService.finishRider(raceId, registration.rider, read.timestamp);
+                    }
+
+                    await TimingRead.create({
+                        race: raceId,
+                        timingImport: timingImport._id,
+                        transponderId: read.transponderId,
+                        timestamp: read.timestamp,
+                        location: read.location,
+                        readKey,
+                        raceResult: registration._id
+                    });
+
+                    if (target.type === 'checkpoint') {
+                        registration.splits = [...(registration.splits || []), { checkpoint: target.checkpoint._id }];
+                    } else if (!isLapRace || result.raceFinished) {
+                        registration.status = 'Finished';
+                    }
+
+                    let type = target.type;
+                    let time = target.type === 'finish' ? result.formattedTime : result.formattedSplitTime;
+                    if (target.type === 'finish' && isLapRace && !result.raceFinished) {
+                        type = 'lap';
+                        time = result.lap.formattedLapTime;
+                    }
+
+                    report.applied.push({
+                        ...entry,
+                        type,
+                        bib: registration.bib,
+                        time
+                    });
+                } catch (error) {
+                    report.rejected.push({ ...entry, reason: error.message });
+                }
+            }
+
+            timingImport.appliedCount = report.applied.length;
+            timingImport.unmatchedCount = report.unmatched.length;
+            timingImport.duplicateCount = report.duplicates.length;
+            timingImport.rejectedCount = report.rejected.length;
+            await timingImport.save();
+
+            return {
+                importId: timingImport._id,
+                fileName,
+                previouslyImported: Boolean(previouslyImported),
+                totalRows: rows.length,
+                summary: {
+                    applied: report.applied.length,
+                    unmatched: report.unmatched.length,
+                    duplicates: report.duplicates.length,
+                    rejected: report.rejected.length
+                },
+                ...report
+            };
+        } catch (error) {
+            console.error('TimingImportService.importTimingFile - Error:', error);
+            throw error;
+        }
+    }
+
+    async getTimingImports(raceId) {
+        try {
+            return await TimingImport.find({ race: raceId }).sort({ createdAt: -1 }).exec();
+        } catch (error) {
+            console.error('TimingImportService.getTimingImports - Error:', error);
+            throw error;
+        }
+    }
+
+    resolveColumns(headers) {
+        const normalized = headers.map(header => header.toLowerCase().replace(/\s+/g, ''));
+        const columns = {};
+
+        for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+            const index = normalized.findIndex(header => aliases.includes(header));
+            if (index === -1) {
+                throw new Error('CSV must contain transponder, timestamp and location columns');
+            }
+            columns[column] = headers[index];
+        }
+
+        return columns;
+    }
+
+    parseRead(record, columns) {
+        const transponderId = (record[columns.transponder] || '').trim();
+        const rawTimestamp = (record[columns.timestamp] || '').trim();
+        const location = (record[columns.location] || '').trim();
+
+        if (!transponderId || !rawTimestamp || !location) {
+            return { error: 'Transponder, timestamp and location are required' };
+        }
+
+        // Numeric timestamps are epoch seconds or milliseconds
+        const timestamp = /^\d+(\.\d+)?$/.test(rawTimestamp)
+            ? new Date(Number(rawTimestamp) < 1e12 ? Number(rawTimestamp) * 1000 : Number(rawTimestamp))
+            : new Date(rawTimestamp);
+
+        if (isNaN(timestamp.getTime())) {
+            return { error: `Invalid timestamp '${rawTimestamp}'` };
+        }
+
+        return { transponderId, timestamp, location };
+    }
+
+    resolveLocation(race, location) {
+        const normalized = location.toLowerCase();
+        if (FINISH_LOCATIONS.includes(normalized)) {
+            return { type: 'finish' };
+        }
+
+        const checkpoint = (race.checkpoints || []).find(cp =>
+            cp._id.toString() === location || cp.name.toLowerCase() === normalized
+        );
+        return checkpoint ? { type: 'checkpoint', checkpoint } : null;
+    }
+
+    getDuplicateReason(registration, target) {
+        if (registration.status === 'Finished') {
+            return 'Rider already finished';
+        }
+
+        if (target.type === 'checkpoint' &&
+            (registration.splits || []).some(split => split.checkpoint.toString() === target.checkpoint._id.toString())) {
+            return 'Split already recorded for this checkpoint';
+        }
+
+        return null;
+    }
+}
+
+module.exports = TimingImportService;
@@ -0,0 +1,222 @@
+const Race = require('../data/models/Race');
+const RaceResult = require('../data/models/RaceResult');
+const GpsTracker = require('../data/models/GpsTracker');
+const CourseService = require('./CourseService');
+const { conflictError } = require('../../utils/errorHandler');
+const { generateDeviceKey, hashDeviceKey } = require('../../utils/tokenGenerator');
+
+// A rider whose tracker has not reported for this long is shown as stale on the map
+const STALE_AFTER_MINUTES = 5;
+const COURSE_CACHE_SIZE = 20;
+
+// Trackers report every few seconds, so prepared courses are kept per race and upload
+const preparedCourses = new Map();
+
+class TrackingService {
+    constructor() {
+        this.courseService = new CourseService();
+    }
+
+    async findRegistration(raceId, { riderId = null, bib = null }) {
+        const registration = await RaceResult.findOne(
+            bib !== null ? { race: raceId, bib } : { race: raceId, rider: riderId }
+        ).exec();
+        if (!registration) {
+            throw new Error(bib !== null ? `No rider with bib ${bib} in this race` : 'Rider not found in this race');
+        }
+        return registration;
+    }
+
+    // Issuing again replaces the key (e.g. a swapped device); the last position is kept
+    async issueTracker(raceId, target, { deviceId = null } = {}, issuedBy = null) {
+        try {
+            const registration = await this.findRegistration(raceId, target);
+            const deviceKey = generateDeviceKey();
+
+            const tracker = await GpsTracker.findOneAndUpdate(
+                { race: raceId, registration: registration._id },
+                {
+                    rider: registration.rider,
+                    bib: registration.bib,
+                    deviceId,
+                    keyHash: hashDeviceKey(deviceKey),
+                    keyHint: deviceKey.slice(-4),
+                    active: true,
+                    issuedBy
+                },
+                { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+            ).exec();
+
+            return { tracker, deviceKey };
+        } catch (error) {
+            console.error('TrackingService.issueTracker - Error:', error);
+            throw error;
+        }
+    }
+
+    async revokeTracker(raceId, target) {
+        try {
+            const registration = await this.findRegistration(raceId, target);
+            const tracker = await GpsTracker.findOneAndUpdate(
+                { race: raceId, registration: registration._id },
+                { active: false },
+                { new: true }
+            ).exec();
+            if (!tracker) {
+                throw new Error('No tracker has been issued to this rider');
+            }
+            return tracker;
+        } catch (error) {
+            console.error('TrackingService.revokeTracker - Error:', error);
+            throw error;
+        }
+    }
+
+    async getTrackers(raceId) {
+        try {
+            return await GpsTracker.find({ race: raceId })
+                .populate('rider', 'firstName lastName category')
+                .sort({ bib: 1 })
+                .exec();
+        } catch (error) {
+            console.error('TrackingService.getTrackers - Error:', error);
+            throw error;
+        }
+    }
+
+    async getPreparedCourse(race) {
+        if (!race.course || !race.course.uploadedAt) return null;
+
+        const cacheKey = `${race._id}:${new Date(race.course.uploadedAt).getTime()}`;
+        if (!preparedCourses.has(cacheKey)) {
+            const withGeometry = await Race.findById(race._id).select('+course.geometry').exec();
+            if (!withGeometry || !withGeometry.course || !withGeometry.course.geometry) return null;
+
+            if (preparedCourses.size >= COURSE_CACHE_SIZE) {
+                preparedCourses.delete(preparedCourses.keys().next().value);
+            }
+            preparedCourses.set(cacheKey, this.courseService.prepareCourse(withGeometry.course.geometry));
+        }
+        return preparedCourses.get(cacheKey);
+    }
+
+    // Positions may arrive in batches after a tracker loses signal; they are applied in time
+    // order and anything not newer than the last stored fix is ignored
+    async ingestPositions(tracker, positions) {
+        try {
+            const [race, registration] = await Promise.all([
+                Race.findById(tracker.race).exec(),
+                RaceResult.findById(tracker.registration).select('status lapsCompleted').exec()
+            ]);
+            if (!race) {
+                throw new Error('Race not found');
+            }
+            if (race.status !== 'InProgress') {
+                throw conflictError('Race is not in progress');
+            }
+
+            const lastRecordedAt = tracker.lastPosition && tracker.lastPosition.recordedAt
+                ? new Date(tracker.lastPosition.recordedAt).getTime()
+                : 0;
+            const receivedAt = new Date();
+            const fresh = positions
+                .map(position => ({ ...position, recordedAt: position.recordedAt ? new Date(position.recordedAt) : receivedAt }))
+                .filter(position => position.recordedAt.getTime() > lastRecordedAt)
+                .sort((a, b) => a.recordedAt - b.recordedAt);
+
+            if (fresh.length === 0) {
+                return { accepted: 0, ignored: positions.length, position: tracker.lastPosition || null };
+            }
+
+            const course = await this.getPreparedCourse(race);
+            // On multi-lap races the course is one lap; completed laps come from timing
+            const completedDistance = (race.laps || 1) > 1 && registration
+                ? (registration.lapsCompleted || 0) * (race.course.distance || 0)
+                : 0;
+
+            let previousDistance = tracker.lastPosition && tracker.lastPosition.courseDistance != null
+                ? tracker.lastPosition.courseDistance
+                : null;
+            let lastPosition = null;
+            fresh.forEach(position => {
+                const snapped = course
+                    ? this.courseService.snapToCourse(course, { lat: position.latitude, lon: position.longitude }, previousDistance)
+                    : { courseDistance: null, offCourseMetres: null, onCourse: null };
+                previousDistance = snapped.courseDistance;
+                lastPosition = {
+                    latitude: position.latitude,
+                    longitude: position.longitude,
+                    recordedAt: position.recordedAt,
+                    receivedAt,
+                    accuracy: position.accuracy,
+                    speed: position.speed,
+                    ...snapped,
+                    distance: snapped.courseDistance !== null
+                        ? Math.round((completedDistance + snapped.courseDistance) * 1000) / 1000
+                        : null
+                };
+            });
+
+            tracker.lastPosition = lastPosition;
+            tracker.lastSeenAt = receivedAt;
+            await tracker.save();
+
+            return { accepted: fresh.length, ignored: positions.length - fresh.length, position: lastPosition };
+        } catch (error) {
+            console.error('TrackingService.ingestPositions - Error:', error);
+            throw error;
+        }
+    }
+
+    // "Where is everyone": one GeoJSON point per tracked rider, furthest along first
+    async getLiveMap(raceId) {
+        try {
+            const race = await Race.findById(raceId).select('name status').exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const trackers = await GpsTracker.find({ race: raceId, active: true, 'lastPosition.recordedAt': { $exists: true } })
+                .populate('rider', 'firstName lastName category')
+                .populate('registration', 'status lapsCompleted')
+                .exec();
+
+            const now = Date.now();
+            const features = trackers
+                .map(tracker => {
+                    const position = tracker.lastPosition;
+                    const rider = tracker.rider;
+                    return {
+                        type: 'Feature',
+                        geometry: { type: 'Point', coordinates: [position.longitude, position.latitude] },
+                        properties: {
+                            bib: tracker.bib,
+                            rider: rider ? { id: rider._id, name: `${rider.firstName} ${rider.lastName}`, category: rider.category } : null,
+                            status: tracker.registration ? tracker.registration.status : null,
+                            lapsCompleted: tracker.registration ? tracker.registration.lapsCompleted || 0 : 0,
+                            distance: position.distance,
+                            courseDistance: position.courseDistance,
+                            onCourse: position.onCourse,
+                            offCourseMetres: position.offCourseMetres,
+                            speed: position.speed,
+                            recordedAt: position.recordedAt,
+                            stale: now - new Date(position.recordedAt).getTime() > STALE_AFTER_MINUTES * 60 * 1000
+                        }
+                    };
+                })
+                .sort((a, b) => (b.properties.distance || 0) - (a.properties.distance || 0));
+
+            return {
+                type: 'FeatureCollection',
+                race: { id: race._id, name: race.name, status: race.status },
+                generatedAt: new Date(now),
+                features
+            };
+        } catch (error) {
+            console.error('TrackingService.getLiveMap - Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = TrackingService;
@@ -1,10 +1,12 @@
 const RiderService = require('../services/RiderService');
+const RiderImportService = require('../services/RiderImportService');
 const { validateRider, validateRiderUpdate, validateObjectId, validatePaginationQuery, validateSearchQuery } = require('../../middlewares/validateRace');
 const { successResponse, errorResponse, validationErrorResponse, notFoundResponse, handleDatabaseError, asyncHandler, createPaginationInfo, paginatedResponse } = require('../../utils/respondHandler');
 
 class RiderController {
     constructor() {
         this.riderService = new RiderService();
+        this.riderImportService = new RiderImportService();
     }
 
     createRider = asyncHandler(async (req, res) => {
@@ -100,6 +102,38 @@ class RiderController {
         }
     });
 
+    // Accepts a raw text/csv body, JSON { format: 'csv', content }, or JSON riders as an array or { riders }
+    importRiders = asyncHandler(async (req, res) => {
+        const raceId = req.query.raceId || req.body?.raceId || null;
+        if (raceId && validateObjectId(raceId).error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+        let input = req.body;
+        let format = 'json';
+        if (typeof req.body === 'string') {
+            format = 'csv';
+        } else if (req.body?.format === 'csv') {
+            input = req.body.content;
+            format = 'csv';
+        }
+        if (format === 'csv' && (!input || typeof input !== 'string')) {
+            return errorResponse(res, "CSV content is required", 400);
+        }
+
+        try {
+            const report = await this.riderImportService.importRiders(input, { format, raceId, dryRun });
+            const message = dryRun ? "Import checked; nothing was saved" : "Riders imported successfully";
+            return successResponse(res, { report }, message, dryRun ? 200 : 201);
+        } catch (error) {
+            if (error.message === 'Race not found') {
+                return notFoundResponse(res, "Race");
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    });
+
     searchRiders = asyncHandler(async (req, res) => {
         const { error, value } = validateSearchQuery(req.query);
         if (error) {
@@ -0,0 +1,200 @@
+const Rider = require('../data/models/Rider');
+const Race = require('../../raceSystem/data/models/Race');
+const RaceResult = require('../../raceSystem/data/models/RaceResult');
+const RaceService = require('../../raceSystem/services/RaceService');
+const RegistrationService = require('../../raceSystem/services/RegistrationService');
+const { validateRider, validateObjectId } = require('../../middlewares/validateRace');
+const { parseCsv } = require('../../utils/csvHandler');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Flat CSV columns for the nested emergency contact
+const NESTED_COLUMNS = {
+    emergencyContactName: ['emergencyContact', 'name'],
+    emergencyContactPhone: ['emergencyContact', 'phone']
+};
+
+class RiderImportService {
+    constructor() {
+        this.raceService = new RaceService();
+        this.registrationService = new RegistrationService();
+    }
+
+    // Blank CSV cells count as missing so optional fields and defaults behave as in the API
+    csvRecordToRider(record) {
+        const rider = {};
+        Object.entries(record).forEach(([column, value]) => {
+            if (value === '') return;
+            if (NESTED_COLUMNS[column]) {
+                const [parent, field] = NESTED_COLUMNS[column];
+                rider[parent] = { ...rider[parent], [field]: value };
+            } else {
+                rider[column] = value;
+            }
+        });
+        return rider;
+    }
+
+    // CSV rows are numbered by file line, JSON rows from 1
+    parseInput(input, format) {
+        if (format === 'csv') {
+            const { rows } = parseCsv(input);
+            return rows.map(({ line, record }) => ({ row: line, data: this.csvRecordToRider(record) }));
+        }
+
+        const records = Array.isArray(input) ? input : input && input.riders;
+        if (!Array.isArray(records)) {
+            throw new Error('JSON imports must be an array of riders or { riders: [...] }');
+        }
+        return records.map((record, index) => ({
+            row: index + 1,
+            data: record && typeof record === 'object' ? record : {}
+        }));
+    }
+
+    async getRace(races, raceId) {
+        if (!races.has(raceId)) {
+            const race = await Race.findById(raceId).exec();
+            races.set(raceId, race ? { race, takenSpots: await this.raceService.countTakenSpots(raceId) } : null);
+        }
+        return races.get(raceId);
+    }
+
+    // Every row is validated with the rider rules and reported on its own; a bad row never
+    // stops the rest. A dry run does the same checks and reports what would happen
+    async importRiders(input, { format = 'json', raceId = null, dryRun = false } = {}) {
+        try {
+            const rows = this.parseInput(input, format);
+            if (rows.length === 0) {
+                throw new Error('The import contains no riders');
+            }
+            if (rows.length > MAX_IMPORT_ROWS) {
+                throw new Error(`An import is limited to ${MAX_IMPORT_ROWS} riders`);
+            }
+
+            if (raceId && !await Race.exists({ _id: raceId })) {
+                throw new Error('Race not found');
+            }
+
+            const validated = rows.map(({ row, data }) => {
+                const { raceId: rowRaceId, ...riderData } = data;
+                const { error, value } = validateRider(riderData);
+                const errors = error
+                    ? error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+                    : [];
+                const targetRace = rowRaceId || raceId;
+                if (targetRace && validateObjectId(targetRace).error) {
+                    errors.push({ field: 'raceId', message: 'Invalid race ID format' });
+                }
+                return { row, email: value.email || riderData.email || null, data: riderData, value, raceId: targetRace, errors };
+            });
+
+            const emails = validated.filter(entry => entry.errors.length === 0).map(entry => entry.email);
+            const existingRiders = await Rider.find({ email: { $in: emails } }).exec();
+            const existingByEmail = new Map(existingRiders.map(rider => [rider.email, rider]));
+
+            const seen = new Set();
+            const races = new Map();
+            const report = [];
+
+            for (const entry of validated) {
+                const result = { row: entry.row, email: entry.email };
+                if (entry.errors.length === 0 && seen.has(entry.email)) {
+                    entry.errors.push({ field: 'email', message: 'Email appears earlier in this import' });
+                }
+                if (entry.errors.length > 0) {
+                    report.push({ ...result, status: 'Rejected', errors: entry.errors });
+                    continue;
+                }
+                seen.add(entry.email);
+
+                const existing = existingByEmail.get(entry.email);
+                if (existing) {
+                    // Fields the row leaves out keep their stored values instead of the defaults for new riders
+                    entry.value = validateRider(entry.data, { noDefaults: true }).value;
+                    entry.rider = { category: existing.category, ...entry.value };
+                }
+                try {
+                    let rider = existing;
+                    if (dryRun) {
+                        result.status = existing ? 'WouldUpdate' : 'WouldCreate';
+                    } else if (existing) {
+                        rider = await Rider.findByIdAndUpdate(existing._id, entry.value, { new: true, runValidators: true }).exec();
+                        result.status = 'Updated';
+                    } else {
+                        rider = await Rider.create(entry.value);
+                        result.status = 'Created';
+                    }
+                    result.riderId = rider ? rider._id : null;
+                } catch (error) {
+                    report.push({ ...result, status: 'Rejected', errors: [{ field: null, message: error.message }] });
+                    continue;
+                }
+
+                if (entry.raceId) {
+                    result.registration = await this.registerRow(races, entry, result.riderId, dryRun);
+                }
+                report.push(result);
+            }
+
+            return { dryRun, summary: this.summarize(report), rows: report };
+        } catch (error) {
+            console.error('RiderImportService.importRiders - Error:', error);
+            throw error;
+        }
+    }
+
+    async registerRow(races, entry, riderId, dryRun) {
+        const target = await this.getRace(races, entry.raceId.toString());
+        if (!target) {
+            return { race: entry.raceId, status: 'Refused', reasons: [{ code: 'RACE_NOT_FOUND', message: 'Race not found' }] };
+        }
+        const registration = { race: target.race._id };
+
+        if (riderId && await RaceResult.exists({ race: target.race._id, rider: riderId })) {
+            return { ...registration, status: 'AlreadyRegistered' };
+        }
+
+        if (dryRun) {
+            // Earlier rows of this import take spots too
+            const reasons = this.raceService.getRegistrationRefusals(entry.rider || entry.value, target.race, target.takenSpots);
+            if (reasons.length === 0) {
+                target.takenSpots++;
+                return { ...registration, status: 'WouldRegister' };
+            }
+            if (reasons.every(reason => reason.code === 'RACE_FULL')) {
+                return { ...registration, status: 'WouldWaitlist' };
+            }
+            return { ...registration, status: 'Refused', reasons };
+        }
+
+        try {
+            const outcome = await this.registrationService.register(target.race._id, riderId);
+            if (outcome.status === 'Waitlisted') {
+                return { ...registration, status: 'Waitlisted', position: outcome.position };
+            }
+            return { ...registration, status: 'Registered', bib: outcome.registration.bib };
+        } catch (error) {
+            return { ...registration, status: 'Refused', reasons: error.reasons || [{ message: error.message }] };
+        }
+    }
+
+    summarize(report) {
+        const count = (statuses) => report.filter(row => statuses.includes(row.status)).length;
+        const countRegistrations = (statuses) => report
+            .filter(row => row.registration && statuses.includes(row.registration.status)).length;
+
+        return {
+            total: report.length,
+            created: count(['Created', 'WouldCreate']),
+            updated: count(['Updated', 'WouldUpdate']),
+            rejected: count(['Rejected']),
+            registered: countRegistrations(['Registered', 'WouldRegister']),
+            waitlisted: countRegistrations(['Waitlisted', 'WouldWaitlist']),
+            alreadyRegistered: countRegistrations(['AlreadyRegistered']),
+            registrationRefused: countRegistrations(['Refused'])
+        };
+    }
+}
+
+module.exports = RiderImportService;
@@ -0,0 +1,17 @@
+const express = require('express');
+const DiscountCodeController = require('../payment/controllers/DiscountCodeController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const isAdmin = require('../middlewares/isAdmin');
+
+const router = express.Router();
+const discountCodeController = new DiscountCodeController();
+
+router.use(authenticate, isAdmin);
+
+router.post('/', discountCodeController.createDiscountCode);
+router.get('/', discountCodeController.getDiscountCodes);
+router.get('/:discountCodeId', discountCodeController.getDiscountCodeById);
+router.put('/:discountCodeId', discountCodeController.updateDiscountCode);
+router.delete('/:discountCodeId', discountCodeController.deleteDiscountCode);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const RiderPortalController = require('../user/controllers/RiderPortalController');
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const RoleEnum = require('../enums/roleEnum');
+
+const router = express.Router();
+const riderPortalController = new RiderPortalController();
+
+router.use(authenticate, authorize([RoleEnum.USER]));
+
+router.get('/', riderPortalController.getProfile);
+router.get('/registrations', riderPortalController.getRegistrations);
+router.get('/results', riderPortalController.getResults);
+router.get('/races', riderPortalController.getOpenRaces);
+router.get('/races/:raceId/eligibility', riderPortalController.checkEligibility);
+router.get('/races/:raceId/price', riderPortalController.getPriceQuote);
+router.post('/races/:raceId/registration', riderPortalController.registerForRace);
+router.delete('/races/:raceId/registration', riderPortalController.withdrawFromRace);
+router.post('/races/:raceId/registration/transfer', riderPortalController.transferEntry);
+router.post('/races/:raceId/registration/switch', riderPortalController.switchRace);
+router.post('/races/:raceId/waitlist/confirm', riderPortalController.confirmWaitlistOffer);
+router.delete('/races/:raceId/waitlist', riderPortalController.leaveWaitlist);
+router.post('/races/:raceId/payments', riderPortalController.startPayment);
+router.post('/payments/:paymentId/confirm', riderPortalController.confirmPayment);
+
+module.exports = router;
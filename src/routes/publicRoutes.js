@@ -0,0 +1,23 @@
+const express = require('express');
+const SpectatorController = require('../raceSystem/controllers/SpectatorController');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { cacheFor, noStoreOnError } = require('../middlewares/cacheControl');
+
+const router = express.Router();
+const spectatorController = new SpectatorController();
+
+// No authentication here: every route is read-only and returns the public field set only
+router.use(noStoreOnError);
+router.use(rateLimit({
+    windowMs: 60 * 1000,
+    max: Number(process.env.PUBLIC_RATE_LIMIT) || 120
+}));
+
+router.get('/races', cacheFor(60), spectatorController.getUpcomingRaces);
+router.get('/races/:raceId', cacheFor(60), spectatorController.getRace);
+router.get('/races/:raceId/live-standings', cacheFor(5, 5), spectatorController.getLiveStandings);
+router.get('/races/:raceId/live', spectatorController.streamLiveEvents);
+router.get('/races/:raceId/results', cacheFor(300), spectatorController.getOfficialResults);
+router.get('/riders/:riderId', cacheFor(300), spectatorController.getRiderProfile);
+
+module.exports = router;
@@ -1,10 +1,22 @@
 const express = require('express');
 const RaceController = require('../raceSystem/controllers/RaceController');
+const TimingImportController = require('../raceSystem/controllers/TimingImportController');
+const CourseController = require('../raceSystem/controllers/CourseController');
+const TrackingController = require('../raceSystem/controllers/TrackingController');
+const ProtestController = require('../raceSystem/controllers/ProtestController');
+const RegistrationController = require('../raceSystem/controllers/RegistrationController');
+const PaymentController = require('../payment/controllers/PaymentController');
 const { authenticate } = require('../middlewares/authMiddleware');
 const isAdmin = require('../middlewares/isAdmin');
 
 const router = express.Router();
 const raceController = new RaceController();
+const timingImportController = new TimingImportController();
+const courseController = new CourseController();
+const trackingController = new TrackingController();
+const protestController = new ProtestController();
+const registrationController = new RegistrationController();
+const paymentController = new PaymentController();
 
 
 router.use(authenticate, isAdmin);
@@ -25,17 +37,73 @@ router.patch('/:raceId/start', raceController.startRace);
 router.patch('/:raceId/finish', raceController.finishRace);
 router.patch('/:raceId/status', raceController.updateRaceStatus);
 router.patch('/:raceId/weather', raceController.updateWeatherConditions);
+router.post('/:raceId/start-list', raceController.generateStartList);
+router.get('/:raceId/start-list', raceController.getStartList);
 
+router.post('/:raceId/course', express.text({ type: ['application/gpx+xml', 'application/xml', 'text/xml', 'text/plain'], limit: '10mb' }), courseController.uploadCourse);
+router.get('/:raceId/course', courseController.getCourse);
+router.get('/:raceId/course/geojson', courseController.getCourseGeoJson);
+router.delete('/:raceId/course', courseController.deleteCourse);
 
-router.post('/:raceId/participants', raceController.registerParticipant);
-router.get('/:raceId/participants', raceController.getRaceParticipants);
 
+router.post('/:raceId/participants', registrationController.registerParticipant);
+router.get('/:raceId/participants', raceController.getRaceParticipants);
+router.delete('/:raceId/participants/:riderId', registrationController.withdrawParticipant);
+router.post('/:raceId/participants/:riderId/transfer', registrationController.transferEntry);
+router.post('/:raceId/participants/:riderId/switch', registrationController.switchRace);
+router.get('/:raceId/registration-changes', registrationController.getRegistrationChanges);
+router.get('/:raceId/waitlist', registrationController.getWaitlist);
+router.post('/:raceId/waitlist/process', registrationController.processWaitlist);
+router.get('/:raceId/payments/reconciliation', paymentController.getReconciliation);
+router.get('/:raceId/riders/:riderId/payments', paymentController.getRegistrationPayments);
+router.post('/:raceId/riders/:riderId/refunds', paymentController.refundPayment);
+
+
+router.patch('/:raceId/riders/:riderId/finish', raceController.finishRider);
+router.patch('/:raceId/riders/:riderId/checkpoints/:checkpointId', raceController.recordCheckpointSplit);
+router.patch('/:raceId/riders/:riderId/laps', raceController.recordLap);
+router.patch('/:raceId/riders/:riderId/status', raceController.updateRiderStatus);
+router.post('/:raceId/riders/:riderId/adjustments', raceController.applyResultAdjustment);
+router.get('/:raceId/riders/:riderId/adjustments', raceController.getResultAdjustments);
+router.patch('/:raceId/riders/:riderId/bib', raceController.assignBib);
+router.patch('/:raceId/riders/:riderId/transponder', raceController.assignTransponder);
+
+router.get('/:raceId/bibs/:bib', raceController.getRegistrationByBib);
+router.patch('/:raceId/bibs/:bib/finish', raceController.finishRider);
+router.patch('/:raceId/bibs/:bib/checkpoints/:checkpointId', raceController.recordCheckpointSplit);
+router.patch('/:raceId/bibs/:bib/laps', raceController.recordLap);
+router.patch('/:raceId/bibs/:bib/status', raceController.updateRiderStatus);
+router.post('/:raceId/bibs/:bib/adjustments', raceController.applyResultAdjustment);
+router.get('/:raceId/bibs/:bib/adjustments', raceController.getResultAdjustments);
+router.patch('/:raceId/bibs/:bib/transponder', raceController.assignTransponder);
+
+router.post('/:raceId/timing-imports', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), timingImportController.importTimingFile);
+router.get('/:raceId/timing-imports', timingImportController.getTimingImports);
 
-router.patch('/:raceId/riders/:riderId/finish', raceController.finishRace);
 router.get('/:raceId/live-standings', raceController.getLiveStandings);
+router.get('/:raceId/live', raceController.streamLiveEvents);
+
+router.post('/:raceId/riders/:riderId/tracker', trackingController.issueTracker);
+router.delete('/:raceId/riders/:riderId/tracker', trackingController.revokeTracker);
+router.post('/:raceId/bibs/:bib/tracker', trackingController.issueTracker);
+router.delete('/:raceId/bibs/:bib/tracker', trackingController.revokeTracker);
+router.get('/:raceId/trackers', trackingController.getTrackers);
+router.get('/:raceId/tracking/map', trackingController.getLiveMap);
 
 router.get('/:raceId/results', raceController.getRaceResults);
+router.get('/:raceId/results/export', raceController.exportResults);
+router.patch('/:raceId/results/publish', raceController.publishResults);
+router.patch('/:raceId/results/reopen', raceController.reopenResults);
+
+router.post('/:raceId/protests', protestController.submitProtest);
+router.get('/:raceId/protests', protestController.getProtests);
+router.get('/:raceId/protests/:protestId', protestController.getProtestById);
+router.post('/:raceId/protests/:protestId/evidence', protestController.addEvidence);
+router.patch('/:raceId/protests/:protestId/assign', protestController.assignOfficial);
+router.patch('/:raceId/protests/:protestId/decision', protestController.decideProtest);
+
 router.get('/:raceId/stats', raceController.getRaceStats);
+router.get('/:raceId/rankings', raceController.getGroupRankings);
 router.get('/:raceId/eligibility', raceController.checkRaceEligibility);
 
 
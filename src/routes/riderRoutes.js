@@ -12,6 +12,7 @@ router.use(authenticate, isAdmin);
 router.post('/', riderController.createRider);
 router.get('/', riderController.getAllRiders);
 router.get('/search', riderController.searchRiders);
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), riderController.importRiders);
 router.get('/:id', riderController.getRiderById);
 router.put('/:id', riderController.updateRider);
 router.delete('/:id', riderController.deleteRider);
@@ -0,0 +1,23 @@
+const express = require('express');
+const SeriesController = require('../raceSystem/controllers/SeriesController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const isAdmin = require('../middlewares/isAdmin');
+
+const router = express.Router();
+const seriesController = new SeriesController();
+
+router.use(authenticate, isAdmin);
+
+router.post('/', seriesController.createSeries);
+router.get('/', seriesController.getAllSeries);
+router.get('/:seriesId', seriesController.getSeriesById);
+router.put('/:seriesId', seriesController.updateSeries);
+router.delete('/:seriesId', seriesController.deleteSeries);
+
+router.post('/:seriesId/races/:raceId', seriesController.addRace);
+router.delete('/:seriesId/races/:raceId', seriesController.removeRace);
+
+router.get('/:seriesId/standings', seriesController.getStandings);
+router.get('/:seriesId/standings/riders/:riderId', seriesController.getRiderBreakdown);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const StageRaceController = require('../raceSystem/controllers/StageRaceController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const isAdmin = require('../middlewares/isAdmin');
+
+const router = express.Router();
+const stageRaceController = new StageRaceController();
+
+router.use(authenticate, isAdmin);
+
+router.post('/', stageRaceController.createStageRace);
+router.get('/', stageRaceController.getAllStageRaces);
+router.get('/:stageRaceId', stageRaceController.getStageRaceById);
+router.put('/:stageRaceId', stageRaceController.updateStageRace);
+router.delete('/:stageRaceId', stageRaceController.deleteStageRace);
+
+router.post('/:stageRaceId/stages', stageRaceController.addStage);
+router.delete('/:stageRaceId/stages/:stageNumber', stageRaceController.removeStage);
+
+router.get('/:stageRaceId/gc', stageRaceController.getGeneralClassification);
+router.get('/:stageRaceId/report', stageRaceController.getStageRaceReport);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const TeamController = require('../team/controllers/TeamController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const isAdmin = require('../middlewares/isAdmin');
+
+const router = express.Router();
+const teamController = new TeamController();
+
+router.use(authenticate, isAdmin);
+
+router.post('/', teamController.createTeam);
+router.get('/', teamController.getAllTeams);
+router.get('/:teamId', teamController.getTeamById);
+router.put('/:teamId', teamController.updateTeam);
+router.delete('/:teamId', teamController.deleteTeam);
+
+router.post('/:teamId/members', teamController.addMember);
+router.delete('/:teamId/members/:riderId/seasons/:season', teamController.removeMember);
+
+router.post('/:teamId/races/:raceId/entries', teamController.enterRace);
+
+module.exports = router;
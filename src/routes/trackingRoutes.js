@@ -0,0 +1,12 @@
+const express = require('express');
+const TrackingController = require('../raceSystem/controllers/TrackingController');
+const { authenticateDevice } = require('../middlewares/deviceAuth');
+
+const router = express.Router();
+const trackingController = new TrackingController();
+
+
+// GPS trackers post here with their X-Device-Key; the key identifies the race and rider
+router.post('/positions', authenticateDevice, trackingController.ingestPositions);
+
+module.exports = router;
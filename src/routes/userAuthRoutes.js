@@ -0,0 +1,16 @@
+const express = require('express');
+const userAuthController = require('../user/controllers/UserAuthController');
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const RoleEnum = require('../enums/roleEnum');
+
+const router = express.Router();
+
+router.post('/signup', userAuthController.signup);
+router.post('/login', userAuthController.login);
+router.post('/verify-email', userAuthController.verifyEmail);
+router.post('/resend-verification-pin', userAuthController.resendVerificationToken);
+router.post('/forgot-password', userAuthController.forgotPassword);
+router.post('/reset-password', userAuthController.resetPassword);
+router.put('/change-password', authenticate, authorize([RoleEnum.USER]), userAuthController.changePassword);
+
+module.exports = router;
@@ -6,6 +6,14 @@ const connectDB = require("./config/DataBaseConfig");
 const adminRoutes = require('./routes/adminAuthRoutes');
 const raceRoutes = require('./routes/raceRoutes');
 const riderRoutes = require('./routes/riderRoutes');
+const seriesRoutes = require('./routes/seriesRoutes');
+const stageRaceRoutes = require('./routes/stageRaceRoutes');
+const teamRoutes = require('./routes/teamRoutes');
+const userAuthRoutes = require('./routes/userAuthRoutes');
+const meRoutes = require('./routes/meRoutes');
+const discountCodeRoutes = require('./routes/discountCodeRoutes');
+const trackingRoutes = require('./routes/trackingRoutes');
+const publicRoutes = require('./routes/publicRoutes');
 
 const app = express();
 
@@ -30,6 +38,14 @@ app.get("/", (req, res) => {
 app.use('/api/admin', adminRoutes);
 app.use('/api/races', raceRoutes);
 app.use('/api/riders', riderRoutes)
+app.use('/api/series', seriesRoutes);
+app.use('/api/stage-races', stageRaceRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/users', userAuthRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/discount-codes', discountCodeRoutes);
+app.use('/api/tracking', trackingRoutes);
+app.use('/api/public', publicRoutes);
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
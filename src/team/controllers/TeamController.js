@@ -0,0 +1,166 @@
+const TeamService = require('../services/TeamService');
+const {
+    validateTeam,
+    validateTeamUpdate,
+    validateTeamMember,
+    validateTeamEntry,
+    validateObjectId
+} = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    validationErrorResponse,
+    notFoundResponse,
+    handleDatabaseError,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+class TeamController {
+    constructor() {
+        this.teamService = new TeamService();
+    }
+
+    handleTeamError(res, error) {
+        if (['Team not found', 'Rider not found', 'Race not found'].includes(error.message)) {
+            return notFoundResponse(res, error.message.replace(' not found', ''));
+        }
+        if (error.statusCode) {
+            return errorResponse(res, error.message, error.statusCode);
+        }
+        return handleDatabaseError(error, res);
+    }
+
+    createTeam = asyncHandler(async (req, res) => {
+        const { error, value } = validateTeam(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const team = await this.teamService.createTeam(value);
+            return successResponse(res, { team }, "Team created successfully", 201);
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    getAllTeams = asyncHandler(async (req, res) => {
+        const season = req.query.season ? Number(req.query.season) : null;
+        if (req.query.season && !Number.isInteger(season)) {
+            return errorResponse(res, "Season must be a year", 400);
+        }
+        try {
+            const teams = await this.teamService.getAllTeams(season);
+            return successResponse(res, { teams }, "Teams fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    getTeamById = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.teamId);
+        if (error) {
+            return errorResponse(res, "Invalid team ID format", 400);
+        }
+        try {
+            const team = await this.teamService.getTeamById(req.params.teamId);
+            if (!team) {
+                return notFoundResponse(res, "Team");
+            }
+            return successResponse(res, { team }, "Team fetched successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    updateTeam = asyncHandler(async (req, res) => {
+        const { error: idError } = validateObjectId(req.params.teamId);
+        if (idError) {
+            return errorResponse(res, "Invalid team ID format", 400);
+        }
+        const { error, value } = validateTeamUpdate(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const team = await this.teamService.updateTeam(req.params.teamId, value);
+            if (!team) {
+                return notFoundResponse(res, "Team");
+            }
+            return successResponse(res, { team }, "Team updated successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    deleteTeam = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.teamId);
+        if (error) {
+            return errorResponse(res, "Invalid team ID format", 400);
+        }
+        try {
+            const team = await this.teamService.deleteTeam(req.params.teamId);
+            if (!team) {
+                return notFoundResponse(res, "Team");
+            }
+            return successResponse(res, null, "Team deleted successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    addMember = asyncHandler(async (req, res) => {
+        const { error: idError } = validateObjectId(req.params.teamId);
+        if (idError) {
+            return errorResponse(res, "Invalid team ID format", 400);
+        }
+        const { error, value } = validateTeamMember(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const team = await this.teamService.addMember(req.params.teamId, value);
+            return successResponse(res, { team }, "Team member added successfully", 201);
+        } catch (error) {
+            return this.handleTeamError(res, error);
+        }
+    });
+
+    removeMember = asyncHandler(async (req, res) => {
+        const { teamId, riderId } = req.params;
+        const season = Number(req.params.season);
+        if ([teamId, riderId].some(id => validateObjectId(id).error) || !Number.isInteger(season)) {
+            return errorResponse(res, "Invalid team ID, rider ID or season", 400);
+        }
+        try {
+            const team = await this.teamService.removeMember(teamId, riderId, season);
+            if (!team) {
+                return notFoundResponse(res, "Team");
+            }
+            return successResponse(res, { team }, "Team member removed successfully");
+        } catch (dbError) {
+            return handleDatabaseError(dbError, res);
+        }
+    });
+
+    enterRace = asyncHandler(async (req, res) => {
+        const { teamId, raceId } = req.params;
+        if ([teamId, raceId].some(id => validateObjectId(id).error)) {
+            return errorResponse(res, "Invalid ID format", 400);
+        }
+        const { error, value } = validateTeamEntry(req.body || {});
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const entry = await this.teamService.enterRace(teamId, raceId, value.riderIds);
+            return successResponse(res, { entry }, "Team entered into race", 201);
+        } catch (error) {
+            if (error.message.startsWith('Team has no members')) {
+                return errorResponse(res, error.message, 400);
+            }
+            return this.handleTeamError(res, error);
+        }
+    });
+}
+
+module.exports = TeamController;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A rider belongs to at most one team per season
+const membershipSchema = new mongoose.Schema({
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider',
+        required: true
+    },
+    season: {
+        type: Number,
+        required: true,
+        min: 2000,
+        max: 2100
+    },
+    role: {
+        type: String,
+        enum: ['Rider', 'Captain'],
+        default: 'Rider'
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+const teamSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Team name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Team name cannot exceed 100 characters']
+    },
+    manager: {
+        name: {
+            type: String,
+            required: [true, 'Team manager name is required'],
+            trim: true
+        },
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true
+        },
+        phone: {
+            type: String,
+            trim: true
+        }
+    },
+    members: [membershipSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+teamSchema.index({ 'members.rider': 1, 'members.season': 1 });
+
+module.exports = mongoose.model('Team', teamSchema);
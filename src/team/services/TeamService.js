@@ -0,0 +1,172 @@
+const Team = require('../data/models/Team');
+const Rider = require('../../rider/data/models/Rider');
+const Race = require('../../raceSystem/data/models/Race');
+const RaceResult = require('../../raceSystem/data/models/RaceResult');
+const RaceService = require('../../raceSystem/services/RaceService');
+const { conflictError } = require('../../utils/errorHandler');
+
+class TeamService {
+    constructor() {
+        this.raceService = new RaceService();
+    }
+
+    async createTeam(teamData) {
+        try {
+            return await Team.create(teamData);
+        } catch (error) {
+            console.error('TeamService.createTeam - Error:', error);
+            throw error;
+        }
+    }
+
+    async getAllTeams(season = null) {
+        try {
+            const filter = season ? { 'members.season': season } : {};
+            return await Team.find(filter).sort({ name: 1 }).exec();
+        } catch (error) {
+            console.error('TeamService.getAllTeams - Error:', error);
+            throw error;
+        }
+    }
+
+    async getTeamById(teamId) {
+        try {
+            return await Team.findById(teamId)
+                .populate('members.rider', 'firstName lastName category nationality')
+                .exec();
+        } catch (error) {
+            console.error('TeamService.getTeamById - Error:', error);
+            throw error;
+        }
+    }
+
+    async updateTeam(teamId, updateData) {
+        try {
+            return await Team.findByIdAndUpdate(teamId, updateData, { new: true, runValidators: true }).exec();
+        } catch (error) {
+            console.error('TeamService.updateTeam - Error:', error);
+            throw error;
+        }
+    }
+
+    async deleteTeam(teamId) {
+        try {
+            return await Team.findByIdAndDelete(teamId).exec();
+        } catch (error) {
+            console.error('TeamService.deleteTeam - Error:', error);
+            throw error;
+        }
+    }
+
+    async addMember(teamId, { riderId, season, role = 'Rider' }) {
+        try {
+            const team = await Team.findById(teamId).exec();
+            if (!team) {
+                throw new Error('Team not found');
+            }
+
+            const rider = await Rider.findById(riderId).exec();
+            if (!rider) {
+                throw new Error('Rider not found');
+            }
+
+            if (team.members.some(m => m.rider.toString() === riderId.toString() && m.season === season)) {
+                throw conflictError(`Rider is already a member of this team for ${season}`);
+            }
+
+            const otherTeam = await Team.findOne({
+                _id: { $ne: teamId },
+                members: { $elemMatch: { rider: riderId, season } }
+            }).select('name').exec();
+            if (otherTeam) {
+                throw conflictError(`Rider already rides for ${otherTeam.name} in ${season}`);
+            }
+
+            team.members.push({ rider: riderId, season, role });
+            return await team.save();
+        } catch (error) {
+            console.error('TeamService.addMember - Error:', error);
+            throw error;
+        }
+    }
+
+    async removeMember(teamId, riderId, season) {
+        try {
+            return await Team.findByIdAndUpdate(
+                teamId,
+                { $pull: { members: { rider: riderId, season } } },
+                { new: true }
+            ).exec();
+        } catch (error) {
+            console.error('TeamService.removeMember - Error:', error);
+            throw error;
+        }
+    }
+
+    // Registers the team's riders for the race season; riders already registered are
+    // linked to the team instead of being registered again
+    async enterRace(teamId, raceId, riderIds = null) {
+        try {
+            const [team, race] = await Promise.all([
+                Team.findById(teamId).exec(),
+                Race.findById(raceId).exec()
+            ]);
+            if (!team) {
+                throw new Error('Team not found');
+            }
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const season = new Date(race.startTime).getFullYear();
+            const roster = team.members
+                .filter(member => member.season === season)
+                .map(member => member.rider.toString());
+
+            const entrants = riderIds ? riderIds.map(id => id.toString()) : roster;
+            if (entrants.length === 0) {
+                throw new Error(`Team has no members for the ${season} season`);
+            }
+
+            const report = { registered: [], linked: [], rejected: [] };
+            for (const riderId of entrants) {
+                if (!roster.includes(riderId)) {
+                    report.rejected.push({ rider: riderId, reason: `Rider is not a ${season} member of this team` });
+                    continue;
+                }
+
+                const existing = await RaceResult.findOne({ race: raceId, rider: riderId }).exec();
+                if (existing) {
+                    existing.team = team._id;
+                    await existing.save();
+                    report.linked.push({ rider: riderId, bib: existing.bib });
+                    continue;
+                }
+
+                try {
+                    const registration = await this.raceService.registerParticipant(raceId, riderId);
+                    report.registered.push({ rider: riderId, bib: registration.bib });
+                } catch (error) {
+                    report.rejected.push({ rider: riderId, reason: error.message });
+                }
+            }
+
+            return {
+                team: { id: team._id, name: team.name },
+                race: { id: race._id, name: race.name },
+                season,
+                summary: {
+                    registered: report.registered.length,
+                    linked: report.linked.length,
+                    rejected: report.rejected.length
+                },
+                ...report
+            };
+        } catch (error) {
+            console.error('TeamService.enterRace - Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = TeamService;
@@ -0,0 +1,256 @@
+const RiderPortalService = require('../services/RiderPortalService');
+const {
+    validateObjectId,
+    validatePaymentConfirmation,
+    validateDiscountCodeValue,
+    validateWithdrawal,
+    validateEntryTransfer,
+    validateRaceSwitch
+} = require('../../middlewares/validateRace');
+const {
+    successResponse,
+    errorResponse,
+    validationErrorResponse,
+    notFoundResponse,
+    handleDatabaseError,
+    asyncHandler
+} = require('../../utils/respondHandler');
+
+class RiderPortalController {
+    constructor() {
+        this.riderPortalService = new RiderPortalService();
+    }
+
+    handlePortalError(res, error) {
+        if (['User not found', 'Race not found', 'Rider not found', 'Waitlist entry not found', 'Payment not found'].includes(error.message)) {
+            return notFoundResponse(res, error.message.replace(' not found', ''));
+        }
+        if (['Rider not found in this race', 'No open waitlist offer for this rider'].includes(error.message)) {
+            return errorResponse(res, error.message, 404);
+        }
+        if (error.statusCode) {
+            return errorResponse(res, error.message, error.statusCode, error.reasons || []);
+        }
+        if (error.message === 'Rider already registered for this race' || error.message.startsWith('Bib range')) {
+            return errorResponse(res, error.message, 409);
+        }
+        if (error.message.startsWith('Discount code')) {
+            return errorResponse(res, error.message, 400);
+        }
+        return handleDatabaseError(error, res);
+    }
+
+    getProfile = asyncHandler(async (req, res) => {
+        try {
+            const profile = await this.riderPortalService.getProfile(req.user.id);
+            return successResponse(res, profile, "Profile fetched successfully");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    getRegistrations = asyncHandler(async (req, res) => {
+        try {
+            const registrations = await this.riderPortalService.getRegistrations(req.user.id);
+            return successResponse(res, registrations, "Registrations fetched successfully");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    getOpenRaces = asyncHandler(async (req, res) => {
+        try {
+            const races = await this.riderPortalService.getOpenRaces(req.user.id);
+            return successResponse(res, { races }, "Open races fetched successfully");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    checkEligibility = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const eligibility = await this.riderPortalService.checkEligibility(req.user.id, req.params.raceId);
+            return successResponse(res, eligibility, "Eligibility checked successfully");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    getPriceQuote = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error: codeError, value: discountCode } = validateDiscountCodeValue(req.query.code);
+        if (codeError) {
+            return errorResponse(res, codeError.message, 400);
+        }
+        try {
+            const quote = await this.riderPortalService.getPriceQuote(req.user.id, req.params.raceId, discountCode);
+            return successResponse(res, { quote }, "Price fetched successfully");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    registerForRace = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error: codeError, value: discountCode } = validateDiscountCodeValue((req.body || {}).discountCode);
+        if (codeError) {
+            return errorResponse(res, codeError.message, 400);
+        }
+        try {
+            const result = await this.riderPortalService.registerForRace(req.user.id, req.params.raceId, discountCode);
+            if (result.status === 'Waitlisted') {
+                return successResponse(res, result, `Race is full. You are number ${result.position} on the waitlist`, 202);
+            }
+            return successResponse(res, result, "Registered successfully", 201);
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    withdrawFromRace = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error: bodyError, value } = validateWithdrawal(req.body || {});
+        if (bodyError) {
+            return validationErrorResponse(res, { error: bodyError });
+        }
+        if (value.refundPercent !== undefined) {
+            return errorResponse(res, "The refund follows the race refund policy", 400);
+        }
+        try {
+            const withdrawal = await this.riderPortalService.withdrawFromRace(req.user.id, req.params.raceId, value.reason);
+            return successResponse(res, {
+                registration: withdrawal.registration,
+                refund: withdrawal.refund
+            }, "Withdrawn from race successfully");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    transferEntry = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error: bodyError, value } = validateEntryTransfer(req.body || {});
+        if (bodyError) {
+            return validationErrorResponse(res, { error: bodyError });
+        }
+        if (!value.toRiderEmail) {
+            return errorResponse(res, "Give the email of the rider taking over your entry as toRiderEmail", 400);
+        }
+        try {
+            const transfer = await this.riderPortalService.transferEntry(req.user.id, req.params.raceId, value.toRiderEmail, value.reason);
+            return successResponse(res, { registration: transfer.registration }, "Entry transferred successfully");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    switchRace = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error: bodyError, value } = validateRaceSwitch(req.body || {});
+        if (bodyError) {
+            return validationErrorResponse(res, { error: bodyError });
+        }
+        try {
+            const switched = await this.riderPortalService.switchRace(req.user.id, req.params.raceId, value.toRaceId, value.reason);
+            return successResponse(res, {
+                registration: switched.registration,
+                refund: switched.refund
+            }, "Switched race successfully");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    confirmWaitlistOffer = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        const { error: codeError, value: discountCode } = validateDiscountCodeValue((req.body || {}).discountCode);
+        if (codeError) {
+            return errorResponse(res, codeError.message, 400);
+        }
+        try {
+            const registration = await this.riderPortalService.confirmWaitlistOffer(req.user.id, req.params.raceId, discountCode);
+            return successResponse(res, { registration }, "Waitlist spot confirmed", 201);
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    startPayment = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            const intent = await this.riderPortalService.startPayment(req.user.id, req.params.raceId);
+            return successResponse(res, intent, "Payment started", 201);
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    confirmPayment = asyncHandler(async (req, res) => {
+        const { error: idError } = validateObjectId(req.params.paymentId);
+        if (idError) {
+            return errorResponse(res, "Invalid payment ID format", 400);
+        }
+        const { error, value } = validatePaymentConfirmation(req.body);
+        if (error) {
+            return validationErrorResponse(res, { error });
+        }
+        try {
+            const payment = await this.riderPortalService.confirmPayment(req.user.id, req.params.paymentId, value.paymentMethod);
+            if (payment.status === 'Failed') {
+                return errorResponse(res, `Payment failed: ${payment.failureReason}`, 402);
+            }
+            return successResponse(res, { payment }, "Payment succeeded. Your entry is confirmed");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    leaveWaitlist = asyncHandler(async (req, res) => {
+        const { error } = validateObjectId(req.params.raceId);
+        if (error) {
+            return errorResponse(res, "Invalid race ID format", 400);
+        }
+        try {
+            await this.riderPortalService.leaveWaitlist(req.user.id, req.params.raceId);
+            return successResponse(res, null, "Left the waitlist");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+
+    getResults = asyncHandler(async (req, res) => {
+        try {
+            const results = await this.riderPortalService.getResults(req.user.id);
+            return successResponse(res, { results }, "Results fetched successfully");
+        } catch (error) {
+            return this.handlePortalError(res, error);
+        }
+    });
+}
+
+module.exports = RiderPortalController;
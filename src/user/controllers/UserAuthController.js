@@ -0,0 +1,98 @@
+const UserAuthService = require('../services/UserAuthService');
+const { validateUserSignup } = require('../../middlewares/validateRace');
+const { errorResponse, successResponse, validationErrorResponse } = require('../../utils/respondHandler');
+
+class UserAuthController {
+    async signup(req, res) {
+        try {
+            const { error, value } = validateUserSignup(req.body);
+            if (error) {
+                return validationErrorResponse(res, { error });
+            }
+            const newUser = await UserAuthService.createUserAccount(value);
+            return successResponse(res, newUser, 'Rider account created successfully. Please check your email for verification TOKEN.', 201);
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async login(req, res) {
+        try {
+            const { email, password } = req.body;
+            if (!email || !password) {
+                return errorResponse(res, 'Email and password are required', 400);
+            }
+            const result = await UserAuthService.authenticateUser(email, password);
+            return successResponse(res, result, 'Login successful');
+        } catch (error) {
+            return errorResponse(res, error.message, 401);
+        }
+    }
+
+    async verifyEmail(req, res) {
+        try {
+            const { email, pin } = req.body;
+            if (!email || !pin) {
+                return errorResponse(res, 'Email and verification PIN are required', 400);
+            }
+            const result = await UserAuthService.verifyEmail(email, pin);
+            return successResponse(res, result, 'Email verified successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async resendVerificationToken(req, res) {
+        try {
+            const { email } = req.body;
+            if (!email) {
+                return errorResponse(res, 'Email is required', 400);
+            }
+            await UserAuthService.resendVerificationToken(email);
+            return successResponse(res, null, 'New verification PIN has been sent to your email');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async forgotPassword(req, res) {
+        try {
+            const { email } = req.body;
+            if (!email) {
+                return errorResponse(res, 'Email is required', 400);
+            }
+            await UserAuthService.forgotPassword(email);
+            return successResponse(res, null, 'Password reset token has been sent to your email');
+        } catch (error) {
+            return errorResponse(res, error.message, 404);
+        }
+    }
+
+    async resetPassword(req, res) {
+        try {
+            const { email, token, newPassword } = req.body;
+            if (!email || !token || !newPassword) {
+                return errorResponse(res, 'Email, token and new password are required', 400);
+            }
+            await UserAuthService.resetPassword(email, token, newPassword);
+            return successResponse(res, null, 'Password has been reset successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async changePassword(req, res) {
+        try {
+            const { oldPassword, newPassword } = req.body;
+            if (!oldPassword || !newPassword) {
+                return errorResponse(res, 'Both old and new passwords are required', 400);
+            }
+            const result = await UserAuthService.changePassword(req.user.id, oldPassword, newPassword);
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+}
+
+module.exports = new UserAuthController();
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { pinAuthPlugin } = require('../../../utils/pinHandler');
+const RoleEnum = require('../../../enums/roleEnum');
+
+// A rider's login; the racing profile itself stays on the linked Rider record
+const userSchema = new mongoose.Schema({
+    firstName: {
+        type: String,
+        required: [true, 'First name is required'],
+        trim: true,
+        minlength: [2, 'First name must be at least 2 characters long'],
+        maxlength: [50, 'First name cannot exceed 50 characters']
+    },
+    lastName: {
+        type: String,
+        required: [true, 'Last name is required'],
+        trim: true,
+        minlength: [2, 'Last name must be at least 2 characters long'],
+        maxlength: [50, 'Last name cannot exceed 50 characters']
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        lowercase: true,
+        validate: {
+            validator: function(v) {
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+            },
+            message: 'Please enter a valid email'
+        }
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [6, 'Password must be at least 6 characters long']
+    },
+    role: {
+        type: String,
+        enum: [RoleEnum.USER],
+        default: RoleEnum.USER
+    },
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider',
+        required: true,
+        unique: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastLogin: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+userSchema.virtual('fullName').get(function() {
+    return `${this.firstName} ${this.lastName}`;
+});
+
+userSchema.plugin(pinAuthPlugin);
+
+userSchema.methods.toJSON = function() {
+    const userObject = this.toObject();
+    delete userObject.password;
+    delete userObject.resetPasswordToken;
+    delete userObject.resetPasswordExpire;
+    delete userObject.emailVerificationPin;
+    delete userObject.emailVerificationExpire;
+    delete userObject._id;
+    delete userObject.__v;
+    return userObject;
+};
+
+module.exports = mongoose.model('User', userSchema);
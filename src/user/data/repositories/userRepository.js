@@ -0,0 +1,27 @@
+const User = require('../models/userModel');
+
+const findUserByEmail = async (email) => {
+    return User.findOne({ email: email.toLowerCase() });
+};
+
+const createUser = async (firstName, lastName, email, password, riderId) => {
+    const newUser = new User({ firstName, lastName, email, password, rider: riderId });
+    await newUser.save();
+    return newUser;
+};
+
+const updatePassword = async (userId, hashedPassword) => {
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { password: hashedPassword } },
+        { new: true }
+    );
+    if (!user) throw new Error('User not found');
+    return user;
+};
+
+module.exports = {
+    findUserByEmail,
+    createUser,
+    updatePassword
+};
@@ -0,0 +1,253 @@
+const User = require('../data/models/userModel');
+const Race = require('../../raceSystem/data/models/Race');
+const RaceResult = require('../../raceSystem/data/models/RaceResult');
+const WaitlistEntry = require('../../raceSystem/data/models/WaitlistEntry');
+const Rider = require('../../rider/data/models/Rider');
+const RaceService = require('../../raceSystem/services/RaceService');
+const RegistrationService = require('../../raceSystem/services/RegistrationService');
+const PaymentService = require('../../payment/services/PaymentService');
+const PricingService = require('../../payment/services/PricingService');
+
+const RESULT_STATUSES = ['Finished', 'DNF', 'DSQ'];
+const CLOSED_RACE_STATUSES = ['Completed', 'Cancelled'];
+
+// Views and actions for a logged-in rider, always scoped to the rider linked to their account
+class RiderPortalService {
+    constructor() {
+        this.raceService = new RaceService();
+        this.registrationService = new RegistrationService();
+        this.paymentService = new PaymentService();
+        this.pricingService = new PricingService();
+    }
+
+    async getProfile(userId) {
+        try {
+            const user = await User.findById(userId).populate('rider').exec();
+            if (!user) {
+                throw new Error('User not found');
+            }
+            return { account: user.toJSON(), rider: user.rider };
+        } catch (error) {
+            console.error('RiderPortalService.getProfile - Error:', error);
+            throw error;
+        }
+    }
+
+    async getRiderId(userId) {
+        const user = await User.findById(userId).select('rider').exec();
+        if (!user) {
+            throw new Error('User not found');
+        }
+        return user.rider;
+    }
+
+    // The account acting on its own entry, as recorded in registration change history
+    async getAccountActor(userId) {
+        const user = await User.findById(userId).select('rider email firstName lastName').exec();
+        if (!user) {
+            throw new Error('User not found');
+        }
+        return {
+            riderId: user.rider,
+            requestedBy: { kind: 'Rider', user: user._id, email: user.email, name: `${user.firstName} ${user.lastName}` }
+        };
+    }
+
+    async getOpenRaces(userId) {
+        try {
+            const user = await User.findById(userId).populate('rider').exec();
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const races = await Race.find({ status: 'Open' })
+                .select('name location startTime distance categories maxParticipants entryFee categoryPrices priceTiers status registrationOpensAt registrationClosesAt')
+                .sort({ startTime: 1 })
+                .exec();
+
+            return races.map(race => {
+                const reasons = this.raceService.getRegistrationRefusals(user.rider, race);
+                return { race, canRegister: reasons.length === 0, reasons };
+            });
+        } catch (error) {
+            console.error('RiderPortalService.getOpenRaces - Error:', error);
+            throw error;
+        }
+    }
+
+    async checkEligibility(userId, raceId) {
+        try {
+            const riderId = await this.getRiderId(userId);
+            return await this.raceService.checkRegistrationEligibility(raceId, riderId);
+        } catch (error) {
+            console.error('RiderPortalService.checkEligibility - Error:', error);
+            throw error;
+        }
+    }
+
+    // What the rider would pay if they registered now, with the discount code applied
+    async getPriceQuote(userId, raceId, discountCode = null) {
+        try {
+            const user = await User.findById(userId).populate('rider').exec();
+            if (!user) {
+                throw new Error('User not found');
+            }
+            const race = await Race.findById(raceId).exec();
+            if (!race) {
+                throw new Error('Race not found');
+            }
+
+            const { discountCodeId, ...quote } = await this.pricingService.quote(race, user.rider.category, discountCode);
+            return quote;
+        } catch (error) {
+            console.error('RiderPortalService.getPriceQuote - Error:', error);
+            throw error;
+        }
+    }
+
+    // Riders go through every registration rule; there is no override as for admins
+    async registerForRace(userId, raceId, discountCode = null) {
+        try {
+            const riderId = await this.getRiderId(userId);
+            return await this.registrationService.register(raceId, riderId, null, { discountCode });
+        } catch (error) {
+            console.error('RiderPortalService.registerForRace - Error:', error);
+            throw error;
+        }
+    }
+
+    // Riders always get the race refund policy
+    async withdrawFromRace(userId, raceId, reason = null) {
+        try {
+            const { riderId, requestedBy } = await this.getAccountActor(userId);
+            return await this.registrationService.withdrawParticipant(raceId, riderId, { reason, requestedBy });
+        } catch (error) {
+            console.error('RiderPortalService.withdrawFromRace - Error:', error);
+            throw error;
+        }
+    }
+
+    async transferEntry(userId, raceId, toRiderEmail, reason = null) {
+        try {
+            const { riderId, requestedBy } = await this.getAccountActor(userId);
+            const toRider = await Rider.findOne({ email: toRiderEmail.toLowerCase() }).select('_id').exec();
+            if (!toRider) {
+                throw new Error('Rider not found');
+            }
+            return await this.registrationService.transferEntry(raceId, riderId, toRider._id, { reason, requestedBy });
+        } catch (error) {
+            console.error('RiderPortalService.transferEntry - Error:', error);
+            throw error;
+        }
+    }
+
+    async switchRace(userId, raceId, toRaceId, reason = null) {
+        try {
+            const { riderId, requestedBy } = await this.getAccountActor(userId);
+            return await this.registrationService.switchRace(raceId, riderId, toRaceId, { reason, requestedBy });
+        } catch (error) {
+            console.error('RiderPortalService.switchRace - Error:', error);
+            throw error;
+        }
+    }
+
+    async confirmWaitlistOffer(userId, raceId, discountCode = null) {
+        try {
+            const riderId = await this.getRiderId(userId);
+            return await this.registrationService.confirmWaitlistOffer(raceId, riderId, discountCode);
+        } catch (error) {
+            console.error('RiderPortalService.confirmWaitlistOffer - Error:', error);
+            throw error;
+        }
+    }
+
+    async leaveWaitlist(userId, raceId) {
+        try {
+            const riderId = await this.getRiderId(userId);
+            return await this.registrationService.leaveWaitlist(raceId, riderId);
+        } catch (error) {
+            console.error('RiderPortalService.leaveWaitlist - Error:', error);
+            throw error;
+        }
+    }
+
+    async startPayment(userId, raceId) {
+        try {
+            const riderId = await this.getRiderId(userId);
+            return await this.paymentService.createPaymentIntent(raceId, riderId);
+        } catch (error) {
+            console.error('RiderPortalService.startPayment - Error:', error);
+            throw error;
+        }
+    }
+
+    async confirmPayment(userId, paymentId, paymentMethod) {
+        try {
+            const riderId = await this.getRiderId(userId);
+            return await this.paymentService.confirmPayment(paymentId, paymentMethod, riderId);
+        } catch (error) {
+            console.error('RiderPortalService.confirmPayment - Error:', error);
+            throw error;
+        }
+    }
+
+    async getRegistrations(userId) {
+        try {
+            const riderId = await this.getRiderId(userId);
+            const registrations = await RaceResult.find({ rider: riderId })
+                .select('race bib status team plannedStartTime startOrder amountDue pricing paymentStatus confirmedAt createdAt')
+                .populate('race', 'name location startTime status')
+                .populate('team', 'name')
+                .exec();
+
+            const waitlist = await WaitlistEntry.find({ rider: riderId, status: { $in: ['Waiting', 'Offered'] } })
+                .populate('race', 'name location startTime status')
+                .sort({ createdAt: 1 })
+                .exec();
+
+            const entries = registrations
+                .filter(registration => registration.race)
+                .sort((a, b) => new Date(a.race.startTime) - new Date(b.race.startTime));
+
+            return {
+                upcoming: entries.filter(entry => !CLOSED_RACE_STATUSES.includes(entry.race.status)),
+                past: entries.filter(entry => CLOSED_RACE_STATUSES.includes(entry.race.status)).reverse(),
+                waitlist
+            };
+        } catch (error) {
+            console.error('RiderPortalService.getRegistrations - Error:', error);
+            throw error;
+        }
+    }
+
+    async getResults(userId) {
+        try {
+            const riderId = await this.getRiderId(userId);
+            const results = await RaceResult.find({ rider: riderId, status: { $in: RESULT_STATUSES } })
+                .populate('race', 'name location startTime resultsStatus')
+                .populate('team', 'name')
+                .exec();
+
+            return results
+                .filter(result => result.race)
+                .sort((a, b) => new Date(b.race.startTime) - new Date(a.race.startTime))
+                .map(result => ({
+                    race: result.race,
+                    resultsStatus: result.race.resultsStatus,
+                    bib: result.bib,
+                    team: result.team || null,
+                    status: result.status,
+                    position: result.status === 'Finished' ? result.position : null,
+                    lapsCompleted: result.lapsCompleted,
+                    penaltyTime: result.penaltyTime,
+                    formattedTime: this.raceService.formatTime(result.totalTime),
+                    formattedAdjustedTime: this.raceService.formatTime(this.raceService.getEffectiveTime(result))
+                }));
+        } catch (error) {
+            console.error('RiderPortalService.getResults - Error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RiderPortalService;
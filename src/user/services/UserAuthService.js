@@ -0,0 +1,203 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { findUserByEmail, createUser, updatePassword } = require('../data/repositories/userRepository');
+const { JWT_SECRET } = require('../../config/config');
+const { sendEmail } = require('../../utils/emailHandler');
+const { hashPin } = require('../../utils/pinHandler');
+const { checkIfUserExists } = require('../../utils/validation');
+const User = require('../data/models/userModel');
+const Rider = require('../../rider/data/models/Rider');
+
+const RIDER_PROFILE_FIELDS = ['dateOfBirth', 'nationality', 'bikeType'];
+
+class UserAuthService {
+    async authenticateUser(email, password) {
+        const user = await findUserByEmail(email);
+        if (!user) throw new Error('Invalid email or password');
+        if (!user.isEmailVerified) throw new Error('Please verify your email before logging in');
+        if (!user.isActive) throw new Error('This account has been deactivated');
+
+        const isMatch = await bcrypt.compare(password, user.password);
+        if (!isMatch) throw new Error('Invalid email or password');
+
+        user.lastLogin = new Date();
+        await user.save();
+
+        const token = jwt.sign({ id: user._id, role: user.role }, JWT_SECRET, { expiresIn: '3h' });
+
+        const userData = user.toJSON();
+        return {
+            token,
+            user: {
+                firstName: userData.firstName,
+                lastName: userData.lastName,
+                email: userData.email,
+                role: userData.role,
+                rider: userData.rider,
+                isEmailVerified: userData.isEmailVerified,
+                createdAt: userData.createdAt,
+                updatedAt: userData.updatedAt
+            }
+        };
+    }
+
+    // Links the account to the rider record with the same email, or creates one from the
+    // profile fields; the record is only usable once the email (and so ownership) is verified
+    async createUserAccount({ password, ...profile }) {
+        await checkIfUserExists(profile.email);
+
+        let rider = await Rider.findOne({ email: profile.email.toLowerCase() });
+        const riderLinked = Boolean(rider);
+        if (!rider) {
+            const missing = RIDER_PROFILE_FIELDS.filter(field => !profile[field]);
+            if (missing.length > 0) {
+                throw new Error(`No rider record found for this email; ${missing.join(', ')} required to create one`);
+            }
+            rider = await Rider.create(profile);
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const newUser = await createUser(profile.firstName, profile.lastName, profile.email, hashedPassword, rider._id);
+
+        const verificationPin = newUser.createEmailVerificationPin();
+        await newUser.save();
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    newUser.email,
+                    'Email Verification Required',
+                    `Welcome ${newUser.firstName} ${newUser.lastName}!
+
+Your rider account has been created. Please verify your email using the PIN below:
+
+Verification TOKEN: ${verificationPin}
+
+This TOKEN will expire in 15 minutes.
+
+Best regards,
+Race Team`
+                );
+            } catch (error) {
+                console.error('Rider verification email failed:', error.message);
+            }
+        });
+
+        return { ...newUser.toJSON(), riderLinked };
+    }
+
+    async verifyEmail(email, pin) {
+        if (!pin || pin.length !== 6) throw new Error('Valid 6-digit PIN is required');
+
+        const user = await User.findOne({
+            email: email.toLowerCase(),
+            emailVerificationPin: hashPin(pin),
+            emailVerificationExpire: { $gt: Date.now() }
+        });
+
+        if (!user) throw new Error('Invalid or expired verification PIN');
+
+        user.isEmailVerified = true;
+        user.emailVerificationPin = undefined;
+        user.emailVerificationExpire = undefined;
+        await user.save();
+
+        return user.toJSON();
+    }
+
+    async resendVerificationToken(email) {
+        const user = await findUserByEmail(email);
+        if (!user) throw new Error('User not found with this email');
+        if (user.isEmailVerified) throw new Error('Email is already verified');
+
+        const verificationPin = user.createEmailVerificationPin();
+        await user.save();
+
+        await sendEmail(
+            user.email,
+            'New Email Verification PIN',
+            `Hi ${user.firstName} ${user.lastName},
+
+Here is your new email verification TOKEN:
+
+Verification TOKEN: ${verificationPin}
+
+This TOKEN will expire in 15 minutes.
+
+Best regards,
+Race Team`
+        );
+
+        return { message: 'New verification PIN sent to email' };
+    }
+
+    async forgotPassword(email) {
+        const user = await findUserByEmail(email);
+        if (!user) throw new Error('User not found with this email');
+        if (!user.isEmailVerified) throw new Error('Please verify your email first');
+
+        const rawResetToken = user.createPasswordResetToken();
+        await user.save();
+
+        await sendEmail(
+            user.email,
+            'Password Reset Request',
+            `Hi ${user.firstName} ${user.lastName},
+
+Use this token to reset your password:
+${rawResetToken}
+
+This token will expire in 10 minutes.
+
+Best regards,
+Race Team`
+        );
+
+        return { message: 'Password reset token sent to email' };
+    }
+
+    async resetPassword(email, token, newPassword) {
+        if (!token) throw new Error('Reset token required');
+        if (!newPassword || newPassword.length < 6) throw new Error('New password must be at least 6 characters long');
+
+        // Reset PINs are only six digits, so they are matched together with the account email
+        const user = await User.findOne({
+            email: email.toLowerCase(),
+            resetPasswordToken: hashPin(token),
+            resetPasswordExpire: { $gt: Date.now() }
+        });
+
+        if (!user) throw new Error('Invalid or expired reset token');
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save();
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(user.email, 'Password Reset Complete', 'Your password has been reset successfully.');
+            } catch (error) {
+                console.error('Password reset email failed:', error.message);
+            }
+        });
+
+        return user.toJSON();
+    }
+
+    async changePassword(userId, oldPassword, newPassword) {
+        const user = await User.findById(userId);
+        if (!user) throw new Error('User not found');
+
+        const isOldValid = await bcrypt.compare(oldPassword, user.password);
+        if (!isOldValid) throw new Error('Current password is incorrect');
+        if (!newPassword || newPassword.length < 6) throw new Error('New password must be at least 6 characters long');
+
+        const hashedNew = await bcrypt.hash(newPassword, 10);
+        await updatePassword(userId, hashedNew);
+
+        return { message: 'Password changed successfully' };
+    }
+}
+
+module.exports = new UserAuthService();
@@ -0,0 +1,82 @@
+const parseCsvLine = (line, delimiter) => {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    fields.push(field.trim());
+    return fields;
+};
+
+const parseCsv = (text, { delimiter = ',' } = {}) => {
+    if (!text || typeof text !== 'string') {
+        throw new Error('CSV content is required');
+    }
+
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headerIndex = lines.findIndex(line => line.trim() !== '');
+    if (headerIndex === -1) {
+        throw new Error('CSV content is empty');
+    }
+
+    const headers = parseCsvLine(lines[headerIndex], delimiter);
+    const rows = [];
+
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+        if (lines[i].trim() === '') continue;
+
+        const values = parseCsvLine(lines[i], delimiter);
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = values[index] !== undefined ? values[index] : '';
+        });
+
+        rows.push({ line: i + 1, record });
+    }
+
+    return { headers, rows };
+};
+
+// Quotes fields that contain the delimiter, quotes or line breaks
+const formatCsvField = (value, delimiter) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+// Spreadsheet apps run a cell starting with one of these as a formula. Only apply this to
+// free-text values: numbers and gaps such as "+0:01:23" legitimately start with + or -
+const escapeCsvFormula = (value) => {
+    if (typeof value !== 'string' || !/^[=+\-@\t\r]/.test(value)) return value;
+    return `'${value}`;
+};
+
+const toCsv = (rows, { delimiter = ',' } = {}) => rows
+    .map(row => row.map(value => formatCsvField(value, delimiter)).join(delimiter))
+    .join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv, escapeCsvFormula };
@@ -0,0 +1,10 @@
+// Errors carrying a statusCode are surfaced with that status by the controllers
+const createHttpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const conflictError = (message) => createHttpError(message, 409);
+
+module.exports = { createHttpError, conflictError };
@@ -0,0 +1,77 @@
+// Reads track points out of GPX 1.0/1.1 files. Tracks (<trk>/<trkseg>/<trkpt>) are preferred;
+// files that only contain a route (<rte>/<rtept>) are read as a single segment.
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return XML_ENTITIES[entity.toLowerCase()] || match;
+    })
+    .trim();
+
+const readAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? Number(match[1]) : NaN;
+};
+
+// Matches both <trkpt lat=".." lon=".."/> and <trkpt ...>...</trkpt>
+const pointPattern = (tag) => new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/(?:\\w+:)?${tag}>)`, 'g');
+
+const readPoints = (xml, tag, startLine) => {
+    const points = [];
+    for (const match of xml.matchAll(pointPattern(tag))) {
+        const lat = readAttribute(match[1], 'lat');
+        const lon = readAttribute(match[1], 'lon');
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            throw new Error(`GPX point ${startLine + points.length + 1} has invalid coordinates`);
+        }
+        const eleMatch = match[2] && match[2].match(/<(?:\w+:)?ele>([^<]*)<\/(?:\w+:)?ele>/);
+        const ele = eleMatch ? Number(eleMatch[1]) : NaN;
+        points.push({ lat, lon, ele: Number.isFinite(ele) ? ele : null });
+    }
+    return points;
+};
+
+const parseGpx = (text) => {
+    if (!text || typeof text !== 'string') {
+        throw new Error('GPX content is required');
+    }
+    if (!/<(?:\w+:)?gpx\b/.test(text)) {
+        throw new Error('File is not a GPX document');
+    }
+
+    const nameMatch = text.match(/<(?:\w+:)?(?:trk|rte|metadata)\b[^>]*>\s*<(?:\w+:)?name>([\s\S]*?)<\/(?:\w+:)?name>/);
+    const segments = [];
+    let pointCount = 0;
+
+    for (const segment of text.matchAll(/<(?:\w+:)?trkseg\b[^>]*>([\s\S]*?)<\/(?:\w+:)?trkseg>/g)) {
+        const points = readPoints(segment[1], 'trkpt', pointCount);
+        if (points.length > 0) {
+            segments.push(points);
+            pointCount += points.length;
+        }
+    }
+
+    if (segments.length === 0) {
+        for (const route of text.matchAll(/<(?:\w+:)?rte\b[^>]*>([\s\S]*?)<\/(?:\w+:)?rte>/g)) {
+            const points = readPoints(route[1], 'rtept', pointCount);
+            if (points.length > 0) {
+                segments.push(points);
+                pointCount += points.length;
+            }
+        }
+    }
+
+    if (pointCount < 2) {
+        throw new Error('GPX file must contain a track with at least two points');
+    }
+
+    return { name: nameMatch ? decodeXml(nameMatch[1]) : null, segments, pointCount };
+};
+
+module.exports = { parseGpx };
@@ -0,0 +1,132 @@
+// Minimal PDF writer for printable tables: A4 pages, the built-in Helvetica fonts and
+// automatic page breaks. Text outside Latin-1 is replaced since the standard fonts cannot show it.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const LINE_HEIGHT = 14;
+const FONT_SIZE = 9;
+// Average Helvetica glyph width as a share of the font size, used to clip long cells
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+const toPdfText = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+const clip = (value, width, fontSize) => {
+    const text = String(value === null || value === undefined ? '' : value);
+    const maxChars = Math.floor(width / (fontSize * AVERAGE_CHAR_WIDTH));
+    return text.length > maxChars ? `${text.slice(0, Math.max(maxChars - 1, 1))}.` : text;
+};
+
+class PdfPages {
+    constructor() {
+        this.pages = [];
+        this.newPage();
+    }
+
+    newPage() {
+        this.current = [];
+        this.pages.push(this.current);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    ensureSpace(lines) {
+        if (this.y - lines * LINE_HEIGHT < MARGIN) {
+            this.newPage();
+        }
+    }
+
+    text(x, value, { font = 'F1', size = FONT_SIZE } = {}) {
+        this.current.push(`BT /${font} ${size} Tf ${x.toFixed(2)} ${this.y.toFixed(2)} Td (${toPdfText(value)}) Tj ET`);
+    }
+
+    line(height = LINE_HEIGHT) {
+        this.y -= height;
+    }
+}
+
+const drawRow = (pages, columns, cells, font) => {
+    let x = MARGIN;
+    columns.forEach((column, index) => {
+        pages.text(x, clip(cells[index], column.width - 4, FONT_SIZE), { font });
+        x += column.width;
+    });
+    pages.line();
+};
+
+/**
+ * Builds a PDF document of titled tables.
+ * @param {{title: string, subtitle?: string, sections: Array<{heading: string, columns: Array<{label: string, width: number}>, rows: Array<Array>, emptyText?: string}>}} document
+ * @returns {Buffer}
+ */
+const buildTablePdf = ({ title, subtitle = null, sections = [] }) => {
+    const pages = new PdfPages();
+
+    pages.text(MARGIN, title, { font: 'F2', size: 16 });
+    pages.line(20);
+    if (subtitle) {
+        pages.text(MARGIN, subtitle);
+        pages.line(20);
+    }
+
+    sections.forEach(section => {
+        // Keep a heading together with its column headers and first row
+        pages.ensureSpace(4);
+        pages.line(6);
+        pages.text(MARGIN, section.heading, { font: 'F2', size: 12 });
+        pages.line(18);
+
+        if (section.rows.length === 0) {
+            pages.text(MARGIN, section.emptyText || 'None');
+            pages.line();
+            return;
+        }
+
+        drawRow(pages, section.columns, section.columns.map(column => column.label), 'F2');
+        section.rows.forEach(row => {
+            if (pages.y - LINE_HEIGHT < MARGIN) {
+                pages.newPage();
+                drawRow(pages, section.columns, section.columns.map(column => column.label), 'F2');
+            }
+            drawRow(pages, section.columns, row, 'F1');
+        });
+    });
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and content stream per page
+    const objects = [];
+    const pageIds = pages.pages.map((_, index) => 5 + index * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    pages.pages.forEach((commands, index) => {
+        const pageId = pageIds[index];
+        const footer = `BT /F1 8 Tf ${MARGIN} 20 Td (${toPdfText(`Page ${index + 1} of ${pageIds.length}`)}) Tj ET`;
+        const stream = [...commands, footer].join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+
+    let body = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(body, 'latin1');
+        body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+};
+
+module.exports = { buildTablePdf };
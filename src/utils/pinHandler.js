@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { generateResetToken } = require('./tokenGenerator');
+
+const EMAIL_VERIFICATION_MINUTES = 15;
+const PASSWORD_RESET_MINUTES = 10;
+
+const hashPin = (pin) => crypto.createHash('sha256').update(pin.trim()).digest('hex');
+
+// Schema plugin for accounts verified and recovered with emailed 6-digit PINs; only the hash is stored
+const pinAuthPlugin = (schema) => {
+    schema.add({
+        resetPasswordToken: String,
+        resetPasswordExpire: Date,
+        emailVerificationPin: String,
+        emailVerificationExpire: Date,
+        isEmailVerified: {
+            type: Boolean,
+            default: false
+        }
+    });
+
+    schema.methods.createPasswordResetToken = function() {
+        const pin = generateResetToken();
+        this.resetPasswordToken = hashPin(pin);
+        this.resetPasswordExpire = Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000;
+        return pin;
+    };
+
+    schema.methods.createEmailVerificationPin = function() {
+        const pin = generateResetToken();
+        this.emailVerificationPin = hashPin(pin);
+        this.emailVerificationExpire = Date.now() + EMAIL_VERIFICATION_MINUTES * 60 * 1000;
+        return pin;
+    };
+};
+
+module.exports = { hashPin, pinAuthPlugin };
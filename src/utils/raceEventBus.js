@@ -0,0 +1,51 @@
+const { EventEmitter } = require('events');
+
+// In-process publish/subscribe for live race events. Each race keeps its last few events so
+// clients that reconnect with Last-Event-ID catch up on what they missed
+const HISTORY_SIZE = 100;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const history = new Map();
+let lastEventId = 0;
+
+// replay: false keeps large, self-contained events (e.g. full standings) out of the history
+const publishRaceEvent = (raceId, type, data = {}, { replay = true } = {}) => {
+    const race = raceId.toString();
+    const event = { id: ++lastEventId, type, race, at: new Date(), data };
+
+    if (replay) {
+        const events = history.get(race) || [];
+        events.push(event);
+        if (events.length > HISTORY_SIZE) events.shift();
+        history.set(race, events);
+    }
+
+    emitter.emit(race, event);
+    return event;
+};
+
+// A failing listener must never break the timing flow that published the event
+const subscribeToRace = (raceId, listener) => {
+    const race = raceId.toString();
+    const safeListener = (event) => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('raceEventBus listener - Error:', error);
+        }
+    };
+    emitter.on(race, safeListener);
+    return () => emitter.off(race, safeListener);
+};
+
+const getRaceEventsSince = (raceId, eventId) => {
+    const since = Number(eventId);
+    if (!Number.isInteger(since) || since < 0) return [];
+    return (history.get(raceId.toString()) || []).filter(event => event.id > since);
+};
+
+const countRaceSubscribers = (raceId) => emitter.listenerCount(raceId.toString());
+
+module.exports = { publishRaceEvent, subscribeToRace, getRaceEventsSince, countRaceSubscribers };
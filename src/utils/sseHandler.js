@@ -0,0 +1,38 @@
+// Server-Sent Events: keeps the response open and writes `event:`/`data:` frames to it.
+// A comment line every HEARTBEAT_MS stops proxies from closing idle connections
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+const openEventStream = (req, res, onClose = () => {}) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    let open = true;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    const close = () => {
+        if (!open) return;
+        open = false;
+        clearInterval(heartbeat);
+        onClose();
+        res.end();
+    };
+    req.on('close', close);
+
+    const send = (event) => {
+        if (!open) return;
+        if (event.id) res.write(`id: ${event.id}\n`);
+        res.write(`event: ${event.type}\n`);
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+
+    return { send, close, isOpen: () => open };
+};
+
+module.exports = { openEventStream };
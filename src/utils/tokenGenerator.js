@@ -1,4 +1,6 @@
 
+const crypto = require('crypto');
+
 const generateResetToken = () => {
     return Math.floor(100000 + Math.random() * 900000).toString();
 };
@@ -10,4 +12,9 @@ const generateOrderNumber =() => {
     return `ORD-${timestamp}-${randomStr}`;
 }
 
-module.exports = { generateResetToken,generateOrderNumber };
\ No newline at end of file
+// Keys for GPS trackers; only the SHA-256 hash is stored
+const generateDeviceKey = () => crypto.randomBytes(24).toString('hex');
+
+const hashDeviceKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+module.exports = { generateResetToken,generateOrderNumber, generateDeviceKey, hashDeviceKey };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { findAdminByFirstName, findAdminByLastName, findAdminByEmail } = require("../admin/data/repositories/adminRepository");
 const Admin = require("../admin/data/models/adminModel");
+const User = require("../user/data/models/userModel");
 
 
 const checkIfAdminExists = async (firstName, lastName, email) => {
@@ -23,7 +24,7 @@ const checkIfAdminExists = async (firstName, lastName, email) => {
 };
 
 const checkIfUserExists = async (email) => {
-    const existingUser = await User.findOne({ email });
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
 
     if (existingUser) {
         throw new Error('Email is already in use');
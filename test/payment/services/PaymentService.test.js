@@ -0,0 +1,210 @@
+const PaymentService = require('../../../src/payment/services/PaymentService');
+const FakePaymentProvider = require('../../../src/payment/providers/FakePaymentProvider');
+const Payment = require('../../../src/payment/data/models/Payment');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+
+jest.mock('../../../src/payment/data/models/Payment');
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+
+describe('PaymentService', () => {
+    let paymentService;
+    let provider;
+
+    const registration = { _id: 'result1', race: 'race1', rider: 'rider1', amountDue: 40, paymentStatus: 'Unpaid' };
+
+    const mockPayment = (fields) => {
+        const payment = { _id: 'pay1', rider: 'rider1', registration: 'result1', refundedAmount: 0, events: [], ...fields };
+        payment.save = jest.fn().mockResolvedValue(payment);
+        return payment;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        provider = new FakePaymentProvider();
+        paymentService = new PaymentService(provider);
+
+        RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(registration) });
+        RaceResult.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(registration) });
+        RaceResult.findByIdAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue({}) });
+        Payment.create.mockImplementation(async (data) => mockPayment(data));
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('createPaymentIntent', () => {
+        it('should record an intent for the amount due', async () => {
+            Payment.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+
+            const { payment, clientSecret } = await paymentService.createPaymentIntent('race1', 'rider1');
+
+            expect(payment).toMatchObject({ amount: 40, currency: 'USD', provider: 'fake', registration: 'result1' });
+            expect(payment.events).toEqual([{ type: 'Intent', amount: 40, reference: payment.providerReference }]);
+            expect(clientSecret).toBe(`${payment.providerReference}_secret`);
+        });
+
+        it('should reuse a pending intent', async () => {
+            const pending = mockPayment({ status: 'Pending', providerReference: 'fake_pi_1' });
+            Payment.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(pending) });
+
+            const { payment } = await paymentService.createPaymentIntent('race1', 'rider1');
+
+            expect(payment).toBe(pending);
+            expect(Payment.create).not.toHaveBeenCalled();
+        });
+
+        it('should refuse when no payment is due', async () => {
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...registration, paymentStatus: 'Paid' }) });
+
+            await expect(paymentService.createPaymentIntent('race1', 'rider1'))
+                .rejects.toMatchObject({ statusCode: 409, message: 'No payment is due: entry fee status is Paid' });
+        });
+    });
+
+    describe('confirmPayment', () => {
+        let payment;
+
+        beforeEach(async () => {
+            Payment.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            ({ payment } = await paymentService.createPaymentIntent('race1', 'rider1'));
+            payment.status = 'Pending';
+            Payment.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(payment) });
+        });
+
+        it('should mark the payment succeeded and confirm the entry', async () => {
+            await paymentService.confirmPayment('pay1', 'card_ok', 'rider1');
+
+            expect(payment.status).toBe('Succeeded');
+            expect(payment.events.map(event => event.type)).toEqual(['Intent', 'Succeeded']);
+            expect(RaceResult.findByIdAndUpdate).toHaveBeenCalledWith('result1', { paymentStatus: 'Paid', confirmedAt: expect.any(Date) });
+        });
+
+        it('should record a declined payment and leave the entry unpaid', async () => {
+            await paymentService.confirmPayment('pay1', FakePaymentProvider.DECLINED_METHOD, 'rider1');
+
+            expect(payment).toMatchObject({ status: 'Failed', failureReason: 'Card declined' });
+            expect(RaceResult.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should not let a rider confirm someone else\'s payment', async () => {
+            await expect(paymentService.confirmPayment('pay1', 'card_ok', 'rider2')).rejects.toThrow('Payment not found');
+        });
+
+        it('should refuse to charge for an entry that was withdrawn after checkout started', async () => {
+            RaceResult.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            const confirmIntent = jest.spyOn(provider, 'confirmIntent');
+
+            await expect(paymentService.confirmPayment('pay1', 'card_ok', 'rider1'))
+                .rejects.toMatchObject({ message: 'The entry for this payment no longer exists', statusCode: 409 });
+            expect(confirmIntent).not.toHaveBeenCalled();
+            expect(payment.status).toBe('Pending');
+            expect(RaceResult.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should refuse when the entry no longer owes a fee', async () => {
+            RaceResult.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...registration, paymentStatus: 'Paid' }) });
+
+            await expect(paymentService.confirmPayment('pay1', 'card_ok', 'rider1'))
+                .rejects.toThrow('No payment is due: entry fee status is Paid');
+        });
+    });
+
+    describe('refundPayment', () => {
+        let payment;
+
+        beforeEach(async () => {
+            Payment.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            ({ payment } = await paymentService.createPaymentIntent('race1', 'rider1'));
+            await provider.confirmIntent(payment.providerReference, 'card_ok');
+            payment.status = 'Succeeded';
+            Payment.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(payment) });
+        });
+
+        it('should record a partial refund', async () => {
+            await paymentService.refundPayment('race1', 'rider1', { amount: 10, reason: 'Switched to a shorter course' });
+
+            expect(payment).toMatchObject({ status: 'PartiallyRefunded', refundedAmount: 10 });
+            expect(payment.events[1]).toMatchObject({ type: 'Refunded', amount: 10, message: 'Switched to a shorter course' });
+            expect(RaceResult.findByIdAndUpdate).toHaveBeenCalledWith('result1', { paymentStatus: 'PartiallyRefunded' });
+        });
+
+        it('should refund the remainder by default and unconfirm the entry', async () => {
+            await paymentService.refundPayment('race1', 'rider1', { reason: 'Race cancelled' });
+
+            expect(payment).toMatchObject({ status: 'Refunded', refundedAmount: 40 });
+            expect(RaceResult.findByIdAndUpdate).toHaveBeenCalledWith('result1', { paymentStatus: 'Refunded', $unset: { confirmedAt: 1 } });
+        });
+
+        it('should refuse to refund more than was paid', async () => {
+            await expect(paymentService.refundPayment('race1', 'rider1', { amount: 50, reason: 'Too much' }))
+                .rejects.toThrow('Refund amount must be between 0 and 40');
+        });
+    });
+
+    describe('cancelPendingPayments', () => {
+        it('should fail open checkouts of the entry with the reason', async () => {
+            Payment.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+            await paymentService.cancelPendingPayments('result1', 'Entry withdrawn');
+
+            expect(Payment.updateMany).toHaveBeenCalledWith(
+                { registration: 'result1', status: 'Pending' },
+                {
+                    status: 'Failed',
+                    failureReason: 'Entry withdrawn',
+                    $push: { events: { type: 'Failed', message: 'Entry withdrawn', at: expect.any(Date) } }
+                }
+            );
+        });
+    });
+
+    describe('buildReconciliation', () => {
+        it('should group entries by payment status and flag disagreements', () => {
+            const registrations = [
+                { _id: 'r1', bib: 1, amountDue: 40, paymentStatus: 'Paid' },
+                { _id: 'r2', bib: 2, amountDue: 40, paymentStatus: 'Unpaid' },
+                { _id: 'r3', bib: 3, amountDue: 40, paymentStatus: 'Refunded' },
+                { _id: 'r4', bib: 4, amountDue: 40, paymentStatus: 'Paid' }
+            ];
+            const payments = [
+                { registration: 'r1', status: 'Succeeded', amount: 40, refundedAmount: 0 },
+                { registration: 'r2', status: 'Failed', amount: 40, refundedAmount: 0, failureReason: 'Card declined', createdAt: new Date() },
+                { registration: 'r3', status: 'Refunded', amount: 40, refundedAmount: 40 }
+            ];
+
+            const result = paymentService.buildReconciliation(registrations, payments);
+
+            expect(result.summary).toEqual({
+                paid: 2, unpaid: 1, refunded: 1, notRequired: 0, withdrawn: 0,
+                collected: 80, refundedAmount: 40, net: 40, outstanding: 40
+            });
+            expect(result.unpaid[0].lastFailure).toBe('Card declined');
+            expect(result.discrepancies).toEqual([expect.objectContaining({ bib: 4, issue: 'Marked paid without a successful payment' })]);
+        });
+
+        it('should keep the money of entries that no longer exist in the totals', () => {
+            const payments = [
+                { registration: 'gone', rider: 'rider7', status: 'PartiallyRefunded', amount: 40, refundedAmount: 20 },
+                { registration: 'gone2', rider: 'rider8', status: 'Failed', amount: 40, refundedAmount: 0 }
+            ];
+
+            const result = paymentService.buildReconciliation([], payments);
+
+            expect(result.withdrawn).toEqual([{ registration: 'gone', rider: 'rider7', collected: 40, refunded: 20 }]);
+            expect(result.summary).toMatchObject({ withdrawn: 1, collected: 40, refundedAmount: 20, net: 20 });
+        });
+    });
+
+    describe('getReconciliation', () => {
+        it('should throw error if race is not found', async () => {
+            Race.findById.mockReturnValue({ select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(null) }) });
+
+            await expect(paymentService.getReconciliation('race1')).rejects.toThrow('Race not found');
+        });
+    });
+});
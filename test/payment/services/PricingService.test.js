@@ -0,0 +1,134 @@
+const PricingService = require('../../../src/payment/services/PricingService');
+const DiscountCode = require('../../../src/payment/data/models/DiscountCode');
+
+jest.mock('../../../src/payment/data/models/DiscountCode');
+
+describe('PricingService', () => {
+    let pricingService;
+
+    const now = new Date('2025-05-01T12:00:00Z');
+
+    const race = {
+        _id: 'race1',
+        entryFee: 50,
+        categoryPrices: [{ category: 'Youth', price: 20 }],
+        priceTiers: [
+            { name: 'Late', endsAt: null, price: 60 },
+            { name: 'Early bird', endsAt: new Date('2025-04-01T00:00:00Z'), price: 35 },
+            { name: 'Regular', endsAt: new Date('2025-06-01T00:00:00Z'), price: 45, categoryPrices: [{ category: 'Youth', price: 25 }] }
+        ]
+    };
+
+    const discount = (fields = {}) => ({
+        _id: 'code1',
+        code: 'CLUB10',
+        type: 'Percentage',
+        value: 10,
+        races: [],
+        isActive: true,
+        usedCount: 0,
+        ...fields
+    });
+
+    const mockFindOne = (value) => {
+        DiscountCode.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(value) });
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        pricingService = new PricingService();
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('getBasePrice', () => {
+        it('should use the first tier that has not ended', () => {
+            expect(pricingService.getBasePrice(race, 'Amateur', now)).toEqual({ tier: 'Regular', basePrice: 45 });
+        });
+
+        it('should prefer the tier category price', () => {
+            expect(pricingService.getBasePrice(race, 'Youth', now)).toEqual({ tier: 'Regular', basePrice: 25 });
+        });
+
+        it('should fall back to the open-ended tier once the dated tiers are over', () => {
+            expect(pricingService.getBasePrice(race, 'Amateur', new Date('2025-07-01T00:00:00Z')))
+                .toEqual({ tier: 'Late', basePrice: 60 });
+        });
+
+        it('should use the race entry fee and category prices without tiers', () => {
+            const flat = { entryFee: 50, categoryPrices: [{ category: 'Youth', price: 20 }] };
+
+            expect(pricingService.getBasePrice(flat, 'Youth', now)).toEqual({ tier: null, basePrice: 20 });
+            expect(pricingService.getBasePrice(flat, 'Amateur', now)).toEqual({ tier: null, basePrice: 50 });
+        });
+    });
+
+    describe('quote', () => {
+        it('should take a percentage off the tier price', async () => {
+            mockFindOne(discount());
+
+            const quote = await pricingService.quote(race, 'Amateur', ' club10 ', now);
+
+            expect(DiscountCode.findOne).toHaveBeenCalledWith({ code: 'CLUB10' });
+            expect(quote).toMatchObject({
+                tier: 'Regular',
+                basePrice: 45,
+                discountCode: 'CLUB10',
+                discountCodeId: 'code1',
+                discountAmount: 4.5,
+                price: 40.5
+            });
+        });
+
+        it('should never discount a fixed amount below zero', async () => {
+            mockFindOne(discount({ type: 'Fixed', value: 30 }));
+
+            const quote = await pricingService.quote(race, 'Youth', 'CLUB10', now);
+
+            expect(quote).toMatchObject({ basePrice: 25, discountAmount: 25, price: 0 });
+        });
+
+        it('should quote without a discount when no code is given', async () => {
+            const quote = await pricingService.quote(race, 'Amateur', null, now);
+
+            expect(DiscountCode.findOne).not.toHaveBeenCalled();
+            expect(quote).toMatchObject({ discountCode: null, discountAmount: 0, price: 45 });
+        });
+
+        it.each([
+            ['an unknown code', null, 'Discount code is not valid'],
+            ['an inactive code', discount({ isActive: false }), 'Discount code is not valid'],
+            ['an expired code', discount({ expiresAt: new Date('2025-04-30T00:00:00Z') }), 'Discount code has expired'],
+            ['a code for other races', discount({ races: ['race2'] }), 'Discount code does not apply to this race'],
+            ['a used-up code', discount({ maxUses: 5, usedCount: 5 }), 'Discount code has reached its usage limit']
+        ])('should refuse %s', async (_label, code, message) => {
+            mockFindOne(code);
+
+            await expect(pricingService.quote(race, 'Amateur', 'CLUB10', now)).rejects.toThrow(message);
+        });
+    });
+
+    describe('redeemDiscountCode', () => {
+        it('should refuse when the last use was taken first', async () => {
+            DiscountCode.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+
+            await expect(pricingService.redeemDiscountCode('code1'))
+                .rejects.toThrow('Discount code has reached its usage limit');
+        });
+    });
+
+    describe('updateDiscountCode', () => {
+        it('should refuse a percentage over 100 set across updates', async () => {
+            const existing = discount({ type: 'Fixed', value: 10 });
+            existing.save = jest.fn();
+            DiscountCode.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(existing) });
+
+            await expect(pricingService.updateDiscountCode('code1', { type: 'Percentage', value: 150 }))
+                .rejects.toThrow('A percentage discount cannot exceed 100');
+            expect(existing.save).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,215 @@
+const CourseService = require('../../../src/raceSystem/services/CourseService');
+const Race = require('../../../src/raceSystem/data/models/Race');
+
+jest.mock('../../../src/raceSystem/data/models/Race');
+
+describe('CourseService', () => {
+    let courseService;
+    let mockRace;
+
+    const raceId = '507f1f77bcf86cd799439011';
+    const elevations = [100, 101, 104, 110, 120, 118, 117, 110, 100, 101, 100];
+
+    // 0.009 degrees of latitude is just over 1 km
+    const trackPoints = (count, { from = 0, withEle = true } = {}) => Array.from({ length: count }, (_, index) => {
+        const lat = ((from + index) * 0.009).toFixed(3);
+        const ele = withEle ? `<ele>${elevations[index % elevations.length]}</ele>` : '';
+        return `<trkpt lat="${lat}" lon="0">${ele}<time>2026-05-01T10:00:00Z</time></trkpt>`;
+    }).join('\n');
+
+    const buildGpx = (...segments) => `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><name>Summit Loop &amp; Descent</name>
+    ${segments.map(points => `<trkseg>${points}</trkseg>`).join('\n')}
+  </trk>
+</gpx>`;
+
+    const mockFind = (race) => {
+        const query = { exec: jest.fn().mockResolvedValue(race) };
+        query.select = jest.fn().mockReturnValue(query);
+        Race.findById.mockReturnValue(query);
+        return query;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        mockRace = {
+            _id: raceId,
+            name: 'Summit Classic',
+            distance: 10,
+            laps: 1,
+            location: { name: 'Whistler' },
+            save: jest.fn().mockResolvedValue()
+        };
+        mockFind(mockRace);
+
+        courseService = new CourseService();
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('uploadCourse', () => {
+        it('should compute distance, elevation and profile and store them on the race', async () => {
+            const course = await courseService.uploadCourse(raceId, buildGpx(trackPoints(11)), {
+                fileName: 'summit.gpx',
+                uploadedBy: 'admin@example.com'
+            });
+
+            expect(course).toMatchObject({
+                fileName: 'summit.gpx',
+                trackName: 'Summit Loop & Descent',
+                pointCount: 11,
+                distance: 10.008,
+                elevationGain: 20,
+                elevationLoss: 20,
+                minElevation: 100,
+                maxElevation: 120,
+                distanceCheck: { declared: 10, computed: 10.008, differencePercent: 0.1, mismatch: false },
+                uploadedBy: 'admin@example.com'
+            });
+            expect(course.profile).toHaveLength(11);
+            expect(course.profile[0]).toEqual({ distance: 0, elevation: 100 });
+            expect(course.profile[4]).toEqual({ distance: 4.003, elevation: 120 });
+            expect(course.geometry).toBeUndefined();
+
+            expect(mockRace.course.geometry.type).toBe('LineString');
+            expect(mockRace.course.geometry.coordinates[1]).toEqual([0, 0.009, 101]);
+            expect(mockRace.location.coordinates).toEqual({ latitude: 0, longitude: 0 });
+            expect(mockRace.save).toHaveBeenCalled();
+        });
+
+        it('should flag a track that does not match the declared lap length', async () => {
+            Object.assign(mockRace, { distance: 30, laps: 3, lapLength: 5 });
+
+            const course = await courseService.uploadCourse(raceId, buildGpx(trackPoints(11)));
+
+            expect(course.distanceCheck).toEqual({ declared: 5, computed: 10.008, differencePercent: 100.2, mismatch: true });
+        });
+
+        it('should keep segments apart and not count the gap between them', async () => {
+            const course = await courseService.uploadCourse(raceId, buildGpx(trackPoints(3), trackPoints(3, { from: 5 })));
+
+            expect(course.distance).toBe(4.003);
+            expect(mockRace.course.geometry.type).toBe('MultiLineString');
+            expect(mockRace.course.geometry.coordinates).toHaveLength(2);
+        });
+
+        it('should downsample the profile of long tracks and skip elevation when the GPX has none', async () => {
+            const longCourse = await courseService.uploadCourse(raceId, buildGpx(trackPoints(1000)));
+            expect(longCourse.profile).toHaveLength(200);
+            expect(longCourse.profile[199].distance).toBe(longCourse.distance);
+
+            const flatCourse = await courseService.uploadCourse(raceId, buildGpx(trackPoints(5, { withEle: false })));
+            expect(flatCourse).toMatchObject({ elevationGain: null, elevationLoss: null, profile: [] });
+        });
+
+        it('should read routes when the file has no track', async () => {
+            const gpx = '<gpx><rte><name>Route</name><rtept lon="0" lat="0"/><rtept lon="0" lat="0.009"/></rte></gpx>';
+
+            const course = await courseService.uploadCourse(raceId, gpx);
+
+            expect(course).toMatchObject({ trackName: 'Route', pointCount: 2, distance: 1.001 });
+        });
+
+        it('should keep coordinates the race already has', async () => {
+            mockRace.location.coordinates = { latitude: 50.1, longitude: -122.9 };
+
+            await courseService.uploadCourse(raceId, buildGpx(trackPoints(3)));
+
+            expect(mockRace.location.coordinates).toEqual({ latitude: 50.1, longitude: -122.9 });
+        });
+
+        it('should refuse files that are not usable GPX', async () => {
+            await expect(courseService.uploadCourse(raceId, '<kml></kml>')).rejects.toThrow('File is not a GPX document');
+            await expect(courseService.uploadCourse(raceId, buildGpx(trackPoints(1))))
+                .rejects.toThrow('GPX file must contain a track with at least two points');
+            await expect(courseService.uploadCourse(raceId, buildGpx('<trkpt lat="95" lon="0"/><trkpt lat="0" lon="0"/>')))
+                .rejects.toThrow('GPX point 1 has invalid coordinates');
+            expect(mockRace.save).not.toHaveBeenCalled();
+        });
+
+        it('should throw error if the race is not found', async () => {
+            mockFind(null);
+
+            await expect(courseService.uploadCourse(raceId, buildGpx(trackPoints(3)))).rejects.toThrow('Race not found');
+        });
+    });
+
+    describe('snapToCourse', () => {
+        // 5 km north and back again about 11 m to the east
+        const outAndBack = {
+            type: 'LineString',
+            coordinates: [[0, 0], [0, 0.045], [0.0001, 0.045], [0.0001, 0]]
+        };
+
+        it('should estimate the distance along the course and flag riders off course', () => {
+            const course = courseService.prepareCourse({ type: 'LineString', coordinates: [[0, 0], [0, 0.045]] });
+
+            expect(courseService.snapToCourse(course, { lat: 0.0225, lon: 0 })).toEqual({
+                courseDistance: 2.502, offCourseMetres: 0, onCourse: true
+            });
+            expect(courseService.snapToCourse(course, { lat: 0.0225, lon: 0.002 })).toMatchObject({
+                courseDistance: 2.502, offCourseMetres: 222, onCourse: false
+            });
+        });
+
+        it('should keep riders on the same pass where the course doubles back', () => {
+            const course = courseService.prepareCourse(outAndBack);
+            const point = { lat: 0.0225, lon: 0.00005 };
+
+            expect(courseService.snapToCourse(course, point, 2.3).courseDistance).toBe(2.502);
+            expect(courseService.snapToCourse(course, point, 7.2).courseDistance).toBe(7.517);
+        });
+    });
+
+    describe('getCourse', () => {
+        it('should recheck the distance against the current declared distance', async () => {
+            mockRace.distance = 12;
+            mockRace.course = { distance: 10.008, profile: [], distanceCheck: { declared: 10, mismatch: false } };
+
+            const course = await courseService.getCourse(raceId);
+
+            expect(course.distanceCheck).toEqual({ declared: 12, computed: 10.008, differencePercent: -16.6, mismatch: true });
+        });
+
+        it('should throw error if no course was uploaded', async () => {
+            await expect(courseService.getCourse(raceId)).rejects.toThrow('No course has been uploaded for this race');
+        });
+    });
+
+    describe('getCourseGeoJson', () => {
+        it('should return the stored geometry as a GeoJSON feature', async () => {
+            const geometry = { type: 'LineString', coordinates: [[0, 0, 100], [0, 0.009, 101]] };
+            mockRace.course = {
+                trackName: 'Summit Loop',
+                distance: 1.001,
+                elevationGain: 1,
+                elevationLoss: 0,
+                bounds: { minLatitude: 0, minLongitude: 0, maxLatitude: 0.009, maxLongitude: 0 },
+                geometry
+            };
+            const query = mockFind(mockRace);
+
+            const feature = await courseService.getCourseGeoJson(raceId);
+
+            expect(query.select).toHaveBeenCalledWith('+course.geometry');
+            expect(feature).toEqual({
+                type: 'Feature',
+                bbox: [0, 0, 0, 0.009],
+                geometry,
+                properties: {
+                    raceId,
+                    raceName: 'Summit Classic',
+                    trackName: 'Summit Loop',
+                    distance: 1.001,
+                    elevationGain: 1,
+                    elevationLoss: 0
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const LiveEventService = require('../../../src/raceSystem/services/LiveEventService');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const { publishRaceEvent, countRaceSubscribers } = require('../../../src/utils/raceEventBus');
+
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/services/RaceService');
+
+describe('LiveEventService', () => {
+    let liveEventService;
+    let mockRaceService;
+
+    const raceId = '507f1f77bcf86cd799439011';
+
+    const entry = (id, bib, position) => ({
+        _id: id,
+        bib,
+        position,
+        rider: { _id: `rider-${bib}`, firstName: 'Rider', lastName: String(bib), dateOfBirth: new Date('1990-01-01') }
+    });
+    const standings = (finished, onCourse = []) => ({ finished, onCourse, stillRacing: onCourse.length });
+
+    // Lets the pending getLiveStandings promise settle
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        liveEventService = new LiveEventService();
+        mockRaceService = RaceService.mock.instances[RaceService.mock.instances.length - 1];
+        mockRaceService.getLiveStandings.mockResolvedValue(standings([entry('a', 1, 1)], [entry('b', 2, 2)]));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        console.error.mockRestore();
+    });
+
+    describe('ensureRace', () => {
+        it('should throw error if the race is not found', async () => {
+            Race.findById.mockReturnValue({ select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(null) }) });
+
+            await expect(liveEventService.ensureRace(raceId)).rejects.toThrow('Race not found');
+        });
+    });
+
+    describe('connect', () => {
+        it('should send a standings snapshot, then stream race events', async () => {
+            const send = jest.fn();
+
+            const disconnect = liveEventService.connect(raceId, send);
+            await flush();
+            publishRaceEvent(raceId, 'weather.updated', { weatherConditions: { temperature: 18 } });
+            disconnect();
+
+            expect(send.mock.calls.map(([event]) => event.type)).toEqual(['standings.snapshot', 'weather.updated']);
+            expect(send.mock.calls[0][0].data.finished).toHaveLength(1);
+        });
+
+        it('should replay events published after the client\'s Last-Event-ID', async () => {
+            const missedFrom = publishRaceEvent(raceId, 'rider.started', { bib: 1 });
+            publishRaceEvent(raceId, 'rider.split', { bib: 1 });
+            publishRaceEvent('507f1f77bcf86cd799439099', 'rider.started', { bib: 9 });
+            const send = jest.fn();
+
+            const disconnect = liveEventService.connect(raceId, send, String(missedFrom.id));
+            disconnect();
+
+            expect(send.mock.calls[0][0]).toMatchObject({ type: 'rider.split', data: { bib: 1 } });
+            expect(send.mock.calls[0][0].id).toBe(missedFrom.id + 1);
+        });
+
+        it('should publish one standings update per burst with the riders who moved', async () => {
+            jest.useFakeTimers();
+            const send = jest.fn();
+            const disconnect = liveEventService.connect(raceId, send);
+            await Promise.resolve();
+
+            mockRaceService.getLiveStandings.mockResolvedValue(standings([entry('b', 2, 1), entry('a', 1, 2)]));
+            publishRaceEvent(raceId, 'rider.finished', { bib: 2 });
+            publishRaceEvent(raceId, 'rider.finished', { bib: 1 });
+            jest.advanceTimersByTime(1000);
+            await Promise.resolve();
+            await Promise.resolve();
+            disconnect();
+
+            const updates = send.mock.calls.map(([event]) => event).filter(event => event.type === 'standings.updated');
+            expect(mockRaceService.getLiveStandings).toHaveBeenCalledTimes(2);
+            expect(updates).toHaveLength(1);
+            expect(updates[0].data.changes).toEqual([
+                { resultId: 'b', bib: 2, rider: { id: 'rider-2', name: 'Rider 2' }, position: 1, previousPosition: 2 },
+                { resultId: 'a', bib: 1, rider: { id: 'rider-1', name: 'Rider 1' }, position: 2, previousPosition: 1 }
+            ]);
+        });
+
+        it('should stop watching the race when the last client disconnects', async () => {
+            jest.useFakeTimers();
+            const first = liveEventService.connect(raceId, jest.fn());
+            const second = liveEventService.connect(raceId, jest.fn());
+            expect(countRaceSubscribers(raceId)).toBe(3);
+
+            publishRaceEvent(raceId, 'rider.started', { bib: 3 });
+            first();
+            second();
+            second();
+            jest.advanceTimersByTime(1000);
+
+            expect(countRaceSubscribers(raceId)).toBe(0);
+            expect(mockRaceService.getLiveStandings).toHaveBeenCalledTimes(2);
+        });
+
+        it('should send an error event when the standings cannot be loaded', async () => {
+            mockRaceService.getLiveStandings.mockRejectedValue(new Error('Database down'));
+            const send = jest.fn();
+
+            const disconnect = liveEventService.connect(raceId, send);
+            await flush();
+            disconnect();
+
+            expect(send).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'error',
+                data: { message: 'Live standings are unavailable' }
+            }));
+        });
+    });
+});
@@ -0,0 +1,231 @@
+const ProtestService = require('../../../src/raceSystem/services/ProtestService');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const Protest = require('../../../src/raceSystem/data/models/Protest');
+const Admin = require('../../../src/admin/data/models/adminModel');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/raceSystem/data/models/Protest');
+jest.mock('../../../src/admin/data/models/adminModel');
+jest.mock('../../../src/raceSystem/services/RaceService');
+
+const ActualRaceService = jest.requireActual('../../../src/raceSystem/services/RaceService');
+
+describe('ProtestService', () => {
+    let protestService;
+    let mockRaceService;
+
+    const raceId = '507f1f77bcf86cd799439011';
+    const protestId = '507f1f77bcf86cd799439031';
+    const resultId = '507f1f77bcf86cd799439013';
+    const official = { admin: 'admin1', email: 'official@example.com', name: 'Jane Official' };
+
+    const mockRace = (overrides = {}) => {
+        Race.findById.mockReturnValue({
+            exec: jest.fn().mockResolvedValue({
+                _id: raceId,
+                status: 'Completed',
+                resultsStatus: 'ProtestWindow',
+                protestWindowEndsAt: new Date(Date.now() + 30 * 60000),
+                ...overrides
+            })
+        });
+    };
+
+    const mockOpenProtest = (overrides = {}) => {
+        const protest = {
+            _id: protestId,
+            race: raceId,
+            raceResults: [resultId],
+            status: 'Open',
+            evidence: [],
+            ...overrides
+        };
+        protest.save = jest.fn().mockResolvedValue(protest);
+        Protest.findOne.mockResolvedValue(protest);
+        return protest;
+    };
+
+    const submission = {
+        raceResults: [resultId],
+        submittedBy: { name: 'Sam Rider', role: 'Rider' },
+        reason: 'Rider 201 cut the switchback at km 12',
+        evidence: ['Marshal at km 12 saw the cut']
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockRaceService = {
+            applyResultAdjustment: jest.fn().mockResolvedValue({ adjustment: { type: 'Penalty' } }),
+            updateRiderStatus: jest.fn().mockResolvedValue({ status: 'DSQ' })
+        };
+        mockRaceService.getAdjustmentRefusal = ActualRaceService.prototype.getAdjustmentRefusal.bind(mockRaceService);
+        RaceService.mockImplementation(() => mockRaceService);
+
+        protestService = new ProtestService();
+    });
+
+    describe('submitProtest', () => {
+        it('should create a protest linked to the race results', async () => {
+            mockRace();
+            RaceResult.countDocuments.mockResolvedValue(1);
+            Protest.create.mockImplementation(async (data) => ({ _id: protestId, status: 'Open', ...data }));
+
+            const protest = await protestService.submitProtest(raceId, submission, official);
+
+            expect(RaceResult.countDocuments).toHaveBeenCalledWith({ _id: { $in: [resultId] }, race: raceId });
+            expect(Protest.create).toHaveBeenCalledWith(expect.objectContaining({
+                race: raceId,
+                raceResults: [resultId],
+                evidence: [{ note: 'Marshal at km 12 saw the cut', addedBy: official }]
+            }));
+            expect(protest.status).toBe('Open');
+        });
+
+        it('should throw error if a result belongs to another race', async () => {
+            mockRace();
+            RaceResult.countDocuments.mockResolvedValue(0);
+
+            await expect(protestService.submitProtest(raceId, submission))
+                .rejects.toThrow('One or more protested results do not belong to this race');
+            expect(Protest.create).not.toHaveBeenCalled();
+        });
+
+        it('should refuse protests once the protest window has closed', async () => {
+            mockRace({ protestWindowEndsAt: new Date(Date.now() - 60000) });
+
+            await expect(protestService.submitProtest(raceId, submission))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        it('should refuse protests on official results', async () => {
+            mockRace({ resultsStatus: 'Official' });
+
+            await expect(protestService.submitProtest(raceId, submission))
+                .rejects.toThrow('Results are official. Protests are closed for this race');
+        });
+    });
+
+    describe('addEvidence', () => {
+        it('should append an evidence note to an open protest', async () => {
+            const protest = mockOpenProtest();
+
+            await protestService.addEvidence(raceId, protestId, 'Helmet camera footage reviewed', official);
+
+            expect(protest.evidence).toEqual([expect.objectContaining({ note: 'Helmet camera footage reviewed', addedBy: official })]);
+            expect(protest.save).toHaveBeenCalled();
+        });
+
+        it('should throw error if the protest has been decided', async () => {
+            mockOpenProtest({ status: 'Rejected' });
+
+            await expect(protestService.addEvidence(raceId, protestId, 'Late note'))
+                .rejects.toThrow('Protest has already been rejected');
+        });
+    });
+
+    describe('assignOfficial', () => {
+        it('should assign an active admin as the official', async () => {
+            const protest = mockOpenProtest();
+            Admin.findById.mockResolvedValue({ _id: 'admin2', email: 'jury@example.com', firstName: 'Ola', lastName: 'Jury', isActive: true });
+
+            await protestService.assignOfficial(raceId, protestId, 'admin2');
+
+            expect(protest.assignedOfficial).toEqual({ admin: 'admin2', email: 'jury@example.com', name: 'Ola Jury' });
+        });
+
+        it('should throw error if the official does not exist', async () => {
+            mockOpenProtest();
+            Admin.findById.mockResolvedValue(null);
+
+            await expect(protestService.assignOfficial(raceId, protestId, 'admin2'))
+                .rejects.toThrow('Official not found');
+        });
+    });
+
+    describe('decideProtest', () => {
+        it('should apply a penalty through RaceService when upheld', async () => {
+            const protest = mockOpenProtest();
+            RaceResult.find.mockResolvedValue([{ _id: resultId, rider: 'rider1' }]);
+
+            await protestService.decideProtest(raceId, protestId, {
+                status: 'Upheld', notes: 'Course cut confirmed', action: 'Penalty', seconds: 60
+            }, official);
+
+            expect(mockRaceService.applyResultAdjustment).toHaveBeenCalledWith(
+                raceId, 'rider1', { type: 'Penalty', seconds: 60, correctedTime: undefined, reason: 'Protest upheld: Course cut confirmed' }, official
+            );
+            expect(protest.status).toBe('Upheld');
+            expect(protest.decision).toMatchObject({ action: 'Penalty', appliedTo: [resultId], decidedBy: official });
+            expect(protest.save).toHaveBeenCalled();
+        });
+
+        it('should disqualify riders when upheld with DSQ', async () => {
+            mockOpenProtest();
+            RaceResult.find.mockResolvedValue([{ _id: resultId, rider: 'rider1' }]);
+
+            await protestService.decideProtest(raceId, protestId, { status: 'Upheld', notes: 'Outside assistance', action: 'DSQ' }, official);
+
+            expect(mockRaceService.updateRiderStatus).toHaveBeenCalledWith(raceId, 'rider1', 'DSQ', 'Protest upheld: Outside assistance', official);
+            expect(mockRaceService.applyResultAdjustment).not.toHaveBeenCalled();
+        });
+
+        it('should reject a protest without touching results', async () => {
+            const protest = mockOpenProtest();
+
+            await protestService.decideProtest(raceId, protestId, { status: 'Rejected', notes: 'No evidence of a cut', action: 'None' }, official);
+
+            expect(RaceResult.find).not.toHaveBeenCalled();
+            expect(protest.status).toBe('Rejected');
+            expect(protest.decision.appliedTo).toEqual([]);
+        });
+
+        it('should leave the protest open when the adjustment is refused', async () => {
+            const protest = mockOpenProtest();
+            RaceResult.find.mockResolvedValue([{ _id: resultId, rider: 'rider1' }]);
+            mockRaceService.applyResultAdjustment.mockRejectedValue(new Error('Results are official and locked. Reopen them before making changes'));
+
+            await expect(protestService.decideProtest(raceId, protestId, {
+                status: 'Upheld', notes: 'Course cut confirmed', action: 'Penalty', seconds: 60
+            })).rejects.toThrow('Results are official and locked');
+            expect(protest.status).toBe('Open');
+            expect(protest.save).not.toHaveBeenCalled();
+        });
+
+        it('should check every target before applying any sanction', async () => {
+            const otherResultId = '507f1f77bcf86cd799439014';
+            const protest = mockOpenProtest({ raceResults: [resultId, otherResultId] });
+            RaceResult.find.mockResolvedValue([
+                { _id: resultId, rider: 'rider1', bib: 201, status: 'Finished' },
+                { _id: otherResultId, rider: 'rider2', bib: 202, status: 'DNF' }
+            ]);
+
+            await expect(protestService.decideProtest(raceId, protestId, {
+                status: 'Upheld', notes: 'Course cut confirmed', action: 'Penalty', seconds: 60
+            })).rejects.toMatchObject({ message: 'Bib 202: Cannot adjust the time of a rider with status DNF', statusCode: 409 });
+            expect(mockRaceService.applyResultAdjustment).not.toHaveBeenCalled();
+            expect(protest.status).toBe('Open');
+            expect(protest.save).not.toHaveBeenCalled();
+        });
+
+        it('should apply nothing when a protested result no longer exists', async () => {
+            mockOpenProtest({ raceResults: [resultId, '507f1f77bcf86cd799439014'] });
+            RaceResult.find.mockResolvedValue([{ _id: resultId, rider: 'rider1', bib: 201, status: 'Finished' }]);
+
+            await expect(protestService.decideProtest(raceId, protestId, { status: 'Upheld', notes: 'Outside assistance', action: 'DSQ' }))
+                .rejects.toThrow('One or more protested results no longer exist in this race');
+            expect(mockRaceService.updateRiderStatus).not.toHaveBeenCalled();
+        });
+
+        it('should throw error when acting on a result outside the protest', async () => {
+            mockOpenProtest();
+
+            await expect(protestService.decideProtest(raceId, protestId, {
+                status: 'Upheld', notes: 'Wrong rider', action: 'DSQ', raceResults: ['507f1f77bcf86cd799439099']
+            })).rejects.toThrow('A decision can only act on results named in the protest');
+        });
+    });
+});
@@ -2,13 +2,26 @@ const RaceService = require('../../../src/raceSystem/services/RaceService');
 const Race = require('../../../src/raceSystem/data/models/Race');
 const Rider = require('../../../src/rider/data/models/Rider');
 const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const ResultAdjustment = require('../../../src/raceSystem/data/models/ResultAdjustment');
+const Protest = require('../../../src/raceSystem/data/models/Protest');
+const Team = require('../../../src/team/data/models/Team');
+const WaitlistEntry = require('../../../src/raceSystem/data/models/WaitlistEntry');
+const GpsTracker = require('../../../src/raceSystem/data/models/GpsTracker');
+const DiscountCode = require('../../../src/payment/data/models/DiscountCode');
 const RaceResultRepository = require('../../../src/raceSystem/data/repositories/RaceResultRepository');
 const WeatherService = require('../../../src/raceSystem/services/WeatherService');
+const { subscribeToRace } = require('../../../src/utils/raceEventBus');
 
 // Mock the dependencies
 jest.mock('../../../src/raceSystem/data/models/Race');
 jest.mock('../../../src/rider/data/models/Rider');
 jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/raceSystem/data/models/ResultAdjustment');
+jest.mock('../../../src/raceSystem/data/models/Protest');
+jest.mock('../../../src/team/data/models/Team');
+jest.mock('../../../src/raceSystem/data/models/WaitlistEntry');
+jest.mock('../../../src/raceSystem/data/models/GpsTracker');
+jest.mock('../../../src/payment/data/models/DiscountCode');
 jest.mock('../../../src/raceSystem/data/repositories/RaceResultRepository');
 jest.mock('../../../src/raceSystem/services/WeatherService');
 
@@ -181,7 +194,7 @@ describe('RaceService', () => {
                 exec: jest.fn().mockResolvedValue(mockRace)
             });
 
-            Race.findByIdAndUpdate.mockReturnValue({
+            Race.findOneAndUpdate.mockReturnValue({
                 exec: jest.fn().mockResolvedValue(updatedRace)
             });
 
@@ -190,19 +203,20 @@ describe('RaceService', () => {
 
             const result = await raceService.startRace(raceId);
 
-            expect(Race.findByIdAndUpdate).toHaveBeenCalledWith(
-                raceId,
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: raceId, status: 'Open' },
                 expect.objectContaining({
                     status: 'InProgress',
                     startTime: expect.any(Date)
                 }),
-                { new: true }
+                { new: true, runValidators: true }
             );
 
             expect(RaceResult.updateMany).toHaveBeenCalledWith(
                 {
                     race: raceId,
-                    status: 'Registered'
+                    status: 'Registered',
+                    paymentStatus: { $nin: ['Unpaid', 'Refunded'] }
                 },
                 expect.objectContaining({
                     status: 'Started',
@@ -213,8 +227,47 @@ describe('RaceService', () => {
             expect(result).toEqual({
                 race: updatedRace,
                 ridersStarted: 5,
-                massStartTime: expect.any(Date)
+                startMode: 'Mass',
+                massStartTime: expect.any(Date),
+                startList: null
+            });
+        });
+
+        it('should give each rider their own start slot for interval starts', async () => {
+            const raceId = '507f1f77bcf86cd799439011';
+            const intervalRace = { ...mockRace, startMode: 'Interval', startInterval: 30 };
+            const registered = [
+                { _id: 'r1', rider: { category: 'Amateur' }, createdAt: new Date('2024-11-01') },
+                { _id: 'r2', rider: { category: 'Amateur' }, createdAt: new Date('2024-11-02') }
+            ];
+
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(intervalRace)
+            });
+            Race.findOneAndUpdate.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...intervalRace, status: 'InProgress' })
+            });
+            RaceResult.find.mockReturnValue({
+                populate: jest.fn().mockResolvedValue(registered)
+            });
+            RaceResult.bulkWrite.mockResolvedValue({});
+            RaceResult.countDocuments.mockResolvedValue(2);
+
+            const result = await raceService.startRace(raceId);
+
+            expect(RaceResult.find).toHaveBeenCalledWith({
+                race: raceId,
+                status: 'Registered',
+                paymentStatus: { $nin: ['Unpaid', 'Refunded'] }
             });
+            expect(RaceResult.updateMany).not.toHaveBeenCalled();
+            const operations = RaceResult.bulkWrite.mock.calls[0][0];
+            const [first, second] = operations.map(op => op.updateOne.update.startTime.getTime());
+            expect(second - first).toBe(30000);
+            expect(operations[0].updateOne.update).toMatchObject({ status: 'Started', startOrder: 1 });
+            expect(result.startMode).toBe('Interval');
+            expect(result.massStartTime).toBeNull();
+            expect(result.startList).toHaveLength(2);
         });
 
         it('should throw error if race not found', async () => {
@@ -241,7 +294,7 @@ describe('RaceService', () => {
                     exec: jest.fn().mockResolvedValue(openRace)
                 });
 
-            Race.findByIdAndUpdate
+            Race.findOneAndUpdate
                 .mockReturnValueOnce({
                     exec: jest.fn().mockResolvedValue(openRace)
                 })
@@ -254,24 +307,97 @@ describe('RaceService', () => {
 
             const result = await raceService.startRace(raceId);
 
-            expect(Race.findByIdAndUpdate).toHaveBeenCalledTimes(2);
-            expect(Race.findByIdAndUpdate).toHaveBeenCalledWith(
-                raceId,
-                { status: 'Open' },
-                { new: true }
+            expect(Race.findOneAndUpdate).toHaveBeenCalledTimes(2);
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: raceId, status: 'Draft' },
+                expect.objectContaining({
+                    status: 'Open',
+                    $push: { statusLog: expect.objectContaining({ from: 'Draft', to: 'Open' }) }
+                }),
+                { new: true, runValidators: true }
             );
-            expect(Race.findByIdAndUpdate).toHaveBeenCalledWith(
-                raceId,
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: raceId, status: 'Open' },
                 expect.objectContaining({
                     status: 'InProgress',
                     startTime: expect.any(Date)
                 }),
-                { new: true }
+                { new: true, runValidators: true }
             );
             expect(result.race.status).toBe('InProgress');
         });
     });
 
+    describe('buildStartList', () => {
+        const baseTime = new Date('2024-12-01T10:00:00Z');
+        const registrations = [
+            { _id: 'a', rider: { category: 'Youth' }, createdAt: new Date('2024-11-01') },
+            { _id: 'b', rider: { category: 'Professional' }, createdAt: new Date('2024-11-02') },
+            { _id: 'c', rider: { category: 'Amateur' }, createdAt: new Date('2024-11-03') },
+            { _id: 'd', rider: { category: 'Professional' }, createdAt: new Date('2024-11-04') }
+        ];
+
+        it('should start category waves in wave order', () => {
+            const race = { startMode: 'Wave', startInterval: 120, waveOrder: ['Professional', 'Amateur', 'Youth'] };
+
+            const startList = raceService.buildStartList(race, registrations, baseTime);
+
+            expect(startList.map(entry => entry.resultId)).toEqual(['b', 'd', 'c', 'a']);
+            expect(startList.map(entry => entry.wave)).toEqual([1, 1, 2, 3]);
+            expect(startList[1].plannedStartTime).toEqual(baseTime);
+            expect(startList[3].plannedStartTime).toEqual(new Date(baseTime.getTime() + 240000));
+        });
+
+        it('should keep a previously generated start order', () => {
+            const race = { startMode: 'Interval', startInterval: 60 };
+            const ordered = registrations.map((registration, index) => ({ ...registration, startOrder: 4 - index }));
+
+            const startList = raceService.buildStartList(race, ordered, baseTime);
+
+            expect(startList.map(entry => entry.resultId)).toEqual(['d', 'c', 'b', 'a']);
+            expect(startList[3].plannedStartTime).toEqual(new Date(baseTime.getTime() + 180000));
+        });
+    });
+
+    describe('generateStartList', () => {
+        it('should save planned start times for registered riders', async () => {
+            const raceId = '507f1f77bcf86cd799439011';
+            const intervalRace = { ...mockRace, startMode: 'Interval', startInterval: 30 };
+
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(intervalRace)
+            });
+            RaceResult.find.mockReturnValue({
+                populate: jest.fn().mockResolvedValue([{ _id: 'r1', rider: { category: 'Amateur' } }])
+            });
+            RaceResult.bulkWrite.mockResolvedValue({});
+
+            const result = await raceService.generateStartList(raceId);
+
+            expect(RaceResult.find).toHaveBeenCalledWith({
+                race: raceId,
+                status: 'Registered',
+                paymentStatus: { $nin: ['Unpaid', 'Refunded'] }
+            });
+            expect(RaceResult.bulkWrite).toHaveBeenCalledWith([{
+                updateOne: {
+                    filter: { _id: 'r1' },
+                    update: { plannedStartTime: intervalRace.startTime, startOrder: 1 }
+                }
+            }]);
+            expect(result.startMode).toBe('Interval');
+        });
+
+        it('should refuse once the race is in progress', async () => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'InProgress' })
+            });
+
+            await expect(raceService.generateStartList('507f1f77bcf86cd799439011'))
+                .rejects.toThrow('Start list can only be generated before the race starts');
+        });
+    });
+
     describe('finishRider', () => {
         it('should finish a rider successfully', async () => {
             const raceId = '507f1f77bcf86cd799439011';
@@ -350,6 +476,17 @@ describe('RaceService', () => {
             await expect(raceService.finishRider(raceId, riderId))
                 .rejects.toThrow('Rider not found or not started yet');
         });
+
+        it('should throw error if rider start slot has not been reached', async () => {
+            RaceResult.findOne.mockResolvedValue({
+                ...mockRaceResult,
+                status: 'Started',
+                startTime: new Date(Date.now() + 60000)
+            });
+
+            await expect(raceService.finishRider('507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012'))
+                .rejects.toThrow('Rider not found or not started yet');
+        });
     });
 
     describe('getLiveStandings', () => {
@@ -363,11 +500,13 @@ describe('RaceService', () => {
             const dnfRiders = [{ status: 'DNF', toObject: jest.fn().mockReturnValue({ status: 'DNF' }) }];
             const dsqRiders = [];
 
+            Race.findById.mockReturnValue({
+                select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRace) })
+            });
+            const sortFinished = jest.fn().mockResolvedValue(finishedRiders);
             RaceResult.find
                 .mockImplementationOnce(() => ({
-                    populate: jest.fn().mockReturnValue({
-                        sort: jest.fn().mockResolvedValue(finishedRiders)
-                    })
+                    populate: jest.fn().mockReturnValue({ sort: sortFinished })
                 }))
                 .mockImplementationOnce(() => ({
                     populate: jest.fn().mockResolvedValue(startedRiders)
@@ -379,8 +518,11 @@ describe('RaceService', () => {
                     populate: jest.fn().mockResolvedValue(dsqRiders)
                 }));
 
+            GpsTracker.find.mockReturnValue({ select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue([]) }) });
+
             const result = await raceService.getLiveStandings(raceId);
 
+            expect(sortFinished).toHaveBeenCalledWith({ lapsCompleted: -1, adjustedTime: 1 });
             expect(result).toEqual({
                 finished: expect.arrayContaining([
                     expect.objectContaining({
@@ -388,12 +530,326 @@ describe('RaceService', () => {
                         formattedTime: expect.any(String)
                     })
                 ]),
+                onCourse: [
+                    expect.objectContaining({
+                        position: 3,
+                        lastCheckpoint: null,
+                        formattedSplitTime: null
+                    })
+                ],
+                fastestLap: null,
                 stillRacing: 1,
                 dnf: 1,
                 dsq: 0,
                 totalStarted: 4
             });
         });
+
+        it('should order riders without a timing point by GPS distance', async () => {
+            const started = (id, splits = []) => ({ _id: id, status: 'Started', splits, toObject: jest.fn(() => ({ _id: id })) });
+            const startedRiders = [
+                started('result1'),
+                started('result2'),
+                started('result3', [{ order: 1, splitTime: 1800 }]),
+                started('result4')
+            ];
+            const recordedAt = new Date('2024-12-01T10:40:00Z');
+
+            Race.findById.mockReturnValue({
+                select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRace) })
+            });
+            RaceResult.find
+                .mockImplementationOnce(() => ({ populate: jest.fn().mockReturnValue({ sort: jest.fn().mockResolvedValue([]) }) }))
+                .mockImplementationOnce(() => ({ populate: jest.fn().mockResolvedValue(startedRiders) }))
+                .mockImplementationOnce(() => ({ populate: jest.fn().mockResolvedValue([]) }))
+                .mockImplementationOnce(() => ({ populate: jest.fn().mockResolvedValue([]) }));
+            GpsTracker.find.mockReturnValue({
+                select: jest.fn().mockReturnValue({
+                    exec: jest.fn().mockResolvedValue([
+                        { registration: 'result1', lastPosition: { latitude: 1, longitude: 2, distance: 3.2, onCourse: true, recordedAt } },
+                        { registration: 'result2', lastPosition: { latitude: 1, longitude: 2, distance: 7.5, onCourse: true, recordedAt } }
+                    ])
+                })
+            });
+
+            const result = await raceService.getLiveStandings('507f1f77bcf86cd799439011');
+
+            expect(result.onCourse.map(rider => rider._id)).toEqual(['result3', 'result2', 'result1', 'result4']);
+            expect(result.onCourse[1].gpsPosition).toEqual({ latitude: 1, longitude: 2, distance: 7.5, onCourse: true, recordedAt });
+            expect(result.onCourse[3].gpsPosition).toBeNull();
+        });
+    });
+
+    describe('group rankings', () => {
+        const race = {
+            ...mockRace,
+            startTime: new Date('2024-12-01T10:00:00Z'),
+            categories: ['Professional', 'Amateur'],
+            ageGroups: []
+        };
+        const finisher = (id, category, dateOfBirth, adjustedTime, position) => ({
+            _id: id,
+            status: 'Finished',
+            bib: position,
+            position,
+            lapsCompleted: 1,
+            adjustedTime,
+            rider: { _id: `rider-${id}`, firstName: 'Rider', lastName: id, category, dateOfBirth: new Date(dateOfBirth) }
+        });
+        const finishers = [
+            finisher('a', 'Amateur', '1990-06-15', 3600, 1),
+            finisher('b', 'Professional', '1980-01-01', 3650, 2),
+            finisher('c', 'Amateur', '1994-12-02', 3700, 3),
+            finisher('d', 'Amateur', '1985-03-03', 3800, 4)
+        ];
+
+        it('should compute age on race day', () => {
+            expect(raceService.getAgeOnRaceDay({ dateOfBirth: new Date('1994-12-02') }, race)).toBe(29);
+            expect(raceService.getAgeOnRaceDay({ dateOfBirth: new Date('1994-12-01') }, race)).toBe(30);
+            expect(raceService.getAgeOnRaceDay({}, race)).toBeNull();
+        });
+
+        it('should use the race brackets when configured', () => {
+            const veteranRace = { ...race, ageGroups: [{ name: 'Masters', minAge: 35 }] };
+
+            expect(raceService.getAgeGroup(finishers[1].rider, veteranRace)).toBe('Masters');
+            expect(raceService.getAgeGroup(finishers[0].rider, veteranRace)).toBeNull();
+            expect(raceService.getAgeGroup(finishers[0].rider, race)).toBe('30-39');
+        });
+
+        it('should assign positions inside each category and age group', () => {
+            const positions = raceService.getGroupPositions(finishers, race);
+
+            expect(positions).toEqual([
+                { categoryPosition: 1, ageGroup: '30-39', ageGroupPosition: 1 },
+                { categoryPosition: 1, ageGroup: '40+', ageGroupPosition: 1 },
+                { categoryPosition: 2, ageGroup: '18-29', ageGroupPosition: 1 },
+                { categoryPosition: 3, ageGroup: '30-39', ageGroupPosition: 2 }
+            ]);
+        });
+
+        it('should build per-group podiums in category and bracket order', () => {
+            const rankings = raceService.buildGroupRankings(finishers, race);
+
+            expect(rankings.categories.map(group => group.group)).toEqual(['Professional', 'Amateur']);
+            const amateur = rankings.categories[1];
+            expect(amateur.finishers).toBe(3);
+            expect(amateur.podium.map(entry => [entry.position, entry.overallPosition, entry.gap])).toEqual([
+                [1, 1, null],
+                [2, 3, '+1:40'],
+                [3, 4, '+3:20']
+            ]);
+            expect(rankings.ageGroups.map(group => group.group)).toEqual(['18-29', '30-39', '40+']);
+        });
+
+        it('should return rankings with the results state', async () => {
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...race, resultsStatus: 'Official' }) });
+            mockRaceResultRepository.getResultsByRace.mockResolvedValue([...finishers, { status: 'DNF', rider: finishers[0].rider }]);
+
+            const result = await raceService.getGroupRankings(race._id);
+
+            expect(result.resultsStatus.isOfficial).toBe(true);
+            expect(result.categories[1].finishers).toBe(3);
+            expect(result.ageGroupBrackets.map(group => group.name)).toEqual(['Under 18', '18-29', '30-39', '40+']);
+        });
+    });
+
+    describe('recordCheckpointSplit', () => {
+        const raceId = '507f1f77bcf86cd799439011';
+        const riderId = '507f1f77bcf86cd799439012';
+        const checkpointId = '507f1f77bcf86cd799439021';
+        const raceWithCheckpoints = {
+            ...mockRace,
+            status: 'InProgress',
+            checkpoints: [{ _id: checkpointId, name: 'Summit', order: 1, distance: 12.5 }]
+        };
+
+        it('should record a split time for a started rider', async () => {
+            const startedResult = {
+                ...mockRaceResult,
+                status: 'Started',
+                startTime: new Date(Date.now() - 600000),
+                splits: []
+            };
+            const updatedResult = {
+                ...startedResult,
+                toObject: jest.fn().mockReturnValue({ ...startedResult, splits: [{ checkpoint: checkpointId, order: 1, splitTime: 600 }] })
+            };
+
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(raceWithCheckpoints)
+            });
+            RaceResult.findOne.mockResolvedValue(startedResult);
+            RaceResult.findByIdAndUpdate.mockReturnValue({
+                populate: jest.fn().mockResolvedValue(updatedResult)
+            });
+
+            const result = await raceService.recordCheckpointSplit(raceId, riderId, checkpointId);
+
+            expect(RaceResult.findOne).toHaveBeenCalledWith({
+                race: raceId,
+                rider: riderId,
+                status: 'Started'
+            });
+            expect(RaceResult.findByIdAndUpdate).toHaveBeenCalledWith(
+                startedResult._id,
+                {
+                    $push: {
+                        splits: expect.objectContaining({
+                            checkpoint: checkpointId,
+                            order: 1,
+                            distance: 12.5,
+                            time: expect.any(Date),
+                            splitTime: expect.any(Number)
+                        })
+                    }
+                },
+                { new: true }
+            );
+            expect(result.checkpoint).toEqual({ id: checkpointId, name: 'Summit', order: 1, distance: 12.5 });
+            expect(result.formattedSplitTime).toEqual(expect.any(String));
+        });
+
+        it('should throw error if checkpoint does not belong to the race', async () => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...raceWithCheckpoints, checkpoints: [] })
+            });
+
+            await expect(raceService.recordCheckpointSplit(raceId, riderId, checkpointId))
+                .rejects.toThrow('Checkpoint not found in this race');
+        });
+
+        it('should throw error if split already recorded', async () => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(raceWithCheckpoints)
+            });
+            RaceResult.findOne.mockResolvedValue({
+                ...mockRaceResult,
+                status: 'Started',
+                splits: [{ checkpoint: checkpointId, order: 1, splitTime: 600 }]
+            });
+
+            await expect(raceService.recordCheckpointSplit(raceId, riderId, checkpointId))
+                .rejects.toThrow('Split already recorded for this checkpoint');
+            expect(RaceResult.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordLap', () => {
+        const raceId = '507f1f77bcf86cd799439011';
+        const riderId = '507f1f77bcf86cd799439012';
+        const lapRace = { ...mockRace, status: 'InProgress', laps: 3, lapLength: 4.5 };
+
+        const buildStarted = (lapTimes) => ({
+            ...mockRaceResult,
+            status: 'Started',
+            startTime: new Date(Date.now() - 1800000),
+            lapTimes,
+            lapsCompleted: lapTimes.length
+        });
+
+        beforeEach(() => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(lapRace)
+            });
+            RaceResult.findByIdAndUpdate.mockResolvedValue({});
+        });
+
+        it('should record an intermediate lap with its lap time', async () => {
+            const started = buildStarted([{ lap: 1, lapTime: 900, elapsedTime: 900 }]);
+
+            RaceResult.findOne.mockResolvedValue(started);
+            RaceResult.exists.mockResolvedValue(null);
+            RaceResult.findById.mockReturnValue({
+                populate: jest.fn().mockResolvedValue({ toObject: jest.fn().mockReturnValue(started) })
+            });
+
+            const result = await raceService.recordLap(raceId, riderId);
+
+            const update = RaceResult.findByIdAndUpdate.mock.calls[0][1];
+            expect(update.$push.lapTimes).toMatchObject({ lap: 2, lapTime: update.$push.lapTimes.elapsedTime - 900 });
+            expect(update.$inc).toEqual({ lapsCompleted: 1 });
+            expect(result.raceFinished).toBe(false);
+            expect(result.lapsRemaining).toBe(1);
+        });
+
+        it('should finish the rider on the final lap', async () => {
+            const started = buildStarted([
+                { lap: 1, lapTime: 600, elapsedTime: 600 },
+                { lap: 2, lapTime: 600, elapsedTime: 1200 }
+            ]);
+
+            RaceResult.findOne.mockResolvedValue(started);
+            RaceResult.exists.mockResolvedValue(null);
+            raceService.finishRider = jest.fn().mockResolvedValue({ status: 'Finished', formattedTime: '30:00' });
+
+            const result = await raceService.recordLap(raceId, riderId);
+
+            expect(raceService.finishRider).toHaveBeenCalledWith(raceId, riderId, expect.any(Date));
+            expect(result.raceFinished).toBe(true);
+            expect(result.lap.lap).toBe(3);
+        });
+
+        it('should finish a lapped rider once the leader has finished', async () => {
+            const started = buildStarted([{ lap: 1, lapTime: 900, elapsedTime: 900 }]);
+
+            RaceResult.findOne.mockResolvedValue(started);
+            RaceResult.exists.mockResolvedValue({ _id: 'leader' });
+            raceService.finishRider = jest.fn().mockResolvedValue({ status: 'Finished' });
+
+            const result = await raceService.recordLap(raceId, riderId);
+
+            expect(raceService.finishRider).toHaveBeenCalled();
+            expect(result.raceFinished).toBe(true);
+        });
+    });
+
+    describe('lap helpers', () => {
+        it('should show laps behind instead of a time gap for lapped riders', () => {
+            const leader = { lapsCompleted: 5, totalTime: 3600 };
+
+            expect(raceService.formatGap({ lapsCompleted: 4, totalTime: 3700 }, leader)).toBe('-1 lap');
+            expect(raceService.formatGap({ lapsCompleted: 3, totalTime: 3500 }, leader)).toBe('-2 laps');
+            expect(raceService.formatGap({ lapsCompleted: 5, totalTime: 3725 }, leader)).toBe('+2:05');
+        });
+
+        it('should find the fastest lap across riders', () => {
+            const results = [
+                { rider: 'a', bib: 1, lapTimes: [{ lap: 1, lapTime: 610 }, { lap: 2, lapTime: 590 }] },
+                { rider: 'b', bib: 2, lapTimes: [{ lap: 1, lapTime: 600 }] }
+            ];
+
+            expect(raceService.findFastestLap(results)).toEqual({
+                rider: 'a',
+                bib: 1,
+                lap: 2,
+                lapTime: 590,
+                formattedLapTime: '9:50'
+            });
+        });
+    });
+
+    describe('rankOnCourseRiders', () => {
+        it('should rank riders with more laps ahead regardless of time', () => {
+            const oneLap = { id: 'a', lapsCompleted: 1, lapTimes: [{ elapsedTime: 500 }] };
+            const twoLapsSlow = { id: 'b', lapsCompleted: 2, lapTimes: [{ elapsedTime: 700 }, { elapsedTime: 1500 }] };
+            const twoLapsFast = { id: 'c', lapsCompleted: 2, lapTimes: [{ elapsedTime: 600 }, { elapsedTime: 1300 }] };
+
+            const ranked = raceService.rankOnCourseRiders([oneLap, twoLapsSlow, twoLapsFast]);
+
+            expect(ranked.map(r => r.id)).toEqual(['c', 'b', 'a']);
+        });
+
+        it('should rank by furthest checkpoint then split time', () => {
+            const noSplits = { id: 'a', splits: [] };
+            const atFirstFast = { id: 'b', splits: [{ order: 1, splitTime: 500 }] };
+            const atSecond = { id: 'c', splits: [{ order: 1, splitTime: 520 }, { order: 2, splitTime: 1100 }] };
+            const atFirstSlow = { id: 'd', splits: [{ order: 1, splitTime: 600 }] };
+
+            const ranked = raceService.rankOnCourseRiders([noSplits, atFirstSlow, atFirstFast, atSecond]);
+
+            expect(ranked.map(r => r.id)).toEqual(['c', 'b', 'd', 'a']);
+        });
     });
 
     describe('updateRaceWeather', () => {
@@ -639,19 +1095,19 @@ describe('RaceService', () => {
             expect(result.reason).toMatch(/Race starts in \d+ minutes/);
         });
 
-        it('should reject if race status is not Open', async () => {
+        it('should reject if race status is not Open or Closed', async () => {
             const raceId = '507f1f77bcf86cd799439011';
-            const closedRace = { ...mockRace, status: 'Closed' };
+            const completedRace = { ...mockRace, status: 'Completed' };
 
             Race.findById.mockReturnValue({
-                exec: jest.fn().mockResolvedValue(closedRace)
+                exec: jest.fn().mockResolvedValue(completedRace)
             });
 
             const result = await raceService.canRaceBeStarted(raceId);
 
             expect(result).toEqual({
                 canStart: false,
-                reason: 'Race status must be Open to start'
+                reason: 'Race is Completed; only Open or Closed races can be started'
             });
         });
     });
@@ -666,19 +1122,21 @@ describe('RaceService', () => {
                 exec: jest.fn().mockResolvedValue(inProgressRace)
             });
 
-            Race.findByIdAndUpdate.mockReturnValue({
+            Race.findOneAndUpdate.mockReturnValue({
                 exec: jest.fn().mockResolvedValue(completedRace)
             });
 
             const result = await raceService.finishRace(raceId);
 
-            expect(Race.findByIdAndUpdate).toHaveBeenCalledWith(
-                raceId,
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: raceId, status: 'InProgress' },
                 expect.objectContaining({
                     status: 'Completed',
-                    endTime: expect.any(Date)
+                    endTime: expect.any(Date),
+                    resultsStatus: 'ProtestWindow',
+                    protestWindowEndsAt: expect.any(Date)
                 }),
-                { new: true }
+                { new: true, runValidators: true }
             );
             expect(result).toBe(completedRace);
         });
@@ -691,8 +1149,11 @@ describe('RaceService', () => {
                 exec: jest.fn().mockResolvedValue(openRace)
             });
 
-            await expect(raceService.finishRace(raceId))
-                .rejects.toThrow('Only races in progress can be finished');
+            await expect(raceService.finishRace(raceId)).rejects.toMatchObject({
+                message: 'Cannot change race status from Open to Completed (allowed: Closed, InProgress, Postponed, Cancelled)',
+                statusCode: 409
+            });
+            expect(Race.findOneAndUpdate).not.toHaveBeenCalled();
         });
     });
 
@@ -724,6 +1185,7 @@ describe('RaceService', () => {
                     dnfCount: 0
                 }),
                 top3Fastest: mockTop3,
+                groupRankings: { categories: expect.any(Array), ageGroups: expect.any(Array) },
                 didNotFinish: mockDnf
             });
         });
@@ -742,6 +1204,154 @@ describe('RaceService', () => {
     });
 
     describe('registerParticipant', () => {
+        beforeEach(() => {
+            RaceResult.countDocuments.mockResolvedValue(0);
+            WaitlistEntry.countDocuments.mockResolvedValue(0);
+            Team.findOne.mockReturnValue({
+                select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(null) })
+            });
+            Race.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRace) });
+        });
+
+        it('should refuse registration with the reasons when the race is full', async () => {
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...mockRace, maxParticipants: 2 }) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.countDocuments.mockResolvedValue(2);
+
+            await expect(raceService.registerParticipant(mockRace._id, mockRider._id)).rejects.toMatchObject({
+                statusCode: 409,
+                message: 'Registration refused: Race is full (2 participants)',
+                reasons: [{ code: 'RACE_FULL', message: 'Race is full (2 participants)' }]
+            });
+            expect(RaceResult).not.toHaveBeenCalled();
+        });
+
+        it('should count spots held by pending waitlist offers as taken', async () => {
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...mockRace, maxParticipants: 3 }) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.countDocuments.mockResolvedValue(2);
+            WaitlistEntry.countDocuments.mockResolvedValue(1);
+
+            await expect(raceService.registerParticipant(mockRace._id, mockRider._id))
+                .rejects.toMatchObject({ reasons: [expect.objectContaining({ code: 'RACE_FULL' })] });
+            expect(WaitlistEntry.countDocuments).toHaveBeenCalledWith({
+                race: mockRace._id,
+                status: 'Offered',
+                offerExpiresAt: { $gt: expect.any(Date) }
+            });
+        });
+
+        it('should let an admin override the registration rules', async () => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Closed', maxParticipants: 2, participantCount: 2 })
+            });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.distinct.mockResolvedValue([]);
+            RaceResult.mockImplementation((data) => ({ ...data, save: jest.fn().mockResolvedValue(data) }));
+
+            const registration = await raceService.registerParticipant(mockRace._id, mockRider._id, null, { override: true });
+
+            expect(RaceResult.countDocuments).not.toHaveBeenCalled();
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: mockRace._id },
+                { $inc: { participantCount: 1 } },
+                { new: true }
+            );
+            expect(registration.status).toBe('Registered');
+        });
+
+        it('should refuse the last spot when another registration reserved it first', async () => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, maxParticipants: 3, participantCount: 1 })
+            });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.countDocuments.mockResolvedValue(1);
+            WaitlistEntry.countDocuments.mockResolvedValue(1);
+            Race.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+
+            await expect(raceService.registerParticipant(mockRace._id, mockRider._id)).rejects.toMatchObject({
+                statusCode: 409,
+                reasons: [{ code: 'RACE_FULL', message: 'Race is full (3 participants)' }]
+            });
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: mockRace._id, participantCount: { $lt: 2 } },
+                { $inc: { participantCount: 1 } },
+                { new: true }
+            );
+            expect(RaceResult).not.toHaveBeenCalled();
+        });
+
+        it('should count the existing entries of a race without a participant count first', async () => {
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...mockRace, maxParticipants: 10 }) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.countDocuments.mockResolvedValue(4);
+            RaceResult.distinct.mockResolvedValue([]);
+            RaceResult.mockImplementation((data) => ({ ...data, save: jest.fn().mockResolvedValue(data) }));
+
+            await raceService.registerParticipant(mockRace._id, mockRider._id);
+
+            expect(Race.updateOne).toHaveBeenCalledWith(
+                { _id: mockRace._id, participantCount: { $exists: false } },
+                { participantCount: 4 }
+            );
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: mockRace._id, participantCount: { $lt: 10 } },
+                { $inc: { participantCount: 1 } },
+                { new: true }
+            );
+        });
+
+        it('should release the reserved spot when the registration cannot be saved', async () => {
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...mockRace, maxParticipants: 10, participantCount: 3 }) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.distinct.mockResolvedValue([]);
+            RaceResult.mockImplementation(() => ({ save: jest.fn().mockRejectedValue(new Error('Duplicate bib')) }));
+
+            await expect(raceService.registerParticipant(mockRace._id, mockRider._id)).rejects.toThrow('Duplicate bib');
+            expect(Race.updateOne).toHaveBeenCalledTimes(1);
+            expect(Race.updateOne).toHaveBeenCalledWith(
+                { _id: mockRace._id, participantCount: { $gt: 0 } },
+                { $inc: { participantCount: -1 } }
+            );
+        });
+
+        it('should skip only the waived refusals', async () => {
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Closed', maxParticipants: 2 }) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.countDocuments.mockResolvedValue(2);
+
+            await expect(raceService.registerParticipant(mockRace._id, mockRider._id, null, { waive: ['RACE_FULL'] }))
+                .rejects.toMatchObject({ statusCode: 409, reasons: [expect.objectContaining({ code: 'RACE_NOT_OPEN' })] });
+            expect(RaceResult).not.toHaveBeenCalled();
+        });
+
+        it('should link the registration to the rider team for the race season', async () => {
+            const team = { _id: 'team1', name: 'Trail Blazers' };
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...mockRace, startTime: new Date('2025-06-01') }) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.distinct.mockResolvedValue([]);
+            Team.findOne.mockReturnValue({
+                select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(team) })
+            });
+            RaceResult.mockImplementation((data) => ({ ...data, save: jest.fn().mockResolvedValue(data) }));
+
+            const registration = await raceService.registerParticipant(mockRace._id, mockRider._id);
+
+            expect(Team.findOne).toHaveBeenCalledWith({
+                isActive: { $ne: false },
+                members: { $elemMatch: { rider: mockRider._id, season: 2025 } }
+            });
+            expect(registration.team).toBe('team1');
+        });
+
         it('should register participant successfully', async () => {
             const raceId = '507f1f77bcf86cd799439011';
             const riderId = '507f1f77bcf86cd799439012';
@@ -759,21 +1369,133 @@ describe('RaceService', () => {
                 exec: jest.fn().mockResolvedValue(null) // No existing registration
             });
 
+            RaceResult.distinct.mockResolvedValue([200, 201]);
+
             RaceResult.mockImplementation(() => ({
                 save: jest.fn().mockResolvedValue(savedRegistration)
             }));
 
             const result = await raceService.registerParticipant(raceId, riderId);
 
+            expect(RaceResult.distinct).toHaveBeenCalledWith('bib', {
+                race: mockRace._id,
+                bib: { $gte: 200, $lte: 799 }
+            });
             expect(RaceResult).toHaveBeenCalledWith({
                 race: raceId,
                 rider: riderId,
-                status: 'Registered'
+                bib: 202,
+                status: 'Registered',
+                amountDue: 0,
+                pricing: { tier: null, basePrice: 0, discountCode: null, discountAmount: 0 },
+                paymentStatus: 'NotRequired',
+                confirmedAt: expect.any(Date)
             });
             expect(result).toBe(savedRegistration);
         });
 
-        it('should throw error if rider already registered', async () => {
+        it('should leave an entry with a fee unpaid and unconfirmed', async () => {
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...mockRace, entryFee: 35 }) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.distinct.mockResolvedValue([]);
+            RaceResult.mockImplementation((data) => ({ ...data, save: jest.fn().mockResolvedValue(data) }));
+
+            const registration = await raceService.registerParticipant(mockRace._id, mockRider._id);
+
+            expect(registration).toMatchObject({ amountDue: 35, paymentStatus: 'Unpaid', confirmedAt: undefined });
+        });
+
+        it('should price the entry from the tier and redeem the discount code', async () => {
+            const race = {
+                ...mockRace,
+                entryFee: 50,
+                priceTiers: [{ name: 'Early bird', endsAt: new Date(Date.now() + 86400000), price: 40 }]
+            };
+            const discount = { _id: 'code1', code: 'CLUB10', type: 'Percentage', value: 10, races: [], isActive: true, usedCount: 0 };
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(race) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.distinct.mockResolvedValue([]);
+            DiscountCode.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(discount) });
+            DiscountCode.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue(discount) });
+            RaceResult.mockImplementation((data) => ({ ...data, save: jest.fn().mockResolvedValue(data) }));
+
+            const registration = await raceService.registerParticipant(mockRace._id, mockRider._id, null, { discountCode: 'club10' });
+
+            expect(registration).toMatchObject({
+                amountDue: 36,
+                pricing: { tier: 'Early bird', basePrice: 40, discountCode: 'CLUB10', discountAmount: 4 }
+            });
+            expect(DiscountCode.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.objectContaining({ _id: 'code1' }),
+                { $inc: { usedCount: 1 } },
+                { new: true }
+            );
+        });
+
+        it('should give the discount code use back when the registration cannot be saved', async () => {
+            const discount = { _id: 'code1', code: 'CLUB10', type: 'Fixed', value: 5, races: [], isActive: true, usedCount: 0 };
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...mockRace, entryFee: 30 }) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRider) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            RaceResult.distinct.mockResolvedValue([]);
+            DiscountCode.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(discount) });
+            DiscountCode.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue(discount) });
+            RaceResult.mockImplementation(() => ({ save: jest.fn().mockRejectedValue(new Error('Duplicate bib')) }));
+
+            await expect(raceService.registerParticipant(mockRace._id, mockRider._id, null, { discountCode: 'CLUB10' }))
+                .rejects.toThrow('Duplicate bib');
+            expect(DiscountCode.findOneAndUpdate).toHaveBeenLastCalledWith(
+                { _id: 'code1', usedCount: { $gt: 0 } },
+                { $inc: { usedCount: -1 } },
+                { new: true }
+            );
+        });
+
+        it('should use a hand-set bib when it is free', async () => {
+            const raceId = '507f1f77bcf86cd799439011';
+            const riderId = '507f1f77bcf86cd799439012';
+
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(mockRace)
+            });
+            Rider.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(mockRider)
+            });
+            RaceResult.findOne.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(null)
+            });
+            RaceResult.mockImplementation((data) => ({
+                save: jest.fn().mockResolvedValue(data)
+            }));
+
+            const result = await raceService.registerParticipant(raceId, riderId, 7);
+
+            expect(RaceResult.findOne).toHaveBeenCalledWith({ race: raceId, bib: 7 });
+            expect(RaceResult.distinct).not.toHaveBeenCalled();
+            expect(result.bib).toBe(7);
+        });
+
+        it('should throw error if hand-set bib is already taken', async () => {
+            const raceId = '507f1f77bcf86cd799439011';
+            const riderId = '507f1f77bcf86cd799439012';
+
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(mockRace)
+            });
+            Rider.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(mockRider)
+            });
+            RaceResult.findOne
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue(null) })
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue(mockRaceResult) });
+
+            await expect(raceService.registerParticipant(raceId, riderId, 7))
+                .rejects.toThrow('Bib 7 is already assigned in this race');
+        });
+
+        it('should throw error if rider already registered', async () => {
             const raceId = '507f1f77bcf86cd799439011';
             const riderId = '507f1f77bcf86cd799439012';
 
@@ -806,6 +1528,45 @@ describe('RaceService', () => {
         });
     });
 
+    describe('getNextAvailableBib', () => {
+        it('should use the race bib ranges when configured', async () => {
+            const race = { _id: 'race1', bibRanges: [{ category: 'Youth', start: 50, end: 52 }] };
+            RaceResult.distinct.mockResolvedValue([50]);
+
+            const bib = await raceService.getNextAvailableBib(race, 'Youth');
+
+            expect(bib).toBe(51);
+        });
+
+        it('should throw error when the category range is exhausted', async () => {
+            const race = { _id: 'race1', bibRanges: [{ category: 'Youth', start: 50, end: 51 }] };
+            RaceResult.distinct.mockResolvedValue([50, 51]);
+
+            await expect(raceService.getNextAvailableBib(race, 'Youth'))
+                .rejects.toThrow('Bib range 50-51 for Youth is exhausted');
+        });
+
+        it('should throw error when the category has no range', async () => {
+            const race = { _id: 'race1', bibRanges: [{ category: 'Youth', start: 50, end: 51 }] };
+
+            await expect(raceService.getNextAvailableBib(race, 'Professional'))
+                .rejects.toThrow('No bib range configured for category Professional');
+        });
+    });
+
+    describe('getRegistrationByBib', () => {
+        it('should throw error if no rider has the bib', async () => {
+            RaceResult.findOne.mockReturnValue({
+                populate: jest.fn().mockReturnValue({
+                    exec: jest.fn().mockResolvedValue(null)
+                })
+            });
+
+            await expect(raceService.getRegistrationByBib('507f1f77bcf86cd799439011', 42))
+                .rejects.toThrow('No rider with bib 42 in this race');
+        });
+    });
+
     describe('getAllRaces', () => {
         it('should get all races with filters and pagination', async () => {
             const options = {
@@ -894,6 +1655,51 @@ describe('RaceService', () => {
                 const result = raceService.canRiderRegister(rider, race);
                 expect(result).toBe(false);
             });
+
+            it('should return false outside the registration window', () => {
+                const rider = { category: 'Amateur' };
+                const race = { status: 'Open', categories: ['Amateur'], registrationClosesAt: new Date(Date.now() - 60000) };
+
+                expect(raceService.canRiderRegister(rider, race)).toBe(false);
+            });
+        });
+
+        describe('getRegistrationRefusals', () => {
+            const now = new Date('2025-05-01T12:00:00Z');
+
+            it('should return no reasons when the rider may register', () => {
+                const race = {
+                    status: 'Open',
+                    categories: ['Amateur'],
+                    maxParticipants: 10,
+                    registrationOpensAt: new Date('2025-04-01T00:00:00Z'),
+                    registrationClosesAt: new Date('2025-05-30T00:00:00Z')
+                };
+
+                expect(raceService.getRegistrationRefusals({ category: 'Amateur' }, race, 9, now)).toEqual([]);
+            });
+
+            it('should list every rule that refuses the rider', () => {
+                const race = {
+                    status: 'Closed',
+                    categories: ['Professional'],
+                    maxParticipants: 10,
+                    registrationClosesAt: new Date('2025-04-30T00:00:00Z')
+                };
+
+                const reasons = raceService.getRegistrationRefusals({ category: 'Amateur' }, race, 10, now);
+
+                expect(reasons.map(reason => reason.code)).toEqual(['RACE_NOT_OPEN', 'REGISTRATION_CLOSED', 'CATEGORY_NOT_ELIGIBLE', 'RACE_FULL']);
+                expect(reasons[2].message).toBe('Amateur riders are not eligible; race is open to Professional');
+            });
+
+            it('should refuse before registration opens', () => {
+                const race = { status: 'Open', categories: [], registrationOpensAt: new Date('2025-05-02T00:00:00Z') };
+
+                expect(raceService.getRegistrationRefusals({ category: 'Amateur' }, race, 0, now)).toEqual([
+                    { code: 'REGISTRATION_NOT_OPEN', message: 'Registration opens at 2025-05-02T00:00:00.000Z' }
+                ]);
+            });
         });
 
         describe('aggregateDNFReasons', () => {
@@ -935,6 +1741,178 @@ describe('RaceService', () => {
             );
             expect(result).toBe(updatedRace);
         });
+
+        // Plain copies of mockRace whose toObject returns the copy, not mockRace
+        const raceWithStatus = (status, overrides = {}) => {
+            const race = { ...mockRace, status, ...overrides };
+            race.toObject = () => race;
+            return race;
+        };
+
+        it('should refuse a status change the transition table does not allow before saving anything', async () => {
+            const raceId = '507f1f77bcf86cd799439011';
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(raceWithStatus('Completed'))
+            });
+
+            await expect(raceService.updateRace(raceId, { name: 'Renamed', status: 'Draft' })).rejects.toMatchObject({
+                message: 'Cannot change race status from Completed to Draft (Completed is final)',
+                statusCode: 409,
+                allowedTransitions: []
+            });
+            expect(Race.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should write the other fields together with the status change', async () => {
+            const raceId = '507f1f77bcf86cd799439011';
+            const newStart = new Date(Date.now() + 86400000);
+            const postponedRace = raceWithStatus('Postponed', { startTime: new Date('2024-01-01') });
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(postponedRace) });
+            Race.findOneAndUpdate.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...postponedRace, startTime: newStart, status: 'Open' })
+            });
+
+            const result = await raceService.updateRace(raceId, { startTime: newStart, status: 'Open' });
+
+            expect(Race.findByIdAndUpdate).not.toHaveBeenCalled();
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: raceId, status: 'Postponed' },
+                expect.objectContaining({ startTime: newStart, status: 'Open' }),
+                { new: true, runValidators: true }
+            );
+            expect(result.status).toBe('Open');
+        });
+
+        it('should save none of the other fields when starting the race is refused', async () => {
+            const raceId = '507f1f77bcf86cd799439011';
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(raceWithStatus('Open')) });
+            Race.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+
+            await expect(raceService.updateRace(raceId, { name: 'Renamed', status: 'InProgress' }))
+                .rejects.toMatchObject({ statusCode: 409 });
+            expect(Race.findByIdAndUpdate).not.toHaveBeenCalled();
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: raceId, status: 'Open' },
+                expect.objectContaining({ name: 'Renamed', status: 'InProgress' }),
+                { new: true, runValidators: true }
+            );
+            expect(RaceResult.updateMany).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('changeRaceStatus', () => {
+        const raceId = '507f1f77bcf86cd799439011';
+
+        const mockStatus = (status, overrides = {}) => {
+            const race = { ...mockRace, status, ...overrides };
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(race) });
+            return race;
+        };
+
+        it('should refuse transitions out of a final status and list what is allowed otherwise', async () => {
+            mockStatus('Cancelled');
+            await expect(raceService.changeRaceStatus(raceId, 'InProgress')).rejects.toMatchObject({
+                message: 'Cannot change race status from Cancelled to InProgress (Cancelled is final)',
+                statusCode: 409
+            });
+
+            mockStatus('Draft');
+            await expect(raceService.changeRaceStatus(raceId, 'Closed')).rejects.toMatchObject({
+                message: 'Cannot change race status from Draft to Closed (allowed: Open, Cancelled)',
+                allowedTransitions: ['Open', 'Cancelled']
+            });
+            expect(Race.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should log the change, expire the waitlist and notify live clients when a race is cancelled', async () => {
+            mockStatus('Open');
+            Race.findOneAndUpdate.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Cancelled' })
+            });
+            WaitlistEntry.updateMany.mockResolvedValue({});
+            const events = [];
+            const unsubscribe = subscribeToRace(raceId, event => events.push(event));
+            const changedBy = { email: 'official@example.com', name: 'Race Official' };
+
+            const result = await raceService.changeRaceStatus(raceId, 'Cancelled', { reason: 'Flooded course', changedBy });
+            unsubscribe();
+
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith({ _id: raceId, status: 'Open' }, {
+                status: 'Cancelled',
+                $push: { statusLog: { from: 'Open', to: 'Cancelled', reason: 'Flooded course', by: changedBy, at: expect.any(Date) } }
+            }, { new: true, runValidators: true });
+            expect(WaitlistEntry.updateMany).toHaveBeenCalledWith(
+                { race: raceId, status: { $in: ['Waiting', 'Offered'] } },
+                { status: 'Expired' }
+            );
+            expect(events.map(event => [event.type, event.data])).toEqual([
+                ['race.status', { from: 'Open', to: 'Cancelled', reason: 'Flooded course' }]
+            ]);
+            expect(result).toEqual({ race: { ...mockRace, status: 'Cancelled' }, allowedTransitions: [] });
+        });
+
+        it('should expire pending waitlist offers when registration stops', async () => {
+            mockStatus('Open');
+            Race.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Closed' }) });
+
+            await raceService.changeRaceStatus(raceId, 'Closed');
+
+            expect(WaitlistEntry.updateMany).toHaveBeenCalledTimes(1);
+            expect(WaitlistEntry.updateMany).toHaveBeenCalledWith({ race: raceId, status: 'Offered' }, { status: 'Expired' });
+
+            WaitlistEntry.updateMany.mockClear();
+            mockStatus('Closed');
+            await raceService.changeRaceStatus(raceId, 'Open');
+            expect(WaitlistEntry.updateMany).not.toHaveBeenCalled();
+        });
+
+        it('should refuse the change when another request changed the status first', async () => {
+            mockStatus('Open');
+            Race.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            const events = [];
+            const unsubscribe = subscribeToRace(raceId, event => events.push(event));
+
+            await expect(raceService.changeRaceStatus(raceId, 'Cancelled', { reason: 'Flooded course' })).rejects.toMatchObject({
+                message: 'Race is no longer Open; it was changed by another request. Reload it and try again',
+                statusCode: 409
+            });
+            unsubscribe();
+
+            expect(Race.findOneAndUpdate).toHaveBeenCalledWith({ _id: raceId, status: 'Open' }, expect.any(Object), { new: true, runValidators: true });
+            expect(WaitlistEntry.updateMany).not.toHaveBeenCalled();
+            expect(events).toEqual([]);
+        });
+
+        it('should require a reason to postpone or cancel', async () => {
+            mockStatus('Closed');
+
+            await expect(raceService.changeRaceStatus(raceId, 'Postponed'))
+                .rejects.toMatchObject({ message: 'A reason is required to mark a race Postponed', statusCode: 409 });
+        });
+
+        it('should only reopen a postponed race once it has a new start time', async () => {
+            mockStatus('Postponed', { startTime: new Date(Date.now() - 60000) });
+            await expect(raceService.changeRaceStatus(raceId, 'Open'))
+                .rejects.toThrow('Set a new start time in the future before reopening a postponed race');
+
+            mockStatus('Postponed', { startTime: new Date(Date.now() + 86400000) });
+            Race.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Open' }) });
+            const result = await raceService.changeRaceStatus(raceId, 'Open');
+            expect(result.allowedTransitions).toEqual(['Closed', 'InProgress', 'Postponed', 'Cancelled']);
+        });
+
+        it('should hand starting and finishing to startRace and finishRace', async () => {
+            const startRace = jest.spyOn(raceService, 'startRace').mockResolvedValue({ race: { status: 'InProgress' }, ridersStarted: 4 });
+            const finishRace = jest.spyOn(raceService, 'finishRace').mockResolvedValue({ status: 'Completed' });
+            const changedBy = { email: 'official@example.com' };
+
+            expect(await raceService.changeRaceStatus(raceId, 'InProgress', { changedBy }))
+                .toEqual({ race: { status: 'InProgress' }, ridersStarted: 4 });
+            expect(await raceService.changeRaceStatus(raceId, 'Completed', { changedBy }))
+                .toEqual({ race: { status: 'Completed' } });
+            expect(startRace).toHaveBeenCalledWith(raceId, { reason: null, changedBy, update: {} });
+            expect(finishRace).toHaveBeenCalledWith(raceId, { reason: null, changedBy, update: {} });
+        });
     });
 
     describe('deleteRace', () => {
@@ -953,6 +1931,12 @@ describe('RaceService', () => {
     });
 
     describe('updateRiderStatus', () => {
+        beforeEach(() => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'InProgress', resultsStatus: 'Provisional' })
+            });
+        });
+
         it('should update rider status successfully', async () => {
             const raceId = '507f1f77bcf86cd799439011';
             const riderId = '507f1f77bcf86cd799439012';
@@ -993,13 +1977,78 @@ describe('RaceService', () => {
 
             expect(RaceResult.findOneAndUpdate).toHaveBeenCalledWith(
                 { race: raceId, rider: riderId },
-                { status, notes, finishTime: expect.any(Date) },
+                { status, notes, finishTime: expect.any(Date), $unset: { position: 1 } },
                 { new: true }
             );
+            expect(mockRaceResultRepository.updateRacePositions).toHaveBeenCalledWith(raceId);
             expect(result.status).toBe(status);
             expect(mockResult.toObject).toHaveBeenCalled();
         });
 
+        it('should keep positions untouched for a status that stays in the classification', async () => {
+            const mockResult = {
+                _id: 'result1',
+                rider: { _id: '507f1f77bcf86cd799439012' },
+                status: 'Started',
+                toObject: jest.fn().mockReturnValue({ status: 'Started' })
+            };
+            RaceResult.findOneAndUpdate.mockReturnValue({
+                populate: jest.fn().mockResolvedValue(mockResult)
+            });
+
+            await raceService.updateRiderStatus('507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012', 'Started');
+
+            expect(RaceResult.findOneAndUpdate.mock.calls[0][1]).toEqual({ status: 'Started' });
+            expect(mockRaceResultRepository.updateRacePositions).not.toHaveBeenCalled();
+        });
+
+        it('should publish a live event for the new status', async () => {
+            const raceId = '507f1f77bcf86cd799439011';
+            const events = [];
+            const unsubscribe = subscribeToRace(raceId, event => events.push(event));
+            RaceResult.findOneAndUpdate.mockReturnValue({
+                populate: jest.fn().mockResolvedValue({
+                    _id: 'result1',
+                    bib: 7,
+                    rider: { _id: 'rider1', firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com' },
+                    notes: 'Broken chain',
+                    toObject: jest.fn().mockReturnValue({ status: 'DNF' })
+                })
+            });
+
+            await raceService.updateRiderStatus(raceId, 'rider1', 'DNF', 'Broken chain');
+            unsubscribe();
+
+            expect(events).toHaveLength(1);
+            expect(events[0]).toMatchObject({
+                type: 'rider.dnf',
+                race: raceId,
+                data: { resultId: 'result1', riderId: 'rider1', name: 'John Doe', bib: 7, status: 'DNF', notes: 'Broken chain' }
+            });
+            expect(events[0].data.email).toBeUndefined();
+        });
+
+        it('should log status sanctions applied by an official', async () => {
+            const mockResult = {
+                _id: 'result1',
+                rider: { _id: '507f1f77bcf86cd799439012' },
+                status: 'DSQ',
+                toObject: jest.fn().mockReturnValue({ status: 'DSQ' })
+            };
+            RaceResult.findOneAndUpdate.mockReturnValue({
+                populate: jest.fn().mockResolvedValue(mockResult)
+            });
+
+            await raceService.updateRiderStatus('507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012', 'DSQ', 'Illegal feed', { email: 'official@example.com' });
+
+            expect(ResultAdjustment.create).toHaveBeenCalledWith(expect.objectContaining({
+                raceResult: 'result1',
+                type: 'StatusChange',
+                newStatus: 'DSQ',
+                reason: 'Illegal feed'
+            }));
+        });
+
         it('should throw error for invalid status', async () => {
             const raceId = '507f1f77bcf86cd799439011';
             const riderId = '507f1f77bcf86cd799439012';
@@ -1010,6 +2059,215 @@ describe('RaceService', () => {
         });
     });
 
+    describe('applyResultAdjustment', () => {
+        const raceId = '507f1f77bcf86cd799439011';
+        const riderId = '507f1f77bcf86cd799439012';
+        const appliedBy = { admin: 'admin1', email: 'official@example.com', name: 'Jane Official' };
+
+        const mockFinishedResult = (overrides = {}) => {
+            const result = {
+                ...mockRaceResult,
+                status: 'Finished',
+                totalTime: 3600,
+                penaltyTime: 0,
+                adjustedTime: 3600,
+                ...overrides
+            };
+            result.save = jest.fn().mockResolvedValue(result);
+            return result;
+        };
+
+        beforeEach(() => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Completed', resultsStatus: 'ProtestWindow' })
+            });
+        });
+
+        const mockRefetch = (result) => {
+            RaceResult.findById.mockReturnValue({
+                populate: jest.fn().mockReturnValue({
+                    exec: jest.fn().mockImplementation(async () => ({ ...result, toObject: jest.fn().mockReturnValue(result) }))
+                })
+            });
+        };
+
+        it('should add a time penalty, log it and re-rank finishers', async () => {
+            const result = mockFinishedResult();
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(result) });
+            ResultAdjustment.create.mockResolvedValue({ type: 'Penalty' });
+            mockRaceResultRepository.getTop3FastestInRace.mockResolvedValue([]);
+            mockRefetch(result);
+
+            const response = await raceService.applyResultAdjustment(
+                raceId, riderId, { type: 'Penalty', seconds: 120, reason: 'Cut the course' }, appliedBy
+            );
+
+            expect(result.penaltyTime).toBe(120);
+            expect(result.adjustedTime).toBe(3720);
+            expect(result.save).toHaveBeenCalled();
+            expect(ResultAdjustment.create).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'Penalty',
+                seconds: 120,
+                previousAdjustedTime: 3600,
+                newAdjustedTime: 3720,
+                reason: 'Cut the course',
+                appliedBy
+            }));
+            expect(mockRaceResultRepository.updateRacePositions).toHaveBeenCalledWith(raceId);
+            expect(response.result.formattedAdjustedTime).toBe('1:02:00');
+        });
+
+        it('should apply a bonus on top of a corrected time', async () => {
+            const result = mockFinishedResult({ correctedTime: 3500, penaltyTime: 60, adjustedTime: 3560 });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(result) });
+            mockRaceResultRepository.getTop3FastestInRace.mockResolvedValue([]);
+            mockRefetch(result);
+
+            await raceService.applyResultAdjustment(raceId, riderId, { type: 'Bonus', seconds: 10, reason: 'Sprint bonus' });
+
+            expect(result.adjustedTime).toBe(3550);
+        });
+
+        it('should throw error when correcting a result that has not finished', async () => {
+            const result = mockFinishedResult({ status: 'Started', totalTime: undefined, adjustedTime: undefined });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(result) });
+
+            await expect(raceService.applyResultAdjustment(raceId, riderId, { type: 'Correction', correctedTime: 3500, reason: 'Timing fault' }))
+                .rejects.toThrow('Only finished results can have their time corrected');
+            expect(ResultAdjustment.create).not.toHaveBeenCalled();
+        });
+
+        it('should throw error for disqualified riders', async () => {
+            const result = mockFinishedResult({ status: 'DSQ' });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(result) });
+
+            await expect(raceService.applyResultAdjustment(raceId, riderId, { type: 'Penalty', seconds: 30, reason: 'Late' }))
+                .rejects.toThrow('Cannot adjust the time of a rider with status DSQ');
+        });
+
+        it('should refuse adjustments once results are official', async () => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Completed', resultsStatus: 'Official' })
+            });
+
+            await expect(raceService.applyResultAdjustment(raceId, riderId, { type: 'Penalty', seconds: 30, reason: 'Late' }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Results are official and locked. Reopen them before making changes' });
+            expect(RaceResult.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('publishResults', () => {
+        const raceId = '507f1f77bcf86cd799439011';
+        const publishedBy = { admin: 'admin1', email: 'official@example.com', name: 'Jane Official' };
+
+        const mockCompletedRace = (overrides = {}) => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({
+                    ...mockRace,
+                    status: 'Completed',
+                    resultsStatus: 'ProtestWindow',
+                    protestWindowEndsAt: new Date(Date.now() - 60000),
+                    ...overrides
+                })
+            });
+        };
+
+        it('should publish results once the protest window has closed', async () => {
+            mockCompletedRace();
+            Protest.countDocuments.mockResolvedValue(0);
+            Race.findByIdAndUpdate.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Completed', resultsStatus: 'Official', resultsPublishedAt: new Date() })
+            });
+
+            const result = await raceService.publishResults(raceId, publishedBy, 'Checked by jury');
+
+            expect(Race.findByIdAndUpdate).toHaveBeenCalledWith(
+                raceId,
+                expect.objectContaining({
+                    resultsStatus: 'Official',
+                    resultsPublishedAt: expect.any(Date),
+                    $push: { resultsLog: expect.objectContaining({ action: 'Published', reason: 'Checked by jury', by: publishedBy }) }
+                }),
+                { new: true }
+            );
+            expect(result.resultsStatus.isOfficial).toBe(true);
+        });
+
+        it('should refuse to publish while the protest window is open', async () => {
+            mockCompletedRace({ protestWindowEndsAt: new Date(Date.now() + 60000) });
+
+            await expect(raceService.publishResults(raceId, publishedBy))
+                .rejects.toMatchObject({ statusCode: 409 });
+            expect(Race.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to publish while protests are undecided', async () => {
+            mockCompletedRace();
+            Protest.countDocuments.mockResolvedValue(2);
+
+            await expect(raceService.publishResults(raceId, publishedBy))
+                .rejects.toThrow('2 protest(s) are still open and must be decided before publishing');
+            expect(Protest.countDocuments).toHaveBeenCalledWith({ race: raceId, status: 'Open' });
+            expect(Race.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to publish a race that has not completed', async () => {
+            mockCompletedRace({ status: 'InProgress' });
+
+            await expect(raceService.publishResults(raceId, publishedBy))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('reopenResults', () => {
+        it('should reopen official results and log the reason', async () => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Completed', resultsStatus: 'Official' })
+            });
+            Race.findByIdAndUpdate.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Completed', resultsStatus: 'Provisional' })
+            });
+
+            const result = await raceService.reopenResults('507f1f77bcf86cd799439011', 'Timing correction', { email: 'official@example.com' });
+
+            expect(Race.findByIdAndUpdate).toHaveBeenCalledWith(
+                '507f1f77bcf86cd799439011',
+                expect.objectContaining({
+                    resultsStatus: 'Provisional',
+                    $push: { resultsLog: expect.objectContaining({ action: 'Reopened', reason: 'Timing correction' }) }
+                }),
+                { new: true }
+            );
+            expect(result.resultsStatus.isOfficial).toBe(false);
+        });
+
+        it('should throw error if results are not official', async () => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Completed', resultsStatus: 'Provisional' })
+            });
+
+            await expect(raceService.reopenResults('507f1f77bcf86cd799439011', 'Timing correction'))
+                .rejects.toThrow('Only official results can be reopened');
+        });
+    });
+
+    describe('getResultAdjustments', () => {
+        it('should return the result history in order', async () => {
+            const history = [{ type: 'Penalty' }, { type: 'Correction' }];
+            RaceResult.findOne.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRaceResult, penaltyTime: 120, adjustedTime: 9120 })
+            });
+            const sort = jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(history) });
+            ResultAdjustment.find.mockReturnValue({ sort });
+
+            const result = await raceService.getResultAdjustments('507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012');
+
+            expect(ResultAdjustment.find).toHaveBeenCalledWith({ raceResult: mockRaceResult._id });
+            expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+            expect(result).toMatchObject({ totalTime: 9000, penaltyTime: 120, adjustedTime: 9120, history });
+        });
+    });
+
     describe('analyzeRaceCompletion', () => {
         it('should analyze race completion correctly', async () => {
             const raceId = '507f1f77bcf86cd799439011';
@@ -1096,6 +2354,53 @@ describe('RaceService', () => {
         });
     });
 
+    describe('buildTeamClassification', () => {
+        const teams = {
+            red: { _id: 'red', name: 'Red Rockets' },
+            blue: { _id: 'blue', name: 'Blue Comets' }
+        };
+        const finisher = (team, adjustedTime, position) => ({
+            team: teams[team], adjustedTime, position, bib: position, rider: { _id: `rider${position}` }
+        });
+        const finishers = [
+            finisher('red', 3600, 1),
+            finisher('blue', 3610, 2),
+            finisher('blue', 3620, 3),
+            finisher('red', 3700, 4),
+            finisher('blue', 3800, 5),
+            { adjustedTime: 3900, position: 6, rider: { _id: 'independent' } }
+        ];
+
+        it('should rank teams by the sum of their best times', () => {
+            const result = raceService.buildTeamClassification(finishers, { teamClassification: { mode: 'Time', countBest: 2 } });
+
+            expect(result.standings.map(entry => [entry.team.name, entry.score, entry.gap])).toEqual([
+                ['Blue Comets', 7230, null],
+                ['Red Rockets', 7300, '+1:10']
+            ]);
+            expect(result.standings[0].counted.map(entry => entry.position)).toEqual([2, 3]);
+        });
+
+        it('should list teams without enough finishers as incomplete in time mode', () => {
+            const result = raceService.buildTeamClassification(finishers, { teamClassification: { mode: 'Time', countBest: 3 } });
+
+            expect(result.standings.map(entry => entry.team.name)).toEqual(['Blue Comets']);
+            expect(result.incomplete).toEqual([{ team: { id: 'red', name: 'Red Rockets' }, finishers: 2 }]);
+        });
+
+        it('should rank teams by points from the points table', () => {
+            const result = raceService.buildTeamClassification(finishers, {
+                teamClassification: { mode: 'Points', countBest: 3, pointsTable: [10, 8, 6, 5, 4] }
+            });
+
+            // Red: 10 + 5 = 15, Blue: 8 + 6 + 4 = 18
+            expect(result.standings.map(entry => [entry.team.name, entry.score, entry.gap])).toEqual([
+                ['Blue Comets', 18, null],
+                ['Red Rockets', 15, 3]
+            ]);
+        });
+    });
+
     describe('getRaceStats', () => {
         it('should get race statistics', async () => {
             const raceId = '507f1f77bcf86cd799439011';
@@ -1108,6 +2413,7 @@ describe('RaceService', () => {
             ];
 
             mockRaceResultRepository.getResultsByRace.mockResolvedValue(mockResults);
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRace) });
 
             const result = await raceService.getRaceStats(raceId);
 
@@ -1117,7 +2423,8 @@ describe('RaceService', () => {
                 started: 1,
                 finished: 1,
                 dnf: 1,
-                dsq: 1
+                dsq: 1,
+                teams: { entered: 0, classified: 0, leader: null }
             });
         });
     });
@@ -0,0 +1,400 @@
+jest.mock('../../../src/utils/emailHandler', () => ({
+    sendEmail: jest.fn().mockResolvedValue(true)
+}));
+
+const RegistrationService = require('../../../src/raceSystem/services/RegistrationService');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const WaitlistEntry = require('../../../src/raceSystem/data/models/WaitlistEntry');
+const RegistrationChange = require('../../../src/raceSystem/data/models/RegistrationChange');
+const Rider = require('../../../src/rider/data/models/Rider');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+const PaymentService = require('../../../src/payment/services/PaymentService');
+const { sendEmail } = require('../../../src/utils/emailHandler');
+
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/raceSystem/data/models/WaitlistEntry');
+jest.mock('../../../src/raceSystem/data/models/RegistrationChange');
+jest.mock('../../../src/rider/data/models/Rider');
+jest.mock('../../../src/raceSystem/services/RaceService');
+jest.mock('../../../src/payment/services/PaymentService');
+
+describe('RegistrationService', () => {
+    let registrationService;
+    let mockRaceService;
+    let mockPaymentService;
+
+    const race = { _id: 'race1', name: 'Forest Classic', status: 'Open', maxParticipants: 2, waitlistConfirmHours: 24 };
+    const rider = { _id: 'rider9', firstName: 'Ola', lastName: 'Nord', email: 'ola@example.com' };
+
+    const fullError = () => {
+        const error = new Error('Registration refused: Race is full (2 participants)');
+        error.statusCode = 409;
+        error.reasons = [{ code: 'RACE_FULL', message: 'Race is full (2 participants)' }];
+        return error;
+    };
+
+    const mockOffer = (entry) => {
+        WaitlistEntry.findOneAndUpdate.mockReturnValueOnce({
+            populate: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(entry) })
+        });
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.setImmediate = jest.fn((callback) => callback());
+
+        mockRaceService = {
+            registerParticipant: jest.fn(),
+            countTakenSpots: jest.fn().mockResolvedValue(2),
+            getRegistrationRefusals: jest.fn().mockReturnValue([]),
+            findRiderTeam: jest.fn().mockResolvedValue(null),
+            releaseSpot: jest.fn().mockResolvedValue()
+        };
+        RaceService.mockImplementation(() => mockRaceService);
+
+        mockPaymentService = {
+            getPaidTotals: jest.fn().mockResolvedValue({ paid: 0, refunded: 0 }),
+            refundPayment: jest.fn().mockResolvedValue({ _id: 'pay1' }),
+            reassignPendingPayments: jest.fn().mockResolvedValue({ modifiedCount: 0 }),
+            cancelPendingPayments: jest.fn().mockResolvedValue({ modifiedCount: 0 })
+        };
+        PaymentService.mockImplementation(() => mockPaymentService);
+        RegistrationChange.create.mockImplementation(async (data) => ({ _id: 'change1', ...data }));
+
+        Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(race) });
+        WaitlistEntry.updateMany.mockResolvedValue({ modifiedCount: 0 });
+
+        registrationService = new RegistrationService();
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+        delete global.setImmediate;
+    });
+
+    describe('register', () => {
+        it('should put the rider on the waitlist when the race is full', async () => {
+            const entry = { _id: 'entry1', createdAt: new Date() };
+            mockRaceService.registerParticipant.mockRejectedValue(fullError());
+            WaitlistEntry.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            WaitlistEntry.create.mockResolvedValue(entry);
+            WaitlistEntry.countDocuments.mockResolvedValue(3);
+
+            const result = await registrationService.register('race1', 'rider9');
+
+            expect(WaitlistEntry.create).toHaveBeenCalledWith({ race: 'race1', rider: 'rider9' });
+            expect(result).toEqual({ status: 'Waitlisted', entry, position: 3 });
+        });
+
+        it('should not waitlist riders refused for other reasons', async () => {
+            const error = fullError();
+            error.reasons.push({ code: 'CATEGORY_NOT_ELIGIBLE', message: 'Youth riders are not eligible' });
+            mockRaceService.registerParticipant.mockRejectedValue(error);
+
+            await expect(registrationService.register('race1', 'rider9')).rejects.toBe(error);
+            expect(WaitlistEntry.create).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a rider already on the waitlist', async () => {
+            mockRaceService.registerParticipant.mockRejectedValue(fullError());
+            WaitlistEntry.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue({ status: 'Waiting' }) });
+
+            await expect(registrationService.register('race1', 'rider9'))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Rider is already on the waitlist for this race' });
+        });
+    });
+
+    describe('processWaitlist', () => {
+        it('should expire overdue offers and offer each free spot to the next rider', async () => {
+            mockRaceService.countTakenSpots.mockResolvedValue(1);
+            WaitlistEntry.updateMany.mockResolvedValue({ modifiedCount: 1 });
+            const entry = { _id: 'entry1', rider };
+            mockOffer(entry);
+
+            const result = await registrationService.processWaitlist('race1');
+
+            expect(WaitlistEntry.updateMany).toHaveBeenCalledWith(
+                { race: 'race1', status: 'Offered', offerExpiresAt: { $lte: expect.any(Date) } },
+                { status: 'Expired' }
+            );
+            const [filter, update, options] = WaitlistEntry.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ race: 'race1', status: 'Waiting' });
+            expect(update.offerExpiresAt - update.offeredAt).toBe(24 * 60 * 60 * 1000);
+            expect(options.sort).toEqual({ createdAt: 1 });
+            expect(sendEmail).toHaveBeenCalledWith('ola@example.com', 'A spot has opened up in Forest Classic', expect.stringContaining('Please confirm your place before'));
+            expect(result).toEqual({ expired: 1, promoted: [entry] });
+        });
+
+        it('should stop when nobody is waiting', async () => {
+            mockRaceService.countTakenSpots.mockResolvedValue(0);
+            mockOffer(null);
+
+            const result = await registrationService.processWaitlist('race1');
+
+            expect(WaitlistEntry.findOneAndUpdate).toHaveBeenCalledTimes(1);
+            expect(result.promoted).toEqual([]);
+        });
+    });
+
+    describe('confirmWaitlistOffer', () => {
+        it('should register the rider into the held spot', async () => {
+            const entry = {
+                status: 'Offered',
+                offerExpiresAt: new Date(Date.now() + 60000),
+                discountCode: 'CLUB10',
+                save: jest.fn().mockResolvedValue(true)
+            };
+            WaitlistEntry.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(entry) });
+            mockRaceService.registerParticipant.mockResolvedValue({ bib: 210 });
+
+            const registration = await registrationService.confirmWaitlistOffer('race1', 'rider9');
+
+            expect(mockRaceService.registerParticipant)
+                .toHaveBeenCalledWith('race1', 'rider9', null, {
+                    waive: ['REGISTRATION_NOT_OPEN', 'REGISTRATION_CLOSED', 'RACE_FULL'],
+                    discountCode: 'CLUB10'
+                });
+            expect(entry.status).toBe('Confirmed');
+            expect(registration).toEqual({ bib: 210 });
+        });
+
+        it('should leave the offer open when the race no longer takes registrations', async () => {
+            const entry = { status: 'Offered', offerExpiresAt: new Date(Date.now() + 60000), save: jest.fn() };
+            WaitlistEntry.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(entry) });
+            const refused = new Error('Registration refused: Race is Closed; only Open races accept registrations');
+            refused.statusCode = 409;
+            mockRaceService.registerParticipant.mockRejectedValue(refused);
+
+            await expect(registrationService.confirmWaitlistOffer('race1', 'rider9')).rejects.toMatchObject({ statusCode: 409 });
+            expect(entry.status).toBe('Offered');
+            expect(entry.save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse an expired offer', async () => {
+            const entry = { status: 'Offered', offerExpiresAt: new Date(Date.now() - 60000) };
+            WaitlistEntry.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(entry) });
+
+            await expect(registrationService.confirmWaitlistOffer('race1', 'rider9')).rejects.toMatchObject({ statusCode: 409 });
+            expect(WaitlistEntry.updateMany).toHaveBeenCalled();
+            expect(mockRaceService.registerParticipant).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('withdrawParticipant', () => {
+        it('should remove the registration and promote the next waitlisted rider', async () => {
+            const registration = { _id: 'result1', status: 'Registered' };
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(registration) });
+            RaceResult.findByIdAndDelete.mockReturnValue({ exec: jest.fn().mockResolvedValue(registration) });
+            mockRaceService.countTakenSpots.mockResolvedValue(1);
+            const entry = { _id: 'entry1', rider };
+            mockOffer(entry);
+
+            const result = await registrationService.withdrawParticipant('race1', 'rider1');
+
+            expect(RaceResult.findByIdAndDelete).toHaveBeenCalledWith('result1');
+            expect(mockRaceService.releaseSpot).toHaveBeenCalledWith('race1');
+            expect(mockPaymentService.cancelPendingPayments).toHaveBeenCalledWith('result1', 'Entry withdrawn');
+            expect(result.promoted).toEqual([entry]);
+        });
+
+        it('should refuse to withdraw a rider who has started', async () => {
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue({ status: 'Started' }) });
+
+            await expect(registrationService.withdrawParticipant('race1', 'rider1'))
+                .rejects.toThrow('Rider cannot withdraw with status Started');
+        });
+
+        it('should refund the share of the fee the policy allows and record the withdrawal', async () => {
+            const startTime = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...race, startTime, refundPolicy: [{ daysBefore: 7, percent: 50 }, { daysBefore: 30, percent: 100 }] })
+            });
+            const registration = { _id: 'result1', race: 'race1', rider: 'rider1', bib: 12, status: 'Registered', paymentStatus: 'Paid' };
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(registration) });
+            RaceResult.findByIdAndDelete.mockReturnValue({ exec: jest.fn().mockResolvedValue(registration) });
+            mockPaymentService.getPaidTotals.mockResolvedValue({ paid: 45, refunded: 0 });
+            const requestedBy = { kind: 'Rider', user: 'user1' };
+
+            const result = await registrationService.withdrawParticipant('race1', 'rider1', { requestedBy });
+
+            expect(mockPaymentService.refundPayment).toHaveBeenCalledWith('race1', 'rider1', {
+                amount: 22.5,
+                reason: 'Rider withdrew from the race'
+            });
+            expect(result.refund).toEqual({ amountPaid: 45, refundPercent: 50, refundAmount: 22.5, payment: 'pay1' });
+            expect(RegistrationChange.create).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'Withdrawal',
+                race: 'race1',
+                rider: 'rider1',
+                registration: 'result1',
+                bib: 12,
+                refundAmount: 22.5,
+                requestedBy
+            }));
+        });
+
+        it('should let an admin replace the refund policy', async () => {
+            const registration = { _id: 'result1', race: 'race1', rider: 'rider1', status: 'Registered', paymentStatus: 'PartiallyRefunded' };
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(registration) });
+            RaceResult.findByIdAndDelete.mockReturnValue({ exec: jest.fn().mockResolvedValue(registration) });
+            mockPaymentService.getPaidTotals.mockResolvedValue({ paid: 40, refunded: 10 });
+
+            const result = await registrationService.withdrawParticipant('race1', 'rider1', { refundPercent: 100, reason: 'Injury' });
+
+            // Only what has not been refunded yet can go back
+            expect(mockPaymentService.refundPayment).toHaveBeenCalledWith('race1', 'rider1', { amount: 30, reason: 'Injury' });
+            expect(result.refund.refundAmount).toBe(30);
+        });
+    });
+
+    describe('getRefundPercent', () => {
+        const policy = { refundPolicy: [{ daysBefore: 30, percent: 100 }, { daysBefore: 7, percent: 50 }] };
+        const daysAhead = (days) => ({ ...policy, startTime: new Date(Date.now() + days * 24 * 60 * 60 * 1000) });
+
+        it.each([[45, 100], [30.5, 100], [12, 50], [3, 0]])('should refund, %s days out, %s%%', (days, percent) => {
+            expect(registrationService.getRefundPercent(daysAhead(days))).toBe(percent);
+        });
+
+        it('should never refund without a policy', () => {
+            expect(registrationService.getRefundPercent({ startTime: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000), refundPolicy: [] })).toBe(0);
+        });
+    });
+
+    describe('transferEntry', () => {
+        const newRider = { _id: 'rider2', category: 'Amateur' };
+
+        it('should hand the entry to the new rider and record the transfer', async () => {
+            const registration = { _id: 'result1', race: 'race1', rider: 'rider1', bib: 12, status: 'Registered' };
+            registration.save = jest.fn().mockResolvedValue(registration);
+            RaceResult.findOne
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue(registration) })
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue(null) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(newRider) });
+            mockRaceService.findRiderTeam.mockResolvedValue({ _id: 'team2' });
+
+            const result = await registrationService.transferEntry('race1', 'rider1', 'rider2', { reason: 'Broken wrist' });
+
+            expect(result.registration).toMatchObject({ rider: 'rider2', team: 'team2', bib: 12 });
+            expect(mockPaymentService.reassignPendingPayments).toHaveBeenCalledWith('result1', 'rider2');
+            expect(WaitlistEntry.updateMany).toHaveBeenCalledWith(
+                { race: 'race1', rider: 'rider2', status: { $in: ['Waiting', 'Offered'] } },
+                { status: 'Left' }
+            );
+            expect(RegistrationChange.create).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'Transfer',
+                rider: 'rider1',
+                toRider: 'rider2',
+                newRegistration: 'result1',
+                reason: 'Broken wrist'
+            }));
+        });
+
+        it('should refuse a rider the race is not open to, whatever the registration window', async () => {
+            const registration = { _id: 'result1', race: 'race1', rider: 'rider1', status: 'Registered', save: jest.fn() };
+            RaceResult.findOne
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue(registration) })
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue(null) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(newRider) });
+            mockRaceService.getRegistrationRefusals.mockReturnValue([
+                { code: 'REGISTRATION_CLOSED', message: 'Registration closed' },
+                { code: 'CATEGORY_NOT_ELIGIBLE', message: 'Amateur riders are not eligible' }
+            ]);
+
+            await expect(registrationService.transferEntry('race1', 'rider1', 'rider2')).rejects.toMatchObject({
+                statusCode: 409,
+                reasons: [{ code: 'CATEGORY_NOT_ELIGIBLE', message: 'Amateur riders are not eligible' }]
+            });
+            expect(registration.save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a rider of another category, whose bib range and price differ', async () => {
+            const registration = { _id: 'result1', race: 'race1', rider: 'rider1', bib: 12, status: 'Registered', save: jest.fn() };
+            RaceResult.findOne
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue(registration) })
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue(null) });
+            Rider.findById.mockImplementation((id) => ({
+                exec: jest.fn().mockResolvedValue(id === 'rider2' ? newRider : { _id: 'rider1', category: 'Professional' })
+            }));
+
+            await expect(registrationService.transferEntry('race1', 'rider1', 'rider2')).rejects.toMatchObject({
+                statusCode: 409,
+                reasons: [{ code: 'CATEGORY_MISMATCH', message: 'The entry is for a Professional rider; Amateur riders need their own entry' }]
+            });
+            expect(registration.save).not.toHaveBeenCalled();
+            expect(mockPaymentService.reassignPendingPayments).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a rider who is already registered', async () => {
+            RaceResult.findOne
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue({ _id: 'result1', status: 'Registered' }) })
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue({ _id: 'result2' }) });
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(newRider) });
+
+            await expect(registrationService.transferEntry('race1', 'rider1', 'rider2'))
+                .rejects.toThrow('The new rider is already registered for this race');
+        });
+    });
+
+    describe('switchRace', () => {
+        const festivalRace = { ...race, event: 'Forest Festival' };
+        const shortRace = { _id: 'race2', name: 'Forest Short', status: 'Open', event: 'Forest Festival' };
+        const registration = { _id: 'result1', race: 'race1', rider: 'rider1', bib: 12, status: 'Registered', paymentStatus: 'Paid' };
+
+        const mockRaces = (from, to) => {
+            Race.findById.mockImplementation((id) => ({ exec: jest.fn().mockResolvedValue(id === 'race1' ? from : to) }));
+        };
+
+        beforeEach(() => {
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(registration) });
+            RaceResult.findByIdAndDelete.mockReturnValue({ exec: jest.fn().mockResolvedValue({}) });
+        });
+
+        it('should only switch between races of the same event', async () => {
+            mockRaces(festivalRace, { ...shortRace, event: 'Other Festival' });
+
+            await expect(registrationService.switchRace('race1', 'rider1', 'race2'))
+                .rejects.toThrow('Riders can only switch between races of the same event');
+            expect(mockRaceService.registerParticipant).not.toHaveBeenCalled();
+        });
+
+        it('should enter the new race, refund the old entry in full and record the switch', async () => {
+            mockRaces(festivalRace, shortRace);
+            mockRaceService.registerParticipant.mockResolvedValue({ _id: 'result2', race: 'race2', bib: 301 });
+            mockPaymentService.getPaidTotals.mockResolvedValue({ paid: 40, refunded: 0 });
+
+            const result = await registrationService.switchRace('race1', 'rider1', 'race2');
+
+            expect(mockRaceService.registerParticipant).toHaveBeenCalledWith('race2', 'rider1');
+            expect(mockPaymentService.refundPayment).toHaveBeenCalledWith('race1', 'rider1', { amount: 40, reason: 'Switched to Forest Short' });
+            expect(RaceResult.findByIdAndDelete).toHaveBeenCalledWith('result1');
+            expect(mockRaceService.releaseSpot).toHaveBeenCalledTimes(1);
+            expect(mockRaceService.releaseSpot).toHaveBeenCalledWith('race1');
+            expect(mockPaymentService.cancelPendingPayments).toHaveBeenCalledWith('result1', 'Entry switched to Forest Short');
+            expect(RegistrationChange.create).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'Switch',
+                race: 'race1',
+                toRace: 'race2',
+                newRegistration: 'result2',
+                refundAmount: 40
+            }));
+            expect(result.registration.bib).toBe(301);
+        });
+
+        it('should drop the new entry when the refund fails', async () => {
+            mockRaces(festivalRace, shortRace);
+            mockRaceService.registerParticipant.mockResolvedValue({ _id: 'result2' });
+            mockPaymentService.getPaidTotals.mockResolvedValue({ paid: 40, refunded: 0 });
+            mockPaymentService.refundPayment.mockRejectedValue(new Error('Provider unavailable'));
+
+            await expect(registrationService.switchRace('race1', 'rider1', 'race2')).rejects.toThrow('Provider unavailable');
+            expect(RaceResult.findByIdAndDelete).toHaveBeenCalledTimes(1);
+            expect(RaceResult.findByIdAndDelete).toHaveBeenCalledWith('result2');
+            expect(mockRaceService.releaseSpot).toHaveBeenCalledTimes(1);
+            expect(mockRaceService.releaseSpot).toHaveBeenCalledWith('race2');
+            expect(RegistrationChange.create).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,187 @@
+const zlib = require('zlib');
+const ResultsExportService = require('../../../src/raceSystem/services/ResultsExportService');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+const { parseCsv } = require('../../../src/utils/csvHandler');
+const { crc32 } = require('../../../src/utils/xlsxWriter');
+
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/services/RaceService');
+
+const ActualRaceService = jest.requireActual('../../../src/raceSystem/services/RaceService');
+
+// Reads the stored files back out of a zip built by the xlsx writer
+const unzip = (buffer) => {
+    const files = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const compressedSize = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength;
+        const data = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize));
+        files[name] = { content: data.toString('utf8'), crc: buffer.readUInt32LE(offset + 14), data };
+        offset = start + compressedSize;
+    }
+    return files;
+};
+
+describe('ResultsExportService', () => {
+    let resultsExportService;
+    let mockRaceService;
+
+    const raceId = '507f1f77bcf86cd799439011';
+    const team = { _id: 'team1', name: 'Ridge Riders, Inc.' };
+
+    const mockRace = {
+        _id: raceId,
+        name: 'Summit Classic 2026',
+        location: { name: 'Whistler' },
+        startTime: new Date('2026-06-14T09:00:00Z'),
+        resultsStatus: 'Provisional',
+        teamClassification: { mode: 'Time', countBest: 2 }
+    };
+
+    const buildResult = (bib, firstName, overrides = {}) => ({
+        bib,
+        rider: { firstName, lastName: 'Rider', category: 'Amateur' },
+        team,
+        lapsCompleted: 3,
+        status: 'Finished',
+        ...overrides
+    });
+
+    const mockResults = [
+        buildResult(101, 'Ana', { totalTime: 3600, adjustedTime: 3600, position: 1 }),
+        buildResult(102, 'Ben', { totalTime: 3725, adjustedTime: 3725, position: 2 }),
+        buildResult(103, 'Cai', { totalTime: 3300, adjustedTime: 3300, lapsCompleted: 2, position: 3, team: null }),
+        buildResult(104, 'Dev', { status: 'DNF', lapsCompleted: 1, notes: 'Broken chain' }),
+        buildResult(105, 'Eli', { status: 'DSQ', notes: 'Course cutting' })
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const helpers = ['formatTime', 'formatGap', 'getEffectiveTime', 'buildTeamClassification', 'getResultsState'];
+        mockRaceService = {
+            raceResultRepository: { getResultsByRace: jest.fn().mockResolvedValue(mockResults) }
+        };
+        helpers.forEach(name => {
+            mockRaceService[name] = ActualRaceService.prototype[name].bind(mockRaceService);
+        });
+        RaceService.mockImplementation(() => mockRaceService);
+
+        Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRace) });
+
+        resultsExportService = new ResultsExportService();
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('buildResultSheet', () => {
+        it('should lay out finishers, DNF, DSQ and team sections with formatted times and gaps', () => {
+            const sheet = resultsExportService.buildResultSheet(mockRace, mockResults);
+            const section = (key) => sheet.sections.find(s => s.key === key);
+
+            expect(sheet.title).toBe('Summit Classic 2026');
+            expect(sheet.subtitle).toBe('Whistler - 2026-06-14 - Provisional results');
+            expect(section('finished').rows).toEqual([
+                [1, 101, 'Ana Rider', 'Amateur', 'Ridge Riders, Inc.', 3, '1:00:00', null],
+                [2, 102, 'Ben Rider', 'Amateur', 'Ridge Riders, Inc.', 3, '1:02:05', '+2:05'],
+                [3, 103, 'Cai Rider', 'Amateur', null, 2, '55:00', '-1 lap']
+            ]);
+            expect(section('dnf').rows).toEqual([[104, 'Dev Rider', 'Amateur', 'Ridge Riders, Inc.', 1, 'Broken chain']]);
+            expect(section('dsq').rows).toEqual([[105, 'Eli Rider', 'Amateur', 'Ridge Riders, Inc.', 'Course cutting']]);
+            expect(section('teams').rows).toEqual([[1, 'Ridge Riders, Inc.', 2, '2:02:05', null]]);
+        });
+    });
+
+    describe('exportResults', () => {
+        it('should export a CSV with quoted fields and every section', async () => {
+            const file = await resultsExportService.exportResults(raceId, 'csv');
+            const text = file.content.toString('utf8');
+
+            expect(file.fileName).toBe('summit-classic-2026-results.csv');
+            expect(file.contentType).toBe('text/csv; charset=utf-8');
+            expect(text.startsWith('\uFEFFSummit Classic 2026\r\n')).toBe(true);
+            expect(text).toContain('Results\r\nPos,Bib,Name,Category,Team,Laps,Time,Gap\r\n');
+            expect(text).toContain('\r\n2,102,Ben Rider,Amateur,"Ridge Riders, Inc.",3,1:02:05,+2:05');
+            expect(text).toContain('Did not finish\r\nBib,Name,Category,Team,Laps,Notes\r\n104,Dev Rider');
+            expect(text).toContain('Disqualified\r\n');
+
+            const section = text.slice(text.indexOf('Pos,Bib'), text.indexOf('\r\n\r\n', text.indexOf('Pos,Bib')));
+            const { rows } = parseCsv(section);
+            expect(rows[1].record.Team).toBe('Ridge Riders, Inc.');
+        });
+
+        it('should neutralise formulas in text cells but keep gaps as they are', async () => {
+            mockRaceService.raceResultRepository.getResultsByRace.mockResolvedValue([
+                buildResult(101, '=HYPERLINK("http://evil.example")', { totalTime: 3600, adjustedTime: 3600, position: 1 }),
+                buildResult(102, 'Ben', { totalTime: 3725, adjustedTime: 3725, position: 2, team: { _id: 'team2', name: '@SUM(A1)' } }),
+                buildResult(104, 'Dev', { status: 'DNF', lapsCompleted: 1, notes: '-1+1' })
+            ]);
+
+            const file = await resultsExportService.exportResults(raceId, 'csv');
+            const text = file.content.toString('utf8');
+
+            expect(text).toContain('\r\n1,101,"\'=HYPERLINK(""http://evil.example"") Rider",Amateur,');
+            expect(text).toContain('\r\n2,102,Ben Rider,Amateur,\'@SUM(A1),3,1:02:05,+2:05\r\n');
+            expect(text).toContain(',1,\'-1+1\r\n');
+        });
+
+        it('should export an xlsx workbook with a sheet per section', async () => {
+            const file = await resultsExportService.exportResults(raceId, 'xlsx');
+            const files = unzip(file.content);
+
+            expect(file.fileName).toBe('summit-classic-2026-results.xlsx');
+            expect(Object.keys(files)).toEqual(expect.arrayContaining([
+                '[Content_Types].xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet4.xml'
+            ]));
+            expect(files['xl/workbook.xml'].content).toContain('<sheet name="DSQ" sheetId="3" r:id="rId3"/>');
+            expect(files['xl/worksheets/sheet1.xml'].content).toContain('<c r="B5"><v>101</v></c>');
+            expect(files['xl/worksheets/sheet1.xml'].content).toContain('<t xml:space="preserve">+2:05</t>');
+            Object.values(files).forEach(({ crc, data }) => expect(crc).toBe(crc32(data)));
+        });
+
+        it('should export a PDF with a valid cross-reference table', async () => {
+            const file = await resultsExportService.exportResults(raceId, 'pdf');
+            const text = file.content.toString('latin1');
+
+            expect(file.contentType).toBe('application/pdf');
+            expect(text.startsWith('%PDF-1.4')).toBe(true);
+            expect(text).toContain('(Ana Rider) Tj');
+            expect(text).toContain('(Did not finish) Tj');
+            expect(text).toContain('(Ridge Riders, Inc.) Tj');
+
+            const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+            expect(text.slice(startxref, startxref + 4)).toBe('xref');
+            const firstObject = Number(text.match(/xref\n0 \d+\n0000000000 65535 f \n(\d{10})/)[1]);
+            expect(text.slice(firstObject, firstObject + 7)).toBe('1 0 obj');
+        });
+
+        it('should break long result lists over several PDF pages', async () => {
+            const manyResults = Array.from({ length: 120 }, (_, index) =>
+                buildResult(200 + index, `Rider${index}`, { totalTime: 3600 + index, position: index + 1 }));
+            mockRaceService.raceResultRepository.getResultsByRace.mockResolvedValue(manyResults);
+
+            const file = await resultsExportService.exportResults(raceId, 'pdf');
+            const text = file.content.toString('latin1');
+
+            expect(Number(text.match(/\/Type \/Pages \/Kids \[[^\]]+\] \/Count (\d+)/)[1])).toBeGreaterThan(1);
+            expect(text).toContain('(Rider119 Rider) Tj');
+        });
+
+        it('should throw error if the race is not found', async () => {
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+
+            await expect(resultsExportService.exportResults(raceId, 'csv')).rejects.toThrow('Race not found');
+        });
+
+        it('should refuse unknown formats', async () => {
+            await expect(resultsExportService.exportResults(raceId, 'docx')).rejects.toThrow('Format must be one of: csv, xlsx, pdf');
+        });
+    });
+});
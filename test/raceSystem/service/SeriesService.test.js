@@ -0,0 +1,213 @@
+const SeriesService = require('../../../src/raceSystem/services/SeriesService');
+const Series = require('../../../src/raceSystem/data/models/Series');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+
+jest.mock('../../../src/raceSystem/data/models/Series');
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/raceSystem/services/RaceService');
+
+describe('SeriesService', () => {
+    let seriesService;
+
+    const riders = {
+        anna: { _id: 'anna', firstName: 'Anna', lastName: 'A', category: 'Amateur' },
+        ben: { _id: 'ben', firstName: 'Ben', lastName: 'B', category: 'Amateur' },
+        cleo: { _id: 'cleo', firstName: 'Cleo', lastName: 'C', category: 'Amateur' },
+        dani: { _id: 'dani', firstName: 'Dani', lastName: 'D', category: 'Professional' }
+    };
+
+    const races = [
+        { _id: 'race1', name: 'Opener', startTime: new Date('2025-03-01'), resultsStatus: 'Official' },
+        { _id: 'race2', name: 'Middle', startTime: new Date('2025-05-01'), resultsStatus: 'Official' },
+        { _id: 'race3', name: 'Finale', startTime: new Date('2025-07-01'), resultsStatus: 'Official' }
+    ];
+
+    const finished = (race, rider, position) => ({ race, rider: riders[rider], status: 'Finished', position });
+
+    const buildSeries = (overrides = {}) => ({
+        _id: 'series1',
+        name: 'Enduro Cup',
+        season: 2025,
+        races: races.map(race => race._id),
+        pointsTable: [100, 80, 65],
+        finisherPoints: 10,
+        dropWorst: 0,
+        tieBreakers: ['MostWins', 'BestPlacings', 'LatestRace'],
+        categories: [],
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        // Category positions in overall order, as RaceService computes them
+        RaceService.mockImplementation(() => ({
+            getGroupPositions: jest.fn((results) => {
+                const counters = new Map();
+                return results.map(result => {
+                    const position = (counters.get(result.rider.category) || 0) + 1;
+                    counters.set(result.rider.category, position);
+                    return { categoryPosition: position };
+                });
+            })
+        }));
+
+        seriesService = new SeriesService();
+    });
+
+    describe('buildStandings', () => {
+        it('should score category positions from the points table', () => {
+            const results = [
+                finished('race1', 'dani', 1),
+                finished('race1', 'anna', 2),
+                finished('race1', 'ben', 3),
+                finished('race1', 'cleo', 4)
+            ];
+
+            const standings = seriesService.buildStandings(buildSeries(), [races[0]], results);
+            const amateur = standings.find(group => group.category === 'Amateur');
+
+            expect(amateur.riders.map(row => [row.rider._id, row.position, row.totalPoints])).toEqual([
+                ['anna', 1, 100],
+                ['ben', 2, 80],
+                ['cleo', 3, 65]
+            ]);
+            expect(standings.find(group => group.category === 'Professional').riders[0].totalPoints).toBe(100);
+        });
+
+        it('should award finisher points beyond the table and nothing for DNF', () => {
+            const extra = { _id: 'eve', firstName: 'Eve', lastName: 'E', category: 'Amateur' };
+            const results = [
+                finished('race1', 'anna', 1),
+                finished('race1', 'ben', 2),
+                finished('race1', 'cleo', 3),
+                { race: 'race1', rider: extra, status: 'Finished', position: 4 },
+                { race: 'race1', rider: { ...extra, _id: 'fay' }, status: 'DNF' }
+            ];
+
+            const [amateur] = seriesService.buildStandings(buildSeries(), [races[0]], results);
+
+            expect(amateur.riders.find(row => row.rider._id === 'eve').totalPoints).toBe(10);
+            const dnf = amateur.riders.find(row => row.rider._id === 'fay');
+            expect(dnf.totalPoints).toBe(0);
+            expect(dnf.races[0].status).toBe('DNF');
+        });
+
+        it('should drop the worst scores including races not entered', () => {
+            const results = [
+                finished('race1', 'anna', 1),
+                finished('race2', 'anna', 3),
+                finished('race2', 'ben', 1),
+                finished('race3', 'ben', 1)
+            ];
+
+            const [amateur] = seriesService.buildStandings(buildSeries({ dropWorst: 1 }), races, results);
+            const anna = amateur.riders.find(row => row.rider._id === 'anna');
+            const ben = amateur.riders.find(row => row.rider._id === 'ben');
+
+            expect(anna.races.map(score => [score.status, score.points, score.dropped])).toEqual([
+                ['Finished', 100, false],
+                ['Finished', 80, false],
+                ['DidNotRace', 0, true]
+            ]);
+            expect(anna.totalPoints).toBe(180);
+            expect(ben.totalPoints).toBe(200);
+            expect(amateur.riders[0].rider._id).toBe('ben');
+        });
+
+        it('should break ties with the configured tie-breakers in order', () => {
+            const series = buildSeries({ pointsTable: [100, 80, 60] });
+            const results = [
+                finished('race1', 'anna', 1),
+                finished('race1', 'ben', 2),
+                finished('race2', 'ben', 1),
+                finished('race2', 'anna', 2)
+            ];
+
+            const [amateur] = seriesService.buildStandings(series, races.slice(0, 2), results);
+
+            // Both score 100 + 80 with one win each; Ben won the latest race
+            expect(amateur.riders.map(row => [row.rider._id, row.position, row.totalPoints])).toEqual([
+                ['ben', 1, 180],
+                ['anna', 2, 180]
+            ]);
+        });
+
+        it('should share positions when riders remain level', () => {
+            const series = buildSeries({ tieBreakers: ['MostWins'] });
+            const results = [
+                finished('race1', 'anna', 1),
+                finished('race1', 'ben', 2),
+                finished('race2', 'ben', 1),
+                finished('race2', 'anna', 2)
+            ];
+
+            const [amateur] = seriesService.buildStandings(series, races.slice(0, 2), results);
+
+            expect(amateur.riders.map(row => row.position)).toEqual([1, 1]);
+        });
+    });
+
+    describe('getStandings', () => {
+        it('should only count races with official results', async () => {
+            Series.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(buildSeries()) });
+            const sort = jest.fn().mockReturnValue({
+                exec: jest.fn().mockResolvedValue([races[0], { ...races[1], resultsStatus: 'ProtestWindow' }])
+            });
+            Race.find.mockReturnValue({ select: jest.fn().mockReturnValue({ sort }) });
+            RaceResult.find.mockReturnValue({
+                populate: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue([finished('race1', 'anna', 1)]) })
+            });
+
+            const result = await seriesService.getStandings('series1', 'Amateur');
+
+            expect(RaceResult.find).toHaveBeenCalledWith({
+                race: { $in: ['race1'] },
+                status: { $in: ['Finished', 'DNF', 'DSQ'] }
+            });
+            expect(result.racesCounted).toHaveLength(1);
+            expect(result.racesPending).toBe(1);
+            expect(result.standings).toEqual([expect.objectContaining({ category: 'Amateur' })]);
+        });
+
+        it('should throw error if series is not found', async () => {
+            Series.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+
+            await expect(seriesService.getStandings('series1')).rejects.toThrow('Series not found');
+        });
+    });
+
+    describe('getRiderBreakdown', () => {
+        it('should return the rider row with per-race scores', async () => {
+            seriesService.getStandings = jest.fn().mockResolvedValue({
+                series: { id: 'series1' },
+                racesCounted: [],
+                standings: [{ category: 'Amateur', riders: [{ position: 1, rider: riders.anna, totalPoints: 100, races: [] }] }]
+            });
+
+            const result = await seriesService.getRiderBreakdown('series1', 'anna');
+
+            expect(result).toMatchObject({ category: 'Amateur', position: 1, totalPoints: 100 });
+        });
+
+        it('should throw error if the rider has no series results', async () => {
+            seriesService.getStandings = jest.fn().mockResolvedValue({ series: {}, racesCounted: [], standings: [] });
+
+            await expect(seriesService.getRiderBreakdown('series1', 'anna'))
+                .rejects.toThrow('Rider has no results in this series');
+        });
+    });
+
+    describe('createSeries', () => {
+        it('should throw error if a member race does not exist', async () => {
+            Race.countDocuments.mockResolvedValue(1);
+
+            await expect(seriesService.createSeries({ name: 'Cup', season: 2025, races: ['race1', 'race2'] }))
+                .rejects.toThrow('One or more races not found');
+            expect(Series.create).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,295 @@
+const SpectatorService = require('../../../src/raceSystem/services/SpectatorService');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const Rider = require('../../../src/rider/data/models/Rider');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+const LiveEventService = require('../../../src/raceSystem/services/LiveEventService');
+
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/rider/data/models/Rider');
+jest.mock('../../../src/raceSystem/services/RaceService');
+jest.mock('../../../src/raceSystem/services/LiveEventService');
+
+const ActualRaceService = jest.requireActual('../../../src/raceSystem/services/RaceService');
+
+describe('SpectatorService', () => {
+    let spectatorService;
+    let mockRaceService;
+    let mockLiveEventService;
+
+    const raceId = '507f1f77bcf86cd799439011';
+    const riderId = '507f1f77bcf86cd799439012';
+
+    const privateRider = (firstName, overrides = {}) => ({
+        _id: `rider-${firstName}`,
+        firstName,
+        lastName: 'Rider',
+        category: 'Amateur',
+        email: `${firstName.toLowerCase()}@example.com`,
+        dateOfBirth: new Date('1990-04-02'),
+        emergencyContact: { name: 'Parent', phone: '555-0100' },
+        ...overrides
+    });
+
+    const buildResult = (bib, firstName, overrides = {}) => ({
+        _id: `result-${bib}`,
+        bib,
+        rider: privateRider(firstName),
+        team: { _id: 'team1', name: 'Ridge Riders' },
+        status: 'Finished',
+        lapsCompleted: 2,
+        transponderId: `TX-${bib}`,
+        amountDue: 45,
+        paymentStatus: 'Paid',
+        notes: 'Checked by medic',
+        ...overrides
+    });
+
+    // Race.findOne(...).select(...).lean().exec()
+    const mockPublicRace = (race) => {
+        const query = { exec: jest.fn().mockResolvedValue(race) };
+        query.select = jest.fn().mockReturnValue(query);
+        query.lean = jest.fn().mockReturnValue(query);
+        Race.findOne.mockReturnValue(query);
+        return query;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const helpers = ['formatTime', 'formatGap', 'getEffectiveTime', 'formatLapTimes', 'getResultsState'];
+        mockRaceService = { getLiveStandings: jest.fn(), getRaceResults: jest.fn() };
+        helpers.forEach(name => {
+            mockRaceService[name] = ActualRaceService.prototype[name].bind(mockRaceService);
+        });
+        RaceService.mockImplementation(() => mockRaceService);
+        mockLiveEventService = { connect: jest.fn().mockReturnValue(jest.fn()) };
+        LiveEventService.mockImplementation(() => mockLiveEventService);
+
+        spectatorService = new SpectatorService();
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('getUpcomingRaces', () => {
+        it('should list public races still to come or in progress, soonest first', async () => {
+            const query = {
+                select: jest.fn().mockReturnThis(),
+                sort: jest.fn().mockReturnThis(),
+                skip: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockReturnThis(),
+                exec: jest.fn().mockResolvedValue([{ _id: raceId, __v: 0, name: 'Summit Classic', status: 'Open' }])
+            };
+            Race.find.mockReturnValue(query);
+            Race.countDocuments.mockReturnValue({ exec: jest.fn().mockResolvedValue(11) });
+
+            const result = await spectatorService.getUpcomingRaces({ page: 2, limit: 5 });
+
+            expect(Race.find).toHaveBeenCalledWith({
+                status: { $in: ['Open', 'Closed', 'Postponed', 'InProgress'] },
+                $or: [{ startTime: { $gt: expect.any(Date) } }, { status: 'InProgress' }]
+            });
+            expect(query.sort).toHaveBeenCalledWith('startTime');
+            expect(query.skip).toHaveBeenCalledWith(5);
+            expect(query.select.mock.calls[0][0]).not.toMatch(/entryFee|resultsLog|bibRanges/);
+            expect(result).toEqual({ races: [{ id: raceId, name: 'Summit Classic', status: 'Open' }], totalCount: 11 });
+        });
+    });
+
+    describe('getRace', () => {
+        it('should return the public details with entries and the results status', async () => {
+            mockPublicRace({
+                _id: raceId,
+                name: 'Summit Classic',
+                status: 'Open',
+                maxParticipants: 50,
+                resultsStatus: 'Provisional',
+                checkpoints: [
+                    { _id: 'cp2', name: 'Summit', order: 2, distance: 8 },
+                    { _id: 'cp1', name: 'Feed zone', order: 1, distance: 4 }
+                ],
+                course: { distance: 10.2, elevationGain: 640, elevationLoss: 640, profile: [{ distance: 0, elevation: 900 }] }
+            });
+            RaceResult.countDocuments.mockReturnValue({ exec: jest.fn().mockResolvedValue(38) });
+
+            const race = await spectatorService.getRace(raceId);
+
+            expect(Race.findOne).toHaveBeenCalledWith({ _id: raceId, status: { $in: ['Open', 'Closed', 'InProgress', 'Completed', 'Cancelled', 'Postponed'] } });
+            expect(race).toMatchObject({
+                id: raceId,
+                name: 'Summit Classic',
+                participants: 38,
+                spotsLeft: 12,
+                checkpoints: [{ name: 'Feed zone', order: 1, distance: 4 }, { name: 'Summit', order: 2, distance: 8 }],
+                course: { distance: 10.2, elevationGain: 640, profile: [{ distance: 0, elevation: 900 }] },
+                resultsStatus: { status: 'Provisional', isOfficial: false }
+            });
+            expect(race._id).toBeUndefined();
+        });
+
+        it('should treat draft and unknown races as not found', async () => {
+            mockPublicRace(null);
+
+            await expect(spectatorService.getRace(raceId)).rejects.toThrow('Race not found');
+        });
+    });
+
+    describe('getLiveStandings', () => {
+        it('should strip personal, payment and timing-hardware fields', async () => {
+            mockPublicRace({ _id: raceId, name: 'Summit Classic', status: 'InProgress' });
+            mockRaceService.getLiveStandings.mockResolvedValue({
+                finished: [{ ...buildResult(7, 'Ana'), position: 1, formattedTime: '1:00:00', categoryPosition: 1 }],
+                onCourse: [{
+                    ...buildResult(9, 'Ben', { status: 'Started' }),
+                    position: 2,
+                    lastCheckpoint: { order: 1, splitTime: 1800 },
+                    gpsPosition: { latitude: 50.1, longitude: -122.9, distance: 6.2, recordedAt: new Date('2026-06-14T09:40:00Z') }
+                }],
+                fastestLap: { rider: privateRider('Ana'), bib: 7, lap: 2, lapTime: 1700, formattedLapTime: '28:20' },
+                stillRacing: 1,
+                dnf: 0,
+                dsq: 0,
+                totalStarted: 2
+            });
+
+            const standings = await spectatorService.getLiveStandings(raceId);
+
+            expect(standings.race).toEqual({ id: raceId, name: 'Summit Classic', status: 'InProgress' });
+            expect(standings.finished[0]).toEqual({
+                position: 1,
+                bib: 7,
+                status: 'Finished',
+                lapsCompleted: 2,
+                formattedTime: '1:00:00',
+                categoryPosition: 1,
+                rider: { id: 'rider-Ana', name: 'Ana Rider', category: 'Amateur' },
+                team: { id: 'team1', name: 'Ridge Riders' }
+            });
+            expect(standings.onCourse[0].gpsPosition).toEqual({ distance: 6.2, recordedAt: new Date('2026-06-14T09:40:00Z') });
+            expect(standings.onCourse[0].lastCheckpoint).toEqual({ order: 1, splitTime: 1800 });
+            expect(standings.fastestLap.rider).toEqual({ id: 'rider-Ana', name: 'Ana Rider', category: 'Amateur' });
+            expect(JSON.stringify(standings)).not.toMatch(/example\.com|555-0100|TX-|Checked by medic|dateOfBirth|amountDue/);
+        });
+    });
+
+    describe('connectLiveEvents', () => {
+        it('should pass the live stream through with the public field set only', () => {
+            const send = jest.fn();
+            spectatorService.connectLiveEvents(raceId, send, '4');
+            const [connectedRace, forward, lastEventId] = mockLiveEventService.connect.mock.calls[0];
+
+            forward({ id: '5', type: 'rider.dsq', race: raceId, data: { bib: 7, name: 'Ana Rider', status: 'DSQ', notes: 'Abuse of a marshal' } });
+            forward({ id: '6', type: 'result.adjusted', race: raceId, data: { bib: 7, type: 'Penalty', reason: 'Littering', formattedAdjustedTime: '1:01:00' } });
+            forward({
+                type: 'standings.snapshot',
+                race: raceId,
+                data: {
+                    finished: [{ ...buildResult(7, 'Ana'), position: 1 }],
+                    onCourse: [],
+                    fastestLap: null,
+                    stillRacing: 0,
+                    dnf: 0,
+                    dsq: 0,
+                    totalStarted: 1
+                }
+            });
+            forward({ id: '7', type: 'race.status', race: raceId, data: { from: 'InProgress', to: 'Cancelled', reason: 'Storm' } });
+
+            expect([connectedRace, lastEventId]).toEqual([raceId, '4']);
+            expect(send.mock.calls[0][0]).toEqual({ id: '5', type: 'rider.dsq', race: raceId, data: { bib: 7, name: 'Ana Rider', status: 'DSQ' } });
+            expect(send.mock.calls[1][0].data).toEqual({ bib: 7, type: 'Penalty', formattedAdjustedTime: '1:01:00' });
+            expect(send.mock.calls[2][0].data.finished[0].rider).toEqual({ id: 'rider-Ana', name: 'Ana Rider', category: 'Amateur' });
+            expect(send.mock.calls[3][0].data.reason).toBe('Storm');
+            expect(JSON.stringify(send.mock.calls)).not.toMatch(/example\.com|555-0100|TX-|Checked by medic|amountDue|Abuse|Littering/);
+        });
+    });
+
+    describe('getOfficialResults', () => {
+        it('should refuse results that are not official yet', async () => {
+            mockPublicRace({ _id: raceId, name: 'Summit Classic', status: 'Completed', resultsStatus: 'ProtestWindow' });
+
+            await expect(spectatorService.getOfficialResults(raceId))
+                .rejects.toMatchObject({ message: 'Results for this race are not official yet', statusCode: 409 });
+            expect(mockRaceService.getRaceResults).not.toHaveBeenCalled();
+        });
+
+        it('should return finishers with times and gaps, DNF and DSQ and the team classification', async () => {
+            mockPublicRace({ _id: raceId, name: 'Summit Classic', status: 'Completed', resultsStatus: 'Official' });
+            mockRaceService.getRaceResults.mockResolvedValue({
+                results: [
+                    buildResult(7, 'Ana', { totalTime: 3600, adjustedTime: 3600, position: 1 }),
+                    buildResult(9, 'Ben', { totalTime: 3725, adjustedTime: 3725, position: 2 }),
+                    buildResult(11, 'Cai', { status: 'DNF' }),
+                    buildResult(12, 'Dev', { status: 'Registered' })
+                ],
+                teamClassification: {
+                    mode: 'Time',
+                    countBest: 2,
+                    standings: [{ position: 1, team: { id: 'team1', name: 'Ridge Riders' }, counted: [{ rider: privateRider('Ana'), bib: 7 }] }],
+                    incomplete: []
+                }
+            });
+
+            const results = await spectatorService.getOfficialResults(raceId);
+
+            expect(results.finished.map(entry => [entry.position, entry.bib, entry.formattedTime, entry.gap]))
+                .toEqual([[1, 7, '1:00:00', null], [2, 9, '1:02:05', '+2:05']]);
+            expect(results.dnf.map(entry => entry.bib)).toEqual([11]);
+            expect(results.dsq).toEqual([]);
+            expect(results.teamClassification.standings[0].counted[0].rider).toEqual({ id: 'rider-Ana', name: 'Ana Rider', category: 'Amateur' });
+            expect(JSON.stringify(results)).not.toMatch(/example\.com|555-0100|TX-|Checked by medic|dateOfBirth|amountDue/);
+        });
+    });
+
+    describe('getRiderProfile', () => {
+        it('should return public details and results from races with official results', async () => {
+            Rider.findById.mockReturnValue({
+                select: jest.fn().mockReturnValue({
+                    lean: jest.fn().mockReturnValue({
+                        exec: jest.fn().mockResolvedValue({ _id: riderId, firstName: 'Ana', lastName: 'Rider', nationality: 'CA', category: 'Amateur' })
+                    })
+                })
+            });
+            const race = (name, startTime) => ({ _id: name, name, startTime: new Date(startTime), location: { name: 'Whistler' }, distance: 40 });
+            const exec = jest.fn().mockResolvedValue([
+                { bib: 7, status: 'Finished', position: 1, totalTime: 3600, race: race('Spring Cup', '2026-04-01'), team: { name: 'Ridge Riders' } },
+                { bib: 3, status: 'Finished', position: 5, totalTime: 4000, race: null },
+                { bib: 4, status: 'DNF', position: null, race: race('Summit Classic', '2026-06-14') }
+            ]);
+            const populateTeam = jest.fn().mockReturnValue({ exec });
+            const populateRace = jest.fn().mockReturnValue({ populate: populateTeam });
+            RaceResult.find.mockReturnValue({ populate: populateRace });
+
+            const profile = await spectatorService.getRiderProfile(riderId);
+
+            expect(populateRace).toHaveBeenCalledWith(expect.objectContaining({
+                path: 'race',
+                match: expect.objectContaining({ resultsStatus: 'Official' })
+            }));
+            expect(profile).toMatchObject({
+                id: riderId,
+                name: 'Ana Rider',
+                nationality: 'CA',
+                stats: { races: 2, finishes: 1, wins: 1, podiums: 1, dnf: 1 }
+            });
+            expect(profile.results.map(entry => [entry.race.name, entry.status, entry.formattedTime])).toEqual([
+                ['Summit Classic', 'DNF', null],
+                ['Spring Cup', 'Finished', '1:00:00']
+            ]);
+            expect(profile.email).toBeUndefined();
+        });
+
+        it('should throw error if the rider is not found', async () => {
+            Rider.findById.mockReturnValue({
+                select: jest.fn().mockReturnValue({ lean: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(null) }) })
+            });
+
+            await expect(spectatorService.getRiderProfile(riderId)).rejects.toThrow('Rider not found');
+        });
+    });
+});
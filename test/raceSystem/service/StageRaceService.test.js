@@ -0,0 +1,185 @@
+const StageRaceService = require('../../../src/raceSystem/services/StageRaceService');
+const StageRace = require('../../../src/raceSystem/data/models/StageRace');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+
+jest.mock('../../../src/raceSystem/data/models/StageRace');
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/raceSystem/services/RaceService');
+
+describe('StageRaceService', () => {
+    let stageRaceService;
+
+    const riders = {
+        anna: { _id: 'anna', firstName: 'Anna', category: 'Amateur' },
+        ben: { _id: 'ben', firstName: 'Ben', category: 'Amateur' },
+        cleo: { _id: 'cleo', firstName: 'Cleo', category: 'Professional' }
+    };
+
+    const stageRaces = [
+        { _id: 'race1', name: 'Prologue', status: 'Completed', resultsStatus: 'Official' },
+        { _id: 'race2', name: 'Queen Stage', status: 'Completed', resultsStatus: 'ProtestWindow' },
+        { _id: 'race3', name: 'Final Stage', status: 'Open', resultsStatus: 'Provisional' }
+    ];
+
+    const stage = (race, stageNumber, settings = {}) => ({
+        stageNumber,
+        race,
+        bonusSeconds: [],
+        timeLimitPercent: null,
+        timeGapSeconds: 0,
+        ...settings
+    });
+
+    const result = (race, rider, status, adjustedTime, position) => ({
+        race, rider: riders[rider], status, adjustedTime, position, lapsCompleted: 1
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        RaceService.mockImplementation(() => ({
+            getEffectiveTime: jest.fn(r => r.adjustedTime),
+            formatTime: jest.fn(seconds => (seconds ? `${seconds}s` : null))
+        }));
+
+        stageRaceService = new StageRaceService();
+    });
+
+    describe('buildClassification', () => {
+        it('should accumulate stage times and bonus seconds into the GC', () => {
+            const stages = [stage(stageRaces[0], 1, { bonusSeconds: [10, 6] }), stage(stageRaces[1], 2, { bonusSeconds: [10, 6] })];
+            const results = [
+                result('race1', 'anna', 'Finished', 600, 1),
+                result('race1', 'ben', 'Finished', 605, 2),
+                result('race2', 'ben', 'Finished', 3600, 1),
+                result('race2', 'anna', 'Finished', 3610, 2)
+            ];
+
+            const { standings, eliminated } = stageRaceService.buildClassification(stages, results);
+
+            // Anna 600 - 10 + 3610 - 6 = 4194; Ben 605 - 6 + 3600 - 10 = 4189
+            expect(standings.map(row => [row.rider._id, row.position, row.gcTime, row.bonusSeconds])).toEqual([
+                ['ben', 1, 4189, 16],
+                ['anna', 2, 4194, 16]
+            ]);
+            expect(standings[1].gap).toBe('+5s');
+            expect(eliminated).toEqual([]);
+        });
+
+        it('should give riders in the same group the time of the rider ahead', () => {
+            const stages = [stage(stageRaces[0], 1, { timeGapSeconds: 1 })];
+            const results = [
+                result('race1', 'anna', 'Finished', 3600, 1),
+                result('race1', 'ben', 'Finished', 3601, 2),
+                result('race1', 'cleo', 'Finished', 3602, 3)
+            ];
+
+            const { standings } = stageRaceService.buildClassification(stages, results);
+
+            expect(standings.map(row => row.gcTime)).toEqual([3600, 3600, 3600]);
+            expect(standings.map(row => row.position)).toEqual([1, 2, 3]);
+        });
+
+        it('should eliminate riders outside the time limit, on DNF and when missing a stage', () => {
+            const stages = [stage(stageRaces[0], 1, { timeLimitPercent: 10 }), stage(stageRaces[1], 2)];
+            const results = [
+                result('race1', 'anna', 'Finished', 1000, 1),
+                result('race1', 'cleo', 'Finished', 1050, 2),
+                result('race1', 'ben', 'Finished', 1200, 3),
+                result('race2', 'anna', 'DNF', null, null)
+            ];
+
+            const { standings, eliminated } = stageRaceService.buildClassification(stages, results);
+
+            expect(standings).toEqual([]);
+            expect(eliminated.map(row => [row.rider._id, row.stageNumber, row.reason])).toEqual([
+                ['anna', 2, 'DNF'],
+                ['cleo', 2, 'DidNotStart'],
+                ['ben', 1, 'OutsideTimeLimit']
+            ]);
+        });
+
+        it('should place a category GC on overall stage places, bonuses and time limits', () => {
+            const stages = [stage(stageRaces[0], 1, { bonusSeconds: [10, 6, 4], timeLimitPercent: 20 })];
+            const results = [
+                result('race1', 'cleo', 'Finished', 900, 1),
+                result('race1', 'anna', 'Finished', 1000, 2),
+                result('race1', 'ben', 'Finished', 1100, 3)
+            ];
+
+            const { standings, eliminated } = stageRaceService.buildClassification(stages, results, 'Amateur');
+
+            // Anna was 2nd overall: 1000 - 6; Ben is outside 120% of Cleo's winning time
+            expect(standings).toEqual([expect.objectContaining({ position: 1, rider: riders.anna, gcTime: 994, bonusSeconds: 6 })]);
+            expect(standings[0].stages[0]).toMatchObject({ position: 2, bonusSeconds: 6 });
+            expect(eliminated.map(row => [row.rider._id, row.reason])).toEqual([['ben', 'OutsideTimeLimit']]);
+        });
+    });
+
+    describe('getGeneralClassification', () => {
+        it('should count consecutive completed stages only', async () => {
+            StageRace.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({
+                    _id: 'sr1',
+                    name: 'Tour of Hills',
+                    bonusSeconds: [10, 6, 4],
+                    timeGapSeconds: 0,
+                    stages: [
+                        { race: 'race2', stageNumber: 2 },
+                        { race: 'race1', stageNumber: 1 },
+                        { race: 'race3', stageNumber: 3 }
+                    ]
+                })
+            });
+            Race.find.mockReturnValue({
+                select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(stageRaces) })
+            });
+            RaceResult.find.mockReturnValue({
+                populate: jest.fn().mockReturnValue({
+                    exec: jest.fn().mockResolvedValue([result('race1', 'anna', 'Finished', 600, 1), result('race2', 'anna', 'Finished', 3600, 1)])
+                })
+            });
+
+            const gc = await stageRaceService.getGeneralClassification('sr1');
+
+            expect(RaceResult.find).toHaveBeenCalledWith({ race: { $in: ['race1', 'race2'] } });
+            expect(gc).toMatchObject({ stagesCounted: 2, stagesPending: 1, isOfficial: false });
+            expect(gc.standings[0]).toMatchObject({ gcTime: 4180, bonusSeconds: 20 });
+        });
+
+        it('should throw error if stage race is not found', async () => {
+            StageRace.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+
+            await expect(stageRaceService.getGeneralClassification('sr1')).rejects.toThrow('Stage race not found');
+        });
+    });
+
+    describe('addStage', () => {
+        it('should refuse a race that already belongs to a stage race', async () => {
+            StageRace.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ _id: 'sr1', stages: [{ race: 'race1', stageNumber: 1 }] })
+            });
+            Race.countDocuments.mockResolvedValue(1);
+            StageRace.exists.mockResolvedValue({ _id: 'sr2' });
+
+            await expect(stageRaceService.addStage('sr1', { race: 'race2' }))
+                .rejects.toThrow('A race can only be a stage of one stage race');
+        });
+
+        it('should append the stage with the next stage number', async () => {
+            const stageRace = { _id: 'sr1', stages: [{ race: 'race1', stageNumber: 1 }] };
+            stageRace.save = jest.fn().mockResolvedValue(stageRace);
+            StageRace.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(stageRace) });
+            Race.countDocuments.mockResolvedValue(1);
+            StageRace.exists.mockResolvedValue(null);
+
+            await stageRaceService.addStage('sr1', { race: 'race2', bonusSeconds: [20, 12, 8] });
+
+            expect(stageRace.stages[1]).toEqual({ race: 'race2', bonusSeconds: [20, 12, 8], stageNumber: 2 });
+            expect(stageRace.save).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,146 @@
+const TimingImportService = require('../../../src/raceSystem/services/TimingImportService');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const TimingImport = require('../../../src/raceSystem/data/models/TimingImport');
+const TimingRead = require('../../../src/raceSystem/data/models/TimingRead');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/raceSystem/data/models/TimingImport');
+jest.mock('../../../src/raceSystem/data/models/TimingRead');
+jest.mock('../../../src/raceSystem/services/RaceService');
+
+describe('TimingImportService', () => {
+    let timingImportService;
+    let mockRaceService;
+    let mockTimingImport;
+
+    const raceId = '507f1f77bcf86cd799439011';
+    const checkpointId = '507f1f77bcf86cd799439021';
+
+    const mockRace = {
+        _id: raceId,
+        status: 'InProgress',
+        checkpoints: [{ _id: checkpointId, name: 'Summit', order: 1, distance: 12 }]
+    };
+
+    const buildRegistration = (overrides = {}) => ({
+        _id: 'result1',
+        rider: 'rider1',
+        bib: 201,
+        transponderId: 'T100',
+        status: 'Started',
+        splits: [],
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockRaceService = {
+            finishRider: jest.fn().mockResolvedValue({ formattedTime: '1:00:00' }),
+            recordCheckpointSplit: jest.fn().mockResolvedValue({ formattedSplitTime: '30:00' })
+        };
+        RaceService.mockImplementation(() => mockRaceService);
+
+        mockTimingImport = { _id: 'import1', save: jest.fn().mockResolvedValue() };
+        TimingImport.create.mockResolvedValue(mockTimingImport);
+        TimingImport.exists.mockResolvedValue(null);
+        TimingRead.exists.mockResolvedValue(null);
+        TimingRead.create.mockResolvedValue({});
+
+        Race.findById.mockReturnValue({
+            exec: jest.fn().mockResolvedValue(mockRace)
+        });
+
+        timingImportService = new TimingImportService();
+    });
+
+    describe('importTimingFile', () => {
+        it('should apply splits and finishes in chronological order', async () => {
+            const csv = [
+                'Transponder,Timestamp,Location',
+                'T100,2024-12-01T11:00:00Z,Finish',
+                'T100,2024-12-01T10:30:00Z,Summit'
+            ].join('\n');
+
+            RaceResult.find.mockResolvedValue([buildRegistration()]);
+
+            const report = await timingImportService.importTimingFile(raceId, csv, { fileName: 'mat1.csv' });
+
+            expect(mockRaceService.recordCheckpointSplit).toHaveBeenCalledWith(
+                raceId, 'rider1', checkpointId, new Date('2024-12-01T10:30:00Z')
+            );
+            expect(mockRaceService.finishRider).toHaveBeenCalledWith(
+                raceId, 'rider1', new Date('2024-12-01T11:00:00Z')
+            );
+            expect(mockRaceService.recordCheckpointSplit.mock.invocationCallOrder[0])
+                .toBeLessThan(mockRaceService.finishRider.mock.invocationCallOrder[0]);
+            expect(TimingRead.create).toHaveBeenCalledTimes(2);
+            expect(report.summary).toEqual({ applied: 2, unmatched: 0, duplicates: 0, rejected: 0 });
+            expect(mockTimingImport.appliedCount).toBe(2);
+        });
+
+        it('should report unmatched, duplicate and rejected rows', async () => {
+            const csv = [
+                'transponder,timestamp,location',
+                'T100,2024-12-01T11:00:00Z,finish',
+                'T100,2024-12-01T11:00:00Z,finish',
+                'T999,2024-12-01T11:01:00Z,finish',
+                'T100,not-a-date,finish',
+                'T100,2024-12-01T10:00:00Z,Unknown Mat'
+            ].join('\n');
+
+            RaceResult.find.mockResolvedValue([buildRegistration()]);
+
+            const report = await timingImportService.importTimingFile(raceId, csv);
+
+            expect(report.summary).toEqual({ applied: 1, unmatched: 1, duplicates: 1, rejected: 2 });
+            expect(report.unmatched[0]).toMatchObject({ line: 4, transponderId: 'T999' });
+            expect(report.rejected.map(row => row.line).sort()).toEqual([5, 6]);
+            expect(mockRaceService.finishRider).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not apply reads again when the same file is re-uploaded', async () => {
+            const csv = 'transponder,timestamp,location\nT100,2024-12-01T11:00:00Z,finish';
+
+            RaceResult.find.mockResolvedValue([buildRegistration({ status: 'Finished' })]);
+            TimingImport.exists.mockResolvedValue({ _id: 'import0' });
+            TimingRead.exists.mockResolvedValue({ _id: 'read0' });
+
+            const report = await timingImportService.importTimingFile(raceId, csv);
+
+            expect(report.previouslyImported).toBe(true);
+            expect(report.summary.duplicates).toBe(1);
+            expect(mockRaceService.finishRider).not.toHaveBeenCalled();
+            expect(TimingRead.create).not.toHaveBeenCalled();
+        });
+
+        it('should throw error if required columns are missing', async () => {
+            await expect(timingImportService.importTimingFile(raceId, 'chip,time\nT100,123'))
+                .rejects.toThrow('CSV must contain transponder, timestamp and location columns');
+        });
+
+        it('should throw error if race has not started', async () => {
+            Race.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue({ ...mockRace, status: 'Open' })
+            });
+
+            await expect(timingImportService.importTimingFile(raceId, 'transponder,timestamp,location'))
+                .rejects.toThrow('Timing reads can only be imported once the race has started');
+        });
+    });
+
+    describe('parseRead', () => {
+        const columns = { transponder: 'transponder', timestamp: 'timestamp', location: 'location' };
+
+        it('should accept epoch seconds and milliseconds', () => {
+            const seconds = timingImportService.parseRead({ transponder: 'T1', timestamp: '1733050800', location: 'finish' }, columns);
+            const millis = timingImportService.parseRead({ transponder: 'T1', timestamp: '1733050800000', location: 'finish' }, columns);
+
+            expect(seconds.timestamp).toEqual(new Date('2024-12-01T11:00:00Z'));
+            expect(millis.timestamp).toEqual(seconds.timestamp);
+        });
+    });
+});
@@ -0,0 +1,201 @@
+const TrackingService = require('../../../src/raceSystem/services/TrackingService');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const GpsTracker = require('../../../src/raceSystem/data/models/GpsTracker');
+const { hashDeviceKey } = require('../../../src/utils/tokenGenerator');
+
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/raceSystem/data/models/GpsTracker');
+
+describe('TrackingService', () => {
+    let trackingService;
+    let mockRace;
+    let mockRegistration;
+
+    const raceId = '507f1f77bcf86cd799439011';
+
+    const mockRaceQuery = (race) => {
+        const query = { exec: jest.fn().mockResolvedValue(race) };
+        query.select = jest.fn().mockReturnValue(query);
+        Race.findById.mockReturnValue(query);
+        return query;
+    };
+
+    const buildTracker = (overrides = {}) => ({
+        _id: 'tracker1',
+        race: raceId,
+        registration: 'result1',
+        bib: 42,
+        lastPosition: null,
+        save: jest.fn().mockResolvedValue(),
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        // 5 km straight north from the equator
+        mockRace = {
+            _id: raceId,
+            name: 'Marathon',
+            status: 'InProgress',
+            laps: 1,
+            course: {
+                distance: 5.004,
+                uploadedAt: new Date('2026-05-01T08:00:00Z'),
+                geometry: { type: 'LineString', coordinates: [[0, 0], [0, 0.045]] }
+            }
+        };
+        mockRaceQuery(mockRace);
+
+        mockRegistration = { _id: 'result1', rider: 'rider1', bib: 42, status: 'Started', lapsCompleted: 0 };
+        RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRegistration) });
+        RaceResult.findById.mockReturnValue({
+            select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(mockRegistration) })
+        });
+
+        trackingService = new TrackingService();
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('issueTracker', () => {
+        it('should issue a key and store only its hash', async () => {
+            GpsTracker.findOneAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue({ _id: 'tracker1' }) });
+
+            const { tracker, deviceKey } = await trackingService.issueTracker(raceId, { bib: 42 }, { deviceId: 'SPOT-7' }, 'admin@example.com');
+
+            expect(RaceResult.findOne).toHaveBeenCalledWith({ race: raceId, bib: 42 });
+            expect(deviceKey).toMatch(/^[0-9a-f]{48}$/);
+            expect(GpsTracker.findOneAndUpdate).toHaveBeenCalledWith(
+                { race: raceId, registration: 'result1' },
+                {
+                    rider: 'rider1',
+                    bib: 42,
+                    deviceId: 'SPOT-7',
+                    keyHash: hashDeviceKey(deviceKey),
+                    keyHint: deviceKey.slice(-4),
+                    active: true,
+                    issuedBy: 'admin@example.com'
+                },
+                { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+            );
+            expect(tracker).toEqual({ _id: 'tracker1' });
+        });
+
+        it('should throw error if the bib is not in the race', async () => {
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+
+            await expect(trackingService.issueTracker(raceId, { bib: 12 })).rejects.toThrow('No rider with bib 12 in this race');
+        });
+    });
+
+    describe('ingestPositions', () => {
+        it('should snap positions to the course in time order and keep the latest', async () => {
+            const tracker = buildTracker();
+
+            const result = await trackingService.ingestPositions(tracker, [
+                { latitude: 0.027, longitude: 0, recordedAt: new Date('2026-05-01T09:10:00Z'), speed: 5 },
+                { latitude: 0.009, longitude: 0.0001, recordedAt: new Date('2026-05-01T09:00:00Z') }
+            ]);
+
+            expect(result.accepted).toBe(2);
+            expect(result.ignored).toBe(0);
+            expect(result.position).toMatchObject({
+                latitude: 0.027,
+                recordedAt: new Date('2026-05-01T09:10:00Z'),
+                courseDistance: 3.002,
+                distance: 3.002,
+                onCourse: true,
+                speed: 5
+            });
+            expect(tracker.lastPosition).toBe(result.position);
+            expect(tracker.save).toHaveBeenCalled();
+        });
+
+        it('should add completed laps on multi-lap races', async () => {
+            mockRace.laps = 3;
+            mockRegistration.lapsCompleted = 2;
+
+            const result = await trackingService.ingestPositions(buildTracker(), [{ latitude: 0.009, longitude: 0 }]);
+
+            expect(result.position.distance).toBe(11.009);
+        });
+
+        it('should ignore fixes that are not newer than the stored one', async () => {
+            const tracker = buildTracker({
+                lastPosition: { recordedAt: new Date('2026-05-01T09:10:00Z'), courseDistance: 3.002 }
+            });
+
+            const result = await trackingService.ingestPositions(tracker, [
+                { latitude: 0.018, longitude: 0, recordedAt: new Date('2026-05-01T09:05:00Z') }
+            ]);
+
+            expect(result).toEqual({ accepted: 0, ignored: 1, position: tracker.lastPosition });
+            expect(tracker.save).not.toHaveBeenCalled();
+        });
+
+        it('should store raw positions when the race has no course', async () => {
+            mockRace.course = undefined;
+
+            const result = await trackingService.ingestPositions(buildTracker(), [{ latitude: 0.009, longitude: 0 }]);
+
+            expect(result.position).toMatchObject({ latitude: 0.009, courseDistance: null, distance: null });
+        });
+
+        it('should refuse positions while the race is not in progress', async () => {
+            mockRace.status = 'Completed';
+
+            await expect(trackingService.ingestPositions(buildTracker(), [{ latitude: 0, longitude: 0 }]))
+                .rejects.toMatchObject({ message: 'Race is not in progress', statusCode: 409 });
+        });
+    });
+
+    describe('getLiveMap', () => {
+        it('should return tracked riders as GeoJSON points, furthest first, flagging stale fixes', async () => {
+            const now = Date.now();
+            const tracker = (bib, distance, minutesAgo) => ({
+                bib,
+                rider: { _id: `rider${bib}`, firstName: 'Rider', lastName: String(bib), category: 'Amateur' },
+                registration: { status: 'Started', lapsCompleted: 0 },
+                lastPosition: {
+                    latitude: 0.01,
+                    longitude: 0.02,
+                    distance,
+                    courseDistance: distance,
+                    onCourse: true,
+                    offCourseMetres: 4,
+                    recordedAt: new Date(now - minutesAgo * 60000)
+                }
+            });
+            const exec = jest.fn().mockResolvedValue([tracker(7, 12.5, 1), tracker(9, 30.1, 12)]);
+            const secondPopulate = jest.fn().mockReturnValue({ exec });
+            GpsTracker.find.mockReturnValue({ populate: jest.fn().mockReturnValue({ populate: secondPopulate }) });
+
+            const feed = await trackingService.getLiveMap(raceId);
+
+            expect(GpsTracker.find).toHaveBeenCalledWith({ race: raceId, active: true, 'lastPosition.recordedAt': { $exists: true } });
+            expect(feed.type).toBe('FeatureCollection');
+            expect(feed.race).toEqual({ id: raceId, name: 'Marathon', status: 'InProgress' });
+            expect(feed.features.map(feature => feature.properties.bib)).toEqual([9, 7]);
+            expect(feed.features[0].geometry).toEqual({ type: 'Point', coordinates: [0.02, 0.01] });
+            expect(feed.features[0].properties).toMatchObject({
+                rider: { id: 'rider9', name: 'Rider 9', category: 'Amateur' },
+                status: 'Started',
+                distance: 30.1,
+                stale: true
+            });
+            expect(feed.features[1].properties.stale).toBe(false);
+        });
+
+        it('should throw error if the race is not found', async () => {
+            mockRaceQuery(null);
+
+            await expect(trackingService.getLiveMap(raceId)).rejects.toThrow('Race not found');
+        });
+    });
+});
@@ -0,0 +1,186 @@
+const RiderImportService = require('../../../src/rider/services/RiderImportService');
+const Rider = require('../../../src/rider/data/models/Rider');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+const RegistrationService = require('../../../src/raceSystem/services/RegistrationService');
+
+jest.mock('../../../src/rider/data/models/Rider');
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/raceSystem/services/RaceService');
+jest.mock('../../../src/raceSystem/services/RegistrationService');
+
+describe('RiderImportService', () => {
+    let riderImportService;
+    let mockRaceService;
+    let mockRegistrationService;
+
+    const raceId = '507f1f77bcf86cd799439011';
+    const race = { _id: raceId, name: 'Club Champs', status: 'Open', maxParticipants: 1 };
+
+    const csv = [
+        'firstName,lastName,email,dateOfBirth,nationality,category,bikeType,emergencyContactName',
+        'Ana,Silva,ANA@example.com,1990-04-02,Portugal,Amateur,Hardtail,Rui Silva',
+        'Ben,Okafor,ben@example.com,1988-11-20,Nigeria,,Full Suspension,',
+        'X,Nobody,not-an-email,2030-01-01,NZ,Expert,,'
+    ].join('\n');
+
+    const mockExistingRiders = (riders) => {
+        Rider.find.mockReturnValue({ exec: jest.fn().mockResolvedValue(riders) });
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        mockRaceService = {
+            countTakenSpots: jest.fn().mockResolvedValue(0),
+            getRegistrationRefusals: jest.fn((rider, target, taken) => (
+                taken >= target.maxParticipants ? [{ code: 'RACE_FULL', message: 'Race is full (1 participants)' }] : []
+            ))
+        };
+        RaceService.mockImplementation(() => mockRaceService);
+        mockRegistrationService = { register: jest.fn() };
+        RegistrationService.mockImplementation(() => mockRegistrationService);
+
+        Race.exists.mockResolvedValue({ _id: raceId });
+        Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(race) });
+        RaceResult.exists.mockResolvedValue(null);
+        Rider.create.mockImplementation(async (data) => ({ _id: `id-${data.email}`, ...data }));
+
+        riderImportService = new RiderImportService();
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('importRiders', () => {
+        it('should create valid CSV rows and report invalid ones with every error', async () => {
+            mockExistingRiders([]);
+
+            const report = await riderImportService.importRiders(csv, { format: 'csv' });
+
+            expect(Rider.create).toHaveBeenCalledWith(expect.objectContaining({
+                email: 'ana@example.com',
+                emergencyContact: { name: 'Rui Silva' }
+            }));
+            expect(Rider.create).toHaveBeenCalledWith(expect.objectContaining({ email: 'ben@example.com', category: 'Amateur' }));
+            expect(report.rows.map(row => [row.row, row.status])).toEqual([[2, 'Created'], [3, 'Created'], [4, 'Rejected']]);
+            expect(report.rows[2].errors.map(error => error.field)).toEqual(
+                expect.arrayContaining(['firstName', 'email', 'dateOfBirth', 'category', 'bikeType'])
+            );
+            expect(report.summary).toMatchObject({ total: 3, created: 2, updated: 0, rejected: 1 });
+        });
+
+        it('should update riders whose email already exists', async () => {
+            mockExistingRiders([{ _id: 'rider1', email: 'ana@example.com' }]);
+            Rider.findByIdAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue({ _id: 'rider1' }) });
+
+            const report = await riderImportService.importRiders(csv, { format: 'csv' });
+
+            expect(Rider.findByIdAndUpdate).toHaveBeenCalledWith(
+                'rider1',
+                expect.objectContaining({ firstName: 'Ana', nationality: 'Portugal' }),
+                { new: true, runValidators: true }
+            );
+            expect(report.rows[0]).toMatchObject({ status: 'Updated', riderId: 'rider1' });
+        });
+
+        it('should keep the stored category of an existing rider when the import has no category column', async () => {
+            mockExistingRiders([{ _id: 'rider1', email: 'ana@example.com', category: 'Professional' }]);
+            Rider.findByIdAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue({ _id: 'rider1', category: 'Professional' }) });
+            const withoutCategory = [
+                'firstName,lastName,email,dateOfBirth,nationality,bikeType',
+                'Ana,Silva,ana@example.com,1990-04-02,Portugal,Hardtail'
+            ].join('\n');
+
+            const report = await riderImportService.importRiders(withoutCategory, { format: 'csv' });
+
+            const update = Rider.findByIdAndUpdate.mock.calls[0][1];
+            expect(update).toMatchObject({ firstName: 'Ana', email: 'ana@example.com' });
+            expect(update).not.toHaveProperty('category');
+            expect(report.rows[0]).toMatchObject({ status: 'Updated', riderId: 'rider1' });
+        });
+
+        it('should check eligibility of an existing rider against their stored category on a dry run', async () => {
+            mockExistingRiders([{ _id: 'rider1', email: 'ana@example.com', category: 'Professional' }]);
+            const withoutCategory = [
+                'firstName,lastName,email,dateOfBirth,nationality,bikeType',
+                'Ana,Silva,ana@example.com,1990-04-02,Portugal,Hardtail'
+            ].join('\n');
+
+            await riderImportService.importRiders(withoutCategory, { format: 'csv', raceId, dryRun: true });
+
+            expect(mockRaceService.getRegistrationRefusals.mock.calls[0][0]).toMatchObject({ category: 'Professional' });
+        });
+
+        it('should reject a second row with the same email', async () => {
+            mockExistingRiders([]);
+            const rider = { firstName: 'Ana', lastName: 'Silva', email: 'ana@example.com', dateOfBirth: '1990-04-02', nationality: 'Portugal', bikeType: 'Hardtail' };
+
+            const report = await riderImportService.importRiders({ riders: [rider, { ...rider, email: 'Ana@Example.com' }] });
+
+            expect(report.rows[1]).toMatchObject({
+                row: 2,
+                status: 'Rejected',
+                errors: [{ field: 'email', message: 'Email appears earlier in this import' }]
+            });
+            expect(Rider.create).toHaveBeenCalledTimes(1);
+        });
+
+        it('should register imported riders and waitlist them once the race is full', async () => {
+            mockExistingRiders([]);
+            mockRegistrationService.register
+                .mockResolvedValueOnce({ status: 'Registered', registration: { bib: 201 } })
+                .mockResolvedValueOnce({ status: 'Waitlisted', position: 1 });
+
+            const report = await riderImportService.importRiders(csv, { format: 'csv', raceId });
+
+            expect(mockRegistrationService.register).toHaveBeenCalledWith(raceId, 'id-ana@example.com');
+            expect(report.rows[0].registration).toEqual({ race: raceId, status: 'Registered', bib: 201 });
+            expect(report.rows[1].registration).toEqual({ race: raceId, status: 'Waitlisted', position: 1 });
+            expect(report.summary).toMatchObject({ registered: 1, waitlisted: 1 });
+        });
+
+        it('should not write anything on a dry run', async () => {
+            mockExistingRiders([{ _id: 'rider1', email: 'ana@example.com' }]);
+
+            const report = await riderImportService.importRiders(csv, { format: 'csv', raceId, dryRun: true });
+
+            expect(Rider.create).not.toHaveBeenCalled();
+            expect(Rider.findByIdAndUpdate).not.toHaveBeenCalled();
+            expect(mockRegistrationService.register).not.toHaveBeenCalled();
+            expect(report.rows.map(row => [row.status, row.registration && row.registration.status])).toEqual([
+                ['WouldUpdate', 'WouldRegister'],
+                ['WouldCreate', 'WouldWaitlist'],
+                ['Rejected', undefined]
+            ]);
+            expect(report.dryRun).toBe(true);
+        });
+
+        it('should report riders already entered in the race', async () => {
+            mockExistingRiders([{ _id: 'rider1', email: 'ana@example.com' }]);
+            Rider.findByIdAndUpdate.mockReturnValue({ exec: jest.fn().mockResolvedValue({ _id: 'rider1' }) });
+            RaceResult.exists.mockResolvedValueOnce({ _id: 'result1' });
+            mockRegistrationService.register.mockResolvedValue({ status: 'Registered', registration: { bib: 202 } });
+
+            const report = await riderImportService.importRiders(csv, { format: 'csv', raceId });
+
+            expect(report.rows[0].registration.status).toBe('AlreadyRegistered');
+            expect(mockRegistrationService.register).toHaveBeenCalledTimes(1);
+        });
+
+        it('should throw error if the race is not found', async () => {
+            Race.exists.mockResolvedValue(null);
+
+            await expect(riderImportService.importRiders(csv, { format: 'csv', raceId })).rejects.toThrow('Race not found');
+        });
+
+        it('should refuse JSON that is not a list of riders', async () => {
+            await expect(riderImportService.importRiders({ name: 'Ana' }))
+                .rejects.toThrow('JSON imports must be an array of riders or { riders: [...] }');
+        });
+    });
+});
@@ -0,0 +1,126 @@
+const TeamService = require('../../../src/team/services/TeamService');
+const Team = require('../../../src/team/data/models/Team');
+const Rider = require('../../../src/rider/data/models/Rider');
+const Race = require('../../../src/raceSystem/data/models/Race');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+
+jest.mock('../../../src/team/data/models/Team');
+jest.mock('../../../src/rider/data/models/Rider');
+jest.mock('../../../src/raceSystem/data/models/Race');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/raceSystem/services/RaceService');
+
+describe('TeamService', () => {
+    let teamService;
+    let mockRaceService;
+
+    const mockTeam = (members = []) => {
+        const team = { _id: 'team1', name: 'Trail Blazers', members };
+        team.save = jest.fn().mockResolvedValue(team);
+        return team;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        mockRaceService = { registerParticipant: jest.fn() };
+        RaceService.mockImplementation(() => mockRaceService);
+
+        teamService = new TeamService();
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('addMember', () => {
+        beforeEach(() => {
+            Rider.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue({ _id: 'rider1' }) });
+        });
+
+        it('should add the rider for the season', async () => {
+            const team = mockTeam();
+            Team.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(team) });
+            Team.findOne.mockReturnValue({
+                select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(null) })
+            });
+
+            await teamService.addMember('team1', { riderId: 'rider1', season: 2025, role: 'Captain' });
+
+            expect(team.members).toEqual([{ rider: 'rider1', season: 2025, role: 'Captain' }]);
+            expect(team.save).toHaveBeenCalled();
+        });
+
+        it('should refuse a rider already on the team for the season', async () => {
+            Team.findById.mockReturnValue({
+                exec: jest.fn().mockResolvedValue(mockTeam([{ rider: 'rider1', season: 2025 }]))
+            });
+
+            await expect(teamService.addMember('team1', { riderId: 'rider1', season: 2025 }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Rider is already a member of this team for 2025' });
+        });
+
+        it('should refuse a rider who rides for another team in the same season', async () => {
+            Team.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockTeam()) });
+            Team.findOne.mockReturnValue({
+                select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue({ name: 'Mud Kings' }) })
+            });
+
+            await expect(teamService.addMember('team1', { riderId: 'rider1', season: 2025 }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Rider already rides for Mud Kings in 2025' });
+        });
+
+        it('should throw error if team is not found', async () => {
+            Team.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+
+            await expect(teamService.addMember('team1', { riderId: 'rider1', season: 2025 }))
+                .rejects.toThrow('Team not found');
+        });
+    });
+
+    describe('enterRace', () => {
+        const race = { _id: 'race1', name: 'Forest Classic', startTime: new Date('2025-06-01') };
+
+        it('should register, link and reject riders', async () => {
+            const team = mockTeam([
+                { rider: 'rider1', season: 2025 },
+                { rider: 'rider2', season: 2025 },
+                { rider: 'rider3', season: 2024 }
+            ]);
+            const existing = { rider: 'rider2', bib: 7, save: jest.fn().mockResolvedValue(true) };
+            Team.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(team) });
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(race) });
+            RaceResult.findOne
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue(null) })
+                .mockReturnValueOnce({ exec: jest.fn().mockResolvedValue(existing) });
+            mockRaceService.registerParticipant.mockResolvedValue({ bib: 3 });
+
+            const entry = await teamService.enterRace('team1', 'race1', ['rider1', 'rider2', 'rider3']);
+
+            expect(mockRaceService.registerParticipant).toHaveBeenCalledWith('race1', 'rider1');
+            expect(existing.team).toBe('team1');
+            expect(entry.summary).toEqual({ registered: 1, linked: 1, rejected: 1 });
+            expect(entry.rejected).toEqual([{ rider: 'rider3', reason: 'Rider is not a 2025 member of this team' }]);
+        });
+
+        it('should report registration failures as rejections', async () => {
+            Team.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockTeam([{ rider: 'rider1', season: 2025 }])) });
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(race) });
+            RaceResult.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(null) });
+            mockRaceService.registerParticipant.mockRejectedValue(new Error('Race is full'));
+
+            const entry = await teamService.enterRace('team1', 'race1');
+
+            expect(entry.rejected).toEqual([{ rider: 'rider1', reason: 'Race is full' }]);
+        });
+
+        it('should throw error if the team has no members for the season', async () => {
+            Team.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(mockTeam([{ rider: 'rider1', season: 2024 }])) });
+            Race.findById.mockReturnValue({ exec: jest.fn().mockResolvedValue(race) });
+
+            await expect(teamService.enterRace('team1', 'race1')).rejects.toThrow('Team has no members for the 2025 season');
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const RiderPortalService = require('../../../src/user/services/RiderPortalService');
+const User = require('../../../src/user/data/models/userModel');
+const RaceResult = require('../../../src/raceSystem/data/models/RaceResult');
+const WaitlistEntry = require('../../../src/raceSystem/data/models/WaitlistEntry');
+const Rider = require('../../../src/rider/data/models/Rider');
+const RaceService = require('../../../src/raceSystem/services/RaceService');
+const RegistrationService = require('../../../src/raceSystem/services/RegistrationService');
+
+jest.mock('../../../src/user/data/models/userModel');
+jest.mock('../../../src/raceSystem/data/models/RaceResult');
+jest.mock('../../../src/raceSystem/data/models/WaitlistEntry');
+jest.mock('../../../src/rider/data/models/Rider');
+jest.mock('../../../src/raceSystem/services/RaceService');
+jest.mock('../../../src/raceSystem/services/RegistrationService');
+jest.mock('../../../src/payment/services/PaymentService');
+
+describe('RiderPortalService', () => {
+    let riderPortalService;
+
+    const mockResultsQuery = (results) => {
+        const query = {
+            select: jest.fn().mockReturnThis(),
+            populate: jest.fn().mockReturnThis(),
+            exec: jest.fn().mockResolvedValue(results)
+        };
+        RaceResult.find.mockReturnValue(query);
+        return query;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        RaceService.mockImplementation(() => ({
+            getEffectiveTime: jest.fn(result => result.adjustedTime),
+            formatTime: jest.fn(seconds => (seconds ? `${seconds}s` : null))
+        }));
+        RegistrationService.mockImplementation(() => ({
+            register: jest.fn(),
+            transferEntry: jest.fn()
+        }));
+        User.findById.mockReturnValue({
+            select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue({ rider: 'rider123' }) })
+        });
+
+        riderPortalService = new RiderPortalService();
+    });
+
+    describe('getRegistrations', () => {
+        it('should split the rider registrations into upcoming and past races', async () => {
+            mockResultsQuery([
+                { bib: 3, race: { name: 'Autumn Enduro', startTime: new Date('2025-10-01'), status: 'Open' } },
+                { bib: 9, race: { name: 'Spring XC', startTime: new Date('2025-03-01'), status: 'Completed' } },
+                { bib: 5, race: { name: 'Summer Marathon', startTime: new Date('2025-07-01'), status: 'Closed' } },
+                { bib: 1, race: null }
+            ]);
+
+            WaitlistEntry.find.mockReturnValue({
+                populate: jest.fn().mockReturnThis(),
+                sort: jest.fn().mockReturnThis(),
+                exec: jest.fn().mockResolvedValue([{ status: 'Waiting' }])
+            });
+
+            const registrations = await riderPortalService.getRegistrations('user123');
+
+            expect(RaceResult.find).toHaveBeenCalledWith({ rider: 'rider123' });
+            expect(registrations.upcoming.map(entry => entry.bib)).toEqual([5, 3]);
+            expect(registrations.past.map(entry => entry.bib)).toEqual([9]);
+            expect(registrations.waitlist).toEqual([{ status: 'Waiting' }]);
+        });
+
+        it('should throw error if the account no longer exists', async () => {
+            User.findById.mockReturnValue({
+                select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(null) })
+            });
+
+            await expect(riderPortalService.getRegistrations('user123')).rejects.toThrow('User not found');
+        });
+    });
+
+    describe('registerForRace', () => {
+        it('should register the rider linked to the account without an override', async () => {
+            riderPortalService.registrationService.register.mockResolvedValue({ status: 'Registered', registration: { bib: 204 } });
+
+            const result = await riderPortalService.registerForRace('user123', 'race1', 'CLUB10');
+
+            expect(riderPortalService.registrationService.register)
+                .toHaveBeenCalledWith('race1', 'rider123', null, { discountCode: 'CLUB10' });
+            expect(result.registration).toEqual({ bib: 204 });
+        });
+    });
+
+    describe('transferEntry', () => {
+        it('should find the new rider by email and record the account that asked', async () => {
+            User.findById.mockReturnValue({
+                select: jest.fn().mockReturnValue({
+                    exec: jest.fn().mockResolvedValue({ _id: 'user123', rider: 'rider123', email: 'kim@example.com', firstName: 'Kim', lastName: 'Berg' })
+                })
+            });
+            Rider.findOne.mockReturnValue({
+                select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue({ _id: 'rider456' }) })
+            });
+
+            await riderPortalService.transferEntry('user123', 'race1', 'Friend@Example.com', 'Cannot make it');
+
+            expect(Rider.findOne).toHaveBeenCalledWith({ email: 'friend@example.com' });
+            expect(riderPortalService.registrationService.transferEntry).toHaveBeenCalledWith('race1', 'rider123', 'rider456', {
+                reason: 'Cannot make it',
+                requestedBy: { kind: 'Rider', user: 'user123', email: 'kim@example.com', name: 'Kim Berg' }
+            });
+        });
+
+        it('should throw error if no rider has that email', async () => {
+            Rider.findOne.mockReturnValue({
+                select: jest.fn().mockReturnValue({ exec: jest.fn().mockResolvedValue(null) })
+            });
+
+            await expect(riderPortalService.transferEntry('user123', 'race1', 'nobody@example.com')).rejects.toThrow('Rider not found');
+        });
+    });
+
+    describe('getResults', () => {
+        it('should return only the rider results, newest race first', async () => {
+            mockResultsQuery([
+                { status: 'Finished', position: 4, totalTime: 3700, adjustedTime: 3730, race: { name: 'Spring XC', startTime: new Date('2025-03-01'), resultsStatus: 'Official' } },
+                { status: 'DNF', position: 12, totalTime: null, adjustedTime: null, race: { name: 'Summer Marathon', startTime: new Date('2025-07-01'), resultsStatus: 'Provisional' } }
+            ]);
+
+            const results = await riderPortalService.getResults('user123');
+
+            expect(RaceResult.find).toHaveBeenCalledWith({ rider: 'rider123', status: { $in: ['Finished', 'DNF', 'DSQ'] } });
+            expect(results.map(result => [result.race.name, result.status, result.position, result.formattedAdjustedTime, result.resultsStatus])).toEqual([
+                ['Summer Marathon', 'DNF', null, null, 'Provisional'],
+                ['Spring XC', 'Finished', 4, '3730s', 'Official']
+            ]);
+        });
+    });
+});
@@ -0,0 +1,186 @@
+jest.mock('../../../src/utils/emailHandler', () => ({
+    sendEmail: jest.fn().mockResolvedValue(true)
+}));
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const UserAuthService = require('../../../src/user/services/UserAuthService');
+const { findUserByEmail, createUser } = require('../../../src/user/data/repositories/userRepository');
+const { sendEmail } = require('../../../src/utils/emailHandler');
+const { checkIfUserExists } = require('../../../src/utils/validation');
+const { hashPin } = require('../../../src/utils/pinHandler');
+const User = require('../../../src/user/data/models/userModel');
+const Rider = require('../../../src/rider/data/models/Rider');
+
+jest.mock('bcryptjs');
+jest.mock('jsonwebtoken');
+jest.mock('../../../src/user/data/repositories/userRepository');
+jest.mock('../../../src/utils/validation');
+jest.mock('../../../src/user/data/models/userModel');
+jest.mock('../../../src/rider/data/models/Rider');
+
+describe('UserAuthService', () => {
+    let mockUser;
+
+    const profile = {
+        firstName: 'Jane',
+        lastName: 'Rider',
+        email: 'jane@example.com',
+        password: 'secret123'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockUser = {
+            _id: 'user123',
+            firstName: 'Jane',
+            lastName: 'Rider',
+            email: 'jane@example.com',
+            password: 'hashedpassword',
+            role: 'user',
+            rider: 'rider123',
+            isEmailVerified: true,
+            isActive: true,
+            save: jest.fn().mockResolvedValue(true),
+            toJSON: jest.fn().mockReturnValue({
+                firstName: 'Jane',
+                lastName: 'Rider',
+                email: 'jane@example.com',
+                role: 'user',
+                rider: 'rider123',
+                isEmailVerified: true
+            }),
+            createEmailVerificationPin: jest.fn().mockReturnValue('123456'),
+            createPasswordResetToken: jest.fn().mockReturnValue('654321')
+        };
+
+        global.setImmediate = jest.fn((callback) => callback());
+    });
+
+    afterEach(() => {
+        delete global.setImmediate;
+    });
+
+    describe('createUserAccount', () => {
+        it('should link the account to the existing rider record with the same email', async () => {
+            checkIfUserExists.mockResolvedValue();
+            Rider.findOne.mockResolvedValue({ _id: 'rider123' });
+            bcrypt.hash.mockResolvedValue('hashedpassword');
+            createUser.mockResolvedValue(mockUser);
+
+            const result = await UserAuthService.createUserAccount(profile);
+
+            expect(Rider.create).not.toHaveBeenCalled();
+            expect(createUser).toHaveBeenCalledWith('Jane', 'Rider', 'jane@example.com', 'hashedpassword', 'rider123');
+            expect(mockUser.createEmailVerificationPin).toHaveBeenCalled();
+            expect(sendEmail).toHaveBeenCalledWith('jane@example.com', 'Email Verification Required', expect.stringContaining('123456'));
+            expect(result.riderLinked).toBe(true);
+        });
+
+        it('should create a rider record from the profile when none exists', async () => {
+            const fullProfile = { ...profile, dateOfBirth: new Date('1990-04-01'), nationality: 'Kenyan', bikeType: 'Hardtail' };
+            checkIfUserExists.mockResolvedValue();
+            Rider.findOne.mockResolvedValue(null);
+            Rider.create.mockResolvedValue({ _id: 'rider456' });
+            bcrypt.hash.mockResolvedValue('hashedpassword');
+            createUser.mockResolvedValue(mockUser);
+
+            const result = await UserAuthService.createUserAccount(fullProfile);
+
+            const { password, ...riderData } = fullProfile;
+            expect(Rider.create).toHaveBeenCalledWith(riderData);
+            expect(createUser).toHaveBeenCalledWith('Jane', 'Rider', 'jane@example.com', 'hashedpassword', 'rider456');
+            expect(result.riderLinked).toBe(false);
+        });
+
+        it('should require the rider profile fields when no rider record exists', async () => {
+            checkIfUserExists.mockResolvedValue();
+            Rider.findOne.mockResolvedValue(null);
+
+            await expect(UserAuthService.createUserAccount({ ...profile, nationality: 'Kenyan' }))
+                .rejects.toThrow('No rider record found for this email; dateOfBirth, bikeType required to create one');
+            expect(createUser).not.toHaveBeenCalled();
+        });
+
+        it('should refuse an email that already has an account', async () => {
+            checkIfUserExists.mockRejectedValue(new Error('Email is already in use'));
+
+            await expect(UserAuthService.createUserAccount(profile)).rejects.toThrow('Email is already in use');
+            expect(Rider.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('authenticateUser', () => {
+        it('should issue a user token', async () => {
+            findUserByEmail.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(true);
+            jwt.sign.mockReturnValue('jwt.token.here');
+
+            const result = await UserAuthService.authenticateUser('jane@example.com', 'secret123');
+
+            expect(jwt.sign).toHaveBeenCalledWith({ id: 'user123', role: 'user' }, process.env.JWT_SECRET, { expiresIn: '3h' });
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(result).toMatchObject({ token: 'jwt.token.here', user: { rider: 'rider123' } });
+        });
+
+        it('should refuse unverified accounts', async () => {
+            findUserByEmail.mockResolvedValue({ ...mockUser, isEmailVerified: false });
+
+            await expect(UserAuthService.authenticateUser('jane@example.com', 'secret123'))
+                .rejects.toThrow('Please verify your email before logging in');
+        });
+
+        it('should refuse deactivated accounts', async () => {
+            findUserByEmail.mockResolvedValue({ ...mockUser, isActive: false });
+
+            await expect(UserAuthService.authenticateUser('jane@example.com', 'secret123'))
+                .rejects.toThrow('This account has been deactivated');
+        });
+    });
+
+    describe('verifyEmail', () => {
+        it('should verify the email with a matching PIN', async () => {
+            User.findOne.mockResolvedValue(mockUser);
+
+            await UserAuthService.verifyEmail('Jane@Example.com', '123456');
+
+            expect(User.findOne).toHaveBeenCalledWith({
+                email: 'jane@example.com',
+                emailVerificationPin: hashPin('123456'),
+                emailVerificationExpire: { $gt: expect.any(Number) }
+            });
+            expect(mockUser.isEmailVerified).toBe(true);
+            expect(mockUser.emailVerificationPin).toBeUndefined();
+        });
+
+        it('should reject an invalid PIN', async () => {
+            User.findOne.mockResolvedValue(null);
+
+            await expect(UserAuthService.verifyEmail('jane@example.com', '000000'))
+                .rejects.toThrow('Invalid or expired verification PIN');
+        });
+    });
+
+    describe('resetPassword', () => {
+        it('should match the reset PIN together with the email', async () => {
+            User.findOne.mockResolvedValue(mockUser);
+            bcrypt.hash.mockResolvedValue('newhash');
+
+            await UserAuthService.resetPassword('jane@example.com', '654321', 'newsecret');
+
+            expect(User.findOne).toHaveBeenCalledWith({
+                email: 'jane@example.com',
+                resetPasswordToken: hashPin('654321'),
+                resetPasswordExpire: { $gt: expect.any(Number) }
+            });
+            expect(mockUser.password).toBe('newhash');
+            expect(mockUser.resetPasswordToken).toBeUndefined();
+        });
+
+        it('should reject short passwords', async () => {
+            await expect(UserAuthService.resetPassword('jane@example.com', '654321', '123'))
+                .rejects.toThrow('New password must be at least 6 characters long');
+        });
+    });
+});